@@ -0,0 +1,206 @@
+// Formats and corrects the addresses of development applications using the street names, street
+// suffixes, suburb names and hundred names of the district council.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const gazetteer_1 = require("./gazetteer");
+// Formats (and corrects) an address, returning "" if the address should be ignored.
+function formatAddress(applicationNumber, address) {
+    let parsedAddress = parseAddress(applicationNumber, address);
+    return (parsedAddress === undefined) ? "" : parsedAddress.text;
+}
+exports.formatAddress = formatAddress;
+// Records a correction if a name matched in a gazetteer differs from the original text.
+function addCorrection(corrections, part, original, match) {
+    if (match.distance > 0)
+        corrections.push({ part: part, original: original.toUpperCase(), corrected: match.name, distance: match.distance, confidence: Math.round(match.confidence * 100) / 100 });
+}
+// Splits the tokens that precede the street name into a section or lot (for example, "Lot 5",
+// "Lot no 1" or "Sec 26") and a street number (for example, "12", "12A", "3/12" or "12-14").
+function parseStreetNumber(tokens) {
+    let sectionOrLot = "";
+    let streetNumber = "";
+    let remainingTokens = tokens.map(token => token.replace(/,+$/, "")).filter(token => token !== "");
+    let keyword = (remainingTokens.length === 0) ? "" : remainingTokens[0].toUpperCase().replace(/\.$/, "");
+    let sectionOrLotKeyword = { "LOT": "LOT", "ALLOT": "ALLOTMENT", "ALLOTMENT": "ALLOTMENT", "SEC": "SECTION", "SECT": "SECTION", "SECTION": "SECTION", "PCE": "PIECE", "PIECE": "PIECE" }[keyword];
+    if (sectionOrLotKeyword !== undefined) {
+        remainingTokens.shift();
+        if (remainingTokens.length > 0 && /^NO\.?$/i.test(remainingTokens[0]))
+            remainingTokens.shift(); // for example, "Lot no 1"
+        if (remainingTokens.length > 0)
+            sectionOrLot = `${sectionOrLotKeyword} ${remainingTokens.shift().toUpperCase()}`;
+    }
+    if (remainingTokens.length > 0 && /^\d+[A-Z]?(\/\d+[A-Z]?)?(-\d+[A-Z]?)?$/i.test(remainingTokens[0]))
+        streetNumber = remainingTokens.shift().toUpperCase();
+    return { sectionOrLot: sectionOrLot, streetNumber: streetNumber, remainingTokens: remainingTokens };
+}
+// Formats (and corrects) an address and breaks it into its parts, returning undefined if the
+// address should be ignored.
+function parseAddress(applicationNumber, address) {
+    address = address.trim().replace(/[-–]+$/, "").replace(/\s\s+/g, " ").trim(); // remove trailing dashes and multiple white space characters
+    if (address.replace(/[\s,0-]/g, "") === "" || address.startsWith("No Residential Address")) // ignores addresses such as "0 0, 0" and "-"
+        return undefined;
+    // Remove the comma in house numbers larger than 1000.  For example, the following addresses:
+    //
+    //     4,665 Princes HWY MENINGIE 5264
+    //     11,287 Princes HWY SALT CREEK 5264
+    //
+    // would be converted to the following:
+    //
+    //     4665 Princes HWY MENINGIE 5264
+    //     11287 Princes HWY SALT CREEK 5264
+    if (/^\d,\d\d\d/.test(address))
+        address = address.substring(0, 1) + address.substring(2);
+    else if (/^\d\d,\d\d\d/.test(address))
+        address = address.substring(0, 2) + address.substring(3);
+    let tokens = address.split(" ");
+    let postCode = undefined;
+    let token = tokens.pop();
+    if (token === undefined)
+        return { text: address, streetNumber: "", streetName: "", suburb: "", state: "", postCode: "", hundred: "", sectionOrLot: "", confidence: 1, corrections: [] };
+    if (/^\d\d\d\d$/.test(token))
+        postCode = token;
+    else
+        tokens.push(token);
+    // Ensure that a state code is added before the post code if a state code is not present.
+    let state = "SA";
+    token = tokens.pop();
+    if (token === undefined)
+        return { text: address, streetNumber: "", streetName: "", suburb: "", state: "", postCode: "", hundred: "", sectionOrLot: "", confidence: 1, corrections: [] };
+    if (["ACT", "NSW", "NT", "QLD", "SA", "TAS", "VIC", "WA"].includes(token.toUpperCase()))
+        state = token.toUpperCase();
+    else
+        tokens.push(token);
+    // Construct a fallback address to be used if the suburb name cannot be determined later.
+    let fallbackAddress = (postCode === undefined) ? address : [...tokens, state, postCode].join(" ").trim();
+    // Pop tokens from the end of the array until a valid suburb name is encountered (allowing
+    // for a few spelling errors).  Note that this starts by examining for longer matches
+    // (consisting of four tokens) before examining shorter matches.  This approach ensures
+    // that the following address:
+    //
+    //     2,800 Woods Well RD COLEBATCH 5266
+    //
+    // is correctly converted to the following address:
+    //
+    //     2800 WOODS WELL ROAD, COLEBATCH SA 5266
+    //
+    // rather than (incorrectly) to the following address (notice that the street name has "BELL"
+    // instead of "WELL" because there actually is a street named "BELL ROAD").
+    //
+    //     2800 Woods BELL ROAD, COLEBATCH SA 5266
+    //
+    // This also allows for addresses that contain hundred names such as the following:
+    //
+    //     Sec 26 Hd Palabie
+    //     Lot no 1, Standley Road, Sect 16, Hundred of Pygery
+    let suburbName = undefined;
+    let hundredName = "";
+    let hasHundredName = false;
+    let corrections = [];
+    for (let index = 4; index >= 1; index--) {
+        let tryHundredName = tokens.slice(-index).join(" ").toUpperCase();
+        if (tryHundredName.startsWith("HD OF ") || tryHundredName.startsWith("HUNDRED OF") || tryHundredName.startsWith("HD ") || tryHundredName.startsWith("HUNDRED ")) {
+            tryHundredName = tryHundredName.replace(/^HD OF /, "").replace(/^HUNDRED OF /, "").replace(/^HD /, "").replace(/^HUNDRED /, "").trim();
+            let hundredNameMatch = gazetteer_1.findHundredName(tryHundredName);
+            if (hundredNameMatch !== undefined) {
+                hasHundredName = true;
+                hundredName = hundredNameMatch.name;
+                addCorrection(corrections, "hundred", tryHundredName, hundredNameMatch);
+                let suburbNames = gazetteer_1.getHundredSuburbNames(hundredName);
+                if (suburbNames.length === 1) { // if a unique suburb exists for the hundred then use that suburb
+                    suburbName = gazetteer_1.getSuburb(suburbNames[0]);
+                    tokens.splice(-index, index); // remove elements from the end of the array
+                }
+                break;
+            }
+        }
+    }
+    // Only search for a suburb name if there was no hundred name (because a suburb name is
+    // unlikely to appear before a hundred name).
+    if (!hasHundredName) {
+        for (let index = 4; index >= 1; index--) {
+            let trySuburbName = tokens.slice(-index).join(" ");
+            let suburbNameMatch = gazetteer_1.findSuburbName(trySuburbName);
+            if (suburbNameMatch !== undefined) {
+                suburbName = gazetteer_1.getSuburb(suburbNameMatch.name);
+                addCorrection(corrections, "suburb", trySuburbName, suburbNameMatch);
+                tokens.splice(-index, index); // remove elements from the end of the array           
+                break;
+            }
+        }
+    }
+    // Expand any street suffix (for example, this converts "ST" to "STREET").
+    token = tokens.pop();
+    if (token !== undefined) {
+        token = token.trim().replace(/,+$/, "").trim(); // removes trailing commas
+        let streetSuffix = gazetteer_1.expandStreetSuffix(token);
+        if (streetSuffix === undefined)
+            tokens.push(token); // unrecognised street suffix
+        else
+            tokens.push(streetSuffix); // add back the expanded street suffix
+    }
+    // Pop tokens from the end of the array until a valid street name is encountered (allowing
+    // for a few spelling errors).  Similar to the examination of suburb names, this examines
+    // longer matches before examining shorter matches (for the same reason).
+    let streetName = undefined;
+    for (let index = 5; index >= 1; index--) {
+        let tryStreetName = tokens.slice(-index).join(" ").trim().replace(/,+$/, "").trim(); // allows for commas after the street name
+        let streetNameMatch = gazetteer_1.findStreetName(tryStreetName);
+        if (streetNameMatch !== undefined) {
+            streetName = streetNameMatch.name;
+            addCorrection(corrections, "street", tryStreetName, streetNameMatch);
+            let suburbNames = gazetteer_1.getStreetSuburbNames(streetName);
+            tokens.splice(-index, index); // remove elements from the end of the array           
+            // If the suburb was not determined earlier then attempt to obtain the suburb based
+            // on the street (ie. if there is only one suburb associated with the street).  For
+            // example, this would automatically add the suburb to "22 Jefferson CT 5263",
+            // producing the address "22 JEFFERSON COURT, WELLINGTON EAST SA 5263".
+            if (suburbName === undefined && suburbNames.length === 1)
+                suburbName = gazetteer_1.getSuburb(suburbNames[0]);
+            break;
+        }
+    }
+    // If a post code was included in the original address then use it to override the post code
+    // included in the suburb name (because the post code in the original address is more likely
+    // to be correct).
+    if (postCode !== undefined && suburbName !== undefined)
+        suburbName = suburbName.replace(/\s+\d\d\d\d$/, " " + postCode);
+    // Do not allow an address that does not have a suburb name.
+    if (suburbName === undefined) {
+        console.log(`Ignoring the development application "${applicationNumber}" because a suburb name could not be determined for the address: ${address}`);
+        return undefined;
+    }
+    // Report any low-confidence corrections (these are still applied, but are also indicated by
+    // the confidence of the address so that they can be reviewed).
+    for (let correction of corrections)
+        if (correction.confidence < gazetteer_1.LowConfidenceThreshold)
+            console.log(`Low-confidence correction (${correction.confidence.toFixed(2)}) of the ${correction.part} "${correction.original}" to "${correction.corrected}" in the address of the development application "${applicationNumber}": ${address}`);
+    // Determine the parts of the address (before the street name is added back to the tokens).
+    let streetNumberParts = parseStreetNumber(tokens);
+    let suburbParts = /^(.*?)\s+([A-Z]+)\s+(\d\d\d\d)$/.exec(suburbName.trim());
+    // Reconstruct the address with a comma between the street address and the suburb.
+    if (suburbName === undefined || suburbName.trim() === "")
+        address = fallbackAddress;
+    else {
+        if (streetName !== undefined && streetName.trim() !== "")
+            tokens.push(streetName);
+        let streetAddress = tokens.join(" ").trim().replace(/,+$/, "").trim(); // removes trailing commas
+        address = streetAddress + (streetAddress === "" ? "" : ", ") + suburbName;
+    }
+    // Ensure that the address includes the state "SA".
+    if (address !== "" && !/\bSA\b/g.test(address))
+        address += " SA";
+    return {
+        text: address,
+        streetNumber: streetNumberParts.streetNumber,
+        streetName: (streetName !== undefined && streetName.trim() !== "") ? streetName : streetNumberParts.remainingTokens.join(" ").toUpperCase(),
+        suburb: (suburbParts === null) ? suburbName.trim() : suburbParts[1],
+        state: (suburbParts === null) ? state : suburbParts[2],
+        postCode: (suburbParts === null) ? (postCode || "") : suburbParts[3],
+        hundred: hundredName,
+        sectionOrLot: streetNumberParts.sectionOrLot,
+        confidence: corrections.reduce((confidence, correction) => Math.min(confidence, correction.confidence), 1),
+        corrections: corrections
+    };
+}
+exports.parseAddress = parseAddress;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYWRkcmVzcy5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImFkZHJlc3MudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsZ0dBQWdHO0FBQ2hHLG9FQUFvRTtBQUVwRSxZQUFZLENBQUM7O0FBRWIsMkNBQWtNO0FBNkJsTSxvRkFBb0Y7QUFFcEYsU0FBZ0IsYUFBYSxDQUFDLGlCQUF5QixFQUFFLE9BQWU7SUFDcEUsSUFBSSxhQUFhLEdBQUcsWUFBWSxDQUFDLGlCQUFpQixFQUFFLE9BQU8sQ0FBQyxDQUFDO0lBQzdELE9BQU8sQ0FBQyxhQUFhLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsYUFBYSxDQUFDLElBQUksQ0FBQztBQUNuRSxDQUFDO0FBSEQsc0NBR0M7QUFFRCx3RkFBd0Y7QUFFeEYsU0FBUyxhQUFhLENBQUMsV0FBZ0MsRUFBRSxJQUFZLEVBQUUsUUFBZ0IsRUFBRSxLQUFxQjtJQUMxRyxJQUFJLEtBQUssQ0FBQyxRQUFRLEdBQUcsQ0FBQztRQUNsQixXQUFXLENBQUMsSUFBSSxDQUFDLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsUUFBUSxDQUFDLFdBQVcsRUFBRSxFQUFFLFNBQVMsRUFBRSxLQUFLLENBQUMsSUFBSSxFQUFFLFFBQVEsRUFBRSxLQUFLLENBQUMsUUFBUSxFQUFFLFVBQVUsRUFBRSxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxVQUFVLEdBQUcsR0FBRyxDQUFDLEdBQUcsR0FBRyxFQUFFLENBQUMsQ0FBQztBQUNsTCxDQUFDO0FBRUQsOEZBQThGO0FBQzlGLDZGQUE2RjtBQUU3RixTQUFTLGlCQUFpQixDQUFDLE1BQWdCO0lBQ3ZDLElBQUksWUFBWSxHQUFHLEVBQUUsQ0FBQztJQUN0QixJQUFJLFlBQVksR0FBRyxFQUFFLENBQUM7SUFDdEIsSUFBSSxlQUFlLEdBQUcsTUFBTSxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxLQUFLLEVBQUUsQ0FBQyxDQUFDO0lBRWxHLElBQUksT0FBTyxHQUFHLENBQUMsZUFBZSxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQztJQUN4RyxJQUFJLG1CQUFtQixHQUFHLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxPQUFPLEVBQUUsV0FBVyxFQUFFLFdBQVcsRUFBRSxXQUFXLEVBQUUsS0FBSyxFQUFFLFNBQVMsRUFBRSxNQUFNLEVBQUUsU0FBUyxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDak0sSUFBSSxtQkFBbUIsS0FBSyxTQUFTLEVBQUU7UUFDbkMsZUFBZSxDQUFDLEtBQUssRUFBRSxDQUFDO1FBQ3hCLElBQUksZUFBZSxDQUFDLE1BQU0sR0FBRyxDQUFDLElBQUksVUFBVSxDQUFDLElBQUksQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDakUsZUFBZSxDQUFDLEtBQUssRUFBRSxDQUFDLENBQUUsMEJBQTBCO1FBQ3hELElBQUksZUFBZSxDQUFDLE1BQU0sR0FBRyxDQUFDO1lBQzFCLFlBQVksR0FBRyxHQUFHLG1CQUFtQixJQUFJLGVBQWUsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxXQUFXLEVBQUUsRUFBRSxDQUFDO0tBQ3hGO0lBRUQsSUFBSSxlQUFlLENBQUMsTUFBTSxHQUFHLENBQUMsSUFBSSx5Q0FBeUMsQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ2hHLFlBQVksR0FBRyxlQUFlLENBQUMsS0FBSyxFQUFFLENBQUMsV0FBVyxFQUFFLENBQUM7SUFFekQsT0FBTyxFQUFFLFlBQVksRUFBRSxZQUFZLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRSxlQUFlLEVBQUUsZUFBZSxFQUFFLENBQUM7QUFDeEcsQ0FBQztBQUVELDZGQUE2RjtBQUM3Riw2QkFBNkI7QUFFN0IsU0FBZ0IsWUFBWSxDQUFDLGlCQUF5QixFQUFFLE9BQWU7SUFDbkUsT0FBTyxHQUFHLE9BQU8sQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBRSw2REFBNkQ7SUFDNUksSUFBSSxPQUFPLENBQUMsT0FBTyxDQUFDLFVBQVUsRUFBRSxFQUFFLENBQUMsS0FBSyxFQUFFLElBQUksT0FBTyxDQUFDLFVBQVUsQ0FBQyx3QkFBd0IsQ0FBQyxFQUFHLDZDQUE2QztRQUN0SSxPQUFPLFNBQVMsQ0FBQztJQUVyQiw2RkFBNkY7SUFDN0YsRUFBRTtJQUNGLHNDQUFzQztJQUN0Qyx5Q0FBeUM7SUFDekMsRUFBRTtJQUNGLHVDQUF1QztJQUN2QyxFQUFFO0lBQ0YscUNBQXFDO0lBQ3JDLHdDQUF3QztJQUV4QyxJQUFJLFlBQVksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDO1FBQzFCLE9BQU8sR0FBRyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsR0FBRyxPQUFPLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDO1NBQ3hELElBQUksY0FBYyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUM7UUFDakMsT0FBTyxHQUFHLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFFN0QsSUFBSSxNQUFNLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUVoQyxJQUFJLFFBQVEsR0FBRyxTQUFTLENBQUM7SUFDekIsSUFBSSxLQUFLLEdBQUcsTUFBTSxDQUFDLEdBQUcsRUFBRSxDQUFDO0lBQ3pCLElBQUksS0FBSyxLQUFLLFNBQVM7UUFDbkIsT0FBTyxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsWUFBWSxFQUFFLEVBQUUsRUFBRSxVQUFVLEVBQUUsRUFBRSxFQUFFLE1BQU0sRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsRUFBRSxFQUFFLE9BQU8sRUFBRSxFQUFFLEVBQUUsWUFBWSxFQUFFLEVBQUUsRUFBRSxVQUFVLEVBQUUsQ0FBQyxFQUFFLFdBQVcsRUFBRSxFQUFFLEVBQUUsQ0FBQztJQUNuSyxJQUFJLFlBQVksQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDO1FBQ3hCLFFBQVEsR0FBRyxLQUFLLENBQUM7O1FBRWpCLE1BQU0sQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUM7SUFFdkIseUZBQXlGO0lBRXpGLElBQUksS0FBSyxHQUFHLElBQUksQ0FBQztJQUNqQixLQUFLLEdBQUcsTUFBTSxDQUFDLEdBQUcsRUFBRSxDQUFDO0lBQ3JCLElBQUksS0FBSyxLQUFLLFNBQVM7UUFDbkIsT0FBTyxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsWUFBWSxFQUFFLEVBQUUsRUFBRSxVQUFVLEVBQUUsRUFBRSxFQUFFLE1BQU0sRUFBRSxFQUFFLEVBQUUsS0FBSyxFQUFFLEVBQUUsRUFBRSxRQUFRLEVBQUUsRUFBRSxFQUFFLE9BQU8sRUFBRSxFQUFFLEVBQUUsWUFBWSxFQUFFLEVBQUUsRUFBRSxVQUFVLEVBQUUsQ0FBQyxFQUFFLFdBQVcsRUFBRSxFQUFFLEVBQUUsQ0FBQztJQUNuSyxJQUFJLENBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxLQUFLLEVBQUUsS0FBSyxFQUFFLElBQUksQ0FBRSxDQUFDLFFBQVEsQ0FBQyxLQUFLLENBQUMsV0FBVyxFQUFFLENBQUM7UUFDckYsS0FBSyxHQUFHLEtBQUssQ0FBQyxXQUFXLEVBQUUsQ0FBQzs7UUFFNUIsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUV2Qix5RkFBeUY7SUFFekYsSUFBSSxlQUFlLEdBQUcsQ0FBQyxRQUFRLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBRSxHQUFHLE1BQU0sRUFBRSxLQUFLLEVBQUUsUUFBUSxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO0lBRTFHLDBGQUEwRjtJQUMxRixxRkFBcUY7SUFDckYsdUZBQXVGO0lBQ3ZGLDhCQUE4QjtJQUM5QixFQUFFO0lBQ0YseUNBQXlDO0lBQ3pDLEVBQUU7SUFDRixtREFBbUQ7SUFDbkQsRUFBRTtJQUNGLDhDQUE4QztJQUM5QyxFQUFFO0lBQ0YsNkZBQTZGO0lBQzdGLDJFQUEyRTtJQUMzRSxFQUFFO0lBQ0YsOENBQThDO0lBQzlDLEVBQUU7SUFDRixtRkFBbUY7SUFDbkYsRUFBRTtJQUNGLHdCQUF3QjtJQUN4QiwwREFBMEQ7SUFFMUQsSUFBSSxVQUFVLEdBQUcsU0FBUyxDQUFDO0lBQzNCLElBQUksV0FBVyxHQUFHLEVBQUUsQ0FBQztJQUNyQixJQUFJLGNBQWMsR0FBRyxLQUFLLENBQUM7SUFDM0IsSUFBSSxXQUFXLEdBQXdCLEVBQUUsQ0FBQztJQUUxQyxLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLElBQUksQ0FBQyxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ3JDLElBQUksY0FBYyxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUM7UUFDbEUsSUFBSSxjQUFjLENBQUMsVUFBVSxDQUFDLFFBQVEsQ0FBQyxJQUFJLGNBQWMsQ0FBQyxVQUFVLENBQUMsWUFBWSxDQUFDLElBQUksY0FBYyxDQUFDLFVBQVUsQ0FBQyxLQUFLLENBQUMsSUFBSSxjQUFjLENBQUMsVUFBVSxDQUFDLFVBQVUsQ0FBQyxFQUFFO1lBQzdKLGNBQWMsR0FBRyxjQUFjLENBQUMsT0FBTyxDQUFDLFNBQVMsRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsY0FBYyxFQUFFLEVBQUUsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLFdBQVcsRUFBRSxFQUFFLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztZQUN2SSxJQUFJLGdCQUFnQixHQUFHLDJCQUFlLENBQUMsY0FBYyxDQUFDLENBQUM7WUFDdkQsSUFBSSxnQkFBZ0IsS0FBSyxTQUFTLEVBQUU7Z0JBQ2hDLGNBQWMsR0FBRyxJQUFJLENBQUM7Z0JBQ3RCLFdBQVcsR0FBRyxnQkFBZ0IsQ0FBQyxJQUFJLENBQUM7Z0JBQ3BDLGFBQWEsQ0FBQyxXQUFXLEVBQUUsU0FBUyxFQUFFLGNBQWMsRUFBRSxnQkFBZ0IsQ0FBQyxDQUFDO2dCQUN4RSxJQUFJLFdBQVcsR0FBRyxpQ0FBcUIsQ0FBQyxXQUFXLENBQUMsQ0FBQztnQkFDckQsSUFBSSxXQUFXLENBQUMsTUFBTSxLQUFLLENBQUMsRUFBRSxFQUFHLGlFQUFpRTtvQkFDOUYsVUFBVSxHQUFHLHFCQUFTLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7b0JBQ3ZDLE1BQU0sQ0FBQyxNQUFNLENBQUMsQ0FBQyxLQUFLLEVBQUUsS0FBSyxDQUFDLENBQUMsQ0FBRSw0Q0FBNEM7aUJBQzlFO2dCQUNELE1BQU07YUFDVDtTQUNKO0tBQ0o7SUFFRCx1RkFBdUY7SUFDdkYsNkNBQTZDO0lBRTdDLElBQUksQ0FBQyxjQUFjLEVBQUU7UUFDakIsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxJQUFJLENBQUMsRUFBRSxLQUFLLEVBQUUsRUFBRTtZQUNyQyxJQUFJLGFBQWEsR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1lBQ25ELElBQUksZUFBZSxHQUFHLDBCQUFjLENBQUMsYUFBYSxDQUFDLENBQUM7WUFDcEQsSUFBSSxlQUFlLEtBQUssU0FBUyxFQUFFO2dCQUMvQixVQUFVLEdBQUcscUJBQVMsQ0FBQyxlQUFlLENBQUMsSUFBSSxDQUFDLENBQUM7Z0JBQzdDLGFBQWEsQ0FBQyxXQUFXLEVBQUUsUUFBUSxFQUFFLGFBQWEsRUFBRSxlQUFlLENBQUMsQ0FBQztnQkFDckUsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssRUFBRSxLQUFLLENBQUMsQ0FBQyxDQUFFLHVEQUF1RDtnQkFDdEYsTUFBTTthQUNUO1NBQ0o7S0FDSjtJQUVELDBFQUEwRTtJQUUxRSxLQUFLLEdBQUcsTUFBTSxDQUFDLEdBQUcsRUFBRSxDQUFDO0lBQ3JCLElBQUksS0FBSyxLQUFLLFNBQVMsRUFBRTtRQUNyQixLQUFLLEdBQUcsS0FBSyxDQUFDLElBQUksRUFBRSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBRSwwQkFBMEI7UUFDM0UsSUFBSSxZQUFZLEdBQUcsOEJBQWtCLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDN0MsSUFBSSxZQUFZLEtBQUssU0FBUztZQUMxQixNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUUsNkJBQTZCOztZQUVsRCxNQUFNLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUUsc0NBQXNDO0tBQ3pFO0lBRUQsMEZBQTBGO0lBQzFGLHlGQUF5RjtJQUN6Rix5RUFBeUU7SUFFekUsSUFBSSxVQUFVLEdBQUcsU0FBUyxDQUFDO0lBQzNCLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssSUFBSSxDQUFDLEVBQUUsS0FBSyxFQUFFLEVBQUU7UUFDckMsSUFBSSxhQUFhLEdBQUcsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUUsMENBQTBDO1FBQ2hJLElBQUksZUFBZSxHQUFHLDBCQUFjLENBQUMsYUFBYSxDQUFDLENBQUM7UUFDcEQsSUFBSSxlQUFlLEtBQUssU0FBUyxFQUFFO1lBQy9CLFVBQVUsR0FBRyxlQUFlLENBQUMsSUFBSSxDQUFDO1lBQ2xDLGFBQWEsQ0FBQyxXQUFXLEVBQUUsUUFBUSxFQUFFLGFBQWEsRUFBRSxlQUFlLENBQUMsQ0FBQztZQUNyRSxJQUFJLFdBQVcsR0FBRyxnQ0FBb0IsQ0FBQyxVQUFVLENBQUMsQ0FBQztZQUNuRCxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUMsS0FBSyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUUsdURBQXVEO1lBRXRGLG1GQUFtRjtZQUNuRixtRkFBbUY7WUFDbkYsOEVBQThFO1lBQzlFLHVFQUF1RTtZQUV2RSxJQUFJLFVBQVUsS0FBSyxTQUFTLElBQUksV0FBVyxDQUFDLE1BQU0sS0FBSyxDQUFDO2dCQUNwRCxVQUFVLEdBQUcscUJBQVMsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUUzQyxNQUFNO1NBQ1Q7S0FDSjtJQUVELDRGQUE0RjtJQUM1Riw0RkFBNEY7SUFDNUYsa0JBQWtCO0lBRWxCLElBQUksUUFBUSxLQUFLLFNBQVMsSUFBSSxVQUFVLEtBQUssU0FBUztRQUNsRCxVQUFVLEdBQUcsVUFBVSxDQUFDLE9BQU8sQ0FBQyxjQUFjLEVBQUUsR0FBRyxHQUFHLFFBQVEsQ0FBQyxDQUFDO0lBRXBFLDREQUE0RDtJQUU1RCxJQUFJLFVBQVUsS0FBSyxTQUFTLEVBQUU7UUFDMUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyx5Q0FBeUMsaUJBQWlCLG9FQUFvRSxPQUFPLEVBQUUsQ0FBQyxDQUFDO1FBQ3JKLE9BQU8sU0FBUyxDQUFDO0tBQ3BCO0lBRUQsNEZBQTRGO0lBQzVGLCtEQUErRDtJQUUvRCxLQUFLLElBQUksVUFBVSxJQUFJLFdBQVc7UUFDOUIsSUFBSSxVQUFVLENBQUMsVUFBVSxHQUFHLGtDQUFzQjtZQUM5QyxPQUFPLENBQUMsR0FBRyxDQUFDLDhCQUE4QixVQUFVLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsWUFBWSxVQUFVLENBQUMsSUFBSSxLQUFLLFVBQVUsQ0FBQyxRQUFRLFNBQVMsVUFBVSxDQUFDLFNBQVMsb0RBQW9ELGlCQUFpQixNQUFNLE9BQU8sRUFBRSxDQUFDLENBQUM7SUFFeFAsMkZBQTJGO0lBRTNGLElBQUksaUJBQWlCLEdBQUcsaUJBQWlCLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDbEQsSUFBSSxXQUFXLEdBQUcsaUNBQWlDLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBRTVFLGtGQUFrRjtJQUVsRixJQUFJLFVBQVUsS0FBSyxTQUFTLElBQUksVUFBVSxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUU7UUFDcEQsT0FBTyxHQUFHLGVBQWUsQ0FBQztTQUN6QjtRQUNELElBQUksVUFBVSxLQUFLLFNBQVMsSUFBSSxVQUFVLENBQUMsSUFBSSxFQUFFLEtBQUssRUFBRTtZQUNwRCxNQUFNLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDO1FBQzVCLElBQUksYUFBYSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFFLDBCQUEwQjtRQUNsRyxPQUFPLEdBQUcsYUFBYSxHQUFHLENBQUMsYUFBYSxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxVQUFVLENBQUM7S0FDN0U7SUFFRCxtREFBbUQ7SUFFbkQsSUFBSSxPQUFPLEtBQUssRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUM7UUFDMUMsT0FBTyxJQUFJLEtBQUssQ0FBQztJQUVyQixPQUFPO1FBQ0gsSUFBSSxFQUFFLE9BQU87UUFDYixZQUFZLEVBQUUsaUJBQWlCLENBQUMsWUFBWTtRQUM1QyxVQUFVLEVBQUUsQ0FBQyxVQUFVLEtBQUssU0FBUyxJQUFJLFVBQVUsQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxpQkFBaUIsQ0FBQyxlQUFlLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLFdBQVcsRUFBRTtRQUMzSSxNQUFNLEVBQUUsQ0FBQyxXQUFXLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQztRQUNuRSxLQUFLLEVBQUUsQ0FBQyxXQUFXLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQztRQUN0RCxRQUFRLEVBQUUsQ0FBQyxXQUFXLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsUUFBUSxJQUFJLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDO1FBQ3BFLE9BQU8sRUFBRSxXQUFXO1FBQ3BCLFlBQVksRUFBRSxpQkFBaUIsQ0FBQyxZQUFZO1FBQzVDLFVBQVUsRUFBRSxXQUFXLENBQUMsTUFBTSxDQUFDLENBQUMsVUFBVSxFQUFFLFVBQVUsRUFBRSxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxVQUFVLEVBQUUsVUFBVSxDQUFDLFVBQVUsQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUMxRyxXQUFXLEVBQUUsV0FBVztLQUMzQixDQUFDO0FBQ04sQ0FBQztBQXZNRCxvQ0F1TUMifQ==
\ No newline at end of file
@@ -0,0 +1,275 @@
+// Formats and corrects the addresses of development applications using the street names, street
+// suffixes, suburb names and hundred names of the district council.
+
+"use strict";
+
+import { GazetteerMatch, LowConfidenceThreshold, expandStreetSuffix, findHundredName, findStreetName, findSuburbName, getHundredSuburbNames, getStreetSuburbNames, getSuburb } from "./gazetteer";
+
+// A spelling correction made to part of an address (for example, "WELL ROAD" to "BELL ROAD").
+
+export interface AddressCorrection {
+    part: string,
+    original: string,
+    corrected: string,
+    distance: number,
+    confidence: number
+}
+
+// An address broken into its parts.  The text is the complete formatted address (as saved in
+// the [address] column).  Any parts that could not be determined are empty strings.  The
+// confidence is the lowest confidence of the corrections (1 if nothing was corrected).
+
+export interface Address {
+    text: string,
+    streetNumber: string,
+    streetName: string,
+    suburb: string,
+    state: string,
+    postCode: string,
+    hundred: string,
+    sectionOrLot: string,
+    confidence: number,
+    corrections: AddressCorrection[]
+}
+
+// Formats (and corrects) an address, returning "" if the address should be ignored.
+
+export function formatAddress(applicationNumber: string, address: string) {
+    let parsedAddress = parseAddress(applicationNumber, address);
+    return (parsedAddress === undefined) ? "" : parsedAddress.text;
+}
+
+// Records a correction if a name matched in a gazetteer differs from the original text.
+
+function addCorrection(corrections: AddressCorrection[], part: string, original: string, match: GazetteerMatch) {
+    if (match.distance > 0)
+        corrections.push({ part: part, original: original.toUpperCase(), corrected: match.name, distance: match.distance, confidence: Math.round(match.confidence * 100) / 100 });
+}
+
+// Splits the tokens that precede the street name into a section or lot (for example, "Lot 5",
+// "Lot no 1" or "Sec 26") and a street number (for example, "12", "12A", "3/12" or "12-14").
+
+function parseStreetNumber(tokens: string[]) {
+    let sectionOrLot = "";
+    let streetNumber = "";
+    let remainingTokens = tokens.map(token => token.replace(/,+$/, "")).filter(token => token !== "");
+
+    let keyword = (remainingTokens.length === 0) ? "" : remainingTokens[0].toUpperCase().replace(/\.$/, "");
+    let sectionOrLotKeyword = { "LOT": "LOT", "ALLOT": "ALLOTMENT", "ALLOTMENT": "ALLOTMENT", "SEC": "SECTION", "SECT": "SECTION", "SECTION": "SECTION", "PCE": "PIECE", "PIECE": "PIECE" }[keyword];
+    if (sectionOrLotKeyword !== undefined) {
+        remainingTokens.shift();
+        if (remainingTokens.length > 0 && /^NO\.?$/i.test(remainingTokens[0]))
+            remainingTokens.shift();  // for example, "Lot no 1"
+        if (remainingTokens.length > 0)
+            sectionOrLot = `${sectionOrLotKeyword} ${remainingTokens.shift().toUpperCase()}`;
+    }
+
+    if (remainingTokens.length > 0 && /^\d+[A-Z]?(\/\d+[A-Z]?)?(-\d+[A-Z]?)?$/i.test(remainingTokens[0]))
+        streetNumber = remainingTokens.shift().toUpperCase();
+
+    return { sectionOrLot: sectionOrLot, streetNumber: streetNumber, remainingTokens: remainingTokens };
+}
+
+// Formats (and corrects) an address and breaks it into its parts, returning undefined if the
+// address should be ignored.
+
+export function parseAddress(applicationNumber: string, address: string): Address {
+    address = address.trim().replace(/[-–]+$/, "").replace(/\s\s+/g, " ").trim();  // remove trailing dashes and multiple white space characters
+    if (address.replace(/[\s,0-]/g, "") === "" || address.startsWith("No Residential Address"))  // ignores addresses such as "0 0, 0" and "-"
+        return undefined;
+
+    // Remove the comma in house numbers larger than 1000.  For example, the following addresses:
+    //
+    //     4,665 Princes HWY MENINGIE 5264
+    //     11,287 Princes HWY SALT CREEK 5264
+    //
+    // would be converted to the following:
+    //
+    //     4665 Princes HWY MENINGIE 5264
+    //     11287 Princes HWY SALT CREEK 5264
+
+    if (/^\d,\d\d\d/.test(address))
+        address = address.substring(0, 1) + address.substring(2);
+    else if (/^\d\d,\d\d\d/.test(address))
+        address = address.substring(0, 2) + address.substring(3);
+
+    let tokens = address.split(" ");
+
+    let postCode = undefined;
+    let token = tokens.pop();
+    if (token === undefined)
+        return { text: address, streetNumber: "", streetName: "", suburb: "", state: "", postCode: "", hundred: "", sectionOrLot: "", confidence: 1, corrections: [] };
+    if (/^\d\d\d\d$/.test(token))
+        postCode = token;
+    else
+        tokens.push(token);
+
+    // Ensure that a state code is added before the post code if a state code is not present.
+
+    let state = "SA";
+    token = tokens.pop();
+    if (token === undefined)
+        return { text: address, streetNumber: "", streetName: "", suburb: "", state: "", postCode: "", hundred: "", sectionOrLot: "", confidence: 1, corrections: [] };
+    if ([ "ACT", "NSW", "NT", "QLD", "SA", "TAS", "VIC", "WA" ].includes(token.toUpperCase()))
+        state = token.toUpperCase();
+    else
+        tokens.push(token);
+
+    // Construct a fallback address to be used if the suburb name cannot be determined later.
+
+    let fallbackAddress = (postCode === undefined) ? address : [ ...tokens, state, postCode].join(" ").trim();
+
+    // Pop tokens from the end of the array until a valid suburb name is encountered (allowing
+    // for a few spelling errors).  Note that this starts by examining for longer matches
+    // (consisting of four tokens) before examining shorter matches.  This approach ensures
+    // that the following address:
+    //
+    //     2,800 Woods Well RD COLEBATCH 5266
+    //
+    // is correctly converted to the following address:
+    //
+    //     2800 WOODS WELL ROAD, COLEBATCH SA 5266
+    //
+    // rather than (incorrectly) to the following address (notice that the street name has "BELL"
+    // instead of "WELL" because there actually is a street named "BELL ROAD").
+    //
+    //     2800 Woods BELL ROAD, COLEBATCH SA 5266
+    //
+    // This also allows for addresses that contain hundred names such as the following:
+    //
+    //     Sec 26 Hd Palabie
+    //     Lot no 1, Standley Road, Sect 16, Hundred of Pygery
+
+    let suburbName = undefined;
+    let hundredName = "";
+    let hasHundredName = false;
+    let corrections: AddressCorrection[] = [];
+
+    for (let index = 4; index >= 1; index--) {
+        let tryHundredName = tokens.slice(-index).join(" ").toUpperCase();
+        if (tryHundredName.startsWith("HD OF ") || tryHundredName.startsWith("HUNDRED OF") || tryHundredName.startsWith("HD ") || tryHundredName.startsWith("HUNDRED ")) {
+            tryHundredName = tryHundredName.replace(/^HD OF /, "").replace(/^HUNDRED OF /, "").replace(/^HD /, "").replace(/^HUNDRED /, "").trim();
+            let hundredNameMatch = findHundredName(tryHundredName);
+            if (hundredNameMatch !== undefined) {
+                hasHundredName = true;
+                hundredName = hundredNameMatch.name;
+                addCorrection(corrections, "hundred", tryHundredName, hundredNameMatch);
+                let suburbNames = getHundredSuburbNames(hundredName);
+                if (suburbNames.length === 1) {  // if a unique suburb exists for the hundred then use that suburb
+                    suburbName = getSuburb(suburbNames[0]);
+                    tokens.splice(-index, index);  // remove elements from the end of the array
+                }
+                break;
+            }
+        }
+    }
+
+    // Only search for a suburb name if there was no hundred name (because a suburb name is
+    // unlikely to appear before a hundred name).
+
+    if (!hasHundredName) {
+        for (let index = 4; index >= 1; index--) {
+            let trySuburbName = tokens.slice(-index).join(" ");
+            let suburbNameMatch = findSuburbName(trySuburbName);
+            if (suburbNameMatch !== undefined) {
+                suburbName = getSuburb(suburbNameMatch.name);
+                addCorrection(corrections, "suburb", trySuburbName, suburbNameMatch);
+                tokens.splice(-index, index);  // remove elements from the end of the array           
+                break;
+            }
+        }
+    }
+
+    // Expand any street suffix (for example, this converts "ST" to "STREET").
+
+    token = tokens.pop();
+    if (token !== undefined) {
+        token = token.trim().replace(/,+$/, "").trim();  // removes trailing commas
+        let streetSuffix = expandStreetSuffix(token);
+        if (streetSuffix === undefined)
+            tokens.push(token);  // unrecognised street suffix
+        else
+            tokens.push(streetSuffix);  // add back the expanded street suffix
+    }
+
+    // Pop tokens from the end of the array until a valid street name is encountered (allowing
+    // for a few spelling errors).  Similar to the examination of suburb names, this examines
+    // longer matches before examining shorter matches (for the same reason).
+
+    let streetName = undefined;
+    for (let index = 5; index >= 1; index--) {
+        let tryStreetName = tokens.slice(-index).join(" ").trim().replace(/,+$/, "").trim();  // allows for commas after the street name
+        let streetNameMatch = findStreetName(tryStreetName);
+        if (streetNameMatch !== undefined) {
+            streetName = streetNameMatch.name;
+            addCorrection(corrections, "street", tryStreetName, streetNameMatch);
+            let suburbNames = getStreetSuburbNames(streetName);
+            tokens.splice(-index, index);  // remove elements from the end of the array           
+
+            // If the suburb was not determined earlier then attempt to obtain the suburb based
+            // on the street (ie. if there is only one suburb associated with the street).  For
+            // example, this would automatically add the suburb to "22 Jefferson CT 5263",
+            // producing the address "22 JEFFERSON COURT, WELLINGTON EAST SA 5263".
+
+            if (suburbName === undefined && suburbNames.length === 1)
+                suburbName = getSuburb(suburbNames[0]);
+
+            break;
+        }
+    }
+
+    // If a post code was included in the original address then use it to override the post code
+    // included in the suburb name (because the post code in the original address is more likely
+    // to be correct).
+
+    if (postCode !== undefined && suburbName !== undefined)
+        suburbName = suburbName.replace(/\s+\d\d\d\d$/, " " + postCode);
+
+    // Do not allow an address that does not have a suburb name.
+
+    if (suburbName === undefined) {
+        console.log(`Ignoring the development application "${applicationNumber}" because a suburb name could not be determined for the address: ${address}`);
+        return undefined;
+    }
+
+    // Report any low-confidence corrections (these are still applied, but are also indicated by
+    // the confidence of the address so that they can be reviewed).
+
+    for (let correction of corrections)
+        if (correction.confidence < LowConfidenceThreshold)
+            console.log(`Low-confidence correction (${correction.confidence.toFixed(2)}) of the ${correction.part} "${correction.original}" to "${correction.corrected}" in the address of the development application "${applicationNumber}": ${address}`);
+
+    // Determine the parts of the address (before the street name is added back to the tokens).
+
+    let streetNumberParts = parseStreetNumber(tokens);
+    let suburbParts = /^(.*?)\s+([A-Z]+)\s+(\d\d\d\d)$/.exec(suburbName.trim());
+
+    // Reconstruct the address with a comma between the street address and the suburb.
+
+    if (suburbName === undefined || suburbName.trim() === "")
+        address = fallbackAddress;
+    else {
+        if (streetName !== undefined && streetName.trim() !== "")
+            tokens.push(streetName);
+        let streetAddress = tokens.join(" ").trim().replace(/,+$/, "").trim();  // removes trailing commas
+        address = streetAddress + (streetAddress === "" ? "" : ", ") + suburbName;
+    }
+
+    // Ensure that the address includes the state "SA".
+
+    if (address !== "" && !/\bSA\b/g.test(address))
+        address += " SA";
+
+    return {
+        text: address,
+        streetNumber: streetNumberParts.streetNumber,
+        streetName: (streetName !== undefined && streetName.trim() !== "") ? streetName : streetNumberParts.remainingTokens.join(" ").toUpperCase(),
+        suburb: (suburbParts === null) ? suburbName.trim() : suburbParts[1],
+        state: (suburbParts === null) ? state : suburbParts[2],
+        postCode: (suburbParts === null) ? (postCode || "") : suburbParts[3],
+        hundred: hundredName,
+        sectionOrLot: streetNumberParts.sectionOrLot,
+        confidence: corrections.reduce((confidence, correction) => Math.min(confidence, correction.confidence), 1),
+        corrections: corrections
+    };
+}
@@ -0,0 +1,61 @@
+// Regression tests for formatAddress.  Each raw register address in the golden corpus is
+// formatted using the gazetteer files of the council and compared with its expected output, so
+// that any change to the gazetteer files or to the matching thresholds shows exactly which
+// addresses changed.
+//
+// Run "node addresstest.js --update" to rewrite the corpus with the current outputs (only after
+// reviewing the reported differences).
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const address_1 = require("./address");
+const council_1 = require("./council");
+const gazetteer_1 = require("./gazetteer");
+const GoldenCorpusFileName = "addresses.golden.json";
+const GoldenCorpusCouncil = "streakybay"; // the council whose registers the addresses are from
+// Parses an address without logging (parseAddress logs the addresses that it rejects).
+function parseQuietly(address) {
+    let log = console.log;
+    console.log = () => { };
+    try {
+        return address_1.parseAddress("", address);
+    }
+    finally {
+        console.log = log;
+    }
+}
+// Formats every address in the golden corpus and reports any differences.
+function main() {
+    gazetteer_1.loadGazetteers(council_1.loadCouncil(GoldenCorpusCouncil).gazetteer);
+    let goldenAddresses = JSON.parse(fs.readFileSync(GoldenCorpusFileName).toString());
+    let differenceCount = 0;
+    for (let goldenAddress of goldenAddresses) {
+        let parsedAddress = parseQuietly(goldenAddress.address);
+        let actual = (parsedAddress === undefined) ? "" : parsedAddress.text;
+        let actualParts = undefined;
+        if (parsedAddress !== undefined) {
+            actualParts = Object.assign({}, parsedAddress);
+            delete actualParts.text;
+        }
+        if (actual !== goldenAddress.expected || JSON.stringify(actualParts) !== JSON.stringify(goldenAddress.parts)) {
+            differenceCount++;
+            console.log(`Address: ${goldenAddress.address}`);
+            console.log(`    Expected: "${goldenAddress.expected}" ${JSON.stringify(goldenAddress.parts)}`);
+            console.log(`    Actual:   "${actual}" ${JSON.stringify(actualParts)}`);
+            goldenAddress.expected = actual;
+            goldenAddress.parts = actualParts;
+        }
+    }
+    if (process.argv.includes("--update")) {
+        fs.writeFileSync(GoldenCorpusFileName, JSON.stringify(goldenAddresses, null, 4) + "\n");
+        console.log(`Updated ${differenceCount} of ${goldenAddresses.length} address(es) in ${GoldenCorpusFileName}.`);
+    }
+    else if (differenceCount > 0) {
+        console.log(`${differenceCount} of ${goldenAddresses.length} address(es) differ from ${GoldenCorpusFileName}.`);
+        process.exitCode = 1;
+    }
+    else
+        console.log(`All ${goldenAddresses.length} address(es) match ${GoldenCorpusFileName}.`);
+}
+main();
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiYWRkcmVzc3Rlc3QuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJhZGRyZXNzdGVzdC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSx5RkFBeUY7QUFDekYsK0ZBQStGO0FBQy9GLDJGQUEyRjtBQUMzRixxQkFBcUI7QUFDckIsRUFBRTtBQUNGLGdHQUFnRztBQUNoRyx1Q0FBdUM7QUFFdkMsWUFBWSxDQUFDOztBQUViLHlCQUF5QjtBQUN6Qix1Q0FBeUM7QUFDekMsdUNBQXdDO0FBQ3hDLDJDQUE2QztBQUU3QyxNQUFNLG9CQUFvQixHQUFHLHVCQUF1QixDQUFDO0FBQ3JELE1BQU0sbUJBQW1CLEdBQUcsWUFBWSxDQUFDLENBQUUscURBQXFEO0FBZWhHLHVGQUF1RjtBQUV2RixTQUFTLFlBQVksQ0FBQyxPQUFlO0lBQ2pDLElBQUksR0FBRyxHQUFHLE9BQU8sQ0FBQyxHQUFHLENBQUM7SUFDdEIsT0FBTyxDQUFDLEdBQUcsR0FBRyxHQUFHLEVBQUUsR0FBRSxDQUFDLENBQUM7SUFDdkIsSUFBSTtRQUNBLE9BQU8sc0JBQVksQ0FBQyxFQUFFLEVBQUUsT0FBTyxDQUFDLENBQUM7S0FDcEM7WUFBUztRQUNOLE9BQU8sQ0FBQyxHQUFHLEdBQUcsR0FBRyxDQUFDO0tBQ3JCO0FBQ0wsQ0FBQztBQUVELDBFQUEwRTtBQUUxRSxTQUFTLElBQUk7SUFDVCwwQkFBYyxDQUFDLHFCQUFXLENBQUMsbUJBQW1CLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQztJQUUzRCxJQUFJLGVBQWUsR0FBb0IsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLG9CQUFvQixDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQztJQUNwRyxJQUFJLGVBQWUsR0FBRyxDQUFDLENBQUM7SUFFeEIsS0FBSyxJQUFJLGFBQWEsSUFBSSxlQUFlLEVBQUU7UUFDdkMsSUFBSSxhQUFhLEdBQUcsWUFBWSxDQUFDLGFBQWEsQ0FBQyxPQUFPLENBQUMsQ0FBQztRQUN4RCxJQUFJLE1BQU0sR0FBRyxDQUFDLGFBQWEsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDO1FBQ3JFLElBQUksV0FBVyxHQUFHLFNBQVMsQ0FBQztRQUM1QixJQUFJLGFBQWEsS0FBSyxTQUFTLEVBQUU7WUFDN0IsV0FBVyxxQkFBUSxhQUFhLENBQUUsQ0FBQztZQUNuQyxPQUFPLFdBQVcsQ0FBQyxJQUFJLENBQUM7U0FDM0I7UUFFRCxJQUFJLE1BQU0sS0FBSyxhQUFhLENBQUMsUUFBUSxJQUFJLElBQUksQ0FBQyxTQUFTLENBQUMsV0FBVyxDQUFDLEtBQUssSUFBSSxDQUFDLFNBQVMsQ0FBQyxhQUFhLENBQUMsS0FBSyxDQUFDLEVBQUU7WUFDMUcsZUFBZSxFQUFFLENBQUM7WUFDbEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxZQUFZLGFBQWEsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO1lBQ2pELE9BQU8sQ0FBQyxHQUFHLENBQUMsa0JBQWtCLGFBQWEsQ0FBQyxRQUFRLEtBQUssSUFBSSxDQUFDLFNBQVMsQ0FBQyxhQUFhLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1lBQ2hHLE9BQU8sQ0FBQyxHQUFHLENBQUMsa0JBQWtCLE1BQU0sS0FBSyxJQUFJLENBQUMsU0FBUyxDQUFDLFdBQVcsQ0FBQyxFQUFFLENBQUMsQ0FBQztZQUN4RSxhQUFhLENBQUMsUUFBUSxHQUFHLE1BQU0sQ0FBQztZQUNoQyxhQUFhLENBQUMsS0FBSyxHQUFHLFdBQVcsQ0FBQztTQUNyQztLQUNKO0lBRUQsSUFBSSxPQUFPLENBQUMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxVQUFVLENBQUMsRUFBRTtRQUNuQyxFQUFFLENBQUMsYUFBYSxDQUFDLG9CQUFvQixFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsZUFBZSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztRQUN4RixPQUFPLENBQUMsR0FBRyxDQUFDLFdBQVcsZUFBZSxPQUFPLGVBQWUsQ0FBQyxNQUFNLG1CQUFtQixvQkFBb0IsR0FBRyxDQUFDLENBQUM7S0FDbEg7U0FBTSxJQUFJLGVBQWUsR0FBRyxDQUFDLEVBQUU7UUFDNUIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLGVBQWUsT0FBTyxlQUFlLENBQUMsTUFBTSw0QkFBNEIsb0JBQW9CLEdBQUcsQ0FBQyxDQUFDO1FBQ2hILE9BQU8sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxDQUFDO0tBQ3hCOztRQUNHLE9BQU8sQ0FBQyxHQUFHLENBQUMsT0FBTyxlQUFlLENBQUMsTUFBTSxzQkFBc0Isb0JBQW9CLEdBQUcsQ0FBQyxDQUFDO0FBQ2hHLENBQUM7QUFFRCxJQUFJLEVBQUUsQ0FBQyJ9
\ No newline at end of file
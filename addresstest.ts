@@ -0,0 +1,81 @@
+// Regression tests for formatAddress.  Each raw register address in the golden corpus is
+// formatted using the gazetteer files of the council and compared with its expected output, so
+// that any change to the gazetteer files or to the matching thresholds shows exactly which
+// addresses changed.
+//
+// Run "node addresstest.js --update" to rewrite the corpus with the current outputs (only after
+// reviewing the reported differences).
+
+"use strict";
+
+import * as fs from "fs";
+import { parseAddress } from "./address";
+import { loadCouncil } from "./council";
+import { loadGazetteers } from "./gazetteer";
+
+const GoldenCorpusFileName = "addresses.golden.json";
+const GoldenCorpusCouncil = "streakybay";  // the council whose registers the addresses are from
+
+declare const process: any;
+
+// A raw address (as it appears in a register PDF), the expected formatted address and the
+// expected parts of that address.  An expected address of "" (with no parts) indicates that the
+// address is expected to be rejected.
+
+interface GoldenAddress {
+    address: string,
+    expected: string,
+    parts?: { [name: string]: any },
+    comment?: string
+}
+
+// Parses an address without logging (parseAddress logs the addresses that it rejects).
+
+function parseQuietly(address: string) {
+    let log = console.log;
+    console.log = () => {};
+    try {
+        return parseAddress("", address);
+    } finally {
+        console.log = log;
+    }
+}
+
+// Formats every address in the golden corpus and reports any differences.
+
+function main() {
+    loadGazetteers(loadCouncil(GoldenCorpusCouncil).gazetteer);
+
+    let goldenAddresses: GoldenAddress[] = JSON.parse(fs.readFileSync(GoldenCorpusFileName).toString());
+    let differenceCount = 0;
+
+    for (let goldenAddress of goldenAddresses) {
+        let parsedAddress = parseQuietly(goldenAddress.address);
+        let actual = (parsedAddress === undefined) ? "" : parsedAddress.text;
+        let actualParts = undefined;
+        if (parsedAddress !== undefined) {
+            actualParts = { ...parsedAddress };
+            delete actualParts.text;
+        }
+
+        if (actual !== goldenAddress.expected || JSON.stringify(actualParts) !== JSON.stringify(goldenAddress.parts)) {
+            differenceCount++;
+            console.log(`Address: ${goldenAddress.address}`);
+            console.log(`    Expected: "${goldenAddress.expected}" ${JSON.stringify(goldenAddress.parts)}`);
+            console.log(`    Actual:   "${actual}" ${JSON.stringify(actualParts)}`);
+            goldenAddress.expected = actual;
+            goldenAddress.parts = actualParts;
+        }
+    }
+
+    if (process.argv.includes("--update")) {
+        fs.writeFileSync(GoldenCorpusFileName, JSON.stringify(goldenAddresses, null, 4) + "\n");
+        console.log(`Updated ${differenceCount} of ${goldenAddresses.length} address(es) in ${GoldenCorpusFileName}.`);
+    } else if (differenceCount > 0) {
+        console.log(`${differenceCount} of ${goldenAddresses.length} address(es) differ from ${GoldenCorpusFileName}.`);
+        process.exitCode = 1;
+    } else
+        console.log(`All ${goldenAddresses.length} address(es) match ${GoldenCorpusFileName}.`);
+}
+
+main();
@@ -0,0 +1,70 @@
+// Loads the configuration of a council (everything that differs between the councils that
+// publish their development application registers as PDFs: the web site, the comment email
+// address, how the register links are found, the layouts of the register PDFs and the gazetteer
+// files).  Each council is configured by a JSON file in the councils directory (for example,
+// councils/streakybay.json).
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const path = require("path");
+const layout_1 = require("./layout");
+// The directory containing the council configuration files.
+const CouncilsDirectory = "councils";
+// Checks a council configuration, returning a description of each problem found (an empty array
+// if the configuration is valid).
+function validateCouncil(council) {
+    if (council === null || typeof council !== "object" || Array.isArray(council))
+        return ["The configuration must be a JSON object."];
+    let issues = [];
+    for (let name of ["name", "developmentApplicationsUrl", "commentEmail"])
+        if (typeof council[name] !== "string" || council[name].trim() === "")
+            issues.push(`The "${name}" setting is missing.`);
+    if (council.links === null || typeof council.links !== "object" || !Array.isArray(council.links.contentSelectors) || council.links.contentSelectors.length === 0 || typeof council.links.linkText !== "string" || council.links.linkText.trim() === "")
+        issues.push(`The "links" setting must have a non-empty "contentSelectors" array and a "linkText" string.`);
+    if (!Array.isArray(council.layouts) || council.layouts.length === 0)
+        issues.push(`The "layouts" setting must be a non-empty array of layouts.`);
+    else
+        for (let layout of council.layouts)
+            issues.push(...layout_1.validateLayout(layout));
+    if (council.gazetteer === null || typeof council.gazetteer !== "object")
+        issues.push(`The "gazetteer" setting is missing.`);
+    else {
+        for (let name of ["streetNames", "streetSuffixes", "suburbNames", "hundredNames"])
+            if (typeof council.gazetteer[name] !== "string")
+                issues.push(`The "gazetteer.${name}" setting is missing.`);
+            else if (!fs.existsSync(council.gazetteer[name]))
+                issues.push(`The "gazetteer.${name}" file "${council.gazetteer[name]}" does not exist.`);
+        // The suburb centroids are optional (they are only needed to export GeoJSON, which checks
+        // that the file exists, see export.ts).
+        if (council.gazetteer.suburbCentroids !== undefined && typeof council.gazetteer.suburbCentroids !== "string")
+            issues.push(`The "gazetteer.suburbCentroids" setting must be the path of a file.`);
+    }
+    return issues;
+}
+// Loads the configuration of a council, specified either by name (for example, "streakybay" for
+// councils/streakybay.json) or by the path of a configuration file.  An error listing every
+// problem is thrown if the configuration is invalid.  The development applications URL may be
+// overridden by the MORPH_DEVELOPMENT_APPLICATIONS_URL environment variable (for example, by a
+// local HTTP server that stands in for the council web site).
+function loadCouncil(nameOrFileName) {
+    let fileName = /\.json$/i.test(nameOrFileName) ? nameOrFileName : path.join(CouncilsDirectory, `${nameOrFileName}.json`);
+    if (!fs.existsSync(fileName)) {
+        let names = fs.existsSync(CouncilsDirectory) ? fs.readdirSync(CouncilsDirectory).filter(name => /\.json$/i.test(name)).map(name => name.replace(/\.json$/i, "")) : [];
+        throw new Error(`The council configuration file "${fileName}" does not exist (the configured councils are: ${names.join(", ")}).`);
+    }
+    let council = undefined;
+    try {
+        council = JSON.parse(fs.readFileSync(fileName).toString());
+    }
+    catch (error) {
+        throw new Error(`The council configuration file "${fileName}" could not be read: ${error.message}`);
+    }
+    let issues = validateCouncil(council);
+    if (issues.length > 0)
+        throw new Error(`The council configuration file "${fileName}" is invalid:\n    ${issues.join("\n    ")}`);
+    if (process.env.MORPH_DEVELOPMENT_APPLICATIONS_URL !== undefined)
+        council.developmentApplicationsUrl = process.env.MORPH_DEVELOPMENT_APPLICATIONS_URL;
+    return council;
+}
+exports.loadCouncil = loadCouncil;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiY291bmNpbC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImNvdW5jaWwudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsMEZBQTBGO0FBQzFGLDJGQUEyRjtBQUMzRixnR0FBZ0c7QUFDaEcsNkZBQTZGO0FBQzdGLDZCQUE2QjtBQUU3QixZQUFZLENBQUM7O0FBRWIseUJBQXlCO0FBQ3pCLDZCQUE2QjtBQUU3QixxQ0FBa0Q7QUFHbEQsNERBQTREO0FBRTVELE1BQU0saUJBQWlCLEdBQUcsVUFBVSxDQUFDO0FBZXJDLGdHQUFnRztBQUNoRyxrQ0FBa0M7QUFFbEMsU0FBUyxlQUFlLENBQUMsT0FBZ0I7SUFDckMsSUFBSSxPQUFPLEtBQUssSUFBSSxJQUFJLE9BQU8sT0FBTyxLQUFLLFFBQVEsSUFBSSxLQUFLLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQztRQUN6RSxPQUFPLENBQUUsMENBQTBDLENBQUUsQ0FBQztJQUUxRCxJQUFJLE1BQU0sR0FBYSxFQUFFLENBQUM7SUFDMUIsS0FBSyxJQUFJLElBQUksSUFBSSxDQUFFLE1BQU0sRUFBRSw0QkFBNEIsRUFBRSxjQUFjLENBQUU7UUFDckUsSUFBSSxPQUFPLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxRQUFRLElBQUksT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUU7WUFDaEUsTUFBTSxDQUFDLElBQUksQ0FBQyxRQUFRLElBQUksdUJBQXVCLENBQUMsQ0FBQztJQUV6RCxJQUFJLE9BQU8sQ0FBQyxLQUFLLEtBQUssSUFBSSxJQUFJLE9BQU8sT0FBTyxDQUFDLEtBQUssS0FBSyxRQUFRLElBQUksQ0FBQyxLQUFLLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxLQUFLLENBQUMsZ0JBQWdCLENBQUMsSUFBSSxPQUFPLENBQUMsS0FBSyxDQUFDLGdCQUFnQixDQUFDLE1BQU0sS0FBSyxDQUFDLElBQUksT0FBTyxPQUFPLENBQUMsS0FBSyxDQUFDLFFBQVEsS0FBSyxRQUFRLElBQUksT0FBTyxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsSUFBSSxFQUFFLEtBQUssRUFBRTtRQUNsUCxNQUFNLENBQUMsSUFBSSxDQUFDLDZGQUE2RixDQUFDLENBQUM7SUFFL0csSUFBSSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLE9BQU8sQ0FBQyxPQUFPLENBQUMsTUFBTSxLQUFLLENBQUM7UUFDL0QsTUFBTSxDQUFDLElBQUksQ0FBQyw2REFBNkQsQ0FBQyxDQUFDOztRQUUzRSxLQUFLLElBQUksTUFBTSxJQUFJLE9BQU8sQ0FBQyxPQUFPO1lBQzlCLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyx1QkFBYyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7SUFFL0MsSUFBSSxPQUFPLENBQUMsU0FBUyxLQUFLLElBQUksSUFBSSxPQUFPLE9BQU8sQ0FBQyxTQUFTLEtBQUssUUFBUTtRQUNuRSxNQUFNLENBQUMsSUFBSSxDQUFDLHFDQUFxQyxDQUFDLENBQUM7U0FDbEQ7UUFDRCxLQUFLLElBQUksSUFBSSxJQUFJLENBQUUsYUFBYSxFQUFFLGdCQUFnQixFQUFFLGFBQWEsRUFBRSxjQUFjLENBQUU7WUFDL0UsSUFBSSxPQUFPLE9BQU8sQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLEtBQUssUUFBUTtnQkFDM0MsTUFBTSxDQUFDLElBQUksQ0FBQyxrQkFBa0IsSUFBSSx1QkFBdUIsQ0FBQyxDQUFDO2lCQUMxRCxJQUFJLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxDQUFDO2dCQUM1QyxNQUFNLENBQUMsSUFBSSxDQUFDLGtCQUFrQixJQUFJLFdBQVcsT0FBTyxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsbUJBQW1CLENBQUMsQ0FBQztRQUVqRywwRkFBMEY7UUFDMUYsd0NBQXdDO1FBRXhDLElBQUksT0FBTyxDQUFDLFNBQVMsQ0FBQyxlQUFlLEtBQUssU0FBUyxJQUFJLE9BQU8sT0FBTyxDQUFDLFNBQVMsQ0FBQyxlQUFlLEtBQUssUUFBUTtZQUN4RyxNQUFNLENBQUMsSUFBSSxDQUFDLHFFQUFxRSxDQUFDLENBQUM7S0FDMUY7SUFFRCxPQUFPLE1BQU0sQ0FBQztBQUNsQixDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLDRGQUE0RjtBQUM1Riw4RkFBOEY7QUFDOUYsK0ZBQStGO0FBQy9GLDhEQUE4RDtBQUU5RCxTQUFnQixXQUFXLENBQUMsY0FBc0I7SUFDOUMsSUFBSSxRQUFRLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsQ0FBQyxDQUFDLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLGlCQUFpQixFQUFFLEdBQUcsY0FBYyxPQUFPLENBQUMsQ0FBQztJQUN6SCxJQUFJLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsRUFBRTtRQUMxQixJQUFJLEtBQUssR0FBRyxFQUFFLENBQUMsVUFBVSxDQUFDLGlCQUFpQixDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxXQUFXLENBQUMsaUJBQWlCLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxVQUFVLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO1FBQ3RLLE1BQU0sSUFBSSxLQUFLLENBQUMsbUNBQW1DLFFBQVEsa0RBQWtELEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO0tBQ3RJO0lBRUQsSUFBSSxPQUFPLEdBQVksU0FBUyxDQUFDO0lBQ2pDLElBQUk7UUFDQSxPQUFPLEdBQUcsSUFBSSxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsWUFBWSxDQUFDLFFBQVEsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUM7S0FDOUQ7SUFBQyxPQUFPLEtBQUssRUFBRTtRQUNaLE1BQU0sSUFBSSxLQUFLLENBQUMsbUNBQW1DLFFBQVEsd0JBQXdCLEtBQUssQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO0tBQ3ZHO0lBQ0QsSUFBSSxNQUFNLEdBQUcsZUFBZSxDQUFDLE9BQU8sQ0FBQyxDQUFDO0lBQ3RDLElBQUksTUFBTSxDQUFDLE1BQU0sR0FBRyxDQUFDO1FBQ2pCLE1BQU0sSUFBSSxLQUFLLENBQUMsbUNBQW1DLFFBQVEsc0JBQXNCLE1BQU0sQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxDQUFDO0lBRTlHLElBQUksT0FBTyxDQUFDLEdBQUcsQ0FBQyxrQ0FBa0MsS0FBSyxTQUFTO1FBQzVELE9BQU8sQ0FBQywwQkFBMEIsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLGtDQUFrQyxDQUFDO0lBQ3hGLE9BQU8sT0FBTyxDQUFDO0FBQ25CLENBQUM7QUFwQkQsa0NBb0JDIn0=
\ No newline at end of file
@@ -0,0 +1,98 @@
+// Loads the configuration of a council (everything that differs between the councils that
+// publish their development application registers as PDFs: the web site, the comment email
+// address, how the register links are found, the layouts of the register PDFs and the gazetteer
+// files).  Each council is configured by a JSON file in the councils directory (for example,
+// councils/streakybay.json).
+
+"use strict";
+
+import * as fs from "fs";
+import * as path from "path";
+import { GazetteerFiles } from "./gazetteer";
+import { Layout, validateLayout } from "./layout";
+import { LinkSelectors } from "./links";
+
+// The directory containing the council configuration files.
+
+const CouncilsDirectory = "councils";
+
+// The configuration of a council.  The development applications URL is the page that links to
+// each year page (each year page links to the register PDFs of that year).  The paths of the
+// gazetteer files are relative to the current directory.
+
+export interface Council {
+    name: string,
+    developmentApplicationsUrl: string,
+    commentEmail: string,
+    links: LinkSelectors,
+    layouts: Layout[],
+    gazetteer: GazetteerFiles
+}
+
+// Checks a council configuration, returning a description of each problem found (an empty array
+// if the configuration is valid).
+
+function validateCouncil(council: Council) {
+    if (council === null || typeof council !== "object" || Array.isArray(council))
+        return [ "The configuration must be a JSON object." ];
+
+    let issues: string[] = [];
+    for (let name of [ "name", "developmentApplicationsUrl", "commentEmail" ])
+        if (typeof council[name] !== "string" || council[name].trim() === "")
+            issues.push(`The "${name}" setting is missing.`);
+
+    if (council.links === null || typeof council.links !== "object" || !Array.isArray(council.links.contentSelectors) || council.links.contentSelectors.length === 0 || typeof council.links.linkText !== "string" || council.links.linkText.trim() === "")
+        issues.push(`The "links" setting must have a non-empty "contentSelectors" array and a "linkText" string.`);
+
+    if (!Array.isArray(council.layouts) || council.layouts.length === 0)
+        issues.push(`The "layouts" setting must be a non-empty array of layouts.`);
+    else
+        for (let layout of council.layouts)
+            issues.push(...validateLayout(layout));
+
+    if (council.gazetteer === null || typeof council.gazetteer !== "object")
+        issues.push(`The "gazetteer" setting is missing.`);
+    else {
+        for (let name of [ "streetNames", "streetSuffixes", "suburbNames", "hundredNames" ])
+            if (typeof council.gazetteer[name] !== "string")
+                issues.push(`The "gazetteer.${name}" setting is missing.`);
+            else if (!fs.existsSync(council.gazetteer[name]))
+                issues.push(`The "gazetteer.${name}" file "${council.gazetteer[name]}" does not exist.`);
+
+        // The suburb centroids are optional (they are only needed to export GeoJSON, which checks
+        // that the file exists, see export.ts).
+
+        if (council.gazetteer.suburbCentroids !== undefined && typeof council.gazetteer.suburbCentroids !== "string")
+            issues.push(`The "gazetteer.suburbCentroids" setting must be the path of a file.`);
+    }
+
+    return issues;
+}
+
+// Loads the configuration of a council, specified either by name (for example, "streakybay" for
+// councils/streakybay.json) or by the path of a configuration file.  An error listing every
+// problem is thrown if the configuration is invalid.  The development applications URL may be
+// overridden by the MORPH_DEVELOPMENT_APPLICATIONS_URL environment variable (for example, by a
+// local HTTP server that stands in for the council web site).
+
+export function loadCouncil(nameOrFileName: string) {
+    let fileName = /\.json$/i.test(nameOrFileName) ? nameOrFileName : path.join(CouncilsDirectory, `${nameOrFileName}.json`);
+    if (!fs.existsSync(fileName)) {
+        let names = fs.existsSync(CouncilsDirectory) ? fs.readdirSync(CouncilsDirectory).filter(name => /\.json$/i.test(name)).map(name => name.replace(/\.json$/i, "")) : [];
+        throw new Error(`The council configuration file "${fileName}" does not exist (the configured councils are: ${names.join(", ")}).`);
+    }
+
+    let council: Council = undefined;
+    try {
+        council = JSON.parse(fs.readFileSync(fileName).toString());
+    } catch (error) {
+        throw new Error(`The council configuration file "${fileName}" could not be read: ${error.message}`);
+    }
+    let issues = validateCouncil(council);
+    if (issues.length > 0)
+        throw new Error(`The council configuration file "${fileName}" is invalid:\n    ${issues.join("\n    ")}`);
+
+    if (process.env.MORPH_DEVELOPMENT_APPLICATIONS_URL !== undefined)
+        council.developmentApplicationsUrl = process.env.MORPH_DEVELOPMENT_APPLICATIONS_URL;
+    return council;
+}
@@ -0,0 +1,90 @@
+// Parses the dates in the register PDFs, allowing for the various formats used by councils and
+// for dates that are split across several text elements (for example, "12/03/" and "2019").
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const path = require("path");
+const moment = require("moment");
+// The date formats used in registers, in the order that they are tried (strictly, so that a
+// two-digit year is only accepted by the formats with a two-digit year).  Note that "D" and "M"
+// allow the leading zero of the day or month to be omitted.
+exports.DateFormats = [
+    "D/M/YYYY", "D/M/YY",
+    "D-M-YYYY", "D-M-YY",
+    "D.M.YYYY", "D.M.YY",
+    "D-MMM-YYYY", "D-MMM-YY", "D MMM YYYY", "D MMM YY", "D MMMM YYYY",
+    "MMM D, YYYY", "MMMM D, YYYY",
+    "YYYY-MM-DD"
+];
+// Removes the variations in the text of a date that are not covered by the date formats.
+function normaliseDateText(text) {
+    return text
+        .trim()
+        .replace(/\s*([\/.\-])\s*/g, "$1") // for example, "12 / 03 / 2019" becomes "12/03/2019"
+        .replace(/(\d)(st|nd|rd|th)\b/gi, "$1") // for example, "12th March 2019" becomes "12 March 2019"
+        .replace(/[.,]+$/, "")
+        .replace(/\s\s+/g, " ");
+}
+// Parses a date in any of the supported formats, returning an invalid date if the text is not a
+// date (or is an impossible date such as "31/02/2019", see isImpossibleDate).
+function parseDate(text) {
+    text = normaliseDateText(text);
+    for (let dateFormat of exports.DateFormats) {
+        let date = moment(text, dateFormat, true);
+        if (date.isValid())
+            return date;
+    }
+    return moment.invalid();
+}
+exports.parseDate = parseDate;
+// Determines whether text is written in one of the supported formats but is not a valid date
+// because the day or month is out of range (for example, "31/02/2019" or "12/13/2019").
+function isImpossibleDate(text) {
+    text = normaliseDateText(text);
+    return !parseDate(text).isValid() && exports.DateFormats.some(dateFormat => moment(text, dateFormat, true).parsingFlags().overflow >= 0);
+}
+exports.isImpossibleDate = isImpossibleDate;
+// Determines the year of a register from its URL or file name (for example, 2019 for
+// "register-jan-2019.pdf"), returning undefined if the name does not include a year.  When the
+// name includes several years (for example, "register-2018-2019.pdf") the earliest year is used,
+// so that no date within the period of the register is before the register year.
+function getRegisterYear(url) {
+    let years = path.basename(url).split(/\D+/).filter(digits => /^(19|20)\d\d$/.test(digits)).map(Number);
+    return (years.length === 0) ? undefined : Math.min(...years);
+}
+exports.getRegisterYear = getRegisterYear;
+// The number of months before the start of the register year in which a received date is still
+// accepted (an application lodged in late December is often entered in the January register).
+const ReceivedDateSlackMonthCount = 1;
+// Gets the earliest received date accepted in a register of the specified year (undefined if the
+// year is unknown, so that no received date is rejected as too early).
+function getEarliestReceivedDate(registerYear) {
+    return (registerYear === undefined) ? undefined : moment({ year: registerYear, month: 0, day: 1 }).subtract(ReceivedDateSlackMonthCount, "months");
+}
+exports.getEarliestReceivedDate = getEarliestReceivedDate;
+// Parses the date in the specified elements (the elements within the bounds of a date field).
+// The text of all the elements is tried first (joined with and without spaces, allowing for a
+// date split across several text runs), followed by the text of each element.  A date outside
+// the limits is rejected, and an impossible date (such as "31/02/2019") is reported separately
+// from text that is not a date.
+function parseDateElements(elements, limits) {
+    let texts = elements.map(element => element.text.trim()).filter(text => text !== "");
+    if (texts.length === 0)
+        return { date: moment.invalid(), text: "", error: undefined };
+    let candidates = [texts.join(" "), texts.join(""), ...texts].filter((text, index, candidates) => candidates.indexOf(text) === index);
+    for (let candidate of candidates) {
+        let date = parseDate(candidate);
+        if (!date.isValid())
+            continue;
+        if (limits.latestDate !== undefined && date.isAfter(limits.latestDate, "day"))
+            return { date: moment.invalid(), text: candidate, error: `it is after ${limits.latestDate.format("YYYY-MM-DD")}` };
+        if (limits.earliestDate !== undefined && date.isBefore(limits.earliestDate, "day"))
+            return { date: moment.invalid(), text: candidate, error: `it is before ${limits.earliestDate.format("YYYY-MM-DD")}` };
+        return { date: date, text: candidate, error: undefined };
+    }
+    let impossibleCandidate = candidates.find(isImpossibleDate);
+    if (impossibleCandidate !== undefined)
+        return { date: moment.invalid(), text: impossibleCandidate, error: "it is an impossible date (the day or month is out of range)" };
+    return { date: moment.invalid(), text: texts.join(" "), error: "it is not in a recognised date format" };
+}
+exports.parseDateElements = parseDateElements;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZGF0ZXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJkYXRlcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSwrRkFBK0Y7QUFDL0YsNEZBQTRGO0FBRTVGLFlBQVksQ0FBQzs7QUFFYiw2QkFBNkI7QUFDN0IsaUNBQWlDO0FBR2pDLDRGQUE0RjtBQUM1RixnR0FBZ0c7QUFDaEcsNERBQTREO0FBRS9DLFFBQUEsV0FBVyxHQUFHO0lBQ3ZCLFVBQVUsRUFBRSxRQUFRO0lBQ3BCLFVBQVUsRUFBRSxRQUFRO0lBQ3BCLFVBQVUsRUFBRSxRQUFRO0lBQ3BCLFlBQVksRUFBRSxVQUFVLEVBQUUsWUFBWSxFQUFFLFVBQVUsRUFBRSxhQUFhO0lBQ2pFLGFBQWEsRUFBRSxjQUFjO0lBQzdCLFlBQVk7Q0FDZixDQUFDO0FBbUJGLHlGQUF5RjtBQUV6RixTQUFTLGlCQUFpQixDQUFDLElBQVk7SUFDbkMsT0FBTyxJQUFJO1NBQ04sSUFBSSxFQUFFO1NBQ04sT0FBTyxDQUFDLGtCQUFrQixFQUFFLElBQUksQ0FBQyxDQUFFLHFEQUFxRDtTQUN4RixPQUFPLENBQUMsdUJBQXVCLEVBQUUsSUFBSSxDQUFDLENBQUUseURBQXlEO1NBQ2pHLE9BQU8sQ0FBQyxRQUFRLEVBQUUsRUFBRSxDQUFDO1NBQ3JCLE9BQU8sQ0FBQyxRQUFRLEVBQUUsR0FBRyxDQUFDLENBQUM7QUFDaEMsQ0FBQztBQUVELGdHQUFnRztBQUNoRyw4RUFBOEU7QUFFOUUsU0FBZ0IsU0FBUyxDQUFDLElBQVk7SUFDbEMsSUFBSSxHQUFHLGlCQUFpQixDQUFDLElBQUksQ0FBQyxDQUFDO0lBQy9CLEtBQUssSUFBSSxVQUFVLElBQUksbUJBQVcsRUFBRTtRQUNoQyxJQUFJLElBQUksR0FBRyxNQUFNLENBQUMsSUFBSSxFQUFFLFVBQVUsRUFBRSxJQUFJLENBQUMsQ0FBQztRQUMxQyxJQUFJLElBQUksQ0FBQyxPQUFPLEVBQUU7WUFDZCxPQUFPLElBQUksQ0FBQztLQUNuQjtJQUNELE9BQU8sTUFBTSxDQUFDLE9BQU8sRUFBRSxDQUFDO0FBQzVCLENBQUM7QUFSRCw4QkFRQztBQUVELDZGQUE2RjtBQUM3Rix3RkFBd0Y7QUFFeEYsU0FBZ0IsZ0JBQWdCLENBQUMsSUFBWTtJQUN6QyxJQUFJLEdBQUcsaUJBQWlCLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDL0IsT0FBTyxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxPQUFPLEVBQUUsSUFBSSxtQkFBVyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLEVBQUUsVUFBVSxFQUFFLElBQUksQ0FBQyxDQUFDLFlBQVksRUFBRSxDQUFDLFFBQVEsSUFBSSxDQUFDLENBQUMsQ0FBQztBQUNySSxDQUFDO0FBSEQsNENBR0M7QUFFRCxxRkFBcUY7QUFDckYsK0ZBQStGO0FBQy9GLGlHQUFpRztBQUNqRyxpRkFBaUY7QUFFakYsU0FBZ0IsZUFBZSxDQUFDLEdBQVc7SUFDdkMsSUFBSSxLQUFLLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsZUFBZSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUN2RyxPQUFPLENBQUMsS0FBSyxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsS0FBSyxDQUFDLENBQUM7QUFDakUsQ0FBQztBQUhELDBDQUdDO0FBRUQsK0ZBQStGO0FBQy9GLDhGQUE4RjtBQUU5RixNQUFNLDJCQUEyQixHQUFHLENBQUMsQ0FBQztBQUV0QyxpR0FBaUc7QUFDakcsdUVBQXVFO0FBRXZFLFNBQWdCLHVCQUF1QixDQUFDLFlBQW9CO0lBQ3hELE9BQU8sQ0FBQyxZQUFZLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEVBQUUsSUFBSSxFQUFFLFlBQVksRUFBRSxLQUFLLEVBQUUsQ0FBQyxFQUFFLEdBQUcsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFDLFFBQVEsQ0FBQywyQkFBMkIsRUFBRSxRQUFRLENBQUMsQ0FBQztBQUN2SixDQUFDO0FBRkQsMERBRUM7QUFFRCw4RkFBOEY7QUFDOUYsOEZBQThGO0FBQzlGLDhGQUE4RjtBQUM5RiwrRkFBK0Y7QUFDL0YsZ0NBQWdDO0FBRWhDLFNBQWdCLGlCQUFpQixDQUFDLFFBQW1CLEVBQUUsTUFBa0I7SUFDckUsSUFBSSxLQUFLLEdBQUcsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLEtBQUssRUFBRSxDQUFDLENBQUM7SUFDckYsSUFBSSxLQUFLLENBQUMsTUFBTSxLQUFLLENBQUM7UUFDbEIsT0FBTyxFQUFFLElBQUksRUFBRSxNQUFNLENBQUMsT0FBTyxFQUFFLEVBQUUsSUFBSSxFQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsU0FBUyxFQUFFLENBQUM7SUFFbEUsSUFBSSxVQUFVLEdBQUcsQ0FBRSxLQUFLLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLEVBQUUsR0FBRyxLQUFLLENBQUUsQ0FBQyxNQUFNLENBQUMsQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLFVBQVUsRUFBRSxFQUFFLENBQUMsVUFBVSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsS0FBSyxLQUFLLENBQUMsQ0FBQztJQUN2SSxLQUFLLElBQUksU0FBUyxJQUFJLFVBQVUsRUFBRTtRQUM5QixJQUFJLElBQUksR0FBRyxTQUFTLENBQUMsU0FBUyxDQUFDLENBQUM7UUFDaEMsSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLEVBQUU7WUFDZixTQUFTO1FBQ2IsSUFBSSxNQUFNLENBQUMsVUFBVSxLQUFLLFNBQVMsSUFBSSxJQUFJLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxVQUFVLEVBQUUsS0FBSyxDQUFDO1lBQ3pFLE9BQU8sRUFBRSxJQUFJLEVBQUUsTUFBTSxDQUFDLE9BQU8sRUFBRSxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUFFLGVBQWUsTUFBTSxDQUFDLFVBQVUsQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLEVBQUUsRUFBRSxDQUFDO1FBQ3ZILElBQUksTUFBTSxDQUFDLFlBQVksS0FBSyxTQUFTLElBQUksSUFBSSxDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsWUFBWSxFQUFFLEtBQUssQ0FBQztZQUM5RSxPQUFPLEVBQUUsSUFBSSxFQUFFLE1BQU0sQ0FBQyxPQUFPLEVBQUUsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLEtBQUssRUFBRSxnQkFBZ0IsTUFBTSxDQUFDLFlBQVksQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLEVBQUUsRUFBRSxDQUFDO1FBQzFILE9BQU8sRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsS0FBSyxFQUFFLFNBQVMsRUFBRSxDQUFDO0tBQzVEO0lBRUQsSUFBSSxtQkFBbUIsR0FBRyxVQUFVLENBQUMsSUFBSSxDQUFDLGdCQUFnQixDQUFDLENBQUM7SUFDNUQsSUFBSSxtQkFBbUIsS0FBSyxTQUFTO1FBQ2pDLE9BQU8sRUFBRSxJQUFJLEVBQUUsTUFBTSxDQUFDLE9BQU8sRUFBRSxFQUFFLElBQUksRUFBRSxtQkFBbUIsRUFBRSxLQUFLLEVBQUUsNkRBQTZELEVBQUUsQ0FBQztJQUN2SSxPQUFPLEVBQUUsSUFBSSxFQUFFLE1BQU0sQ0FBQyxPQUFPLEVBQUUsRUFBRSxJQUFJLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsRUFBRSxLQUFLLEVBQUUsdUNBQXVDLEVBQUUsQ0FBQztBQUM3RyxDQUFDO0FBckJELDhDQXFCQyJ9
\ No newline at end of file
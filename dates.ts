@@ -0,0 +1,121 @@
+// Parses the dates in the register PDFs, allowing for the various formats used by councils and
+// for dates that are split across several text elements (for example, "12/03/" and "2019").
+
+"use strict";
+
+import * as path from "path";
+import * as moment from "moment";
+import { Element } from "./layout";
+
+// The date formats used in registers, in the order that they are tried (strictly, so that a
+// two-digit year is only accepted by the formats with a two-digit year).  Note that "D" and "M"
+// allow the leading zero of the day or month to be omitted.
+
+export const DateFormats = [
+    "D/M/YYYY", "D/M/YY",
+    "D-M-YYYY", "D-M-YY",
+    "D.M.YYYY", "D.M.YY",
+    "D-MMM-YYYY", "D-MMM-YY", "D MMM YYYY", "D MMM YY", "D MMMM YYYY",
+    "MMM D, YYYY", "MMMM D, YYYY",
+    "YYYY-MM-DD"
+];
+
+// The earliest and latest dates that are accepted (either may be omitted).
+
+export interface DateLimits {
+    earliestDate?: moment.Moment,
+    latestDate?: moment.Moment
+}
+
+// The date parsed from a region of a page.  The text is the text that was parsed (or the joined
+// text of the region if no date could be parsed) and the error explains why a date that was
+// parsed was rejected.  The date is invalid if the region did not contain an acceptable date.
+
+export interface ParsedDate {
+    date: moment.Moment,
+    text: string,
+    error: string
+}
+
+// Removes the variations in the text of a date that are not covered by the date formats.
+
+function normaliseDateText(text: string) {
+    return text
+        .trim()
+        .replace(/\s*([\/.\-])\s*/g, "$1")  // for example, "12 / 03 / 2019" becomes "12/03/2019"
+        .replace(/(\d)(st|nd|rd|th)\b/gi, "$1")  // for example, "12th March 2019" becomes "12 March 2019"
+        .replace(/[.,]+$/, "")
+        .replace(/\s\s+/g, " ");
+}
+
+// Parses a date in any of the supported formats, returning an invalid date if the text is not a
+// date (or is an impossible date such as "31/02/2019", see isImpossibleDate).
+
+export function parseDate(text: string) {
+    text = normaliseDateText(text);
+    for (let dateFormat of DateFormats) {
+        let date = moment(text, dateFormat, true);
+        if (date.isValid())
+            return date;
+    }
+    return moment.invalid();
+}
+
+// Determines whether text is written in one of the supported formats but is not a valid date
+// because the day or month is out of range (for example, "31/02/2019" or "12/13/2019").
+
+export function isImpossibleDate(text: string) {
+    text = normaliseDateText(text);
+    return !parseDate(text).isValid() && DateFormats.some(dateFormat => moment(text, dateFormat, true).parsingFlags().overflow >= 0);
+}
+
+// Determines the year of a register from its URL or file name (for example, 2019 for
+// "register-jan-2019.pdf"), returning undefined if the name does not include a year.  When the
+// name includes several years (for example, "register-2018-2019.pdf") the earliest year is used,
+// so that no date within the period of the register is before the register year.
+
+export function getRegisterYear(url: string) {
+    let years = path.basename(url).split(/\D+/).filter(digits => /^(19|20)\d\d$/.test(digits)).map(Number);
+    return (years.length === 0) ? undefined : Math.min(...years);
+}
+
+// The number of months before the start of the register year in which a received date is still
+// accepted (an application lodged in late December is often entered in the January register).
+
+const ReceivedDateSlackMonthCount = 1;
+
+// Gets the earliest received date accepted in a register of the specified year (undefined if the
+// year is unknown, so that no received date is rejected as too early).
+
+export function getEarliestReceivedDate(registerYear: number) {
+    return (registerYear === undefined) ? undefined : moment({ year: registerYear, month: 0, day: 1 }).subtract(ReceivedDateSlackMonthCount, "months");
+}
+
+// Parses the date in the specified elements (the elements within the bounds of a date field).
+// The text of all the elements is tried first (joined with and without spaces, allowing for a
+// date split across several text runs), followed by the text of each element.  A date outside
+// the limits is rejected, and an impossible date (such as "31/02/2019") is reported separately
+// from text that is not a date.
+
+export function parseDateElements(elements: Element[], limits: DateLimits): ParsedDate {
+    let texts = elements.map(element => element.text.trim()).filter(text => text !== "");
+    if (texts.length === 0)
+        return { date: moment.invalid(), text: "", error: undefined };
+
+    let candidates = [ texts.join(" "), texts.join(""), ...texts ].filter((text, index, candidates) => candidates.indexOf(text) === index);
+    for (let candidate of candidates) {
+        let date = parseDate(candidate);
+        if (!date.isValid())
+            continue;
+        if (limits.latestDate !== undefined && date.isAfter(limits.latestDate, "day"))
+            return { date: moment.invalid(), text: candidate, error: `it is after ${limits.latestDate.format("YYYY-MM-DD")}` };
+        if (limits.earliestDate !== undefined && date.isBefore(limits.earliestDate, "day"))
+            return { date: moment.invalid(), text: candidate, error: `it is before ${limits.earliestDate.format("YYYY-MM-DD")}` };
+        return { date: date, text: candidate, error: undefined };
+    }
+
+    let impossibleCandidate = candidates.find(isImpossibleDate);
+    if (impossibleCandidate !== undefined)
+        return { date: moment.invalid(), text: impossibleCandidate, error: "it is an impossible date (the day or month is out of range)" };
+    return { date: moment.invalid(), text: texts.join(" "), error: "it is not in a recognised date format" };
+}
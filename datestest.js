@@ -0,0 +1,68 @@
+// Unit tests for the date parsing of dates.ts: each supported date format, impossible dates, the
+// year of a register (from its file name) and the limits on the dates that are accepted.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const moment = require("moment");
+const dates_1 = require("./dates");
+// Creates an element (only the text is used when parsing dates).
+function createElement(text) {
+    return { text: text, x: 0, y: 0, width: 0, height: 0 };
+}
+// Gets the result of parsing a date as "YYYY-MM-DD" (or "invalid").
+function formatDate(date) {
+    return date.isValid() ? date.format("YYYY-MM-DD") : "invalid";
+}
+// Gets the result of parsing the date in elements as "YYYY-MM-DD" or as the error message.
+function formatParsedDate(texts, registerYear) {
+    let limits = { earliestDate: dates_1.getEarliestReceivedDate(registerYear), latestDate: moment("2020-06-30", "YYYY-MM-DD") };
+    let parsedDate = dates_1.parseDateElements(texts.map(createElement), limits);
+    return (parsedDate.error === undefined) ? formatDate(parsedDate.date) : parsedDate.error;
+}
+const DateTests = [
+    // Each supported format (a test must be added here when a format is added).
+    ...[
+        ["D/M/YYYY", "5/3/2019"], ["D/M/YY", "05/03/19"],
+        ["D-M-YYYY", "5-3-2019"], ["D-M-YY", "05-03-19"],
+        ["D.M.YYYY", "5.3.2019"], ["D.M.YY", "05.03.19"],
+        ["D-MMM-YYYY", "5-Mar-2019"], ["D-MMM-YY", "05-Mar-19"], ["D MMM YYYY", "5 Mar 2019"], ["D MMM YY", "5 Mar 19"], ["D MMMM YYYY", "5th March 2019"],
+        ["MMM D, YYYY", "Mar 5, 2019"], ["MMMM D, YYYY", "March 5, 2019"],
+        ["YYYY-MM-DD", "2019-03-05"]
+    ].map(([dateFormat, text]) => ({ name: `The format "${dateFormat}" ("${text}")`, actual: formatDate(dates_1.parseDate(text)), expected: "2019-03-05" })),
+    { name: "Every format has a test", actual: dates_1.DateFormats.length, expected: 14 },
+    { name: "A date with spaces around the separators", actual: formatDate(dates_1.parseDate("12 / 03 / 2019")), expected: "2019-03-12" },
+    { name: "A date that is not in a supported format", actual: formatDate(dates_1.parseDate("March 2019")), expected: "invalid" },
+    { name: "An impossible date", actual: formatDate(dates_1.parseDate("31/02/2019")), expected: "invalid" },
+    // The year of a register.
+    { name: "The year of a register", actual: dates_1.getRegisterYear("https://www.example.com/register-jan-2019.pdf"), expected: 2019 },
+    { name: "The year of a register covering two years", actual: dates_1.getRegisterYear("https://www.example.com/register-2018-2019.pdf"), expected: 2018 },
+    { name: "The year of a register without a year", actual: dates_1.getRegisterYear("https://www.example.com/register.pdf"), expected: undefined },
+    // The dates accepted in a register.
+    { name: "A date split across two elements", actual: formatParsedDate(["12/03/", "2019"], 2019), expected: "2019-03-12" },
+    { name: "A date in the first year of a register covering two years", actual: formatParsedDate(["12/03/2018"], dates_1.getRegisterYear("register-2018-2019.pdf")), expected: "2018-03-12" },
+    { name: "A date in the month before the year of the register", actual: formatParsedDate(["20/12/2018"], 2019), expected: "2018-12-20" },
+    { name: "A date more than a month before the year of the register", actual: formatParsedDate(["30/11/2018"], 2019), expected: "it is before 2018-12-01" },
+    { name: "A date in the future", actual: formatParsedDate(["1/7/2020"], 2019), expected: "it is after 2020-06-30" },
+    { name: "An impossible date in a register", actual: formatParsedDate(["31/02/2019"], 2019), expected: "it is an impossible date (the day or month is out of range)" },
+    { name: "An impossible month in a register", actual: formatParsedDate(["12/13/2019"], 2019), expected: "it is an impossible date (the day or month is out of range)" },
+    { name: "Text that is not a date in a register", actual: formatParsedDate(["Pending"], 2019), expected: "it is not in a recognised date format" }
+];
+// Runs every test and reports any differences.
+function main() {
+    let differenceCount = 0;
+    for (let dateTest of DateTests) {
+        if (dateTest.actual !== dateTest.expected) {
+            differenceCount++;
+            console.log(`Test: ${dateTest.name}`);
+            console.log(`    Expected: ${JSON.stringify(dateTest.expected)}`);
+            console.log(`    Actual:   ${JSON.stringify(dateTest.actual)}`);
+        }
+    }
+    if (differenceCount > 0) {
+        console.log(`${differenceCount} of ${DateTests.length} date test(s) failed.`);
+        process.exitCode = 1;
+    }
+    else
+        console.log(`All ${DateTests.length} date test(s) passed.`);
+}
+main();
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZGF0ZXN0ZXN0LmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiZGF0ZXN0ZXN0LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLGlHQUFpRztBQUNqRyx5RkFBeUY7QUFFekYsWUFBWSxDQUFDOztBQUViLGlDQUFpQztBQUNqQyxtQ0FBOEc7QUFZOUcsaUVBQWlFO0FBRWpFLFNBQVMsYUFBYSxDQUFDLElBQVk7SUFDL0IsT0FBTyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsQ0FBQyxFQUFFLENBQUMsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLEtBQUssRUFBRSxDQUFDLEVBQUUsTUFBTSxFQUFFLENBQUMsRUFBRSxDQUFDO0FBQzNELENBQUM7QUFFRCxvRUFBb0U7QUFFcEUsU0FBUyxVQUFVLENBQUMsSUFBbUI7SUFDbkMsT0FBTyxJQUFJLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQztBQUNsRSxDQUFDO0FBRUQsMkZBQTJGO0FBRTNGLFNBQVMsZ0JBQWdCLENBQUMsS0FBZSxFQUFFLFlBQW9CO0lBQzNELElBQUksTUFBTSxHQUFHLEVBQUUsWUFBWSxFQUFFLCtCQUF1QixDQUFDLFlBQVksQ0FBQyxFQUFFLFVBQVUsRUFBRSxNQUFNLENBQUMsWUFBWSxFQUFFLFlBQVksQ0FBQyxFQUFFLENBQUM7SUFDckgsSUFBSSxVQUFVLEdBQUcseUJBQWlCLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxhQUFhLENBQUMsRUFBRSxNQUFNLENBQUMsQ0FBQztJQUNyRSxPQUFPLENBQUMsVUFBVSxDQUFDLEtBQUssS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQztBQUM3RixDQUFDO0FBRUQsTUFBTSxTQUFTLEdBQWU7SUFDMUIsNEVBQTRFO0lBRTVFLEdBQUc7UUFDQyxDQUFFLFVBQVUsRUFBRSxVQUFVLENBQUUsRUFBRSxDQUFFLFFBQVEsRUFBRSxVQUFVLENBQUU7UUFDcEQsQ0FBRSxVQUFVLEVBQUUsVUFBVSxDQUFFLEVBQUUsQ0FBRSxRQUFRLEVBQUUsVUFBVSxDQUFFO1FBQ3BELENBQUUsVUFBVSxFQUFFLFVBQVUsQ0FBRSxFQUFFLENBQUUsUUFBUSxFQUFFLFVBQVUsQ0FBRTtRQUNwRCxDQUFFLFlBQVksRUFBRSxZQUFZLENBQUUsRUFBRSxDQUFFLFVBQVUsRUFBRSxXQUFXLENBQUUsRUFBRSxDQUFFLFlBQVksRUFBRSxZQUFZLENBQUUsRUFBRSxDQUFFLFVBQVUsRUFBRSxVQUFVLENBQUUsRUFBRSxDQUFFLGFBQWEsRUFBRSxnQkFBZ0IsQ0FBRTtRQUM1SixDQUFFLGFBQWEsRUFBRSxhQUFhLENBQUUsRUFBRSxDQUFFLGNBQWMsRUFBRSxlQUFlLENBQUU7UUFDckUsQ0FBRSxZQUFZLEVBQUUsWUFBWSxDQUFFO0tBQ2pDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBRSxVQUFVLEVBQUUsSUFBSSxDQUFFLEVBQUUsRUFBRSxDQUFDLENBQUMsRUFBRSxJQUFJLEVBQUUsZUFBZSxVQUFVLE9BQU8sSUFBSSxJQUFJLEVBQUUsTUFBTSxFQUFFLFVBQVUsQ0FBQyxpQkFBUyxDQUFDLElBQUksQ0FBQyxDQUFDLEVBQUUsUUFBUSxFQUFFLFlBQVksRUFBRSxDQUFDLENBQUM7SUFDbEosRUFBRSxJQUFJLEVBQUUseUJBQXlCLEVBQUUsTUFBTSxFQUFFLG1CQUFXLENBQUMsTUFBTSxFQUFFLFFBQVEsRUFBRSxFQUFFLEVBQUU7SUFDN0UsRUFBRSxJQUFJLEVBQUUsMENBQTBDLEVBQUUsTUFBTSxFQUFFLFVBQVUsQ0FBQyxpQkFBUyxDQUFDLGdCQUFnQixDQUFDLENBQUMsRUFBRSxRQUFRLEVBQUUsWUFBWSxFQUFFO0lBQzdILEVBQUUsSUFBSSxFQUFFLDBDQUEwQyxFQUFFLE1BQU0sRUFBRSxVQUFVLENBQUMsaUJBQVMsQ0FBQyxZQUFZLENBQUMsQ0FBQyxFQUFFLFFBQVEsRUFBRSxTQUFTLEVBQUU7SUFDdEgsRUFBRSxJQUFJLEVBQUUsb0JBQW9CLEVBQUUsTUFBTSxFQUFFLFVBQVUsQ0FBQyxpQkFBUyxDQUFDLFlBQVksQ0FBQyxDQUFDLEVBQUUsUUFBUSxFQUFFLFNBQVMsRUFBRTtJQUVoRywwQkFBMEI7SUFFMUIsRUFBRSxJQUFJLEVBQUUsd0JBQXdCLEVBQUUsTUFBTSxFQUFFLHVCQUFlLENBQUMsK0NBQStDLENBQUMsRUFBRSxRQUFRLEVBQUUsSUFBSSxFQUFFO0lBQzVILEVBQUUsSUFBSSxFQUFFLDJDQUEyQyxFQUFFLE1BQU0sRUFBRSx1QkFBZSxDQUFDLGdEQUFnRCxDQUFDLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRTtJQUNoSixFQUFFLElBQUksRUFBRSx1Q0FBdUMsRUFBRSxNQUFNLEVBQUUsdUJBQWUsQ0FBQyxzQ0FBc0MsQ0FBQyxFQUFFLFFBQVEsRUFBRSxTQUFTLEVBQUU7SUFFdkksb0NBQW9DO0lBRXBDLEVBQUUsSUFBSSxFQUFFLGtDQUFrQyxFQUFFLE1BQU0sRUFBRSxnQkFBZ0IsQ0FBQyxDQUFFLFFBQVEsRUFBRSxNQUFNLENBQUUsRUFBRSxJQUFJLENBQUMsRUFBRSxRQUFRLEVBQUUsWUFBWSxFQUFFO0lBQzFILEVBQUUsSUFBSSxFQUFFLDJEQUEyRCxFQUFFLE1BQU0sRUFBRSxnQkFBZ0IsQ0FBQyxDQUFFLFlBQVksQ0FBRSxFQUFFLHVCQUFlLENBQUMsd0JBQXdCLENBQUMsQ0FBQyxFQUFFLFFBQVEsRUFBRSxZQUFZLEVBQUU7SUFDcEwsRUFBRSxJQUFJLEVBQUUscURBQXFELEVBQUUsTUFBTSxFQUFFLGdCQUFnQixDQUFDLENBQUUsWUFBWSxDQUFFLEVBQUUsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLFlBQVksRUFBRTtJQUN6SSxFQUFFLElBQUksRUFBRSwwREFBMEQsRUFBRSxNQUFNLEVBQUUsZ0JBQWdCLENBQUMsQ0FBRSxZQUFZLENBQUUsRUFBRSxJQUFJLENBQUMsRUFBRSxRQUFRLEVBQUUseUJBQXlCLEVBQUU7SUFDM0osRUFBRSxJQUFJLEVBQUUsc0JBQXNCLEVBQUUsTUFBTSxFQUFFLGdCQUFnQixDQUFDLENBQUUsVUFBVSxDQUFFLEVBQUUsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLHdCQUF3QixFQUFFO0lBQ3BILEVBQUUsSUFBSSxFQUFFLGtDQUFrQyxFQUFFLE1BQU0sRUFBRSxnQkFBZ0IsQ0FBQyxDQUFFLFlBQVksQ0FBRSxFQUFFLElBQUksQ0FBQyxFQUFFLFFBQVEsRUFBRSw2REFBNkQsRUFBRTtJQUN2SyxFQUFFLElBQUksRUFBRSxtQ0FBbUMsRUFBRSxNQUFNLEVBQUUsZ0JBQWdCLENBQUMsQ0FBRSxZQUFZLENBQUUsRUFBRSxJQUFJLENBQUMsRUFBRSxRQUFRLEVBQUUsNkRBQTZELEVBQUU7SUFDeEssRUFBRSxJQUFJLEVBQUUsdUNBQXVDLEVBQUUsTUFBTSxFQUFFLGdCQUFnQixDQUFDLENBQUUsU0FBUyxDQUFFLEVBQUUsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLHVDQUF1QyxFQUFFO0NBQ3RKLENBQUM7QUFFRiwrQ0FBK0M7QUFFL0MsU0FBUyxJQUFJO0lBQ1QsSUFBSSxlQUFlLEdBQUcsQ0FBQyxDQUFDO0lBRXhCLEtBQUssSUFBSSxRQUFRLElBQUksU0FBUyxFQUFFO1FBQzVCLElBQUksUUFBUSxDQUFDLE1BQU0sS0FBSyxRQUFRLENBQUMsUUFBUSxFQUFFO1lBQ3ZDLGVBQWUsRUFBRSxDQUFDO1lBQ2xCLE9BQU8sQ0FBQyxHQUFHLENBQUMsU0FBUyxRQUFRLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQztZQUN0QyxPQUFPLENBQUMsR0FBRyxDQUFDLGlCQUFpQixJQUFJLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUM7WUFDbEUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxpQkFBaUIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1NBQ25FO0tBQ0o7SUFFRCxJQUFJLGVBQWUsR0FBRyxDQUFDLEVBQUU7UUFDckIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLGVBQWUsT0FBTyxTQUFTLENBQUMsTUFBTSx1QkFBdUIsQ0FBQyxDQUFDO1FBQzlFLE9BQU8sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxDQUFDO0tBQ3hCOztRQUNHLE9BQU8sQ0FBQyxHQUFHLENBQUMsT0FBTyxTQUFTLENBQUMsTUFBTSx1QkFBdUIsQ0FBQyxDQUFDO0FBQ3BFLENBQUM7QUFFRCxJQUFJLEVBQUUsQ0FBQyJ9
\ No newline at end of file
@@ -0,0 +1,94 @@
+// Unit tests for the date parsing of dates.ts: each supported date format, impossible dates, the
+// year of a register (from its file name) and the limits on the dates that are accepted.
+
+"use strict";
+
+import * as moment from "moment";
+import { DateFormats, parseDate, getRegisterYear, getEarliestReceivedDate, parseDateElements } from "./dates";
+
+declare const process: any;
+
+// A test: a description and the actual and expected results.
+
+interface DateTest {
+    name: string,
+    actual: any,
+    expected: any
+}
+
+// Creates an element (only the text is used when parsing dates).
+
+function createElement(text: string) {
+    return { text: text, x: 0, y: 0, width: 0, height: 0 };
+}
+
+// Gets the result of parsing a date as "YYYY-MM-DD" (or "invalid").
+
+function formatDate(date: moment.Moment) {
+    return date.isValid() ? date.format("YYYY-MM-DD") : "invalid";
+}
+
+// Gets the result of parsing the date in elements as "YYYY-MM-DD" or as the error message.
+
+function formatParsedDate(texts: string[], registerYear: number) {
+    let limits = { earliestDate: getEarliestReceivedDate(registerYear), latestDate: moment("2020-06-30", "YYYY-MM-DD") };
+    let parsedDate = parseDateElements(texts.map(createElement), limits);
+    return (parsedDate.error === undefined) ? formatDate(parsedDate.date) : parsedDate.error;
+}
+
+const DateTests: DateTest[] = [
+    // Each supported format (a test must be added here when a format is added).
+
+    ...[
+        [ "D/M/YYYY", "5/3/2019" ], [ "D/M/YY", "05/03/19" ],
+        [ "D-M-YYYY", "5-3-2019" ], [ "D-M-YY", "05-03-19" ],
+        [ "D.M.YYYY", "5.3.2019" ], [ "D.M.YY", "05.03.19" ],
+        [ "D-MMM-YYYY", "5-Mar-2019" ], [ "D-MMM-YY", "05-Mar-19" ], [ "D MMM YYYY", "5 Mar 2019" ], [ "D MMM YY", "5 Mar 19" ], [ "D MMMM YYYY", "5th March 2019" ],
+        [ "MMM D, YYYY", "Mar 5, 2019" ], [ "MMMM D, YYYY", "March 5, 2019" ],
+        [ "YYYY-MM-DD", "2019-03-05" ]
+    ].map(([ dateFormat, text ]) => ({ name: `The format "${dateFormat}" ("${text}")`, actual: formatDate(parseDate(text)), expected: "2019-03-05" })),
+    { name: "Every format has a test", actual: DateFormats.length, expected: 14 },
+    { name: "A date with spaces around the separators", actual: formatDate(parseDate("12 / 03 / 2019")), expected: "2019-03-12" },
+    { name: "A date that is not in a supported format", actual: formatDate(parseDate("March 2019")), expected: "invalid" },
+    { name: "An impossible date", actual: formatDate(parseDate("31/02/2019")), expected: "invalid" },
+
+    // The year of a register.
+
+    { name: "The year of a register", actual: getRegisterYear("https://www.example.com/register-jan-2019.pdf"), expected: 2019 },
+    { name: "The year of a register covering two years", actual: getRegisterYear("https://www.example.com/register-2018-2019.pdf"), expected: 2018 },
+    { name: "The year of a register without a year", actual: getRegisterYear("https://www.example.com/register.pdf"), expected: undefined },
+
+    // The dates accepted in a register.
+
+    { name: "A date split across two elements", actual: formatParsedDate([ "12/03/", "2019" ], 2019), expected: "2019-03-12" },
+    { name: "A date in the first year of a register covering two years", actual: formatParsedDate([ "12/03/2018" ], getRegisterYear("register-2018-2019.pdf")), expected: "2018-03-12" },
+    { name: "A date in the month before the year of the register", actual: formatParsedDate([ "20/12/2018" ], 2019), expected: "2018-12-20" },
+    { name: "A date more than a month before the year of the register", actual: formatParsedDate([ "30/11/2018" ], 2019), expected: "it is before 2018-12-01" },
+    { name: "A date in the future", actual: formatParsedDate([ "1/7/2020" ], 2019), expected: "it is after 2020-06-30" },
+    { name: "An impossible date in a register", actual: formatParsedDate([ "31/02/2019" ], 2019), expected: "it is an impossible date (the day or month is out of range)" },
+    { name: "An impossible month in a register", actual: formatParsedDate([ "12/13/2019" ], 2019), expected: "it is an impossible date (the day or month is out of range)" },
+    { name: "Text that is not a date in a register", actual: formatParsedDate([ "Pending" ], 2019), expected: "it is not in a recognised date format" }
+];
+
+// Runs every test and reports any differences.
+
+function main() {
+    let differenceCount = 0;
+
+    for (let dateTest of DateTests) {
+        if (dateTest.actual !== dateTest.expected) {
+            differenceCount++;
+            console.log(`Test: ${dateTest.name}`);
+            console.log(`    Expected: ${JSON.stringify(dateTest.expected)}`);
+            console.log(`    Actual:   ${JSON.stringify(dateTest.actual)}`);
+        }
+    }
+
+    if (differenceCount > 0) {
+        console.log(`${differenceCount} of ${DateTests.length} date test(s) failed.`);
+        process.exitCode = 1;
+    } else
+        console.log(`All ${DateTests.length} date test(s) passed.`);
+}
+
+main();
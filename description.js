@@ -0,0 +1,117 @@
+// Joins the lines of the descriptions of development applications, normalises the descriptions
+// (repairing the artefacts of joining the lines of a description, converting ALL CAPS text and
+// expanding the abbreviations used by the council) and classifies each development application by
+// its description.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+// The description saved when a development application has no description.
+exports.NoDescription = "No description provided";
+// The abbreviations (and misspellings) used in descriptions, along with their expansions.  The
+// patterns are matched without regard to case.
+const Abbreviations = [
+    [/\bdwgs\b/gi, "dwellings"],
+    [/\b(?:dwg|dwell|dwel)\b\.?/gi, "dwelling"],
+    [/\b(?:veranda|verandha|verander|verandahh|verandaah|v'dah|vdah|verah)\b/gi, "verandah"],
+    [/\bland\s+(?:div|divn|divis)\b\.?/gi, "land division"],
+    [/\bl\/d\b/gi, "land division"],
+    [/\balts?\b\.?\s*(?:&|and)\s*adds?\b\.?/gi, "alterations and additions"],
+    [/\baddn\b\.?/gi, "addition"],
+    [/\bext\b\.?(?=\s+(?:to|of)\b)/gi, "extension"],
+    [/\b(?:demo|demol)\b\.?/gi, "demolition"],
+    [/\bgge\b\.?/gi, "garage"],
+    [/\bs\/pool\b/gi, "swimming pool"],
+    [/\bo\/b\b/gi, "outbuilding"],
+    [/\bw\/tank\b/gi, "water tank"],
+    [/\bsgl\b\.?/gi, "single"],
+    [/\bdbl\b\.?/gi, "double"],
+    [/\btransp\b\.?/gi, "transportable"],
+    [/\bcomm\b\.?\s*title\b/gi, "community title"],
+    [/\bcomm\b\.?/gi, "commercial"]
+];
+// The acronyms that are kept in capitals when ALL CAPS text is converted to sentence case (for
+// example, "NEW SHED - CFS APPROVED" becomes "New shed - CFS approved").
+const Acronyms = [
+    "CFS", "SA", "DA", "CWMS", "STED", "STEDS", "EPA", "SAPN", "ETSA", "NBN", "PV", "DPTI", "LGA", "BCA", "SCAP", "CDAP"
+];
+// Words that are written with a hyphen.  When a line of a description ends with the first part of
+// one of these words (for example, "Two-" followed by "storey" on the next line) the hyphen is
+// kept rather than the parts being joined into one word.
+const HyphenatedWords = [
+    "lean-to", "two-storey", "single-storey", "double-storey", "split-level", "built-in", "in-ground",
+    "above-ground", "free-standing", "semi-detached", "self-contained", "re-roof", "re-clad", "re-sheet",
+    "re-stump", "pre-fabricated", "non-habitable", "part-enclosed", "on-site", "off-site", "lock-up"
+];
+// The words that indicate a demolition, and the words that indicate that new works are also
+// proposed (as in "Demolish and replace dwelling").
+const DemolitionPattern = /\b(?:demolition|demolish|demolished)\b/i;
+const ConstructionPattern = /\b(?:new|replace|replacement|construct|construction|erect|erection|build|rebuild|install|installation)\b/i;
+// The categories of development (other than demolition), each with the words that indicate the
+// category.  The categories are tried in order (so that, for example, "Dwelling and garage" is a
+// dwelling).  A description that matches none of the categories is given the category "other".
+const Categories = [
+    { category: "land division", pattern: /\b(?:land division|division of land|subdivision|boundary (?:re-?)?alignment|community title|strata title)\b/i },
+    { category: "dwelling", pattern: /\b(?:dwellings?|house|home|residence|granny flat|cabins?|alterations and additions)\b/i },
+    { category: "commercial", pattern: /\b(?:commercial|shops?|office|retail|industrial|warehouse|factory|restaurant|cafe|hotel|motel|tourist|caravan park|signs?|signage|workshop|service station)\b/i },
+    { category: "outbuilding", pattern: /\b(?:outbuildings?|sheds?|garages?|carports?|verandahs?|pergolas?|decks?|swimming pool|pools?|spa|water tanks?|rainwater tanks?|tanks?|fences?|fencing|retaining walls?|lean-to|awnings?)\b/i }
+];
+// Determines whether text is written in capital letters (at least 80% of its letters, so that a
+// description such as "NEW SHED - CFS APPROVED" is converted but an acronym alone is not).
+function isAllCaps(text) {
+    let letters = text.replace(/[^a-z]/gi, "");
+    let capitals = letters.replace(/[^A-Z]/g, "");
+    return letters.length >= 4 && capitals.length >= 0.8 * letters.length;
+}
+// Joins the lines of a description (or a description and its continuation on the next page),
+// removing a word that is repeated where two lines are joined (for example, "Swimming pool and"
+// followed by "and safety fence").  A word repeated within a line is kept (as in "Woy Woy").
+function joinDescriptionLines(lines) {
+    let text = "";
+    for (let line of lines) {
+        line = line.replace(/\s+/g, " ").trim();
+        let lastWord = /\b([a-z]+)$/i.exec(text);
+        let firstWord = /^([a-z]+)\b/i.exec(line);
+        if (lastWord !== null && firstWord !== null && lastWord[1].toLowerCase() === firstWord[1].toLowerCase())
+            line = line.substring(firstWord[1].length).trim();
+        if (line !== "")
+            text = (text === "") ? line : `${text} ${line}`;
+    }
+    return text;
+}
+exports.joinDescriptionLines = joinDescriptionLines;
+// Normalises a description: repairs words broken by a hyphen at the end of a line (for example,
+// "veran- dah", but not "Two- storey" which becomes "Two-storey"), converts ALL CAPS text to
+// sentence case (keeping acronyms such as "CFS") and expands abbreviations (for example, "Dwg and
+// vdah" becomes "Dwelling and verandah").  Normalising a normalised description has no effect.
+function normaliseDescription(description) {
+    if (description === exports.NoDescription)
+        return description;
+    let text = description.replace(/\s+/g, " ").trim();
+    if (isAllCaps(text))
+        text = text.toLowerCase().replace(/\b[a-z]+\b/g, word => Acronyms.includes(word.toUpperCase()) ? word.toUpperCase() : word);
+    text = text.replace(/\b([a-z]+)- ([a-z]+)\b/gi, (match, prefix, suffix) => {
+        if (/^[A-Z]/.test(suffix))
+            return match;
+        return HyphenatedWords.includes(`${prefix}-${suffix}`.toLowerCase()) ? `${prefix}-${suffix}` : `${prefix}${suffix}`;
+    });
+    for (let [pattern, expansion] of Abbreviations)
+        text = text.replace(pattern, expansion);
+    text = text.replace(/\s+/g, " ").trim();
+    return (text === "") ? exports.NoDescription : (text.charAt(0).toUpperCase() + text.substring(1));
+}
+exports.normaliseDescription = normaliseDescription;
+// Classifies a development application by its description as "dwelling", "outbuilding", "land
+// division", "commercial", "demolition" or "other".  A demolition that is followed by new works
+// (for example, "Demolish and replace dwelling" or "Demolition of shed and construction of new
+// dwelling") is classified by those works.
+function classifyDescription(description) {
+    let text = normaliseDescription(description);
+    let isDemolition = DemolitionPattern.test(text);
+    if (isDemolition) {
+        let constructionMatch = ConstructionPattern.exec(text);
+        text = (constructionMatch === null) ? "" : text.substring(constructionMatch.index);
+    }
+    let category = Categories.find(category => category.pattern.test(text));
+    return (category !== undefined) ? category.category : (isDemolition ? "demolition" : "other");
+}
+exports.classifyDescription = classifyDescription;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZGVzY3JpcHRpb24uanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJkZXNjcmlwdGlvbi50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSwrRkFBK0Y7QUFDL0YsK0ZBQStGO0FBQy9GLGtHQUFrRztBQUNsRyxtQkFBbUI7QUFFbkIsWUFBWSxDQUFDOztBQUViLDJFQUEyRTtBQUU5RCxRQUFBLGFBQWEsR0FBRyx5QkFBeUIsQ0FBQztBQUV2RCwrRkFBK0Y7QUFDL0YsK0NBQStDO0FBRS9DLE1BQU0sYUFBYSxHQUF5QjtJQUN4QyxDQUFFLFlBQVksRUFBRSxXQUFXLENBQUU7SUFDN0IsQ0FBRSw2QkFBNkIsRUFBRSxVQUFVLENBQUU7SUFDN0MsQ0FBRSwwRUFBMEUsRUFBRSxVQUFVLENBQUU7SUFDMUYsQ0FBRSxvQ0FBb0MsRUFBRSxlQUFlLENBQUU7SUFDekQsQ0FBRSxZQUFZLEVBQUUsZUFBZSxDQUFFO0lBQ2pDLENBQUUseUNBQXlDLEVBQUUsMkJBQTJCLENBQUU7SUFDMUUsQ0FBRSxlQUFlLEVBQUUsVUFBVSxDQUFFO0lBQy9CLENBQUUsZ0NBQWdDLEVBQUUsV0FBVyxDQUFFO0lBQ2pELENBQUUseUJBQXlCLEVBQUUsWUFBWSxDQUFFO0lBQzNDLENBQUUsY0FBYyxFQUFFLFFBQVEsQ0FBRTtJQUM1QixDQUFFLGVBQWUsRUFBRSxlQUFlLENBQUU7SUFDcEMsQ0FBRSxZQUFZLEVBQUUsYUFBYSxDQUFFO0lBQy9CLENBQUUsZUFBZSxFQUFFLFlBQVksQ0FBRTtJQUNqQyxDQUFFLGNBQWMsRUFBRSxRQUFRLENBQUU7SUFDNUIsQ0FBRSxjQUFjLEVBQUUsUUFBUSxDQUFFO0lBQzVCLENBQUUsaUJBQWlCLEVBQUUsZUFBZSxDQUFFO0lBQ3RDLENBQUUseUJBQXlCLEVBQUUsaUJBQWlCLENBQUU7SUFDaEQsQ0FBRSxlQUFlLEVBQUUsWUFBWSxDQUFFO0NBQ3BDLENBQUM7QUFFRiwrRkFBK0Y7QUFDL0YseUVBQXlFO0FBRXpFLE1BQU0sUUFBUSxHQUFHO0lBQ2IsS0FBSyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsS0FBSyxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxNQUFNLEVBQUUsTUFBTTtDQUN2SCxDQUFDO0FBRUYsa0dBQWtHO0FBQ2xHLCtGQUErRjtBQUMvRix5REFBeUQ7QUFFekQsTUFBTSxlQUFlLEdBQUc7SUFDcEIsU0FBUyxFQUFFLFlBQVksRUFBRSxlQUFlLEVBQUUsZUFBZSxFQUFFLGFBQWEsRUFBRSxVQUFVLEVBQUUsV0FBVztJQUNqRyxjQUFjLEVBQUUsZUFBZSxFQUFFLGVBQWUsRUFBRSxnQkFBZ0IsRUFBRSxTQUFTLEVBQUUsU0FBUyxFQUFFLFVBQVU7SUFDcEcsVUFBVSxFQUFFLGdCQUFnQixFQUFFLGVBQWUsRUFBRSxlQUFlLEVBQUUsU0FBUyxFQUFFLFVBQVUsRUFBRSxTQUFTO0NBQ25HLENBQUM7QUFFRiw0RkFBNEY7QUFDNUYsb0RBQW9EO0FBRXBELE1BQU0saUJBQWlCLEdBQUcseUNBQXlDLENBQUM7QUFDcEUsTUFBTSxtQkFBbUIsR0FBRywyR0FBMkcsQ0FBQztBQUV4SSwrRkFBK0Y7QUFDL0YsaUdBQWlHO0FBQ2pHLCtGQUErRjtBQUUvRixNQUFNLFVBQVUsR0FBNEM7SUFDeEQsRUFBRSxRQUFRLEVBQUUsZUFBZSxFQUFFLE9BQU8sRUFBRSw4R0FBOEcsRUFBRTtJQUN0SixFQUFFLFFBQVEsRUFBRSxVQUFVLEVBQUUsT0FBTyxFQUFFLHdGQUF3RixFQUFFO0lBQzNILEVBQUUsUUFBUSxFQUFFLFlBQVksRUFBRSxPQUFPLEVBQUUsZ0tBQWdLLEVBQUU7SUFDck0sRUFBRSxRQUFRLEVBQUUsYUFBYSxFQUFFLE9BQU8sRUFBRSw4TEFBOEwsRUFBRTtDQUN2TyxDQUFDO0FBRUYsZ0dBQWdHO0FBQ2hHLDJGQUEyRjtBQUUzRixTQUFTLFNBQVMsQ0FBQyxJQUFZO0lBQzNCLElBQUksT0FBTyxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUMsVUFBVSxFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBQzNDLElBQUksUUFBUSxHQUFHLE9BQU8sQ0FBQyxPQUFPLENBQUMsU0FBUyxFQUFFLEVBQUUsQ0FBQyxDQUFDO0lBQzlDLE9BQU8sT0FBTyxDQUFDLE1BQU0sSUFBSSxDQUFDLElBQUksUUFBUSxDQUFDLE1BQU0sSUFBSSxHQUFHLEdBQUcsT0FBTyxDQUFDLE1BQU0sQ0FBQztBQUMxRSxDQUFDO0FBRUQsNkZBQTZGO0FBQzdGLGdHQUFnRztBQUNoRyw2RkFBNkY7QUFFN0YsU0FBZ0Isb0JBQW9CLENBQUMsS0FBZTtJQUNoRCxJQUFJLElBQUksR0FBRyxFQUFFLENBQUM7SUFDZCxLQUFLLElBQUksSUFBSSxJQUFJLEtBQUssRUFBRTtRQUNwQixJQUFJLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7UUFDeEMsSUFBSSxRQUFRLEdBQUcsY0FBYyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUN6QyxJQUFJLFNBQVMsR0FBRyxjQUFjLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQzFDLElBQUksUUFBUSxLQUFLLElBQUksSUFBSSxTQUFTLEtBQUssSUFBSSxJQUFJLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxXQUFXLEVBQUUsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxFQUFFO1lBQ25HLElBQUksR0FBRyxJQUFJLENBQUMsU0FBUyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUN0RCxJQUFJLElBQUksS0FBSyxFQUFFO1lBQ1gsSUFBSSxHQUFHLENBQUMsSUFBSSxLQUFLLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEdBQUcsSUFBSSxJQUFJLElBQUksRUFBRSxDQUFDO0tBQ3ZEO0lBQ0QsT0FBTyxJQUFJLENBQUM7QUFDaEIsQ0FBQztBQVpELG9EQVlDO0FBRUQsZ0dBQWdHO0FBQ2hHLDZGQUE2RjtBQUM3RixrR0FBa0c7QUFDbEcsK0ZBQStGO0FBRS9GLFNBQWdCLG9CQUFvQixDQUFDLFdBQW1CO0lBQ3BELElBQUksV0FBVyxLQUFLLHFCQUFhO1FBQzdCLE9BQU8sV0FBVyxDQUFDO0lBRXZCLElBQUksSUFBSSxHQUFHLFdBQVcsQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO0lBQ25ELElBQUksU0FBUyxDQUFDLElBQUksQ0FBQztRQUNmLElBQUksR0FBRyxJQUFJLENBQUMsV0FBVyxFQUFFLENBQUMsT0FBTyxDQUFDLGFBQWEsRUFBRSxJQUFJLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDaEksSUFBSSxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUMsMEJBQTBCLEVBQUUsQ0FBQyxLQUFLLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxFQUFFO1FBQ3RFLElBQUksUUFBUSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUM7WUFDckIsT0FBTyxLQUFLLENBQUM7UUFDakIsT0FBTyxlQUFlLENBQUMsUUFBUSxDQUFDLEdBQUcsTUFBTSxJQUFJLE1BQU0sRUFBRSxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsTUFBTSxJQUFJLE1BQU0sRUFBRSxDQUFDLENBQUMsQ0FBQyxHQUFHLE1BQU0sR0FBRyxNQUFNLEVBQUUsQ0FBQztJQUN4SCxDQUFDLENBQUMsQ0FBQztJQUNILEtBQUssSUFBSSxDQUFFLE9BQU8sRUFBRSxTQUFTLENBQUUsSUFBSSxhQUFhO1FBQzVDLElBQUksR0FBRyxJQUFJLENBQUMsT0FBTyxDQUFDLE9BQU8sRUFBRSxTQUFTLENBQUMsQ0FBQztJQUM1QyxJQUFJLEdBQUcsSUFBSSxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsR0FBRyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUM7SUFFeEMsT0FBTyxDQUFDLElBQUksS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMscUJBQWEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLFdBQVcsRUFBRSxHQUFHLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztBQUM5RixDQUFDO0FBakJELG9EQWlCQztBQUVELDhGQUE4RjtBQUM5RixnR0FBZ0c7QUFDaEcsK0ZBQStGO0FBQy9GLDJDQUEyQztBQUUzQyxTQUFnQixtQkFBbUIsQ0FBQyxXQUFtQjtJQUNuRCxJQUFJLElBQUksR0FBRyxvQkFBb0IsQ0FBQyxXQUFXLENBQUMsQ0FBQztJQUM3QyxJQUFJLFlBQVksR0FBRyxpQkFBaUIsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDaEQsSUFBSSxZQUFZLEVBQUU7UUFDZCxJQUFJLGlCQUFpQixHQUFHLG1CQUFtQixDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUN2RCxJQUFJLEdBQUcsQ0FBQyxpQkFBaUIsS0FBSyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLGlCQUFpQixDQUFDLEtBQUssQ0FBQyxDQUFDO0tBQ3RGO0lBQ0QsSUFBSSxRQUFRLEdBQUcsVUFBVSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLFFBQVEsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7SUFDeEUsT0FBTyxDQUFDLFFBQVEsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsUUFBUSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUM7QUFDbEcsQ0FBQztBQVRELGtEQVNDIn0=
\ No newline at end of file
@@ -0,0 +1,135 @@
+// Joins the lines of the descriptions of development applications, normalises the descriptions
+// (repairing the artefacts of joining the lines of a description, converting ALL CAPS text and
+// expanding the abbreviations used by the council) and classifies each development application by
+// its description.
+
+"use strict";
+
+// The description saved when a development application has no description.
+
+export const NoDescription = "No description provided";
+
+// The abbreviations (and misspellings) used in descriptions, along with their expansions.  The
+// patterns are matched without regard to case.
+
+const Abbreviations: [ RegExp, string ][] = [
+    [ /\bdwgs\b/gi, "dwellings" ],
+    [ /\b(?:dwg|dwell|dwel)\b\.?/gi, "dwelling" ],
+    [ /\b(?:veranda|verandha|verander|verandahh|verandaah|v'dah|vdah|verah)\b/gi, "verandah" ],
+    [ /\bland\s+(?:div|divn|divis)\b\.?/gi, "land division" ],
+    [ /\bl\/d\b/gi, "land division" ],
+    [ /\balts?\b\.?\s*(?:&|and)\s*adds?\b\.?/gi, "alterations and additions" ],
+    [ /\baddn\b\.?/gi, "addition" ],
+    [ /\bext\b\.?(?=\s+(?:to|of)\b)/gi, "extension" ],  // only "Ext to dwelling" (not "Ext. wall", which may be an external wall)
+    [ /\b(?:demo|demol)\b\.?/gi, "demolition" ],
+    [ /\bgge\b\.?/gi, "garage" ],
+    [ /\bs\/pool\b/gi, "swimming pool" ],
+    [ /\bo\/b\b/gi, "outbuilding" ],
+    [ /\bw\/tank\b/gi, "water tank" ],
+    [ /\bsgl\b\.?/gi, "single" ],
+    [ /\bdbl\b\.?/gi, "double" ],
+    [ /\btransp\b\.?/gi, "transportable" ],
+    [ /\bcomm\b\.?\s*title\b/gi, "community title" ],
+    [ /\bcomm\b\.?/gi, "commercial" ]
+];
+
+// The acronyms that are kept in capitals when ALL CAPS text is converted to sentence case (for
+// example, "NEW SHED - CFS APPROVED" becomes "New shed - CFS approved").
+
+const Acronyms = [
+    "CFS", "SA", "DA", "CWMS", "STED", "STEDS", "EPA", "SAPN", "ETSA", "NBN", "PV", "DPTI", "LGA", "BCA", "SCAP", "CDAP"
+];
+
+// Words that are written with a hyphen.  When a line of a description ends with the first part of
+// one of these words (for example, "Two-" followed by "storey" on the next line) the hyphen is
+// kept rather than the parts being joined into one word.
+
+const HyphenatedWords = [
+    "lean-to", "two-storey", "single-storey", "double-storey", "split-level", "built-in", "in-ground",
+    "above-ground", "free-standing", "semi-detached", "self-contained", "re-roof", "re-clad", "re-sheet",
+    "re-stump", "pre-fabricated", "non-habitable", "part-enclosed", "on-site", "off-site", "lock-up"
+];
+
+// The words that indicate a demolition, and the words that indicate that new works are also
+// proposed (as in "Demolish and replace dwelling").
+
+const DemolitionPattern = /\b(?:demolition|demolish|demolished)\b/i;
+const ConstructionPattern = /\b(?:new|replace|replacement|construct|construction|erect|erection|build|rebuild|install|installation)\b/i;
+
+// The categories of development (other than demolition), each with the words that indicate the
+// category.  The categories are tried in order (so that, for example, "Dwelling and garage" is a
+// dwelling).  A description that matches none of the categories is given the category "other".
+
+const Categories: { category: string, pattern: RegExp }[] = [
+    { category: "land division", pattern: /\b(?:land division|division of land|subdivision|boundary (?:re-?)?alignment|community title|strata title)\b/i },
+    { category: "dwelling", pattern: /\b(?:dwellings?|house|home|residence|granny flat|cabins?|alterations and additions)\b/i },
+    { category: "commercial", pattern: /\b(?:commercial|shops?|office|retail|industrial|warehouse|factory|restaurant|cafe|hotel|motel|tourist|caravan park|signs?|signage|workshop|service station)\b/i },
+    { category: "outbuilding", pattern: /\b(?:outbuildings?|sheds?|garages?|carports?|verandahs?|pergolas?|decks?|swimming pool|pools?|spa|water tanks?|rainwater tanks?|tanks?|fences?|fencing|retaining walls?|lean-to|awnings?)\b/i }
+];
+
+// Determines whether text is written in capital letters (at least 80% of its letters, so that a
+// description such as "NEW SHED - CFS APPROVED" is converted but an acronym alone is not).
+
+function isAllCaps(text: string) {
+    let letters = text.replace(/[^a-z]/gi, "");
+    let capitals = letters.replace(/[^A-Z]/g, "");
+    return letters.length >= 4 && capitals.length >= 0.8 * letters.length;
+}
+
+// Joins the lines of a description (or a description and its continuation on the next page),
+// removing a word that is repeated where two lines are joined (for example, "Swimming pool and"
+// followed by "and safety fence").  A word repeated within a line is kept (as in "Woy Woy").
+
+export function joinDescriptionLines(lines: string[]) {
+    let text = "";
+    for (let line of lines) {
+        line = line.replace(/\s+/g, " ").trim();
+        let lastWord = /\b([a-z]+)$/i.exec(text);
+        let firstWord = /^([a-z]+)\b/i.exec(line);
+        if (lastWord !== null && firstWord !== null && lastWord[1].toLowerCase() === firstWord[1].toLowerCase())
+            line = line.substring(firstWord[1].length).trim();
+        if (line !== "")
+            text = (text === "") ? line : `${text} ${line}`;
+    }
+    return text;
+}
+
+// Normalises a description: repairs words broken by a hyphen at the end of a line (for example,
+// "veran- dah", but not "Two- storey" which becomes "Two-storey"), converts ALL CAPS text to
+// sentence case (keeping acronyms such as "CFS") and expands abbreviations (for example, "Dwg and
+// vdah" becomes "Dwelling and verandah").  Normalising a normalised description has no effect.
+
+export function normaliseDescription(description: string) {
+    if (description === NoDescription)
+        return description;
+
+    let text = description.replace(/\s+/g, " ").trim();
+    if (isAllCaps(text))
+        text = text.toLowerCase().replace(/\b[a-z]+\b/g, word => Acronyms.includes(word.toUpperCase()) ? word.toUpperCase() : word);
+    text = text.replace(/\b([a-z]+)- ([a-z]+)\b/gi, (match, prefix, suffix) => {
+        if (/^[A-Z]/.test(suffix))
+            return match;
+        return HyphenatedWords.includes(`${prefix}-${suffix}`.toLowerCase()) ? `${prefix}-${suffix}` : `${prefix}${suffix}`;
+    });
+    for (let [ pattern, expansion ] of Abbreviations)
+        text = text.replace(pattern, expansion);
+    text = text.replace(/\s+/g, " ").trim();
+
+    return (text === "") ? NoDescription : (text.charAt(0).toUpperCase() + text.substring(1));
+}
+
+// Classifies a development application by its description as "dwelling", "outbuilding", "land
+// division", "commercial", "demolition" or "other".  A demolition that is followed by new works
+// (for example, "Demolish and replace dwelling" or "Demolition of shed and construction of new
+// dwelling") is classified by those works.
+
+export function classifyDescription(description: string) {
+    let text = normaliseDescription(description);
+    let isDemolition = DemolitionPattern.test(text);
+    if (isDemolition) {
+        let constructionMatch = ConstructionPattern.exec(text);
+        text = (constructionMatch === null) ? "" : text.substring(constructionMatch.index);
+    }
+    let category = Categories.find(category => category.pattern.test(text));
+    return (category !== undefined) ? category.category : (isDemolition ? "demolition" : "other");
+}
@@ -0,0 +1,49 @@
+// Unit tests for joinDescriptionLines, normaliseDescription and classifyDescription.  Each raw
+// description (as it is read from the lines of a register PDF) is joined, normalised and
+// classified, and the results are compared with the expected description and category.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const description_1 = require("./description");
+const DescriptionTests = [
+    { description: "Dwg and vdah", expected: "Dwelling and verandah", category: "dwelling" },
+    { description: "NEW SHED - CFS APPROVED", expected: "New shed - CFS approved", category: "outbuilding", comment: "acronyms are kept in capitals" },
+    { description: "DA FOR CWMS CONNECTION TO SA WATER MAIN", expected: "DA for CWMS connection to SA water main", category: "other" },
+    { description: "Land Div 1 into 2 - veran- dah", expected: "Land division 1 into 2 - verandah", category: "land division", comment: "a word broken at the end of a line is rejoined" },
+    { description: ["Swimming pool and", "and safety fence"], expected: "Swimming pool and safety fence", category: "outbuilding", comment: "a word repeated where two lines were joined is removed" },
+    { description: ["Signage for the Woy Woy", "Cafe"], expected: "Signage for the Woy Woy Cafe", category: "commercial", comment: "a word repeated within a line is kept" },
+    { description: "Ext to dwelling", expected: "Extension to dwelling", category: "dwelling" },
+    { description: "Ext. wall cladding and ext. painting", expected: "Ext. wall cladding and ext. painting", category: "other", comment: "\"ext\" is only expanded where it means an extension" },
+    { description: "Two- storey dwelling", expected: "Two-storey dwelling", category: "dwelling", comment: "a hyphenated word broken at the end of a line keeps its hyphen" },
+    { description: "Carport and lean- to", expected: "Carport and lean-to", category: "outbuilding" },
+    { description: "Lean- to", expected: "Lean-to", category: "outbuilding" },
+    { description: "Comm Title 1 into 2", expected: "Community title 1 into 2", category: "land division", comment: "\"Comm Title\" is a community title, not a commercial title" },
+    { description: "Change of use to comm premises", expected: "Change of use to commercial premises", category: "commercial" },
+    { description: "Demolition of dwelling", expected: "Demolition of dwelling", category: "demolition" },
+    { description: "Demo of shed and carport", expected: "Demolition of shed and carport", category: "demolition", comment: "a demolition without new works is a demolition" },
+    { description: "Demolish and replace dwelling", expected: "Demolish and replace dwelling", category: "dwelling", comment: "a demolition followed by new works is classified by those works" },
+    { description: "Demolition of existing shed and construction of new dwelling and garage", expected: "Demolition of existing shed and construction of new dwelling and garage", category: "dwelling" },
+    { description: "Boat ramp", expected: "Boat ramp", category: "other" }
+];
+// Joins, normalises and classifies every test description and reports any differences.
+function main() {
+    let differenceCount = 0;
+    for (let descriptionTest of DescriptionTests) {
+        let description = (typeof descriptionTest.description === "string") ? descriptionTest.description : description_1.joinDescriptionLines(descriptionTest.description);
+        let actual = description_1.normaliseDescription(description);
+        let actualCategory = description_1.classifyDescription(description);
+        if (actual !== descriptionTest.expected || actualCategory !== descriptionTest.category) {
+            differenceCount++;
+            console.log(`Description: ${JSON.stringify(descriptionTest.description)}${(descriptionTest.comment === undefined) ? "" : ` (${descriptionTest.comment})`}`);
+            console.log(`    Expected: "${descriptionTest.expected}" (${descriptionTest.category})`);
+            console.log(`    Actual:   "${actual}" (${actualCategory})`);
+        }
+    }
+    if (differenceCount > 0) {
+        console.log(`${differenceCount} of ${DescriptionTests.length} description(s) differ from their expected normalised description or category.`);
+        process.exitCode = 1;
+    }
+    else
+        console.log(`All ${DescriptionTests.length} description(s) match their expected normalised description and category.`);
+}
+main();
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZGVzY3JpcHRpb250ZXN0LmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiZGVzY3JpcHRpb250ZXN0LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLCtGQUErRjtBQUMvRix5RkFBeUY7QUFDekYsdUZBQXVGO0FBRXZGLFlBQVksQ0FBQzs7QUFFYiwrQ0FBZ0c7QUFjaEcsTUFBTSxnQkFBZ0IsR0FBc0I7SUFDeEMsRUFBRSxXQUFXLEVBQUUsY0FBYyxFQUFFLFFBQVEsRUFBRSx1QkFBdUIsRUFBRSxRQUFRLEVBQUUsVUFBVSxFQUFFO0lBQ3hGLEVBQUUsV0FBVyxFQUFFLHlCQUF5QixFQUFFLFFBQVEsRUFBRSx5QkFBeUIsRUFBRSxRQUFRLEVBQUUsYUFBYSxFQUFFLE9BQU8sRUFBRSwrQkFBK0IsRUFBRTtJQUNsSixFQUFFLFdBQVcsRUFBRSx5Q0FBeUMsRUFBRSxRQUFRLEVBQUUseUNBQXlDLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRTtJQUNsSSxFQUFFLFdBQVcsRUFBRSxnQ0FBZ0MsRUFBRSxRQUFRLEVBQUUsbUNBQW1DLEVBQUUsUUFBUSxFQUFFLGVBQWUsRUFBRSxPQUFPLEVBQUUsZ0RBQWdELEVBQUU7SUFDdEwsRUFBRSxXQUFXLEVBQUUsQ0FBRSxtQkFBbUIsRUFBRSxrQkFBa0IsQ0FBRSxFQUFFLFFBQVEsRUFBRSxnQ0FBZ0MsRUFBRSxRQUFRLEVBQUUsYUFBYSxFQUFFLE9BQU8sRUFBRSx3REFBd0QsRUFBRTtJQUNwTSxFQUFFLFdBQVcsRUFBRSxDQUFFLHlCQUF5QixFQUFFLE1BQU0sQ0FBRSxFQUFFLFFBQVEsRUFBRSw4QkFBOEIsRUFBRSxRQUFRLEVBQUUsWUFBWSxFQUFFLE9BQU8sRUFBRSx1Q0FBdUMsRUFBRTtJQUMxSyxFQUFFLFdBQVcsRUFBRSxpQkFBaUIsRUFBRSxRQUFRLEVBQUUsdUJBQXVCLEVBQUUsUUFBUSxFQUFFLFVBQVUsRUFBRTtJQUMzRixFQUFFLFdBQVcsRUFBRSxzQ0FBc0MsRUFBRSxRQUFRLEVBQUUsc0NBQXNDLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRSxPQUFPLEVBQUUsc0RBQXNELEVBQUU7SUFDN0wsRUFBRSxXQUFXLEVBQUUsc0JBQXNCLEVBQUUsUUFBUSxFQUFFLHFCQUFxQixFQUFFLFFBQVEsRUFBRSxVQUFVLEVBQUUsT0FBTyxFQUFFLGdFQUFnRSxFQUFFO0lBQ3pLLEVBQUUsV0FBVyxFQUFFLHNCQUFzQixFQUFFLFFBQVEsRUFBRSxxQkFBcUIsRUFBRSxRQUFRLEVBQUUsYUFBYSxFQUFFO0lBQ2pHLEVBQUUsV0FBVyxFQUFFLFVBQVUsRUFBRSxRQUFRLEVBQUUsU0FBUyxFQUFFLFFBQVEsRUFBRSxhQUFhLEVBQUU7SUFDekUsRUFBRSxXQUFXLEVBQUUscUJBQXFCLEVBQUUsUUFBUSxFQUFFLDBCQUEwQixFQUFFLFFBQVEsRUFBRSxlQUFlLEVBQUUsT0FBTyxFQUFFLDZEQUE2RCxFQUFFO0lBQy9LLEVBQUUsV0FBVyxFQUFFLGdDQUFnQyxFQUFFLFFBQVEsRUFBRSxzQ0FBc0MsRUFBRSxRQUFRLEVBQUUsWUFBWSxFQUFFO0lBQzNILEVBQUUsV0FBVyxFQUFFLHdCQUF3QixFQUFFLFFBQVEsRUFBRSx3QkFBd0IsRUFBRSxRQUFRLEVBQUUsWUFBWSxFQUFFO0lBQ3JHLEVBQUUsV0FBVyxFQUFFLDBCQUEwQixFQUFFLFFBQVEsRUFBRSxnQ0FBZ0MsRUFBRSxRQUFRLEVBQUUsWUFBWSxFQUFFLE9BQU8sRUFBRSxnREFBZ0QsRUFBRTtJQUMxSyxFQUFFLFdBQVcsRUFBRSwrQkFBK0IsRUFBRSxRQUFRLEVBQUUsK0JBQStCLEVBQUUsUUFBUSxFQUFFLFVBQVUsRUFBRSxPQUFPLEVBQUUsaUVBQWlFLEVBQUU7SUFDN0wsRUFBRSxXQUFXLEVBQUUseUVBQXlFLEVBQUUsUUFBUSxFQUFFLHlFQUF5RSxFQUFFLFFBQVEsRUFBRSxVQUFVLEVBQUU7SUFDck0sRUFBRSxXQUFXLEVBQUUsV0FBVyxFQUFFLFFBQVEsRUFBRSxXQUFXLEVBQUUsUUFBUSxFQUFFLE9BQU8sRUFBRTtDQUN6RSxDQUFDO0FBRUYsdUZBQXVGO0FBRXZGLFNBQVMsSUFBSTtJQUNULElBQUksZUFBZSxHQUFHLENBQUMsQ0FBQztJQUV4QixLQUFLLElBQUksZUFBZSxJQUFJLGdCQUFnQixFQUFFO1FBQzFDLElBQUksV0FBVyxHQUFHLENBQUMsT0FBTyxlQUFlLENBQUMsV0FBVyxLQUFLLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxlQUFlLENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxrQ0FBb0IsQ0FBQyxlQUFlLENBQUMsV0FBVyxDQUFDLENBQUM7UUFDdEosSUFBSSxNQUFNLEdBQUcsa0NBQW9CLENBQUMsV0FBVyxDQUFDLENBQUM7UUFDL0MsSUFBSSxjQUFjLEdBQUcsaUNBQW1CLENBQUMsV0FBVyxDQUFDLENBQUM7UUFDdEQsSUFBSSxNQUFNLEtBQUssZUFBZSxDQUFDLFFBQVEsSUFBSSxjQUFjLEtBQUssZUFBZSxDQUFDLFFBQVEsRUFBRTtZQUNwRixlQUFlLEVBQUUsQ0FBQztZQUNsQixPQUFPLENBQUMsR0FBRyxDQUFDLGdCQUFnQixJQUFJLENBQUMsU0FBUyxDQUFDLGVBQWUsQ0FBQyxXQUFXLENBQUMsR0FBRyxDQUFDLGVBQWUsQ0FBQyxPQUFPLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsS0FBSyxlQUFlLENBQUMsT0FBTyxHQUFHLEVBQUUsQ0FBQyxDQUFDO1lBQzVKLE9BQU8sQ0FBQyxHQUFHLENBQUMsa0JBQWtCLGVBQWUsQ0FBQyxRQUFRLE1BQU0sZUFBZSxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUM7WUFDekYsT0FBTyxDQUFDLEdBQUcsQ0FBQyxrQkFBa0IsTUFBTSxNQUFNLGNBQWMsR0FBRyxDQUFDLENBQUM7U0FDaEU7S0FDSjtJQUVELElBQUksZUFBZSxHQUFHLENBQUMsRUFBRTtRQUNyQixPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsZUFBZSxPQUFPLGdCQUFnQixDQUFDLE1BQU0sZ0ZBQWdGLENBQUMsQ0FBQztRQUM5SSxPQUFPLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQztLQUN4Qjs7UUFDRyxPQUFPLENBQUMsR0FBRyxDQUFDLE9BQU8sZ0JBQWdCLENBQUMsTUFBTSwyRUFBMkUsQ0FBQyxDQUFDO0FBQy9ILENBQUM7QUFFRCxJQUFJLEVBQUUsQ0FBQyJ9
\ No newline at end of file
@@ -0,0 +1,66 @@
+// Unit tests for joinDescriptionLines, normaliseDescription and classifyDescription.  Each raw
+// description (as it is read from the lines of a register PDF) is joined, normalised and
+// classified, and the results are compared with the expected description and category.
+
+"use strict";
+
+import { joinDescriptionLines, normaliseDescription, classifyDescription } from "./description";
+
+declare const process: any;
+
+// A raw description (or the lines of a raw description), the expected normalised description and
+// the expected category.
+
+interface DescriptionTest {
+    description: string | string[],
+    expected: string,
+    category: string,
+    comment?: string
+}
+
+const DescriptionTests: DescriptionTest[] = [
+    { description: "Dwg and vdah", expected: "Dwelling and verandah", category: "dwelling" },
+    { description: "NEW SHED - CFS APPROVED", expected: "New shed - CFS approved", category: "outbuilding", comment: "acronyms are kept in capitals" },
+    { description: "DA FOR CWMS CONNECTION TO SA WATER MAIN", expected: "DA for CWMS connection to SA water main", category: "other" },
+    { description: "Land Div 1 into 2 - veran- dah", expected: "Land division 1 into 2 - verandah", category: "land division", comment: "a word broken at the end of a line is rejoined" },
+    { description: [ "Swimming pool and", "and safety fence" ], expected: "Swimming pool and safety fence", category: "outbuilding", comment: "a word repeated where two lines were joined is removed" },
+    { description: [ "Signage for the Woy Woy", "Cafe" ], expected: "Signage for the Woy Woy Cafe", category: "commercial", comment: "a word repeated within a line is kept" },
+    { description: "Ext to dwelling", expected: "Extension to dwelling", category: "dwelling" },
+    { description: "Ext. wall cladding and ext. painting", expected: "Ext. wall cladding and ext. painting", category: "other", comment: "\"ext\" is only expanded where it means an extension" },
+    { description: "Two- storey dwelling", expected: "Two-storey dwelling", category: "dwelling", comment: "a hyphenated word broken at the end of a line keeps its hyphen" },
+    { description: "Carport and lean- to", expected: "Carport and lean-to", category: "outbuilding" },
+    { description: "Lean- to", expected: "Lean-to", category: "outbuilding" },
+    { description: "Comm Title 1 into 2", expected: "Community title 1 into 2", category: "land division", comment: "\"Comm Title\" is a community title, not a commercial title" },
+    { description: "Change of use to comm premises", expected: "Change of use to commercial premises", category: "commercial" },
+    { description: "Demolition of dwelling", expected: "Demolition of dwelling", category: "demolition" },
+    { description: "Demo of shed and carport", expected: "Demolition of shed and carport", category: "demolition", comment: "a demolition without new works is a demolition" },
+    { description: "Demolish and replace dwelling", expected: "Demolish and replace dwelling", category: "dwelling", comment: "a demolition followed by new works is classified by those works" },
+    { description: "Demolition of existing shed and construction of new dwelling and garage", expected: "Demolition of existing shed and construction of new dwelling and garage", category: "dwelling" },
+    { description: "Boat ramp", expected: "Boat ramp", category: "other" }
+];
+
+// Joins, normalises and classifies every test description and reports any differences.
+
+function main() {
+    let differenceCount = 0;
+
+    for (let descriptionTest of DescriptionTests) {
+        let description = (typeof descriptionTest.description === "string") ? descriptionTest.description : joinDescriptionLines(descriptionTest.description);
+        let actual = normaliseDescription(description);
+        let actualCategory = classifyDescription(description);
+        if (actual !== descriptionTest.expected || actualCategory !== descriptionTest.category) {
+            differenceCount++;
+            console.log(`Description: ${JSON.stringify(descriptionTest.description)}${(descriptionTest.comment === undefined) ? "" : ` (${descriptionTest.comment})`}`);
+            console.log(`    Expected: "${descriptionTest.expected}" (${descriptionTest.category})`);
+            console.log(`    Actual:   "${actual}" (${actualCategory})`);
+        }
+    }
+
+    if (differenceCount > 0) {
+        console.log(`${differenceCount} of ${DescriptionTests.length} description(s) differ from their expected normalised description or category.`);
+        process.exitCode = 1;
+    } else
+        console.log(`All ${DescriptionTests.length} description(s) match their expected normalised description and category.`);
+}
+
+main();
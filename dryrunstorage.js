@@ -0,0 +1,43 @@
+// A storage backend that saves nothing, instead printing the rows that would be saved (so that a
+// scrape can be tried out without modifying any database).  Every application is treated as new
+// and no PDF is treated as having been processed.
+"use strict";
+var __rest = (this && this.__rest) || function (s, e) {
+    var t = {};
+    for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
+        t[p] = s[p];
+    if (s != null && typeof Object.getOwnPropertySymbols === "function")
+        for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) if (e.indexOf(p[i]) < 0)
+            t[p[i]] = s[p[i]];
+    return t;
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const storage_1 = require("./storage");
+// Prints a row that would be saved to a table (as a single line of JSON).
+function printRow(table, row) {
+    console.log(`Dry run: [${table}] ${JSON.stringify(row)}`);
+}
+// Creates the dry run storage.
+function openDryRunStorage() {
+    return {
+        name: "nothing (dry run)",
+        savePdfResults: async (results) => {
+            for (let developmentApplication of results.developmentApplications)
+                printRow("data", storage_1.getDataRow(developmentApplication));
+            for (let rejectedApplication of results.rejectedApplications)
+                printRow("rejected", storage_1.getRejectedRow(rejectedApplication, results.scrapeDate));
+            printRow("processed_pdfs", { url: results.pdfUrl, date_processed: results.scrapeDate, application_count: results.developmentApplications.length, content_hash: results.contentHash });
+            return results.developmentApplications.map(developmentApplication => ({ change: "new", modifiedColumns: [] }));
+        },
+        isPdfProcessed: async (url) => false,
+        getProcessedPdfContentHash: async (url) => undefined,
+        saveRunReport: async (report) => {
+            let _a = storage_1.getRunRow(report), { report: json } = _a, row = __rest(_a, ["report"]); // the complete report is written to the run report file
+            printRow("runs", row);
+        },
+        getDataRows: async () => [],
+        close: async () => { }
+    };
+}
+exports.openDryRunStorage = openDryRunStorage;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZHJ5cnVuc3RvcmFnZS5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImRyeXJ1bnN0b3JhZ2UudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsaUdBQWlHO0FBQ2pHLGdHQUFnRztBQUNoRyxrREFBa0Q7QUFFbEQsWUFBWSxDQUFDOzs7Ozs7Ozs7OztBQUdiLHVDQUEwRztBQUUxRywwRUFBMEU7QUFFMUUsU0FBUyxRQUFRLENBQUMsS0FBYSxFQUFFLEdBQUc7SUFDaEMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxhQUFhLEtBQUssS0FBSyxJQUFJLENBQUMsU0FBUyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsQ0FBQztBQUM5RCxDQUFDO0FBRUQsK0JBQStCO0FBRS9CLFNBQWdCLGlCQUFpQjtJQUM3QixPQUFPO1FBQ0gsSUFBSSxFQUFFLG1CQUFtQjtRQUN6QixjQUFjLEVBQUUsS0FBSyxFQUFFLE9BQW1CLEVBQUUsRUFBRTtZQUMxQyxLQUFLLElBQUksc0JBQXNCLElBQUksT0FBTyxDQUFDLHVCQUF1QjtnQkFDOUQsUUFBUSxDQUFDLE1BQU0sRUFBRSxvQkFBVSxDQUFDLHNCQUFzQixDQUFDLENBQUMsQ0FBQztZQUN6RCxLQUFLLElBQUksbUJBQW1CLElBQUksT0FBTyxDQUFDLG9CQUFvQjtnQkFDeEQsUUFBUSxDQUFDLFVBQVUsRUFBRSx3QkFBYyxDQUFDLG1CQUFtQixFQUFFLE9BQU8sQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDO1lBQ2xGLFFBQVEsQ0FBQyxnQkFBZ0IsRUFBRSxFQUFFLEdBQUcsRUFBRSxPQUFPLENBQUMsTUFBTSxFQUFFLGNBQWMsRUFBRSxPQUFPLENBQUMsVUFBVSxFQUFFLGlCQUFpQixFQUFFLE9BQU8sQ0FBQyx1QkFBdUIsQ0FBQyxNQUFNLEVBQUUsWUFBWSxFQUFFLE9BQU8sQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDO1lBQ3RMLE9BQU8sT0FBTyxDQUFDLHVCQUF1QixDQUFDLEdBQUcsQ0FBQyxzQkFBc0IsQ0FBQyxFQUFFLENBQUMsQ0FBQyxFQUFFLE1BQU0sRUFBRSxLQUFLLEVBQUUsZUFBZSxFQUFFLEVBQUUsRUFBd0IsQ0FBQSxDQUFDLENBQUM7UUFDeEksQ0FBQztRQUNELGNBQWMsRUFBRSxLQUFLLEVBQUUsR0FBVyxFQUFFLEVBQUUsQ0FBQyxLQUFLO1FBQzVDLDBCQUEwQixFQUFFLEtBQUssRUFBRSxHQUFXLEVBQUUsRUFBRSxDQUFDLFNBQVM7UUFDNUQsYUFBYSxFQUFFLEtBQUssRUFBRSxNQUFpQixFQUFFLEVBQUU7WUFDdkMsSUFBSSxnQ0FBNEMsRUFBNUMsRUFBRSxNQUFNLEVBQUUsSUFBSSxPQUE4QixFQUE1Qiw0QkFBNEIsQ0FBQyxDQUFFLHdEQUF3RDtZQUMzRyxRQUFRLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxDQUFDO1FBQzFCLENBQUM7UUFDRCxXQUFXLEVBQUUsS0FBSyxJQUFJLEVBQUUsQ0FBQyxFQUFFO1FBQzNCLEtBQUssRUFBRSxLQUFLLElBQUksRUFBRSxHQUFFLENBQUM7S0FDeEIsQ0FBQztBQUNOLENBQUM7QUFwQkQsOENBb0JDIn0=
\ No newline at end of file
@@ -0,0 +1,38 @@
+// A storage backend that saves nothing, instead printing the rows that would be saved (so that a
+// scrape can be tried out without modifying any database).  Every application is treated as new
+// and no PDF is treated as having been processed.
+
+"use strict";
+
+import { RunReport } from "./report";
+import { Storage, PdfResults, ApplicationChange, getDataRow, getRejectedRow, getRunRow } from "./storage";
+
+// Prints a row that would be saved to a table (as a single line of JSON).
+
+function printRow(table: string, row) {
+    console.log(`Dry run: [${table}] ${JSON.stringify(row)}`);
+}
+
+// Creates the dry run storage.
+
+export function openDryRunStorage(): Storage {
+    return {
+        name: "nothing (dry run)",
+        savePdfResults: async (results: PdfResults) => {
+            for (let developmentApplication of results.developmentApplications)
+                printRow("data", getDataRow(developmentApplication));
+            for (let rejectedApplication of results.rejectedApplications)
+                printRow("rejected", getRejectedRow(rejectedApplication, results.scrapeDate));
+            printRow("processed_pdfs", { url: results.pdfUrl, date_processed: results.scrapeDate, application_count: results.developmentApplications.length, content_hash: results.contentHash });
+            return results.developmentApplications.map(developmentApplication => ({ change: "new", modifiedColumns: [] } as ApplicationChange));
+        },
+        isPdfProcessed: async (url: string) => false,
+        getProcessedPdfContentHash: async (url: string) => undefined,
+        saveRunReport: async (report: RunReport) => {
+            let { report: json, ...row } = getRunRow(report);  // the complete report is written to the run report file
+            printRow("runs", row);
+        },
+        getDataRows: async () => [],
+        close: async () => {}
+    };
+}
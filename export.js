@@ -0,0 +1,196 @@
+// Exports development applications (rows with the same columns as the [data] table) as CSV,
+// newline-delimited JSON or GeoJSON, and generates the suburb centroids used by the GeoJSON export
+// from a dataset of suburb boundaries.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const path = require("path");
+const moment = require("moment");
+// The approximate centre (latitude and longitude) of each suburb and each hundred.
+let SuburbCentroids = null;
+let HundredCentroids = null;
+// The suburb centroids file that is generated if the council configuration does not name one.
+const DefaultSuburbCentroidsFileName = "suburbcentroids.txt";
+// Reads the suburb centroids (from the suburb centroids file generated by generateSuburbCentroids,
+// ignoring the comment lines that record its source) and calculates the centroid of each hundred
+// (from the hundred names file) as the average of the centroids of the suburbs in that hundred.
+// An error is thrown if the council has no suburb centroids file.
+function loadCentroids(files) {
+    if (files.suburbCentroids === undefined)
+        throw new Error(`GeoJSON cannot be exported because the council configuration has no suburb centroids file (the "gazetteer.suburbCentroids" setting).  Generate one from a dataset of suburb boundaries using "node scraper.js generate-centroids".`);
+    if (!fs.existsSync(files.suburbCentroids))
+        throw new Error(`GeoJSON cannot be exported because the suburb centroids file "${files.suburbCentroids}" does not exist.  Generate it from a dataset of suburb boundaries using "node scraper.js generate-centroids".`);
+    SuburbCentroids = {};
+    for (let line of fs.readFileSync(files.suburbCentroids).toString().replace(/\r/g, "").trim().split("\n")) {
+        if (line.startsWith("#") || line.trim() === "")
+            continue;
+        let centroidTokens = line.toUpperCase().split(",");
+        SuburbCentroids[centroidTokens[0].trim()] = [Number(centroidTokens[1]), Number(centroidTokens[2])];
+    }
+    HundredCentroids = {};
+    for (let line of fs.readFileSync(files.hundredNames).toString().replace(/\r/g, "").trim().split("\n")) {
+        let hundredNameTokens = line.toUpperCase().split(",");
+        let centroids = hundredNameTokens[1].trim().split(";").map(suburbName => SuburbCentroids[suburbName.trim()]).filter(centroid => centroid !== undefined);
+        if (centroids.length > 0)
+            HundredCentroids[hundredNameTokens[0].trim()] = [
+                centroids.reduce((sum, centroid) => sum + centroid[0], 0) / centroids.length,
+                centroids.reduce((sum, centroid) => sum + centroid[1], 0) / centroids.length
+            ];
+    }
+}
+// Gets the approximate location of a row (the centroid of its suburb, otherwise the centroid of
+// its hundred) as a GeoJSON point, or null if neither centroid is known.
+function getGeometry(row) {
+    let centroid = SuburbCentroids[(row.suburb || "").toUpperCase()] || HundredCentroids[(row.hundred || "").toUpperCase()];
+    return (centroid === undefined) ? null : { type: "Point", coordinates: [centroid[1], centroid[0]] }; // GeoJSON uses longitude then latitude
+}
+// Quotes a CSV value (if necessary).
+function formatCsvValue(value) {
+    let text = (value === null || value === undefined) ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+// Formats rows as CSV (with a header line containing the column names).
+function formatCsv(rows) {
+    let columns = [];
+    for (let row of rows)
+        for (let column of Object.keys(row))
+            if (!columns.includes(column))
+                columns.push(column);
+    let lines = [columns.map(formatCsvValue).join(",")];
+    for (let row of rows)
+        lines.push(columns.map(column => formatCsvValue(row[column])).join(","));
+    return lines.join("\r\n") + "\r\n";
+}
+exports.formatCsv = formatCsv;
+// Formats rows as newline-delimited JSON (one object per line, using the same property names as
+// the PlanningAlerts columns of the [data] table).
+function formatNdjson(rows) {
+    return rows.map(row => JSON.stringify(row) + "\n").join("");
+}
+exports.formatNdjson = formatNdjson;
+// Formats rows as a GeoJSON feature collection (loadCentroids must be called first).
+function formatGeoJson(rows) {
+    return JSON.stringify({
+        type: "FeatureCollection",
+        features: rows.map(row => ({ type: "Feature", geometry: getGeometry(row), properties: row }))
+    }, null, 4) + "\n";
+}
+exports.formatGeoJson = formatGeoJson;
+// Writes rows to a file in the specified format ("csv", "ndjson" or "geojson").  If the format is
+// not specified then it is determined from the file extension.  The suburb centroids file of the
+// gazetteer files is only read when exporting GeoJSON.
+function exportRows(rows, fileName, files, format) {
+    if (format === undefined)
+        format = { ".csv": "csv", ".ndjson": "ndjson", ".jsonl": "ndjson", ".geojson": "geojson" }[path.extname(fileName).toLowerCase()];
+    let content = undefined;
+    if (format === "csv")
+        content = formatCsv(rows);
+    else if (format === "ndjson")
+        content = formatNdjson(rows);
+    else if (format === "geojson") {
+        loadCentroids(files);
+        content = formatGeoJson(rows);
+        let unlocatedCount = rows.filter(row => getGeometry(row) === null).length;
+        if (unlocatedCount > 0)
+            console.log(`Warning: ${unlocatedCount} of ${rows.length} development application(s) have no suburb or hundred centroid and were exported with a null geometry (run "node scraper.js validate-gazetteers" to list the suburbs that have no centroid).`);
+    }
+    else
+        throw new Error(`Unrecognised export format for the file "${fileName}" (use csv, ndjson or geojson).`);
+    fs.writeFileSync(fileName, content);
+    console.log(`Exported ${rows.length} development application(s) to ${fileName}.`);
+}
+exports.exportRows = exportRows;
+// Calculates the area and the centroid (the sum of the area-weighted centroids, which is divided
+// by the area to obtain the centroid) of the rings of a polygon, treating longitude and latitude
+// as plane coordinates (which is sufficiently accurate for an area the size of a suburb).  The
+// first ring is the outer boundary and any other rings are holes.
+function getPolygonMoments(rings) {
+    let moments = { area: 0, longitude: 0, latitude: 0 };
+    rings.forEach((ring, ringIndex) => {
+        let area = 0, longitude = 0, latitude = 0;
+        for (let index = 0; index < ring.length - 1; index++) {
+            let [x1, y1] = ring[index];
+            let [x2, y2] = ring[index + 1];
+            let cross = x1 * y2 - x2 * y1;
+            area += cross / 2;
+            longitude += (x1 + x2) * cross / 6;
+            latitude += (y1 + y2) * cross / 6;
+        }
+        let sign = ((area < 0) === (ringIndex === 0)) ? -1 : 1; // the outer ring adds and holes subtract (whatever their winding)
+        moments.area += sign * area;
+        moments.longitude += sign * longitude;
+        moments.latitude += sign * latitude;
+    });
+    return moments;
+}
+// Gets the name by which a suburb in a boundaries dataset is matched with the suburb names file
+// (for example, "MOUNT COOPER" for "Mount Cooper (SA)", where the state distinguishes suburbs of
+// the same name in different states).
+function getBoundaryName(name) {
+    return name.toUpperCase().replace(/\s*\([^)]*\)\s*$/, "").replace(/\s+/g, " ").trim();
+}
+// Calculates the centroid (latitude and longitude) of each of the named suburbs from a GeoJSON
+// feature collection of suburb boundaries (Polygon or MultiPolygon geometries), where the name of
+// each suburb is the value of the specified property.  Features for which the filter returns false
+// are ignored.  A suburb made up of several features has the combined centroid of those features.
+function getBoundaryCentroids(boundaries, nameProperty, suburbNames, filter = properties => true) {
+    let suburbMoments = {};
+    for (let feature of boundaries.features) {
+        let properties = feature.properties || {};
+        if (feature.geometry === null || typeof properties[nameProperty] !== "string" || !filter(properties))
+            continue;
+        let suburbName = getBoundaryName(properties[nameProperty]);
+        if (!suburbNames.includes(suburbName))
+            continue;
+        let polygons = (feature.geometry.type === "MultiPolygon") ? feature.geometry.coordinates : ((feature.geometry.type === "Polygon") ? [feature.geometry.coordinates] : []);
+        let moments = suburbMoments[suburbName] || (suburbMoments[suburbName] = { area: 0, longitude: 0, latitude: 0 });
+        for (let polygon of polygons) {
+            let polygonMoments = getPolygonMoments(polygon);
+            moments.area += polygonMoments.area;
+            moments.longitude += polygonMoments.longitude;
+            moments.latitude += polygonMoments.latitude;
+        }
+    }
+    let centroids = {};
+    for (let suburbName of Object.keys(suburbMoments)) {
+        let moments = suburbMoments[suburbName];
+        if (moments.area > 0)
+            centroids[suburbName] = [moments.latitude / moments.area, moments.longitude / moments.area];
+    }
+    return centroids;
+}
+exports.getBoundaryCentroids = getBoundaryCentroids;
+// Generates the suburb centroids file of a council (by default, suburbcentroids.txt if the council
+// configuration has no suburb centroids file) from a GeoJSON file of suburb boundaries (for
+// example, the ABS "Suburbs and Localities" boundaries converted to GeoJSON), with a centroid for
+// each suburb in the suburb names file.  The source (the name and licence of the dataset) is
+// recorded in the header of the file.  The filter is a "property=value" condition (for example,
+// "STE_NAME21=South Australia") that selects the features of the council's state.  Returns the
+// names of any suburbs that were not found in the boundaries.
+function generateSuburbCentroids(files, boundariesFileName, source, nameProperty, filter) {
+    let fileName = files.suburbCentroids || DefaultSuburbCentroidsFileName;
+    let suburbNames = [];
+    for (let line of fs.readFileSync(files.suburbNames).toString().replace(/\r/g, "").trim().split("\n")) {
+        let suburbName = (line.toUpperCase().split(",")[1] || "").trim().replace(/\s+[A-Z]+\s+\d\d\d\d$/, ""); // the full name (for example, "MOUNT COOPER" for "MT COOPER")
+        if (suburbName !== "" && !suburbNames.includes(suburbName))
+            suburbNames.push(suburbName);
+    }
+    let filterMatch = (filter === undefined) ? undefined : /^([^=]+)=(.*)$/.exec(filter);
+    if (filter !== undefined && filterMatch === null)
+        throw new Error(`The filter "${filter}" is not of the form "property=value".`);
+    let boundaries = JSON.parse(fs.readFileSync(boundariesFileName).toString());
+    let centroids = getBoundaryCentroids(boundaries, nameProperty, suburbNames, (filterMatch === undefined) ? undefined : (properties => String(properties[filterMatch[1]]) === filterMatch[2]));
+    let lines = [
+        `# The approximate centre (latitude and longitude) of each suburb in ${path.basename(files.suburbNames)}, generated by`,
+        `# "node scraper.js generate-centroids" on ${moment().format("YYYY-MM-DD")} from ${path.basename(boundariesFileName)}.`,
+        `# Source: ${source}`,
+        ...Object.keys(centroids).sort().map(suburbName => `${suburbName},${centroids[suburbName][0].toFixed(5)},${centroids[suburbName][1].toFixed(5)}`)
+    ];
+    fs.writeFileSync(fileName, lines.join("\n") + "\n");
+    console.log(`Wrote the centroids of ${Object.keys(centroids).length} of ${suburbNames.length} suburb(s) to ${fileName}.`);
+    if (files.suburbCentroids === undefined)
+        console.log(`Add "suburbCentroids": "${fileName}" to the "gazetteer" settings of the council configuration to use these centroids when exporting GeoJSON.`);
+    return suburbNames.filter(suburbName => centroids[suburbName] === undefined);
+}
+exports.generateSuburbCentroids = generateSuburbCentroids;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZXhwb3J0LmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiZXhwb3J0LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLDRGQUE0RjtBQUM1RixtR0FBbUc7QUFDbkcsdUNBQXVDO0FBRXZDLFlBQVksQ0FBQzs7QUFFYix5QkFBeUI7QUFDekIsNkJBQTZCO0FBQzdCLGlDQUFpQztBQUdqQyxtRkFBbUY7QUFFbkYsSUFBSSxlQUFlLEdBQWlELElBQUksQ0FBQztBQUN6RSxJQUFJLGdCQUFnQixHQUFrRCxJQUFJLENBQUM7QUFFM0UsOEZBQThGO0FBRTlGLE1BQU0sOEJBQThCLEdBQUcscUJBQXFCLENBQUM7QUFFN0QsbUdBQW1HO0FBQ25HLGlHQUFpRztBQUNqRyxnR0FBZ0c7QUFDaEcsa0VBQWtFO0FBRWxFLFNBQVMsYUFBYSxDQUFDLEtBQXFCO0lBQ3hDLElBQUksS0FBSyxDQUFDLGVBQWUsS0FBSyxTQUFTO1FBQ25DLE1BQU0sSUFBSSxLQUFLLENBQUMsb09BQW9PLENBQUMsQ0FBQztJQUMxUCxJQUFJLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxLQUFLLENBQUMsZUFBZSxDQUFDO1FBQ3JDLE1BQU0sSUFBSSxLQUFLLENBQUMsaUVBQWlFLEtBQUssQ0FBQyxlQUFlLGdIQUFnSCxDQUFDLENBQUM7SUFFNU4sZUFBZSxHQUFHLEVBQUUsQ0FBQztJQUNyQixLQUFLLElBQUksSUFBSSxJQUFJLEVBQUUsQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLGVBQWUsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFFO1FBQ3RHLElBQUksSUFBSSxDQUFDLFVBQVUsQ0FBQyxHQUFHLENBQUMsSUFBSSxJQUFJLENBQUMsSUFBSSxFQUFFLEtBQUssRUFBRTtZQUMxQyxTQUFTO1FBQ2IsSUFBSSxjQUFjLEdBQUcsSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUNuRCxlQUFlLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEdBQUcsQ0FBRSxNQUFNLENBQUMsY0FBYyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsTUFBTSxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFFLENBQUM7S0FDeEc7SUFFRCxnQkFBZ0IsR0FBRyxFQUFFLENBQUM7SUFDdEIsS0FBSyxJQUFJLElBQUksSUFBSSxFQUFFLENBQUMsWUFBWSxDQUFDLEtBQUssQ0FBQyxZQUFZLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsRUFBRTtRQUNuRyxJQUFJLGlCQUFpQixHQUFHLElBQUksQ0FBQyxXQUFXLEVBQUUsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDdEQsSUFBSSxTQUFTLEdBQUcsaUJBQWlCLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxVQUFVLENBQUMsRUFBRSxDQUFDLGVBQWUsQ0FBQyxVQUFVLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLFFBQVEsS0FBSyxTQUFTLENBQUMsQ0FBQztRQUN4SixJQUFJLFNBQVMsQ0FBQyxNQUFNLEdBQUcsQ0FBQztZQUNwQixnQkFBZ0IsQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxHQUFHO2dCQUM1QyxTQUFTLENBQUMsTUFBTSxDQUFDLENBQUMsR0FBRyxFQUFFLFFBQVEsRUFBRSxFQUFFLENBQUMsR0FBRyxHQUFHLFFBQVEsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsTUFBTTtnQkFDNUUsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEdBQUcsRUFBRSxRQUFRLEVBQUUsRUFBRSxDQUFDLEdBQUcsR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLE1BQU07YUFDL0UsQ0FBQztLQUNUO0FBQ0wsQ0FBQztBQUVELGdHQUFnRztBQUNoRyx5RUFBeUU7QUFFekUsU0FBUyxXQUFXLENBQUMsR0FBRztJQUNwQixJQUFJLFFBQVEsR0FBRyxlQUFlLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxJQUFJLEVBQUUsQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDLElBQUksZ0JBQWdCLENBQUMsQ0FBQyxHQUFHLENBQUMsT0FBTyxJQUFJLEVBQUUsQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDLENBQUM7SUFDeEgsT0FBTyxDQUFDLFFBQVEsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsV0FBVyxFQUFFLENBQUUsUUFBUSxDQUFDLENBQUMsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBRSxFQUFFLENBQUMsQ0FBRSx1Q0FBdUM7QUFDbkosQ0FBQztBQUVELHFDQUFxQztBQUVyQyxTQUFTLGNBQWMsQ0FBQyxLQUFLO0lBQ3pCLElBQUksSUFBSSxHQUFHLENBQUMsS0FBSyxLQUFLLElBQUksSUFBSSxLQUFLLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ3hFLE9BQU8sVUFBVSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxJQUFJLENBQUMsT0FBTyxDQUFDLElBQUksRUFBRSxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUM7QUFDNUUsQ0FBQztBQUVELHdFQUF3RTtBQUV4RSxTQUFnQixTQUFTLENBQUMsSUFBVztJQUNqQyxJQUFJLE9BQU8sR0FBYSxFQUFFLENBQUM7SUFDM0IsS0FBSyxJQUFJLEdBQUcsSUFBSSxJQUFJO1FBQ2hCLEtBQUssSUFBSSxNQUFNLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUM7WUFDL0IsSUFBSSxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDO2dCQUN6QixPQUFPLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBRWpDLElBQUksS0FBSyxHQUFHLENBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxjQUFjLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUUsQ0FBQztJQUN0RCxLQUFLLElBQUksR0FBRyxJQUFJLElBQUk7UUFDaEIsS0FBSyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsY0FBYyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDN0UsT0FBTyxLQUFLLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxHQUFHLE1BQU0sQ0FBQztBQUN2QyxDQUFDO0FBWEQsOEJBV0M7QUFFRCxnR0FBZ0c7QUFDaEcsbURBQW1EO0FBRW5ELFNBQWdCLFlBQVksQ0FBQyxJQUFXO0lBQ3BDLE9BQU8sSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsR0FBRyxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO0FBQ2hFLENBQUM7QUFGRCxvQ0FFQztBQUVELHFGQUFxRjtBQUVyRixTQUFnQixhQUFhLENBQUMsSUFBVztJQUNyQyxPQUFPLElBQUksQ0FBQyxTQUFTLENBQUM7UUFDbEIsSUFBSSxFQUFFLG1CQUFtQjtRQUN6QixRQUFRLEVBQUUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUMsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLFFBQVEsRUFBRSxXQUFXLENBQUMsR0FBRyxDQUFDLEVBQUUsVUFBVSxFQUFFLEdBQUcsRUFBRSxDQUFDLENBQUM7S0FDaEcsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDO0FBQ3ZCLENBQUM7QUFMRCxzQ0FLQztBQUVELGtHQUFrRztBQUNsRyxpR0FBaUc7QUFDakcsdURBQXVEO0FBRXZELFNBQWdCLFVBQVUsQ0FBQyxJQUFXLEVBQUUsUUFBZ0IsRUFBRSxLQUFxQixFQUFFLE1BQWU7SUFDNUYsSUFBSSxNQUFNLEtBQUssU0FBUztRQUNwQixNQUFNLEdBQUcsRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLFNBQVMsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxVQUFVLEVBQUUsU0FBUyxFQUFFLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQyxXQUFXLEVBQUUsQ0FBQyxDQUFDO0lBRXJJLElBQUksT0FBTyxHQUFHLFNBQVMsQ0FBQztJQUN4QixJQUFJLE1BQU0sS0FBSyxLQUFLO1FBQ2hCLE9BQU8sR0FBRyxTQUFTLENBQUMsSUFBSSxDQUFDLENBQUM7U0FDekIsSUFBSSxNQUFNLEtBQUssUUFBUTtRQUN4QixPQUFPLEdBQUcsWUFBWSxDQUFDLElBQUksQ0FBQyxDQUFDO1NBQzVCLElBQUksTUFBTSxLQUFLLFNBQVMsRUFBRTtRQUMzQixhQUFhLENBQUMsS0FBSyxDQUFDLENBQUM7UUFDckIsT0FBTyxHQUFHLGFBQWEsQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUM5QixJQUFJLGNBQWMsR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsV0FBVyxDQUFDLEdBQUcsQ0FBQyxLQUFLLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQztRQUMxRSxJQUFJLGNBQWMsR0FBRyxDQUFDO1lBQ2xCLE9BQU8sQ0FBQyxHQUFHLENBQUMsWUFBWSxjQUFjLE9BQU8sSUFBSSxDQUFDLE1BQU0sOExBQThMLENBQUMsQ0FBQztLQUMvUDs7UUFFRyxNQUFNLElBQUksS0FBSyxDQUFDLDRDQUE0QyxRQUFRLGlDQUFpQyxDQUFDLENBQUM7SUFFM0csRUFBRSxDQUFDLGFBQWEsQ0FBQyxRQUFRLEVBQUUsT0FBTyxDQUFDLENBQUM7SUFDcEMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxZQUFZLElBQUksQ0FBQyxNQUFNLGtDQUFrQyxRQUFRLEdBQUcsQ0FBQyxDQUFDO0FBQ3RGLENBQUM7QUFyQkQsZ0NBcUJDO0FBRUQsaUdBQWlHO0FBQ2pHLGlHQUFpRztBQUNqRywrRkFBK0Y7QUFDL0Ysa0VBQWtFO0FBRWxFLFNBQVMsaUJBQWlCLENBQUMsS0FBbUI7SUFDMUMsSUFBSSxPQUFPLEdBQUcsRUFBRSxJQUFJLEVBQUUsQ0FBQyxFQUFFLFNBQVMsRUFBRSxDQUFDLEVBQUUsUUFBUSxFQUFFLENBQUMsRUFBRSxDQUFDO0lBQ3JELEtBQUssQ0FBQyxPQUFPLENBQUMsQ0FBQyxJQUFJLEVBQUUsU0FBUyxFQUFFLEVBQUU7UUFDOUIsSUFBSSxJQUFJLEdBQUcsQ0FBQyxFQUFFLFNBQVMsR0FBRyxDQUFDLEVBQUUsUUFBUSxHQUFHLENBQUMsQ0FBQztRQUMxQyxLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLEdBQUcsSUFBSSxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUUsS0FBSyxFQUFFLEVBQUU7WUFDbEQsSUFBSSxDQUFFLEVBQUUsRUFBRSxFQUFFLENBQUUsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLENBQUM7WUFDN0IsSUFBSSxDQUFFLEVBQUUsRUFBRSxFQUFFLENBQUUsR0FBRyxJQUFJLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxDQUFDO1lBQ2pDLElBQUksS0FBSyxHQUFHLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxHQUFHLEVBQUUsQ0FBQztZQUM5QixJQUFJLElBQUksS0FBSyxHQUFHLENBQUMsQ0FBQztZQUNsQixTQUFTLElBQUksQ0FBQyxFQUFFLEdBQUcsRUFBRSxDQUFDLEdBQUcsS0FBSyxHQUFHLENBQUMsQ0FBQztZQUNuQyxRQUFRLElBQUksQ0FBQyxFQUFFLEdBQUcsRUFBRSxDQUFDLEdBQUcsS0FBSyxHQUFHLENBQUMsQ0FBQztTQUNyQztRQUNELElBQUksSUFBSSxHQUFHLENBQUMsQ0FBQyxJQUFJLEdBQUcsQ0FBQyxDQUFDLEtBQUssQ0FBQyxTQUFTLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFFLGtFQUFrRTtRQUMzSCxPQUFPLENBQUMsSUFBSSxJQUFJLElBQUksR0FBRyxJQUFJLENBQUM7UUFDNUIsT0FBTyxDQUFDLFNBQVMsSUFBSSxJQUFJLEdBQUcsU0FBUyxDQUFDO1FBQ3RDLE9BQU8sQ0FBQyxRQUFRLElBQUksSUFBSSxHQUFHLFFBQVEsQ0FBQztJQUN4QyxDQUFDLENBQUMsQ0FBQztJQUNILE9BQU8sT0FBTyxDQUFDO0FBQ25CLENBQUM7QUFFRCxnR0FBZ0c7QUFDaEcsaUdBQWlHO0FBQ2pHLHNDQUFzQztBQUV0QyxTQUFTLGVBQWUsQ0FBQyxJQUFZO0lBQ2pDLE9BQU8sSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxrQkFBa0IsRUFBRSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDO0FBQzFGLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0Ysa0dBQWtHO0FBQ2xHLG1HQUFtRztBQUNuRyxrR0FBa0c7QUFFbEcsU0FBZ0Isb0JBQW9CLENBQUMsVUFBVSxFQUFFLFlBQW9CLEVBQUUsV0FBcUIsRUFBRSxTQUFrQyxVQUFVLENBQUMsRUFBRSxDQUFDLElBQUk7SUFDOUksSUFBSSxhQUFhLEdBQW9GLEVBQUUsQ0FBQztJQUN4RyxLQUFLLElBQUksT0FBTyxJQUFJLFVBQVUsQ0FBQyxRQUFRLEVBQUU7UUFDckMsSUFBSSxVQUFVLEdBQUcsT0FBTyxDQUFDLFVBQVUsSUFBSSxFQUFFLENBQUM7UUFDMUMsSUFBSSxPQUFPLENBQUMsUUFBUSxLQUFLLElBQUksSUFBSSxPQUFPLFVBQVUsQ0FBQyxZQUFZLENBQUMsS0FBSyxRQUFRLElBQUksQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDO1lBQ2hHLFNBQVM7UUFDYixJQUFJLFVBQVUsR0FBRyxlQUFlLENBQUMsVUFBVSxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUM7UUFDM0QsSUFBSSxDQUFDLFdBQVcsQ0FBQyxRQUFRLENBQUMsVUFBVSxDQUFDO1lBQ2pDLFNBQVM7UUFFYixJQUFJLFFBQVEsR0FBRyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsSUFBSSxLQUFLLGNBQWMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsSUFBSSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFFLE9BQU8sQ0FBQyxRQUFRLENBQUMsV0FBVyxDQUFFLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDO1FBQzNLLElBQUksT0FBTyxHQUFHLGFBQWEsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLGFBQWEsQ0FBQyxVQUFVLENBQUMsR0FBRyxFQUFFLElBQUksRUFBRSxDQUFDLEVBQUUsU0FBUyxFQUFFLENBQUMsRUFBRSxRQUFRLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUNoSCxLQUFLLElBQUksT0FBTyxJQUFJLFFBQVEsRUFBRTtZQUMxQixJQUFJLGNBQWMsR0FBRyxpQkFBaUIsQ0FBQyxPQUFPLENBQUMsQ0FBQztZQUNoRCxPQUFPLENBQUMsSUFBSSxJQUFJLGNBQWMsQ0FBQyxJQUFJLENBQUM7WUFDcEMsT0FBTyxDQUFDLFNBQVMsSUFBSSxjQUFjLENBQUMsU0FBUyxDQUFDO1lBQzlDLE9BQU8sQ0FBQyxRQUFRLElBQUksY0FBYyxDQUFDLFFBQVEsQ0FBQztTQUMvQztLQUNKO0lBRUQsSUFBSSxTQUFTLEdBQWlELEVBQUUsQ0FBQztJQUNqRSxLQUFLLElBQUksVUFBVSxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLEVBQUU7UUFDL0MsSUFBSSxPQUFPLEdBQUcsYUFBYSxDQUFDLFVBQVUsQ0FBQyxDQUFDO1FBQ3hDLElBQUksT0FBTyxDQUFDLElBQUksR0FBRyxDQUFDO1lBQ2hCLFNBQVMsQ0FBQyxVQUFVLENBQUMsR0FBRyxDQUFFLE9BQU8sQ0FBQyxRQUFRLEdBQUcsT0FBTyxDQUFDLElBQUksRUFBRSxPQUFPLENBQUMsU0FBUyxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUUsQ0FBQztLQUNyRztJQUNELE9BQU8sU0FBUyxDQUFDO0FBQ3JCLENBQUM7QUEzQkQsb0RBMkJDO0FBRUQsbUdBQW1HO0FBQ25HLDRGQUE0RjtBQUM1RixrR0FBa0c7QUFDbEcsNkZBQTZGO0FBQzdGLGdHQUFnRztBQUNoRywrRkFBK0Y7QUFDL0YsOERBQThEO0FBRTlELFNBQWdCLHVCQUF1QixDQUFDLEtBQXFCLEVBQUUsa0JBQTBCLEVBQUUsTUFBYyxFQUFFLFlBQW9CLEVBQUUsTUFBZTtJQUM1SSxJQUFJLFFBQVEsR0FBRyxLQUFLLENBQUMsZUFBZSxJQUFJLDhCQUE4QixDQUFDO0lBQ3ZFLElBQUksV0FBVyxHQUFhLEVBQUUsQ0FBQztJQUMvQixLQUFLLElBQUksSUFBSSxJQUFJLEVBQUUsQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLFdBQVcsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxFQUFFO1FBQ2xHLElBQUksVUFBVSxHQUFHLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLENBQUMsdUJBQXVCLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBRSw4REFBOEQ7UUFDdEssSUFBSSxVQUFVLEtBQUssRUFBRSxJQUFJLENBQUMsV0FBVyxDQUFDLFFBQVEsQ0FBQyxVQUFVLENBQUM7WUFDdEQsV0FBVyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsQ0FBQztLQUNwQztJQUVELElBQUksV0FBVyxHQUFHLENBQUMsTUFBTSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLGdCQUFnQixDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUNyRixJQUFJLE1BQU0sS0FBSyxTQUFTLElBQUksV0FBVyxLQUFLLElBQUk7UUFDNUMsTUFBTSxJQUFJLEtBQUssQ0FBQyxlQUFlLE1BQU0sd0NBQXdDLENBQUMsQ0FBQztJQUNuRixJQUFJLFVBQVUsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsa0JBQWtCLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDO0lBQzVFLElBQUksU0FBUyxHQUFHLG9CQUFvQixDQUFDLFVBQVUsRUFBRSxZQUFZLEVBQUUsV0FBVyxFQUFFLENBQUMsV0FBVyxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLFdBQVcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEtBQUssV0FBVyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUU3TCxJQUFJLEtBQUssR0FBRztRQUNSLHVFQUF1RSxJQUFJLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxXQUFXLENBQUMsZ0JBQWdCO1FBQ3ZILDZDQUE2QyxNQUFNLEVBQUUsQ0FBQyxNQUFNLENBQUMsWUFBWSxDQUFDLFNBQVMsSUFBSSxDQUFDLFFBQVEsQ0FBQyxrQkFBa0IsQ0FBQyxHQUFHO1FBQ3ZILGFBQWEsTUFBTSxFQUFFO1FBQ3JCLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxHQUFHLFVBQVUsSUFBSSxTQUFTLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxJQUFJLFNBQVMsQ0FBQyxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztLQUNwSixDQUFDO0lBQ0YsRUFBRSxDQUFDLGFBQWEsQ0FBQyxRQUFRLEVBQUUsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztJQUNwRCxPQUFPLENBQUMsR0FBRyxDQUFDLDBCQUEwQixNQUFNLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLE1BQU0sT0FBTyxXQUFXLENBQUMsTUFBTSxpQkFBaUIsUUFBUSxHQUFHLENBQUMsQ0FBQztJQUMxSCxJQUFJLEtBQUssQ0FBQyxlQUFlLEtBQUssU0FBUztRQUNuQyxPQUFPLENBQUMsR0FBRyxDQUFDLDJCQUEyQixRQUFRLDJHQUEyRyxDQUFDLENBQUM7SUFDaEssT0FBTyxXQUFXLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLFVBQVUsQ0FBQyxLQUFLLFNBQVMsQ0FBQyxDQUFDO0FBQ2pGLENBQUM7QUExQkQsMERBMEJDIn0=
\ No newline at end of file
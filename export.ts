@@ -0,0 +1,226 @@
+// Exports development applications (rows with the same columns as the [data] table) as CSV,
+// newline-delimited JSON or GeoJSON, and generates the suburb centroids used by the GeoJSON export
+// from a dataset of suburb boundaries.
+
+"use strict";
+
+import * as fs from "fs";
+import * as path from "path";
+import * as moment from "moment";
+import { GazetteerFiles } from "./gazetteer";
+
+// The approximate centre (latitude and longitude) of each suburb and each hundred.
+
+let SuburbCentroids: { [suburbName: string]: [ number, number ] } = null;
+let HundredCentroids: { [hundredName: string]: [ number, number ] } = null;
+
+// The suburb centroids file that is generated if the council configuration does not name one.
+
+const DefaultSuburbCentroidsFileName = "suburbcentroids.txt";
+
+// Reads the suburb centroids (from the suburb centroids file generated by generateSuburbCentroids,
+// ignoring the comment lines that record its source) and calculates the centroid of each hundred
+// (from the hundred names file) as the average of the centroids of the suburbs in that hundred.
+// An error is thrown if the council has no suburb centroids file.
+
+function loadCentroids(files: GazetteerFiles) {
+    if (files.suburbCentroids === undefined)
+        throw new Error(`GeoJSON cannot be exported because the council configuration has no suburb centroids file (the "gazetteer.suburbCentroids" setting).  Generate one from a dataset of suburb boundaries using "node scraper.js generate-centroids".`);
+    if (!fs.existsSync(files.suburbCentroids))
+        throw new Error(`GeoJSON cannot be exported because the suburb centroids file "${files.suburbCentroids}" does not exist.  Generate it from a dataset of suburb boundaries using "node scraper.js generate-centroids".`);
+
+    SuburbCentroids = {};
+    for (let line of fs.readFileSync(files.suburbCentroids).toString().replace(/\r/g, "").trim().split("\n")) {
+        if (line.startsWith("#") || line.trim() === "")
+            continue;
+        let centroidTokens = line.toUpperCase().split(",");
+        SuburbCentroids[centroidTokens[0].trim()] = [ Number(centroidTokens[1]), Number(centroidTokens[2]) ];
+    }
+
+    HundredCentroids = {};
+    for (let line of fs.readFileSync(files.hundredNames).toString().replace(/\r/g, "").trim().split("\n")) {
+        let hundredNameTokens = line.toUpperCase().split(",");
+        let centroids = hundredNameTokens[1].trim().split(";").map(suburbName => SuburbCentroids[suburbName.trim()]).filter(centroid => centroid !== undefined);
+        if (centroids.length > 0)
+            HundredCentroids[hundredNameTokens[0].trim()] = [
+                centroids.reduce((sum, centroid) => sum + centroid[0], 0) / centroids.length,
+                centroids.reduce((sum, centroid) => sum + centroid[1], 0) / centroids.length
+            ];
+    }
+}
+
+// Gets the approximate location of a row (the centroid of its suburb, otherwise the centroid of
+// its hundred) as a GeoJSON point, or null if neither centroid is known.
+
+function getGeometry(row) {
+    let centroid = SuburbCentroids[(row.suburb || "").toUpperCase()] || HundredCentroids[(row.hundred || "").toUpperCase()];
+    return (centroid === undefined) ? null : { type: "Point", coordinates: [ centroid[1], centroid[0] ] };  // GeoJSON uses longitude then latitude
+}
+
+// Quotes a CSV value (if necessary).
+
+function formatCsvValue(value) {
+    let text = (value === null || value === undefined) ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+// Formats rows as CSV (with a header line containing the column names).
+
+export function formatCsv(rows: any[]) {
+    let columns: string[] = [];
+    for (let row of rows)
+        for (let column of Object.keys(row))
+            if (!columns.includes(column))
+                columns.push(column);
+
+    let lines = [ columns.map(formatCsvValue).join(",") ];
+    for (let row of rows)
+        lines.push(columns.map(column => formatCsvValue(row[column])).join(","));
+    return lines.join("\r\n") + "\r\n";
+}
+
+// Formats rows as newline-delimited JSON (one object per line, using the same property names as
+// the PlanningAlerts columns of the [data] table).
+
+export function formatNdjson(rows: any[]) {
+    return rows.map(row => JSON.stringify(row) + "\n").join("");
+}
+
+// Formats rows as a GeoJSON feature collection (loadCentroids must be called first).
+
+export function formatGeoJson(rows: any[]) {
+    return JSON.stringify({
+        type: "FeatureCollection",
+        features: rows.map(row => ({ type: "Feature", geometry: getGeometry(row), properties: row }))
+    }, null, 4) + "\n";
+}
+
+// Writes rows to a file in the specified format ("csv", "ndjson" or "geojson").  If the format is
+// not specified then it is determined from the file extension.  The suburb centroids file of the
+// gazetteer files is only read when exporting GeoJSON.
+
+export function exportRows(rows: any[], fileName: string, files: GazetteerFiles, format?: string) {
+    if (format === undefined)
+        format = { ".csv": "csv", ".ndjson": "ndjson", ".jsonl": "ndjson", ".geojson": "geojson" }[path.extname(fileName).toLowerCase()];
+
+    let content = undefined;
+    if (format === "csv")
+        content = formatCsv(rows);
+    else if (format === "ndjson")
+        content = formatNdjson(rows);
+    else if (format === "geojson") {
+        loadCentroids(files);
+        content = formatGeoJson(rows);
+        let unlocatedCount = rows.filter(row => getGeometry(row) === null).length;
+        if (unlocatedCount > 0)
+            console.log(`Warning: ${unlocatedCount} of ${rows.length} development application(s) have no suburb or hundred centroid and were exported with a null geometry (run "node scraper.js validate-gazetteers" to list the suburbs that have no centroid).`);
+    }
+    else
+        throw new Error(`Unrecognised export format for the file "${fileName}" (use csv, ndjson or geojson).`);
+
+    fs.writeFileSync(fileName, content);
+    console.log(`Exported ${rows.length} development application(s) to ${fileName}.`);
+}
+
+// Calculates the area and the centroid (the sum of the area-weighted centroids, which is divided
+// by the area to obtain the centroid) of the rings of a polygon, treating longitude and latitude
+// as plane coordinates (which is sufficiently accurate for an area the size of a suburb).  The
+// first ring is the outer boundary and any other rings are holes.
+
+function getPolygonMoments(rings: number[][][]) {
+    let moments = { area: 0, longitude: 0, latitude: 0 };
+    rings.forEach((ring, ringIndex) => {
+        let area = 0, longitude = 0, latitude = 0;
+        for (let index = 0; index < ring.length - 1; index++) {
+            let [ x1, y1 ] = ring[index];
+            let [ x2, y2 ] = ring[index + 1];
+            let cross = x1 * y2 - x2 * y1;
+            area += cross / 2;
+            longitude += (x1 + x2) * cross / 6;
+            latitude += (y1 + y2) * cross / 6;
+        }
+        let sign = ((area < 0) === (ringIndex === 0)) ? -1 : 1;  // the outer ring adds and holes subtract (whatever their winding)
+        moments.area += sign * area;
+        moments.longitude += sign * longitude;
+        moments.latitude += sign * latitude;
+    });
+    return moments;
+}
+
+// Gets the name by which a suburb in a boundaries dataset is matched with the suburb names file
+// (for example, "MOUNT COOPER" for "Mount Cooper (SA)", where the state distinguishes suburbs of
+// the same name in different states).
+
+function getBoundaryName(name: string) {
+    return name.toUpperCase().replace(/\s*\([^)]*\)\s*$/, "").replace(/\s+/g, " ").trim();
+}
+
+// Calculates the centroid (latitude and longitude) of each of the named suburbs from a GeoJSON
+// feature collection of suburb boundaries (Polygon or MultiPolygon geometries), where the name of
+// each suburb is the value of the specified property.  Features for which the filter returns false
+// are ignored.  A suburb made up of several features has the combined centroid of those features.
+
+export function getBoundaryCentroids(boundaries, nameProperty: string, suburbNames: string[], filter: (properties) => boolean = properties => true) {
+    let suburbMoments: { [suburbName: string]: { area: number, longitude: number, latitude: number } } = {};
+    for (let feature of boundaries.features) {
+        let properties = feature.properties || {};
+        if (feature.geometry === null || typeof properties[nameProperty] !== "string" || !filter(properties))
+            continue;
+        let suburbName = getBoundaryName(properties[nameProperty]);
+        if (!suburbNames.includes(suburbName))
+            continue;
+
+        let polygons = (feature.geometry.type === "MultiPolygon") ? feature.geometry.coordinates : ((feature.geometry.type === "Polygon") ? [ feature.geometry.coordinates ] : []);
+        let moments = suburbMoments[suburbName] || (suburbMoments[suburbName] = { area: 0, longitude: 0, latitude: 0 });
+        for (let polygon of polygons) {
+            let polygonMoments = getPolygonMoments(polygon);
+            moments.area += polygonMoments.area;
+            moments.longitude += polygonMoments.longitude;
+            moments.latitude += polygonMoments.latitude;
+        }
+    }
+
+    let centroids: { [suburbName: string]: [ number, number ] } = {};
+    for (let suburbName of Object.keys(suburbMoments)) {
+        let moments = suburbMoments[suburbName];
+        if (moments.area > 0)
+            centroids[suburbName] = [ moments.latitude / moments.area, moments.longitude / moments.area ];
+    }
+    return centroids;
+}
+
+// Generates the suburb centroids file of a council (by default, suburbcentroids.txt if the council
+// configuration has no suburb centroids file) from a GeoJSON file of suburb boundaries (for
+// example, the ABS "Suburbs and Localities" boundaries converted to GeoJSON), with a centroid for
+// each suburb in the suburb names file.  The source (the name and licence of the dataset) is
+// recorded in the header of the file.  The filter is a "property=value" condition (for example,
+// "STE_NAME21=South Australia") that selects the features of the council's state.  Returns the
+// names of any suburbs that were not found in the boundaries.
+
+export function generateSuburbCentroids(files: GazetteerFiles, boundariesFileName: string, source: string, nameProperty: string, filter?: string) {
+    let fileName = files.suburbCentroids || DefaultSuburbCentroidsFileName;
+    let suburbNames: string[] = [];
+    for (let line of fs.readFileSync(files.suburbNames).toString().replace(/\r/g, "").trim().split("\n")) {
+        let suburbName = (line.toUpperCase().split(",")[1] || "").trim().replace(/\s+[A-Z]+\s+\d\d\d\d$/, "");  // the full name (for example, "MOUNT COOPER" for "MT COOPER")
+        if (suburbName !== "" && !suburbNames.includes(suburbName))
+            suburbNames.push(suburbName);
+    }
+
+    let filterMatch = (filter === undefined) ? undefined : /^([^=]+)=(.*)$/.exec(filter);
+    if (filter !== undefined && filterMatch === null)
+        throw new Error(`The filter "${filter}" is not of the form "property=value".`);
+    let boundaries = JSON.parse(fs.readFileSync(boundariesFileName).toString());
+    let centroids = getBoundaryCentroids(boundaries, nameProperty, suburbNames, (filterMatch === undefined) ? undefined : (properties => String(properties[filterMatch[1]]) === filterMatch[2]));
+
+    let lines = [
+        `# The approximate centre (latitude and longitude) of each suburb in ${path.basename(files.suburbNames)}, generated by`,
+        `# "node scraper.js generate-centroids" on ${moment().format("YYYY-MM-DD")} from ${path.basename(boundariesFileName)}.`,
+        `# Source: ${source}`,
+        ...Object.keys(centroids).sort().map(suburbName => `${suburbName},${centroids[suburbName][0].toFixed(5)},${centroids[suburbName][1].toFixed(5)}`)
+    ];
+    fs.writeFileSync(fileName, lines.join("\n") + "\n");
+    console.log(`Wrote the centroids of ${Object.keys(centroids).length} of ${suburbNames.length} suburb(s) to ${fileName}.`);
+    if (files.suburbCentroids === undefined)
+        console.log(`Add "suburbCentroids": "${fileName}" to the "gazetteer" settings of the council configuration to use these centroids when exporting GeoJSON.`);
+    return suburbNames.filter(suburbName => centroids[suburbName] === undefined);
+}
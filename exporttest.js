@@ -0,0 +1,62 @@
+// Unit tests for the suburb centroids calculated from a dataset of suburb boundaries (see
+// getBoundaryCentroids in export.ts): the centroid of a polygon, of a polygon with a hole and of
+// a suburb made up of several polygons, and the matching of the suburb names.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const export_1 = require("./export");
+// Creates the rectangle with the specified corners as the rings of a polygon (the outer boundary
+// is anticlockwise).
+function createRectangle(west, south, east, north) {
+    return [[west, south], [east, south], [east, north], [west, north], [west, south]];
+}
+// Creates a suburb boundary feature with the properties of the ABS Suburbs and Localities.
+function createFeature(name, state, geometry) {
+    return { type: "Feature", properties: { SAL_NAME21: name, STE_NAME21: state }, geometry: geometry };
+}
+// The suburb boundaries.  "Mount Cooper (SA)" has the state appended (as in the ABS Suburbs and
+// Localities, where suburbs of the same name exist in other states) and "Haslam" has the same name
+// in another state (which is ignored by the filter).
+const Boundaries = {
+    type: "FeatureCollection",
+    features: [
+        createFeature("Streaky Bay", "South Australia", { type: "Polygon", coordinates: [createRectangle(134, -33, 135, -32)] }),
+        createFeature("Mount Cooper (SA)", "South Australia", { type: "Polygon", coordinates: [createRectangle(134, -34, 138, -33), createRectangle(136, -34, 138, -33).reverse()] }),
+        createFeature("Poochera", "South Australia", { type: "MultiPolygon", coordinates: [[createRectangle(134, -33, 135, -32)], [createRectangle(136, -33, 137, -32).reverse()]] }),
+        createFeature("Haslam", "South Australia", { type: "Polygon", coordinates: [createRectangle(134, -33, 135, -32)] }),
+        createFeature("Haslam", "Victoria", { type: "Polygon", coordinates: [createRectangle(144, -38, 145, -37)] }),
+        createFeature("Adelaide", "South Australia", { type: "Polygon", coordinates: [createRectangle(138, -35, 139, -34)] })
+    ]
+};
+// Formats a centroid (latitude and longitude) to three decimal places.
+function formatCentroid(centroid) {
+    return (centroid === undefined) ? "none" : `${centroid[0].toFixed(3)},${centroid[1].toFixed(3)}`;
+}
+const Centroids = export_1.getBoundaryCentroids(Boundaries, "SAL_NAME21", ["STREAKY BAY", "MOUNT COOPER", "POOCHERA", "HASLAM", "CALCA"], properties => properties.STE_NAME21 === "South Australia");
+const ExportTests = [
+    { name: "The centroid of a polygon", actual: formatCentroid(Centroids["STREAKY BAY"]), expected: "-32.500,134.500" },
+    { name: "The centroid of a polygon with a hole (the state is removed from the name)", actual: formatCentroid(Centroids["MOUNT COOPER"]), expected: "-33.500,135.000" },
+    { name: "The centroid of a suburb made up of several polygons (wound in either direction)", actual: formatCentroid(Centroids["POOCHERA"]), expected: "-32.500,135.500" },
+    { name: "A suburb of the same name in another state is ignored", actual: formatCentroid(Centroids["HASLAM"]), expected: "-32.500,134.500" },
+    { name: "A suburb without a boundary has no centroid", actual: formatCentroid(Centroids["CALCA"]), expected: "none" },
+    { name: "Only the suburbs in the suburb names have centroids", actual: Object.keys(Centroids).sort().join(", "), expected: "HASLAM, MOUNT COOPER, POOCHERA, STREAKY BAY" }
+];
+// Runs every test and reports any differences.
+function main() {
+    let differenceCount = 0;
+    for (let exportTest of ExportTests) {
+        if (exportTest.actual !== exportTest.expected) {
+            differenceCount++;
+            console.log(`Test: ${exportTest.name}`);
+            console.log(`    Expected: ${JSON.stringify(exportTest.expected)}`);
+            console.log(`    Actual:   ${JSON.stringify(exportTest.actual)}`);
+        }
+    }
+    if (differenceCount > 0) {
+        console.log(`${differenceCount} of ${ExportTests.length} export test(s) failed.`);
+        process.exitCode = 1;
+    }
+    else
+        console.log(`All ${ExportTests.length} export test(s) passed.`);
+}
+main();
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZXhwb3J0dGVzdC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImV4cG9ydHRlc3QudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsMEZBQTBGO0FBQzFGLGlHQUFpRztBQUNqRyw4RUFBOEU7QUFFOUUsWUFBWSxDQUFDOztBQUViLHFDQUFnRDtBQVloRCxpR0FBaUc7QUFDakcscUJBQXFCO0FBRXJCLFNBQVMsZUFBZSxDQUFDLElBQVksRUFBRSxLQUFhLEVBQUUsSUFBWSxFQUFFLEtBQWE7SUFDN0UsT0FBTyxDQUFFLENBQUUsSUFBSSxFQUFFLEtBQUssQ0FBRSxFQUFFLENBQUUsSUFBSSxFQUFFLEtBQUssQ0FBRSxFQUFFLENBQUUsSUFBSSxFQUFFLEtBQUssQ0FBRSxFQUFFLENBQUUsSUFBSSxFQUFFLEtBQUssQ0FBRSxFQUFFLENBQUUsSUFBSSxFQUFFLEtBQUssQ0FBRSxDQUFFLENBQUM7QUFDbkcsQ0FBQztBQUVELDJGQUEyRjtBQUUzRixTQUFTLGFBQWEsQ0FBQyxJQUFZLEVBQUUsS0FBYSxFQUFFLFFBQVE7SUFDeEQsT0FBTyxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsVUFBVSxFQUFFLEVBQUUsVUFBVSxFQUFFLElBQUksRUFBRSxVQUFVLEVBQUUsS0FBSyxFQUFFLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxDQUFDO0FBQ3hHLENBQUM7QUFFRCxnR0FBZ0c7QUFDaEcsbUdBQW1HO0FBQ25HLHFEQUFxRDtBQUVyRCxNQUFNLFVBQVUsR0FBRztJQUNmLElBQUksRUFBRSxtQkFBbUI7SUFDekIsUUFBUSxFQUFFO1FBQ04sYUFBYSxDQUFDLGFBQWEsRUFBRSxpQkFBaUIsRUFBRSxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsV0FBVyxFQUFFLENBQUUsZUFBZSxDQUFDLEdBQUcsRUFBRSxDQUFDLEVBQUUsRUFBRSxHQUFHLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBRSxFQUFFLENBQUM7UUFDMUgsYUFBYSxDQUFDLG1CQUFtQixFQUFFLGlCQUFpQixFQUFFLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxXQUFXLEVBQUUsQ0FBRSxlQUFlLENBQUMsR0FBRyxFQUFFLENBQUMsRUFBRSxFQUFFLEdBQUcsRUFBRSxDQUFDLEVBQUUsQ0FBQyxFQUFFLGVBQWUsQ0FBQyxHQUFHLEVBQUUsQ0FBQyxFQUFFLEVBQUUsR0FBRyxFQUFFLENBQUMsRUFBRSxDQUFDLENBQUMsT0FBTyxFQUFFLENBQUUsRUFBRSxDQUFDO1FBQy9LLGFBQWEsQ0FBQyxVQUFVLEVBQUUsaUJBQWlCLEVBQUUsRUFBRSxJQUFJLEVBQUUsY0FBYyxFQUFFLFdBQVcsRUFBRSxDQUFFLENBQUUsZUFBZSxDQUFDLEdBQUcsRUFBRSxDQUFDLEVBQUUsRUFBRSxHQUFHLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBRSxFQUFFLENBQUUsZUFBZSxDQUFDLEdBQUcsRUFBRSxDQUFDLEVBQUUsRUFBRSxHQUFHLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQyxPQUFPLEVBQUUsQ0FBRSxDQUFFLEVBQUUsQ0FBQztRQUNuTCxhQUFhLENBQUMsUUFBUSxFQUFFLGlCQUFpQixFQUFFLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxXQUFXLEVBQUUsQ0FBRSxlQUFlLENBQUMsR0FBRyxFQUFFLENBQUMsRUFBRSxFQUFFLEdBQUcsRUFBRSxDQUFDLEVBQUUsQ0FBQyxDQUFFLEVBQUUsQ0FBQztRQUNySCxhQUFhLENBQUMsUUFBUSxFQUFFLFVBQVUsRUFBRSxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsV0FBVyxFQUFFLENBQUUsZUFBZSxDQUFDLEdBQUcsRUFBRSxDQUFDLEVBQUUsRUFBRSxHQUFHLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBRSxFQUFFLENBQUM7UUFDOUcsYUFBYSxDQUFDLFVBQVUsRUFBRSxpQkFBaUIsRUFBRSxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsV0FBVyxFQUFFLENBQUUsZUFBZSxDQUFDLEdBQUcsRUFBRSxDQUFDLEVBQUUsRUFBRSxHQUFHLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBRSxFQUFFLENBQUM7S0FDMUg7Q0FDSixDQUFDO0FBRUYsdUVBQXVFO0FBRXZFLFNBQVMsY0FBYyxDQUFDLFFBQTRCO0lBQ2hELE9BQU8sQ0FBQyxRQUFRLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxJQUFJLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztBQUNyRyxDQUFDO0FBRUQsTUFBTSxTQUFTLEdBQUcsNkJBQW9CLENBQUMsVUFBVSxFQUFFLFlBQVksRUFBRSxDQUFFLGFBQWEsRUFBRSxjQUFjLEVBQUUsVUFBVSxFQUFFLFFBQVEsRUFBRSxPQUFPLENBQUUsRUFBRSxVQUFVLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxVQUFVLEtBQUssaUJBQWlCLENBQUMsQ0FBQztBQUU5TCxNQUFNLFdBQVcsR0FBaUI7SUFDOUIsRUFBRSxJQUFJLEVBQUUsMkJBQTJCLEVBQUUsTUFBTSxFQUFFLGNBQWMsQ0FBQyxTQUFTLENBQUMsYUFBYSxDQUFDLENBQUMsRUFBRSxRQUFRLEVBQUUsaUJBQWlCLEVBQUU7SUFDcEgsRUFBRSxJQUFJLEVBQUUsNEVBQTRFLEVBQUUsTUFBTSxFQUFFLGNBQWMsQ0FBQyxTQUFTLENBQUMsY0FBYyxDQUFDLENBQUMsRUFBRSxRQUFRLEVBQUUsaUJBQWlCLEVBQUU7SUFDdEssRUFBRSxJQUFJLEVBQUUsa0ZBQWtGLEVBQUUsTUFBTSxFQUFFLGNBQWMsQ0FBQyxTQUFTLENBQUMsVUFBVSxDQUFDLENBQUMsRUFBRSxRQUFRLEVBQUUsaUJBQWlCLEVBQUU7SUFDeEssRUFBRSxJQUFJLEVBQUUsdURBQXVELEVBQUUsTUFBTSxFQUFFLGNBQWMsQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLENBQUMsRUFBRSxRQUFRLEVBQUUsaUJBQWlCLEVBQUU7SUFDM0ksRUFBRSxJQUFJLEVBQUUsNkNBQTZDLEVBQUUsTUFBTSxFQUFFLGNBQWMsQ0FBQyxTQUFTLENBQUMsT0FBTyxDQUFDLENBQUMsRUFBRSxRQUFRLEVBQUUsTUFBTSxFQUFFO0lBQ3JILEVBQUUsSUFBSSxFQUFFLHFEQUFxRCxFQUFFLE1BQU0sRUFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDLElBQUksRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxRQUFRLEVBQUUsNkNBQTZDLEVBQUU7Q0FDN0ssQ0FBQztBQUVGLCtDQUErQztBQUUvQyxTQUFTLElBQUk7SUFDVCxJQUFJLGVBQWUsR0FBRyxDQUFDLENBQUM7SUFFeEIsS0FBSyxJQUFJLFVBQVUsSUFBSSxXQUFXLEVBQUU7UUFDaEMsSUFBSSxVQUFVLENBQUMsTUFBTSxLQUFLLFVBQVUsQ0FBQyxRQUFRLEVBQUU7WUFDM0MsZUFBZSxFQUFFLENBQUM7WUFDbEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxTQUFTLFVBQVUsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDO1lBQ3hDLE9BQU8sQ0FBQyxHQUFHLENBQUMsaUJBQWlCLElBQUksQ0FBQyxTQUFTLENBQUMsVUFBVSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsQ0FBQztZQUNwRSxPQUFPLENBQUMsR0FBRyxDQUFDLGlCQUFpQixJQUFJLENBQUMsU0FBUyxDQUFDLFVBQVUsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLENBQUM7U0FDckU7S0FDSjtJQUVELElBQUksZUFBZSxHQUFHLENBQUMsRUFBRTtRQUNyQixPQUFPLENBQUMsR0FBRyxDQUFDLEdBQUcsZUFBZSxPQUFPLFdBQVcsQ0FBQyxNQUFNLHlCQUF5QixDQUFDLENBQUM7UUFDbEYsT0FBTyxDQUFDLFFBQVEsR0FBRyxDQUFDLENBQUM7S0FDeEI7O1FBQ0csT0FBTyxDQUFDLEdBQUcsQ0FBQyxPQUFPLFdBQVcsQ0FBQyxNQUFNLHlCQUF5QixDQUFDLENBQUM7QUFDeEUsQ0FBQztBQUVELElBQUksRUFBRSxDQUFDIn0=
\ No newline at end of file
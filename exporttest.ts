@@ -0,0 +1,86 @@
+// Unit tests for the suburb centroids calculated from a dataset of suburb boundaries (see
+// getBoundaryCentroids in export.ts): the centroid of a polygon, of a polygon with a hole and of
+// a suburb made up of several polygons, and the matching of the suburb names.
+
+"use strict";
+
+import { getBoundaryCentroids } from "./export";
+
+declare const process: any;
+
+// A test: a description and the actual and expected results.
+
+interface ExportTest {
+    name: string,
+    actual: any,
+    expected: any
+}
+
+// Creates the rectangle with the specified corners as the rings of a polygon (the outer boundary
+// is anticlockwise).
+
+function createRectangle(west: number, south: number, east: number, north: number) {
+    return [ [ west, south ], [ east, south ], [ east, north ], [ west, north ], [ west, south ] ];
+}
+
+// Creates a suburb boundary feature with the properties of the ABS Suburbs and Localities.
+
+function createFeature(name: string, state: string, geometry) {
+    return { type: "Feature", properties: { SAL_NAME21: name, STE_NAME21: state }, geometry: geometry };
+}
+
+// The suburb boundaries.  "Mount Cooper (SA)" has the state appended (as in the ABS Suburbs and
+// Localities, where suburbs of the same name exist in other states) and "Haslam" has the same name
+// in another state (which is ignored by the filter).
+
+const Boundaries = {
+    type: "FeatureCollection",
+    features: [
+        createFeature("Streaky Bay", "South Australia", { type: "Polygon", coordinates: [ createRectangle(134, -33, 135, -32) ] }),
+        createFeature("Mount Cooper (SA)", "South Australia", { type: "Polygon", coordinates: [ createRectangle(134, -34, 138, -33), createRectangle(136, -34, 138, -33).reverse() ] }),
+        createFeature("Poochera", "South Australia", { type: "MultiPolygon", coordinates: [ [ createRectangle(134, -33, 135, -32) ], [ createRectangle(136, -33, 137, -32).reverse() ] ] }),
+        createFeature("Haslam", "South Australia", { type: "Polygon", coordinates: [ createRectangle(134, -33, 135, -32) ] }),
+        createFeature("Haslam", "Victoria", { type: "Polygon", coordinates: [ createRectangle(144, -38, 145, -37) ] }),
+        createFeature("Adelaide", "South Australia", { type: "Polygon", coordinates: [ createRectangle(138, -35, 139, -34) ] })
+    ]
+};
+
+// Formats a centroid (latitude and longitude) to three decimal places.
+
+function formatCentroid(centroid: [ number, number ]) {
+    return (centroid === undefined) ? "none" : `${centroid[0].toFixed(3)},${centroid[1].toFixed(3)}`;
+}
+
+const Centroids = getBoundaryCentroids(Boundaries, "SAL_NAME21", [ "STREAKY BAY", "MOUNT COOPER", "POOCHERA", "HASLAM", "CALCA" ], properties => properties.STE_NAME21 === "South Australia");
+
+const ExportTests: ExportTest[] = [
+    { name: "The centroid of a polygon", actual: formatCentroid(Centroids["STREAKY BAY"]), expected: "-32.500,134.500" },
+    { name: "The centroid of a polygon with a hole (the state is removed from the name)", actual: formatCentroid(Centroids["MOUNT COOPER"]), expected: "-33.500,135.000" },
+    { name: "The centroid of a suburb made up of several polygons (wound in either direction)", actual: formatCentroid(Centroids["POOCHERA"]), expected: "-32.500,135.500" },
+    { name: "A suburb of the same name in another state is ignored", actual: formatCentroid(Centroids["HASLAM"]), expected: "-32.500,134.500" },
+    { name: "A suburb without a boundary has no centroid", actual: formatCentroid(Centroids["CALCA"]), expected: "none" },
+    { name: "Only the suburbs in the suburb names have centroids", actual: Object.keys(Centroids).sort().join(", "), expected: "HASLAM, MOUNT COOPER, POOCHERA, STREAKY BAY" }
+];
+
+// Runs every test and reports any differences.
+
+function main() {
+    let differenceCount = 0;
+
+    for (let exportTest of ExportTests) {
+        if (exportTest.actual !== exportTest.expected) {
+            differenceCount++;
+            console.log(`Test: ${exportTest.name}`);
+            console.log(`    Expected: ${JSON.stringify(exportTest.expected)}`);
+            console.log(`    Actual:   ${JSON.stringify(exportTest.actual)}`);
+        }
+    }
+
+    if (differenceCount > 0) {
+        console.log(`${differenceCount} of ${ExportTests.length} export test(s) failed.`);
+        process.exitCode = 1;
+    } else
+        console.log(`All ${ExportTests.length} export test(s) passed.`);
+}
+
+main();
@@ -0,0 +1,195 @@
+// Loads and validates the gazetteer files of a council (the street names, street suffixes,
+// suburb names and hundred names) and finds the closest matching names.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const didyoumean2_1 = require("didyoumean2"), didyoumean = didyoumean2_1;
+// The maximum number of spelling errors (the edit distance) allowed when matching a name.
+const MaximumEditDistance = 1;
+// Corrections with a confidence below this are reported as low-confidence corrections (for
+// example, "WOODS WELL ROAD" corrected to "WOODS BELL ROAD" has a confidence of 1 - 1/4 = 0.75
+// because one of the four letters of the corrected word was changed).
+exports.LowConfidenceThreshold = 0.85;
+// All valid street names (and the suburbs of each street), street suffixes, suburb names and
+// hundred names (and the suburbs of each hundred).
+let StreetNames = null;
+let StreetSuffixes = null;
+let SuburbNames = null;
+let HundredNames = null;
+// Reads the lines of a gazetteer file, splitting each line into exactly two upper case fields
+// (for example, "STREAKY BAY" and "STREAKY BAY SA 5680").  Malformed lines are reported and
+// skipped.
+function readGazetteerFile(fileName, issues) {
+    let entries = [];
+    let lines = fs.readFileSync(fileName).toString().replace(/\r/g, "").split("\n");
+    for (let index = 0; index < lines.length; index++) {
+        if (lines[index].trim() === "")
+            continue;
+        let tokens = lines[index].toUpperCase().split(",").map(token => token.trim());
+        if (tokens.length !== 2 || tokens[0] === "" || tokens[1] === "")
+            issues.push({ fileName: fileName, lineNumber: index + 1, message: `Malformed line "${lines[index]}" (expected two comma separated values).` });
+        else
+            entries.push({ lineNumber: index + 1, key: tokens[0], value: tokens[1] });
+    }
+    return entries;
+}
+// Reads the files containing all possible street names, street suffixes, suburb names and
+// hundred names.  This must be called before parseAddress.  Returns (and logs) any malformed
+// lines, duplicate names and references to unknown suburbs.
+function loadGazetteers(files) {
+    let issues = [];
+    SuburbNames = {};
+    for (let entry of readGazetteerFile(files.suburbNames, issues)) {
+        if (SuburbNames[entry.key] !== undefined)
+            issues.push({ fileName: files.suburbNames, lineNumber: entry.lineNumber, message: `Duplicate suburb name "${entry.key}".` });
+        else if (!/^.*?\s+[A-Z]+\s+\d\d\d\d$/.test(entry.value))
+            issues.push({ fileName: files.suburbNames, lineNumber: entry.lineNumber, message: `The suburb "${entry.value}" is not of the form "SUBURB STATE POSTCODE".` });
+        else
+            SuburbNames[entry.key] = entry.value;
+    }
+    StreetNames = {};
+    for (let entry of readGazetteerFile(files.streetNames, issues)) {
+        let suburbNames = StreetNames[entry.key] || (StreetNames[entry.key] = []); // several suburbs may exist for the same street name
+        if (suburbNames.includes(entry.value))
+            issues.push({ fileName: files.streetNames, lineNumber: entry.lineNumber, message: `Duplicate street name "${entry.key}" in the suburb "${entry.value}".` });
+        else {
+            if (SuburbNames[entry.value] === undefined)
+                issues.push({ fileName: files.streetNames, lineNumber: entry.lineNumber, message: `The street "${entry.key}" refers to the suburb "${entry.value}" which is not in ${files.suburbNames}.` });
+            suburbNames.push(entry.value);
+        }
+    }
+    StreetSuffixes = {};
+    for (let entry of readGazetteerFile(files.streetSuffixes, issues)) {
+        if (StreetSuffixes[entry.key] !== undefined)
+            issues.push({ fileName: files.streetSuffixes, lineNumber: entry.lineNumber, message: `Duplicate street suffix "${entry.key}".` });
+        else
+            StreetSuffixes[entry.key] = entry.value;
+    }
+    HundredNames = {};
+    for (let entry of readGazetteerFile(files.hundredNames, issues)) {
+        if (HundredNames[entry.key] !== undefined) {
+            issues.push({ fileName: files.hundredNames, lineNumber: entry.lineNumber, message: `Duplicate hundred name "${entry.key}".` });
+            continue;
+        }
+        HundredNames[entry.key] = entry.value.split(";").map(suburbName => suburbName.trim()).filter(suburbName => suburbName !== "");
+        for (let suburbName of HundredNames[entry.key])
+            if (SuburbNames[suburbName] === undefined)
+                issues.push({ fileName: files.hundredNames, lineNumber: entry.lineNumber, message: `The hundred "${entry.key}" refers to the suburb "${suburbName}" which is not in ${files.suburbNames}.` });
+    }
+    for (let issue of issues)
+        console.log(`Gazetteer issue in ${issue.fileName} (line ${issue.lineNumber}): ${issue.message}`);
+    return issues;
+}
+exports.loadGazetteers = loadGazetteers;
+// Reads the suburb centroids file (a suburb name, latitude and longitude on each line after the
+// comment lines that record its source, as used by the GeoJSON export, see export.ts) and returns
+// (and logs) any malformed lines and any suburb in the suburb names file that has no centroid.
+// This must be called after loadGazetteers.  Nothing is checked if the council has no suburb
+// centroids file.
+function validateSuburbCentroids(files) {
+    let issues = [];
+    if (files.suburbCentroids === undefined)
+        return issues;
+    if (!fs.existsSync(files.suburbCentroids)) {
+        issues.push({ fileName: files.suburbCentroids, lineNumber: 0, message: "The suburb centroids file does not exist." });
+        console.log(`Gazetteer issue in ${files.suburbCentroids}: The suburb centroids file does not exist.`);
+        return issues;
+    }
+    let centroidSuburbNames = [];
+    let lines = fs.readFileSync(files.suburbCentroids).toString().replace(/\r/g, "").split("\n");
+    for (let index = 0; index < lines.length; index++) {
+        if (lines[index].trim() === "" || lines[index].startsWith("#"))
+            continue;
+        let tokens = lines[index].toUpperCase().split(",").map(token => token.trim());
+        if (tokens.length !== 3 || tokens[0] === "" || tokens.slice(1).some(token => token === "" || isNaN(Number(token))))
+            issues.push({ fileName: files.suburbCentroids, lineNumber: index + 1, message: `Malformed line "${lines[index]}" (expected a suburb name, a latitude and a longitude).` });
+        else if (centroidSuburbNames.includes(tokens[0]))
+            issues.push({ fileName: files.suburbCentroids, lineNumber: index + 1, message: `Duplicate suburb centroid "${tokens[0]}".` });
+        else
+            centroidSuburbNames.push(tokens[0]);
+    }
+    // Suburbs are located by their full names (for example, "MOUNT COOPER" for the alternative
+    // name "MT COOPER").
+    let reportedSuburbNames = [];
+    for (let entry of readGazetteerFile(files.suburbNames, [])) {
+        let suburbName = entry.value.replace(/\s+[A-Z]+\s+\d\d\d\d$/, "");
+        if (!centroidSuburbNames.includes(suburbName) && !reportedSuburbNames.includes(suburbName)) {
+            issues.push({ fileName: files.suburbNames, lineNumber: entry.lineNumber, message: `The suburb "${suburbName}" has no centroid in ${files.suburbCentroids} (applications in that suburb would be exported with a null geometry).` });
+            reportedSuburbNames.push(suburbName);
+        }
+    }
+    for (let issue of issues)
+        console.log(`Gazetteer issue in ${issue.fileName} (line ${issue.lineNumber}): ${issue.message}`);
+    return issues;
+}
+exports.validateSuburbCentroids = validateSuburbCentroids;
+// Calculates the edit distance (the number of single character insertions, deletions and
+// substitutions) between two strings.
+function getEditDistance(text1, text2) {
+    let previousRow = Array.from({ length: text2.length + 1 }, (value, index) => index);
+    for (let index1 = 1; index1 <= text1.length; index1++) {
+        let row = [index1];
+        for (let index2 = 1; index2 <= text2.length; index2++)
+            row.push(Math.min(previousRow[index2] + 1, row[index2 - 1] + 1, previousRow[index2 - 1] + ((text1[index1 - 1] === text2[index2 - 1]) ? 0 : 1)));
+        previousRow = row;
+    }
+    return previousRow[text2.length];
+}
+// Finds the closest name to the specified text (allowing for a few spelling errors), returning
+// undefined if there is no sufficiently close name.
+function findName(text, names) {
+    let name = didyoumean2_1.default(text, names, { caseSensitive: false, returnType: didyoumean.ReturnTypeEnums.FIRST_CLOSEST_MATCH, thresholdType: didyoumean.ThresholdTypeEnums.EDIT_DISTANCE, threshold: MaximumEditDistance, trimSpaces: true });
+    if (name === null)
+        return undefined;
+    text = text.trim().replace(/\s\s+/g, " ").toUpperCase();
+    let distance = getEditDistance(text, name);
+    // Only count the lengths of the words that were corrected (so that correcting a short word
+    // within a long name, such as "WELL" to "BELL", is not treated as a minor correction).
+    let words = text.split(" ");
+    let nameWords = name.split(" ");
+    let correctedLength = (words.length === nameWords.length) ? nameWords.filter((nameWord, index) => nameWord !== words[index]).reduce((length, nameWord) => length + nameWord.length, 0) : name.length;
+    return { name: name, distance: distance, confidence: (distance === 0) ? 1 : Math.max(0, 1 - distance / Math.max(correctedLength, 1)) };
+}
+// Finds the closest street name (for example, "BELL ROAD" for "Bel RD" after the suffix has been
+// expanded).
+function findStreetName(text) {
+    return findName(text, Object.keys(StreetNames));
+}
+exports.findStreetName = findStreetName;
+// Finds the closest suburb name (for example, "STREAKY BAY" for "Streaky Bey").
+function findSuburbName(text) {
+    return findName(text, Object.keys(SuburbNames));
+}
+exports.findSuburbName = findSuburbName;
+// Finds the closest hundred name (for example, "PALABIE" for "Palabie").
+function findHundredName(text) {
+    return findName(text, Object.keys(HundredNames));
+}
+exports.findHundredName = findHundredName;
+// Gets the suburbs in which a street exists (for example, [ "STREAKY BAY" ]).
+function getStreetSuburbNames(streetName) {
+    return StreetNames[streetName] || [];
+}
+exports.getStreetSuburbNames = getStreetSuburbNames;
+// Gets the suburbs within a hundred.
+function getHundredSuburbNames(hundredName) {
+    return HundredNames[hundredName] || [];
+}
+exports.getHundredSuburbNames = getHundredSuburbNames;
+// Gets a suburb including its state and post code (for example, "STREAKY BAY SA 5680"), or
+// undefined if the suburb is unknown.
+function getSuburb(suburbName) {
+    return SuburbNames[suburbName];
+}
+exports.getSuburb = getSuburb;
+// Expands a street suffix (for example, "ST" to "STREET"), returning undefined if the suffix is
+// not recognised.  A suffix that is already expanded is returned unchanged.
+function expandStreetSuffix(streetSuffix) {
+    streetSuffix = streetSuffix.toUpperCase();
+    let expandedStreetSuffix = StreetSuffixes[streetSuffix];
+    if (expandedStreetSuffix === undefined)
+        expandedStreetSuffix = Object.values(StreetSuffixes).find(expandedStreetSuffix => expandedStreetSuffix === streetSuffix); // the street suffix is already expanded
+    return expandedStreetSuffix;
+}
+exports.expandStreetSuffix = expandStreetSuffix;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiZ2F6ZXR0ZWVyLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsiZ2F6ZXR0ZWVyLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLDJGQUEyRjtBQUMzRix3RUFBd0U7QUFFeEUsWUFBWSxDQUFDOztBQUViLHlCQUF5QjtBQUN6Qix5RUFBc0Q7QUFFdEQsMEZBQTBGO0FBRTFGLE1BQU0sbUJBQW1CLEdBQUcsQ0FBQyxDQUFDO0FBRTlCLDJGQUEyRjtBQUMzRiwrRkFBK0Y7QUFDL0Ysc0VBQXNFO0FBRXpELFFBQUEsc0JBQXNCLEdBQUcsSUFBSSxDQUFDO0FBRTNDLDZGQUE2RjtBQUM3RixtREFBbUQ7QUFFbkQsSUFBSSxXQUFXLEdBQXVDLElBQUksQ0FBQztBQUMzRCxJQUFJLGNBQWMsR0FBdUMsSUFBSSxDQUFDO0FBQzlELElBQUksV0FBVyxHQUFxQyxJQUFJLENBQUM7QUFDekQsSUFBSSxZQUFZLEdBQXdDLElBQUksQ0FBQztBQStCN0QsOEZBQThGO0FBQzlGLDRGQUE0RjtBQUM1RixXQUFXO0FBRVgsU0FBUyxpQkFBaUIsQ0FBQyxRQUFnQixFQUFFLE1BQXdCO0lBQ2pFLElBQUksT0FBTyxHQUF5RCxFQUFFLENBQUM7SUFDdkUsSUFBSSxLQUFLLEdBQUcsRUFBRSxDQUFDLFlBQVksQ0FBQyxRQUFRLENBQUMsQ0FBQyxRQUFRLEVBQUUsQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUNoRixLQUFLLElBQUksS0FBSyxHQUFHLENBQUMsRUFBRSxLQUFLLEdBQUcsS0FBSyxDQUFDLE1BQU0sRUFBRSxLQUFLLEVBQUUsRUFBRTtRQUMvQyxJQUFJLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFO1lBQzFCLFNBQVM7UUFDYixJQUFJLE1BQU0sR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUMsV0FBVyxFQUFFLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDO1FBQzlFLElBQUksTUFBTSxDQUFDLE1BQU0sS0FBSyxDQUFDLElBQUksTUFBTSxDQUFDLENBQUMsQ0FBQyxLQUFLLEVBQUUsSUFBSSxNQUFNLENBQUMsQ0FBQyxDQUFDLEtBQUssRUFBRTtZQUMzRCxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxVQUFVLEVBQUUsS0FBSyxHQUFHLENBQUMsRUFBRSxPQUFPLEVBQUUsbUJBQW1CLEtBQUssQ0FBQyxLQUFLLENBQUMsMENBQTBDLEVBQUUsQ0FBQyxDQUFDOztZQUUvSSxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsVUFBVSxFQUFFLEtBQUssR0FBRyxDQUFDLEVBQUUsR0FBRyxFQUFFLE1BQU0sQ0FBQyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsTUFBTSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQztLQUNqRjtJQUNELE9BQU8sT0FBTyxDQUFDO0FBQ25CLENBQUM7QUFFRCwwRkFBMEY7QUFDMUYsNkZBQTZGO0FBQzdGLDREQUE0RDtBQUU1RCxTQUFnQixjQUFjLENBQUMsS0FBcUI7SUFDaEQsSUFBSSxNQUFNLEdBQXFCLEVBQUUsQ0FBQztJQUVsQyxXQUFXLEdBQUcsRUFBRSxDQUFDO0lBQ2pCLEtBQUssSUFBSSxLQUFLLElBQUksaUJBQWlCLENBQUMsS0FBSyxDQUFDLFdBQVcsRUFBRSxNQUFNLENBQUMsRUFBRTtRQUM1RCxJQUFJLFdBQVcsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLEtBQUssU0FBUztZQUNwQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLEtBQUssQ0FBQyxXQUFXLEVBQUUsVUFBVSxFQUFFLEtBQUssQ0FBQyxVQUFVLEVBQUUsT0FBTyxFQUFFLDBCQUEwQixLQUFLLENBQUMsR0FBRyxJQUFJLEVBQUUsQ0FBQyxDQUFDO2FBQzVILElBQUksQ0FBQywyQkFBMkIsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQztZQUNuRCxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLEtBQUssQ0FBQyxXQUFXLEVBQUUsVUFBVSxFQUFFLEtBQUssQ0FBQyxVQUFVLEVBQUUsT0FBTyxFQUFFLGVBQWUsS0FBSyxDQUFDLEtBQUssK0NBQStDLEVBQUUsQ0FBQyxDQUFDOztZQUUvSixXQUFXLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxHQUFHLEtBQUssQ0FBQyxLQUFLLENBQUM7S0FDNUM7SUFFRCxXQUFXLEdBQUcsRUFBRSxDQUFDO0lBQ2pCLEtBQUssSUFBSSxLQUFLLElBQUksaUJBQWlCLENBQUMsS0FBSyxDQUFDLFdBQVcsRUFBRSxNQUFNLENBQUMsRUFBRTtRQUM1RCxJQUFJLFdBQVcsR0FBRyxXQUFXLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLENBQUMsQ0FBQyxDQUFFLHFEQUFxRDtRQUNqSSxJQUFJLFdBQVcsQ0FBQyxRQUFRLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQztZQUNqQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLEtBQUssQ0FBQyxXQUFXLEVBQUUsVUFBVSxFQUFFLEtBQUssQ0FBQyxVQUFVLEVBQUUsT0FBTyxFQUFFLDBCQUEwQixLQUFLLENBQUMsR0FBRyxvQkFBb0IsS0FBSyxDQUFDLEtBQUssSUFBSSxFQUFFLENBQUMsQ0FBQzthQUMzSjtZQUNELElBQUksV0FBVyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsS0FBSyxTQUFTO2dCQUN0QyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLEtBQUssQ0FBQyxXQUFXLEVBQUUsVUFBVSxFQUFFLEtBQUssQ0FBQyxVQUFVLEVBQUUsT0FBTyxFQUFFLGVBQWUsS0FBSyxDQUFDLEdBQUcsMkJBQTJCLEtBQUssQ0FBQyxLQUFLLHFCQUFxQixLQUFLLENBQUMsV0FBVyxHQUFHLEVBQUUsQ0FBQyxDQUFDO1lBQ2pNLFdBQVcsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO1NBQ2pDO0tBQ0o7SUFFRCxjQUFjLEdBQUcsRUFBRSxDQUFDO0lBQ3BCLEtBQUssSUFBSSxLQUFLLElBQUksaUJBQWlCLENBQUMsS0FBSyxDQUFDLGNBQWMsRUFBRSxNQUFNLENBQUMsRUFBRTtRQUMvRCxJQUFJLGNBQWMsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLEtBQUssU0FBUztZQUN2QyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLEtBQUssQ0FBQyxjQUFjLEVBQUUsVUFBVSxFQUFFLEtBQUssQ0FBQyxVQUFVLEVBQUUsT0FBTyxFQUFFLDRCQUE0QixLQUFLLENBQUMsR0FBRyxJQUFJLEVBQUUsQ0FBQyxDQUFDOztZQUVsSSxjQUFjLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxHQUFHLEtBQUssQ0FBQyxLQUFLLENBQUM7S0FDL0M7SUFFRCxZQUFZLEdBQUcsRUFBRSxDQUFDO0lBQ2xCLEtBQUssSUFBSSxLQUFLLElBQUksaUJBQWlCLENBQUMsS0FBSyxDQUFDLFlBQVksRUFBRSxNQUFNLENBQUMsRUFBRTtRQUM3RCxJQUFJLFlBQVksQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLEtBQUssU0FBUyxFQUFFO1lBQ3ZDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxRQUFRLEVBQUUsS0FBSyxDQUFDLFlBQVksRUFBRSxVQUFVLEVBQUUsS0FBSyxDQUFDLFVBQVUsRUFBRSxPQUFPLEVBQUUsMkJBQTJCLEtBQUssQ0FBQyxHQUFHLElBQUksRUFBRSxDQUFDLENBQUM7WUFDL0gsU0FBUztTQUNaO1FBQ0QsWUFBWSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxNQUFNLENBQUMsVUFBVSxDQUFDLEVBQUUsQ0FBQyxVQUFVLEtBQUssRUFBRSxDQUFDLENBQUM7UUFDOUgsS0FBSyxJQUFJLFVBQVUsSUFBSSxZQUFZLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQztZQUMxQyxJQUFJLFdBQVcsQ0FBQyxVQUFVLENBQUMsS0FBSyxTQUFTO2dCQUNyQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLEtBQUssQ0FBQyxZQUFZLEVBQUUsVUFBVSxFQUFFLEtBQUssQ0FBQyxVQUFVLEVBQUUsT0FBTyxFQUFFLGdCQUFnQixLQUFLLENBQUMsR0FBRywyQkFBMkIsVUFBVSxxQkFBcUIsS0FBSyxDQUFDLFdBQVcsR0FBRyxFQUFFLENBQUMsQ0FBQztLQUN6TTtJQUVELEtBQUssSUFBSSxLQUFLLElBQUksTUFBTTtRQUNwQixPQUFPLENBQUMsR0FBRyxDQUFDLHNCQUFzQixLQUFLLENBQUMsUUFBUSxVQUFVLEtBQUssQ0FBQyxVQUFVLE1BQU0sS0FBSyxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUM7SUFDckcsT0FBTyxNQUFNLENBQUM7QUFDbEIsQ0FBQztBQWhERCx3Q0FnREM7QUFFRCxnR0FBZ0c7QUFDaEcsa0dBQWtHO0FBQ2xHLCtGQUErRjtBQUMvRiw2RkFBNkY7QUFDN0Ysa0JBQWtCO0FBRWxCLFNBQWdCLHVCQUF1QixDQUFDLEtBQXFCO0lBQ3pELElBQUksTUFBTSxHQUFxQixFQUFFLENBQUM7SUFDbEMsSUFBSSxLQUFLLENBQUMsZUFBZSxLQUFLLFNBQVM7UUFDbkMsT0FBTyxNQUFNLENBQUM7SUFDbEIsSUFBSSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsS0FBSyxDQUFDLGVBQWUsQ0FBQyxFQUFFO1FBQ3ZDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxRQUFRLEVBQUUsS0FBSyxDQUFDLGVBQWUsRUFBRSxVQUFVLEVBQUUsQ0FBQyxFQUFFLE9BQU8sRUFBRSwyQ0FBMkMsRUFBRSxDQUFDLENBQUM7UUFDdEgsT0FBTyxDQUFDLEdBQUcsQ0FBQyxzQkFBc0IsS0FBSyxDQUFDLGVBQWUsNkNBQTZDLENBQUMsQ0FBQztRQUN0RyxPQUFPLE1BQU0sQ0FBQztLQUNqQjtJQUNELElBQUksbUJBQW1CLEdBQWEsRUFBRSxDQUFDO0lBQ3ZDLElBQUksS0FBSyxHQUFHLEVBQUUsQ0FBQyxZQUFZLENBQUMsS0FBSyxDQUFDLGVBQWUsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQzdGLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxLQUFLLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQy9DLElBQUksS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUUsSUFBSSxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUMsVUFBVSxDQUFDLEdBQUcsQ0FBQztZQUMxRCxTQUFTO1FBQ2IsSUFBSSxNQUFNLEdBQUcsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDLEtBQUssQ0FBQyxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQztRQUM5RSxJQUFJLE1BQU0sQ0FBQyxNQUFNLEtBQUssQ0FBQyxJQUFJLE1BQU0sQ0FBQyxDQUFDLENBQUMsS0FBSyxFQUFFLElBQUksTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLEtBQUssRUFBRSxJQUFJLEtBQUssQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQztZQUM5RyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLEtBQUssQ0FBQyxlQUFlLEVBQUUsVUFBVSxFQUFFLEtBQUssR0FBRyxDQUFDLEVBQUUsT0FBTyxFQUFFLG1CQUFtQixLQUFLLENBQUMsS0FBSyxDQUFDLHlEQUF5RCxFQUFFLENBQUMsQ0FBQzthQUMxSyxJQUFJLG1CQUFtQixDQUFDLFFBQVEsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDNUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLFFBQVEsRUFBRSxLQUFLLENBQUMsZUFBZSxFQUFFLFVBQVUsRUFBRSxLQUFLLEdBQUcsQ0FBQyxFQUFFLE9BQU8sRUFBRSw4QkFBOEIsTUFBTSxDQUFDLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDOztZQUU5SCxtQkFBbUIsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7S0FDM0M7SUFFRCwyRkFBMkY7SUFDM0YscUJBQXFCO0lBRXJCLElBQUksbUJBQW1CLEdBQWEsRUFBRSxDQUFDO0lBQ3ZDLEtBQUssSUFBSSxLQUFLLElBQUksaUJBQWlCLENBQUMsS0FBSyxDQUFDLFdBQVcsRUFBRSxFQUFFLENBQUMsRUFBRTtRQUN4RCxJQUFJLFVBQVUsR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyx1QkFBdUIsRUFBRSxFQUFFLENBQUMsQ0FBQztRQUNsRSxJQUFJLENBQUMsbUJBQW1CLENBQUMsUUFBUSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsbUJBQW1CLENBQUMsUUFBUSxDQUFDLFVBQVUsQ0FBQyxFQUFFO1lBQ3hGLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxRQUFRLEVBQUUsS0FBSyxDQUFDLFdBQVcsRUFBRSxVQUFVLEVBQUUsS0FBSyxDQUFDLFVBQVUsRUFBRSxPQUFPLEVBQUUsZUFBZSxVQUFVLHdCQUF3QixLQUFLLENBQUMsZUFBZSx3RUFBd0UsRUFBRSxDQUFDLENBQUM7WUFDcE8sbUJBQW1CLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxDQUFDO1NBQ3hDO0tBQ0o7SUFFRCxLQUFLLElBQUksS0FBSyxJQUFJLE1BQU07UUFDcEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxzQkFBc0IsS0FBSyxDQUFDLFFBQVEsVUFBVSxLQUFLLENBQUMsVUFBVSxNQUFNLEtBQUssQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO0lBQ3JHLE9BQU8sTUFBTSxDQUFDO0FBQ2xCLENBQUM7QUF0Q0QsMERBc0NDO0FBRUQseUZBQXlGO0FBQ3pGLHNDQUFzQztBQUV0QyxTQUFTLGVBQWUsQ0FBQyxLQUFhLEVBQUUsS0FBYTtJQUNqRCxJQUFJLFdBQVcsR0FBRyxLQUFLLENBQUMsSUFBSSxDQUFDLEVBQUUsTUFBTSxFQUFFLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxLQUFLLEVBQUUsS0FBSyxFQUFFLEVBQUUsQ0FBQyxLQUFLLENBQUMsQ0FBQztJQUNwRixLQUFLLElBQUksTUFBTSxHQUFHLENBQUMsRUFBRSxNQUFNLElBQUksS0FBSyxDQUFDLE1BQU0sRUFBRSxNQUFNLEVBQUUsRUFBRTtRQUNuRCxJQUFJLEdBQUcsR0FBRyxDQUFFLE1BQU0sQ0FBRSxDQUFDO1FBQ3JCLEtBQUssSUFBSSxNQUFNLEdBQUcsQ0FBQyxFQUFFLE1BQU0sSUFBSSxLQUFLLENBQUMsTUFBTSxFQUFFLE1BQU0sRUFBRTtZQUNqRCxHQUFHLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLE1BQU0sQ0FBQyxHQUFHLENBQUMsRUFBRSxHQUFHLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsRUFBRSxXQUFXLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxLQUFLLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxLQUFLLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDcEosV0FBVyxHQUFHLEdBQUcsQ0FBQztLQUNyQjtJQUNELE9BQU8sV0FBVyxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsQ0FBQztBQUNyQyxDQUFDO0FBRUQsK0ZBQStGO0FBQy9GLG9EQUFvRDtBQUVwRCxTQUFTLFFBQVEsQ0FBQyxJQUFZLEVBQUUsS0FBZTtJQUMzQyxJQUFJLElBQUksR0FBVyxxQkFBVSxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUUsRUFBRSxhQUFhLEVBQUUsS0FBSyxFQUFFLFVBQVUsRUFBRSxVQUFVLENBQUMsZUFBZSxDQUFDLG1CQUFtQixFQUFFLGFBQWEsRUFBRSxVQUFVLENBQUMsa0JBQWtCLENBQUMsYUFBYSxFQUFFLFNBQVMsRUFBRSxtQkFBbUIsRUFBRSxVQUFVLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztJQUMvTyxJQUFJLElBQUksS0FBSyxJQUFJO1FBQ2IsT0FBTyxTQUFTLENBQUM7SUFDckIsSUFBSSxHQUFHLElBQUksQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDO0lBQ3hELElBQUksUUFBUSxHQUFHLGVBQWUsQ0FBQyxJQUFJLEVBQUUsSUFBSSxDQUFDLENBQUM7SUFFM0MsMkZBQTJGO0lBQzNGLHVGQUF1RjtJQUV2RixJQUFJLEtBQUssR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQzVCLElBQUksU0FBUyxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDaEMsSUFBSSxlQUFlLEdBQUcsQ0FBQyxLQUFLLENBQUMsTUFBTSxLQUFLLFNBQVMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDLFFBQVEsRUFBRSxLQUFLLEVBQUUsRUFBRSxDQUFDLFFBQVEsS0FBSyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsQ0FBQyxNQUFNLEVBQUUsUUFBUSxFQUFFLEVBQUUsQ0FBQyxNQUFNLEdBQUcsUUFBUSxDQUFDLE1BQU0sRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQztJQUNyTSxPQUFPLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLFVBQVUsRUFBRSxDQUFDLFFBQVEsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsRUFBRSxDQUFDLEdBQUcsUUFBUSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsZUFBZSxFQUFFLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQztBQUMzSSxDQUFDO0FBRUQsaUdBQWlHO0FBQ2pHLGFBQWE7QUFFYixTQUFnQixjQUFjLENBQUMsSUFBWTtJQUN2QyxPQUFPLFFBQVEsQ0FBQyxJQUFJLEVBQUUsTUFBTSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDO0FBQ3BELENBQUM7QUFGRCx3Q0FFQztBQUVELGdGQUFnRjtBQUVoRixTQUFnQixjQUFjLENBQUMsSUFBWTtJQUN2QyxPQUFPLFFBQVEsQ0FBQyxJQUFJLEVBQUUsTUFBTSxDQUFDLElBQUksQ0FBQyxXQUFXLENBQUMsQ0FBQyxDQUFDO0FBQ3BELENBQUM7QUFGRCx3Q0FFQztBQUVELHlFQUF5RTtBQUV6RSxTQUFnQixlQUFlLENBQUMsSUFBWTtJQUN4QyxPQUFPLFFBQVEsQ0FBQyxJQUFJLEVBQUUsTUFBTSxDQUFDLElBQUksQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDO0FBQ3JELENBQUM7QUFGRCwwQ0FFQztBQUVELDhFQUE4RTtBQUU5RSxTQUFnQixvQkFBb0IsQ0FBQyxVQUFrQjtJQUNuRCxPQUFPLFdBQVcsQ0FBQyxVQUFVLENBQUMsSUFBSSxFQUFFLENBQUM7QUFDekMsQ0FBQztBQUZELG9EQUVDO0FBRUQscUNBQXFDO0FBRXJDLFNBQWdCLHFCQUFxQixDQUFDLFdBQW1CO0lBQ3JELE9BQU8sWUFBWSxDQUFDLFdBQVcsQ0FBQyxJQUFJLEVBQUUsQ0FBQztBQUMzQyxDQUFDO0FBRkQsc0RBRUM7QUFFRCwyRkFBMkY7QUFDM0Ysc0NBQXNDO0FBRXRDLFNBQWdCLFNBQVMsQ0FBQyxVQUFrQjtJQUN4QyxPQUFPLFdBQVcsQ0FBQyxVQUFVLENBQUMsQ0FBQztBQUNuQyxDQUFDO0FBRkQsOEJBRUM7QUFFRCxnR0FBZ0c7QUFDaEcsNEVBQTRFO0FBRTVFLFNBQWdCLGtCQUFrQixDQUFDLFlBQW9CO0lBQ25ELFlBQVksR0FBRyxZQUFZLENBQUMsV0FBVyxFQUFFLENBQUM7SUFDMUMsSUFBSSxvQkFBb0IsR0FBRyxjQUFjLENBQUMsWUFBWSxDQUFDLENBQUM7SUFDeEQsSUFBSSxvQkFBb0IsS0FBSyxTQUFTO1FBQ2xDLG9CQUFvQixHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsY0FBYyxDQUFDLENBQUMsSUFBSSxDQUFDLG9CQUFvQixDQUFDLEVBQUUsQ0FBQyxvQkFBb0IsS0FBSyxZQUFZLENBQUMsQ0FBQyxDQUFFLHdDQUF3QztJQUN2SyxPQUFPLG9CQUFvQixDQUFDO0FBQ2hDLENBQUM7QUFORCxnREFNQyJ9
\ No newline at end of file
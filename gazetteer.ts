@@ -0,0 +1,255 @@
+// Loads and validates the gazetteer files of a council (the street names, street suffixes,
+// suburb names and hundred names) and finds the closest matching names.
+
+"use strict";
+
+import * as fs from "fs";
+import didYouMean, * as didyoumean from "didyoumean2";
+
+// The maximum number of spelling errors (the edit distance) allowed when matching a name.
+
+const MaximumEditDistance = 1;
+
+// Corrections with a confidence below this are reported as low-confidence corrections (for
+// example, "WOODS WELL ROAD" corrected to "WOODS BELL ROAD" has a confidence of 1 - 1/4 = 0.75
+// because one of the four letters of the corrected word was changed).
+
+export const LowConfidenceThreshold = 0.85;
+
+// All valid street names (and the suburbs of each street), street suffixes, suburb names and
+// hundred names (and the suburbs of each hundred).
+
+let StreetNames: { [streetName: string]: string[] } = null;
+let StreetSuffixes: { [abbreviation: string]: string } = null;
+let SuburbNames: { [suburbName: string]: string } = null;
+let HundredNames: { [hundredName: string]: string[] } = null;
+
+// The paths of the gazetteer files of a council (see council.ts).  The suburb centroids are
+// optional because they are only used when exporting GeoJSON (see export.ts).
+
+export interface GazetteerFiles {
+    streetNames: string,
+    streetSuffixes: string,
+    suburbNames: string,
+    hundredNames: string,
+    suburbCentroids?: string
+}
+
+// An inconsistency found in a gazetteer file.
+
+export interface GazetteerIssue {
+    fileName: string,
+    lineNumber: number,
+    message: string
+}
+
+// A name matched in a gazetteer.  The distance is the number of spelling errors corrected (0 for
+// an exact match) and the confidence is 1 for an exact match, decreasing with the proportion of
+// the letters of the corrected words that were changed.
+
+export interface GazetteerMatch {
+    name: string,
+    distance: number,
+    confidence: number
+}
+
+// Reads the lines of a gazetteer file, splitting each line into exactly two upper case fields
+// (for example, "STREAKY BAY" and "STREAKY BAY SA 5680").  Malformed lines are reported and
+// skipped.
+
+function readGazetteerFile(fileName: string, issues: GazetteerIssue[]) {
+    let entries: { lineNumber: number, key: string, value: string }[] = [];
+    let lines = fs.readFileSync(fileName).toString().replace(/\r/g, "").split("\n");
+    for (let index = 0; index < lines.length; index++) {
+        if (lines[index].trim() === "")
+            continue;
+        let tokens = lines[index].toUpperCase().split(",").map(token => token.trim());
+        if (tokens.length !== 2 || tokens[0] === "" || tokens[1] === "")
+            issues.push({ fileName: fileName, lineNumber: index + 1, message: `Malformed line "${lines[index]}" (expected two comma separated values).` });
+        else
+            entries.push({ lineNumber: index + 1, key: tokens[0], value: tokens[1] });
+    }
+    return entries;
+}
+
+// Reads the files containing all possible street names, street suffixes, suburb names and
+// hundred names.  This must be called before parseAddress.  Returns (and logs) any malformed
+// lines, duplicate names and references to unknown suburbs.
+
+export function loadGazetteers(files: GazetteerFiles) {
+    let issues: GazetteerIssue[] = [];
+
+    SuburbNames = {};
+    for (let entry of readGazetteerFile(files.suburbNames, issues)) {
+        if (SuburbNames[entry.key] !== undefined)
+            issues.push({ fileName: files.suburbNames, lineNumber: entry.lineNumber, message: `Duplicate suburb name "${entry.key}".` });
+        else if (!/^.*?\s+[A-Z]+\s+\d\d\d\d$/.test(entry.value))
+            issues.push({ fileName: files.suburbNames, lineNumber: entry.lineNumber, message: `The suburb "${entry.value}" is not of the form "SUBURB STATE POSTCODE".` });
+        else
+            SuburbNames[entry.key] = entry.value;
+    }
+
+    StreetNames = {};
+    for (let entry of readGazetteerFile(files.streetNames, issues)) {
+        let suburbNames = StreetNames[entry.key] || (StreetNames[entry.key] = []);  // several suburbs may exist for the same street name
+        if (suburbNames.includes(entry.value))
+            issues.push({ fileName: files.streetNames, lineNumber: entry.lineNumber, message: `Duplicate street name "${entry.key}" in the suburb "${entry.value}".` });
+        else {
+            if (SuburbNames[entry.value] === undefined)
+                issues.push({ fileName: files.streetNames, lineNumber: entry.lineNumber, message: `The street "${entry.key}" refers to the suburb "${entry.value}" which is not in ${files.suburbNames}.` });
+            suburbNames.push(entry.value);
+        }
+    }
+
+    StreetSuffixes = {};
+    for (let entry of readGazetteerFile(files.streetSuffixes, issues)) {
+        if (StreetSuffixes[entry.key] !== undefined)
+            issues.push({ fileName: files.streetSuffixes, lineNumber: entry.lineNumber, message: `Duplicate street suffix "${entry.key}".` });
+        else
+            StreetSuffixes[entry.key] = entry.value;
+    }
+
+    HundredNames = {};
+    for (let entry of readGazetteerFile(files.hundredNames, issues)) {
+        if (HundredNames[entry.key] !== undefined) {
+            issues.push({ fileName: files.hundredNames, lineNumber: entry.lineNumber, message: `Duplicate hundred name "${entry.key}".` });
+            continue;
+        }
+        HundredNames[entry.key] = entry.value.split(";").map(suburbName => suburbName.trim()).filter(suburbName => suburbName !== "");
+        for (let suburbName of HundredNames[entry.key])
+            if (SuburbNames[suburbName] === undefined)
+                issues.push({ fileName: files.hundredNames, lineNumber: entry.lineNumber, message: `The hundred "${entry.key}" refers to the suburb "${suburbName}" which is not in ${files.suburbNames}.` });
+    }
+
+    for (let issue of issues)
+        console.log(`Gazetteer issue in ${issue.fileName} (line ${issue.lineNumber}): ${issue.message}`);
+    return issues;
+}
+
+// Reads the suburb centroids file (a suburb name, latitude and longitude on each line after the
+// comment lines that record its source, as used by the GeoJSON export, see export.ts) and returns
+// (and logs) any malformed lines and any suburb in the suburb names file that has no centroid.
+// This must be called after loadGazetteers.  Nothing is checked if the council has no suburb
+// centroids file.
+
+export function validateSuburbCentroids(files: GazetteerFiles) {
+    let issues: GazetteerIssue[] = [];
+    if (files.suburbCentroids === undefined)
+        return issues;
+    if (!fs.existsSync(files.suburbCentroids)) {
+        issues.push({ fileName: files.suburbCentroids, lineNumber: 0, message: "The suburb centroids file does not exist." });
+        console.log(`Gazetteer issue in ${files.suburbCentroids}: The suburb centroids file does not exist.`);
+        return issues;
+    }
+    let centroidSuburbNames: string[] = [];
+    let lines = fs.readFileSync(files.suburbCentroids).toString().replace(/\r/g, "").split("\n");
+    for (let index = 0; index < lines.length; index++) {
+        if (lines[index].trim() === "" || lines[index].startsWith("#"))
+            continue;
+        let tokens = lines[index].toUpperCase().split(",").map(token => token.trim());
+        if (tokens.length !== 3 || tokens[0] === "" || tokens.slice(1).some(token => token === "" || isNaN(Number(token))))
+            issues.push({ fileName: files.suburbCentroids, lineNumber: index + 1, message: `Malformed line "${lines[index]}" (expected a suburb name, a latitude and a longitude).` });
+        else if (centroidSuburbNames.includes(tokens[0]))
+            issues.push({ fileName: files.suburbCentroids, lineNumber: index + 1, message: `Duplicate suburb centroid "${tokens[0]}".` });
+        else
+            centroidSuburbNames.push(tokens[0]);
+    }
+
+    // Suburbs are located by their full names (for example, "MOUNT COOPER" for the alternative
+    // name "MT COOPER").
+
+    let reportedSuburbNames: string[] = [];
+    for (let entry of readGazetteerFile(files.suburbNames, [])) {
+        let suburbName = entry.value.replace(/\s+[A-Z]+\s+\d\d\d\d$/, "");
+        if (!centroidSuburbNames.includes(suburbName) && !reportedSuburbNames.includes(suburbName)) {
+            issues.push({ fileName: files.suburbNames, lineNumber: entry.lineNumber, message: `The suburb "${suburbName}" has no centroid in ${files.suburbCentroids} (applications in that suburb would be exported with a null geometry).` });
+            reportedSuburbNames.push(suburbName);
+        }
+    }
+
+    for (let issue of issues)
+        console.log(`Gazetteer issue in ${issue.fileName} (line ${issue.lineNumber}): ${issue.message}`);
+    return issues;
+}
+
+// Calculates the edit distance (the number of single character insertions, deletions and
+// substitutions) between two strings.
+
+function getEditDistance(text1: string, text2: string) {
+    let previousRow = Array.from({ length: text2.length + 1 }, (value, index) => index);
+    for (let index1 = 1; index1 <= text1.length; index1++) {
+        let row = [ index1 ];
+        for (let index2 = 1; index2 <= text2.length; index2++)
+            row.push(Math.min(previousRow[index2] + 1, row[index2 - 1] + 1, previousRow[index2 - 1] + ((text1[index1 - 1] === text2[index2 - 1]) ? 0 : 1)));
+        previousRow = row;
+    }
+    return previousRow[text2.length];
+}
+
+// Finds the closest name to the specified text (allowing for a few spelling errors), returning
+// undefined if there is no sufficiently close name.
+
+function findName(text: string, names: string[]): GazetteerMatch {
+    let name = <string>didYouMean(text, names, { caseSensitive: false, returnType: didyoumean.ReturnTypeEnums.FIRST_CLOSEST_MATCH, thresholdType: didyoumean.ThresholdTypeEnums.EDIT_DISTANCE, threshold: MaximumEditDistance, trimSpaces: true });
+    if (name === null)
+        return undefined;
+    text = text.trim().replace(/\s\s+/g, " ").toUpperCase();
+    let distance = getEditDistance(text, name);
+
+    // Only count the lengths of the words that were corrected (so that correcting a short word
+    // within a long name, such as "WELL" to "BELL", is not treated as a minor correction).
+
+    let words = text.split(" ");
+    let nameWords = name.split(" ");
+    let correctedLength = (words.length === nameWords.length) ? nameWords.filter((nameWord, index) => nameWord !== words[index]).reduce((length, nameWord) => length + nameWord.length, 0) : name.length;
+    return { name: name, distance: distance, confidence: (distance === 0) ? 1 : Math.max(0, 1 - distance / Math.max(correctedLength, 1)) };
+}
+
+// Finds the closest street name (for example, "BELL ROAD" for "Bel RD" after the suffix has been
+// expanded).
+
+export function findStreetName(text: string) {
+    return findName(text, Object.keys(StreetNames));
+}
+
+// Finds the closest suburb name (for example, "STREAKY BAY" for "Streaky Bey").
+
+export function findSuburbName(text: string) {
+    return findName(text, Object.keys(SuburbNames));
+}
+
+// Finds the closest hundred name (for example, "PALABIE" for "Palabie").
+
+export function findHundredName(text: string) {
+    return findName(text, Object.keys(HundredNames));
+}
+
+// Gets the suburbs in which a street exists (for example, [ "STREAKY BAY" ]).
+
+export function getStreetSuburbNames(streetName: string) {
+    return StreetNames[streetName] || [];
+}
+
+// Gets the suburbs within a hundred.
+
+export function getHundredSuburbNames(hundredName: string) {
+    return HundredNames[hundredName] || [];
+}
+
+// Gets a suburb including its state and post code (for example, "STREAKY BAY SA 5680"), or
+// undefined if the suburb is unknown.
+
+export function getSuburb(suburbName: string) {
+    return SuburbNames[suburbName];
+}
+
+// Expands a street suffix (for example, "ST" to "STREET"), returning undefined if the suffix is
+// not recognised.  A suffix that is already expanded is returned unchanged.
+
+export function expandStreetSuffix(streetSuffix: string) {
+    streetSuffix = streetSuffix.toUpperCase();
+    let expandedStreetSuffix = StreetSuffixes[streetSuffix];
+    if (expandedStreetSuffix === undefined)
+        expandedStreetSuffix = Object.values(StreetSuffixes).find(expandedStreetSuffix => expandedStreetSuffix === streetSuffix);  // the street suffix is already expanded
+    return expandedStreetSuffix;
+}
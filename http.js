@@ -0,0 +1,152 @@
+// Retrieves pages and PDFs from the council web site, retrying transient errors, caching the
+// responses on disk (revalidated using the ETag and Last-Modified headers) and hashing the
+// content of each response (so that unchanged PDFs can be skipped).
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const request = require("request-promise-native");
+const urlparser = require("url");
+// When set, all pages and PDFs are read from this directory instead of from the web site (see
+// getFixturePath).  When MORPH_FIXTURES_RECORD is also set, pages and PDFs are instead read from
+// the web site and written to this directory (so that a run can later be replayed offline).
+const FixturesDirectory = process.env.MORPH_FIXTURES_DIRECTORY;
+const IsRecordingFixtures = (FixturesDirectory !== undefined && process.env.MORPH_FIXTURES_RECORD !== undefined);
+// The directory in which responses (and other downloaded data) are cached.
+exports.CacheDirectory = process.env.MORPH_CACHE_DIRECTORY || "cache";
+// The number of times that a request is retried after a transient error (a network error or a
+// 429 or 5xx status code), and the delay before the first retry (this doubles for each retry).
+const RetryCount = 4;
+const InitialRetryDelay = 5000;
+// Pauses for the specified number of milliseconds.
+function sleep(milliseconds) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+exports.sleep = sleep;
+// Calculates the SHA-256 hash of the specified bytes (as a hexadecimal string).
+function getContentHash(buffer) {
+    return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+// Converts the bytes of a response to the type requested in the options ("encoding: null" causes
+// a byte array to be returned instead of a string).  The bytes are copied into a separate array
+// (a small buffer read from a file may be a view of a larger, shared memory pool which pdf.js
+// would otherwise parse in its entirety).
+function getBody(buffer, options) {
+    return (options.encoding === null) ? new Uint8Array(buffer) : buffer.toString();
+}
+// Determines the local file that holds the fixture for the specified URL.  The file is named
+// after the host, path and query of the URL (for example, the year page
+// "https://www.example.com/a/b" is read from "<fixtures directory>/www.example.com/a/b.html",
+// its second page "https://www.example.com/a/b?page=2" is read from
+// "<fixtures directory>/www.example.com/a/b_page=2.html" and the PDF
+// "https://www.example.com/c/d.pdf" is read from "<fixtures directory>/www.example.com/c/d.pdf").
+// Any characters of the query other than letters, digits, "=", ".", "_" and "-" are replaced
+// with "_".
+function getFixturePath(url) {
+    let parsedUrl = new urlparser.URL(url);
+    let fixturePath = path.join(FixturesDirectory, parsedUrl.hostname, decodeURIComponent(parsedUrl.pathname).replace(/\/+$/, ""));
+    let extension = path.extname(fixturePath);
+    let query = decodeURIComponent(parsedUrl.search.replace(/^\?/, "")).replace(/[^a-z0-9=._-]+/gi, "_");
+    if (query !== "")
+        fixturePath = `${fixturePath.substring(0, fixturePath.length - extension.length)}_${query}${extension}`;
+    return (extension === "") ? fixturePath + ".html" : fixturePath;
+}
+// Determines the local files that hold the cached body and the cache entry for a URL (named
+// after the hash of the URL).
+function getCachePaths(url) {
+    let name = crypto.createHash("sha256").update(url).digest("hex");
+    return { bodyPath: path.join(exports.CacheDirectory, name + ".body"), entryPath: path.join(exports.CacheDirectory, name + ".json") };
+}
+// Reads the cached response for a URL, returning undefined if the URL is not cached (or the
+// cached body is missing or does not match its hash).
+function readCache(url) {
+    let cachePaths = getCachePaths(url);
+    if (!fs.existsSync(cachePaths.entryPath) || !fs.existsSync(cachePaths.bodyPath))
+        return undefined;
+    let cacheEntry = JSON.parse(fs.readFileSync(cachePaths.entryPath).toString());
+    let buffer = fs.readFileSync(cachePaths.bodyPath);
+    if (cacheEntry.url !== url || getContentHash(buffer) !== cacheEntry.contentHash) {
+        console.log(`Ignoring the corrupt cache entry for ${url}.`);
+        return undefined;
+    }
+    return { cacheEntry: cacheEntry, buffer: buffer };
+}
+// Caches a response (only if it can later be revalidated using an ETag or Last-Modified header).
+function writeCache(url, response, buffer, contentHash) {
+    let etag = response.headers["etag"];
+    let lastModified = response.headers["last-modified"];
+    if (etag === undefined && lastModified === undefined)
+        return;
+    let cachePaths = getCachePaths(url);
+    let cacheEntry = { url: url, etag: etag, lastModified: lastModified, contentHash: contentHash };
+    fs.mkdirSync(exports.CacheDirectory, { recursive: true });
+    fs.writeFileSync(cachePaths.bodyPath, buffer);
+    fs.writeFileSync(cachePaths.entryPath, JSON.stringify(cacheEntry, null, 4) + "\n");
+}
+// Sends a request, retrying (with an exponentially increasing delay) after a network error or a
+// 429 or 5xx status code.  Any other error status code is thrown immediately.
+async function requestWithRetries(url, options) {
+    for (let attempt = 0;; attempt++) {
+        let error = undefined;
+        try {
+            let response = await request(Object.assign({}, options, { url: url, proxy: process.env.MORPH_PROXY, encoding: null, simple: false, resolveWithFullResponse: true }));
+            if (response.statusCode < 400)
+                return response;
+            error = new Error(`The request for ${url} failed with status ${response.statusCode}.`);
+            if (response.statusCode !== 429 && response.statusCode < 500)
+                throw error;
+        }
+        catch (requestError) {
+            if (requestError === error)
+                throw error;
+            error = requestError; // a network error (such as a timeout or a reset connection)
+        }
+        if (attempt >= RetryCount)
+            throw error;
+        let delay = InitialRetryDelay * Math.pow(2, attempt);
+        console.log(`Retrying the request for ${url} in ${delay / 1000} seconds (retry ${attempt + 1} of ${RetryCount}) after the error: ${error.message}`);
+        await sleep(delay);
+    }
+}
+// Retrieves the page or PDF at the specified URL (either from the web site or from the fixtures
+// directory).  The options are passed through to request (for example, "encoding: null" causes
+// a byte array to be returned instead of a string).  A cached response is revalidated with the
+// web site and then used if the web site reports that it has not been modified.
+async function fetch(url, options) {
+    if (FixturesDirectory !== undefined && !IsRecordingFixtures) {
+        let fixturePath = getFixturePath(url);
+        console.log(`Reading fixture: ${fixturePath}`);
+        let buffer = fs.readFileSync(fixturePath);
+        return { body: getBody(buffer, options), contentHash: getContentHash(buffer), isCached: false };
+    }
+    let cache = readCache(url);
+    let headers = Object.assign({}, options.headers);
+    if (cache !== undefined && cache.cacheEntry.etag !== undefined)
+        headers["If-None-Match"] = cache.cacheEntry.etag;
+    if (cache !== undefined && cache.cacheEntry.lastModified !== undefined)
+        headers["If-Modified-Since"] = cache.cacheEntry.lastModified;
+    let response = await requestWithRetries(url, Object.assign({}, options, { headers: headers }));
+    await sleep(2000 + Math.floor(Math.random() * 5) * 1000);
+    let buffer = undefined;
+    let isCached = false;
+    if (response.statusCode === 304 && cache !== undefined) {
+        console.log(`Using the cached copy of ${url} (not modified).`);
+        buffer = cache.buffer;
+        isCached = true;
+    }
+    else
+        buffer = response.body;
+    let contentHash = getContentHash(buffer);
+    if (!isCached)
+        writeCache(url, response, buffer, contentHash);
+    if (IsRecordingFixtures) {
+        let fixturePath = getFixturePath(url);
+        console.log(`Writing fixture: ${fixturePath}`);
+        fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+        fs.writeFileSync(fixturePath, buffer);
+    }
+    return { body: getBody(buffer, options), contentHash: contentHash, isCached: isCached };
+}
+exports.fetch = fetch;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoiaHR0cC5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbImh0dHAudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsNkZBQTZGO0FBQzdGLDJGQUEyRjtBQUMzRixvRUFBb0U7QUFFcEUsWUFBWSxDQUFDOztBQUViLHlCQUF5QjtBQUN6Qiw2QkFBNkI7QUFDN0IsaUNBQWlDO0FBQ2pDLGtEQUFrRDtBQUNsRCxpQ0FBaUM7QUFFakMsOEZBQThGO0FBQzlGLGlHQUFpRztBQUNqRyw0RkFBNEY7QUFFNUYsTUFBTSxpQkFBaUIsR0FBRyxPQUFPLENBQUMsR0FBRyxDQUFDLHdCQUF3QixDQUFDO0FBQy9ELE1BQU0sbUJBQW1CLEdBQUcsQ0FBQyxpQkFBaUIsS0FBSyxTQUFTLElBQUksT0FBTyxDQUFDLEdBQUcsQ0FBQyxxQkFBcUIsS0FBSyxTQUFTLENBQUMsQ0FBQztBQUVqSCwyRUFBMkU7QUFFOUQsUUFBQSxjQUFjLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyxxQkFBcUIsSUFBSSxPQUFPLENBQUM7QUFFM0UsOEZBQThGO0FBQzlGLCtGQUErRjtBQUUvRixNQUFNLFVBQVUsR0FBRyxDQUFDLENBQUM7QUFDckIsTUFBTSxpQkFBaUIsR0FBRyxJQUFJLENBQUM7QUFtQi9CLG1EQUFtRDtBQUVuRCxTQUFnQixLQUFLLENBQUMsWUFBb0I7SUFDdEMsT0FBTyxJQUFJLE9BQU8sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLFVBQVUsQ0FBQyxPQUFPLEVBQUUsWUFBWSxDQUFDLENBQUMsQ0FBQztBQUNyRSxDQUFDO0FBRkQsc0JBRUM7QUFFRCxnRkFBZ0Y7QUFFaEYsU0FBUyxjQUFjLENBQUMsTUFBYztJQUNsQyxPQUFPLE1BQU0sQ0FBQyxVQUFVLENBQUMsUUFBUSxDQUFDLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztBQUNwRSxDQUFDO0FBRUQsaUdBQWlHO0FBQ2pHLGdHQUFnRztBQUNoRyw4RkFBOEY7QUFDOUYsMENBQTBDO0FBRTFDLFNBQVMsT0FBTyxDQUFDLE1BQWMsRUFBRSxPQUFZO0lBQ3pDLE9BQU8sQ0FBQyxPQUFPLENBQUMsUUFBUSxLQUFLLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLFVBQVUsQ0FBQyxNQUFNLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLFFBQVEsRUFBRSxDQUFDO0FBQ3BGLENBQUM7QUFFRCw2RkFBNkY7QUFDN0Ysd0VBQXdFO0FBQ3hFLDhGQUE4RjtBQUM5RixvRUFBb0U7QUFDcEUscUVBQXFFO0FBQ3JFLGtHQUFrRztBQUNsRyw2RkFBNkY7QUFDN0YsWUFBWTtBQUVaLFNBQVMsY0FBYyxDQUFDLEdBQVc7SUFDL0IsSUFBSSxTQUFTLEdBQUcsSUFBSSxTQUFTLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ3ZDLElBQUksV0FBVyxHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsaUJBQWlCLEVBQUUsU0FBUyxDQUFDLFFBQVEsRUFBRSxrQkFBa0IsQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDLENBQUMsT0FBTyxDQUFDLE1BQU0sRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDO0lBQy9ILElBQUksU0FBUyxHQUFHLElBQUksQ0FBQyxPQUFPLENBQUMsV0FBVyxDQUFDLENBQUM7SUFDMUMsSUFBSSxLQUFLLEdBQUcsa0JBQWtCLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsS0FBSyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLGtCQUFrQixFQUFFLEdBQUcsQ0FBQyxDQUFDO0lBQ3JHLElBQUksS0FBSyxLQUFLLEVBQUU7UUFDWixXQUFXLEdBQUcsR0FBRyxXQUFXLENBQUMsU0FBUyxDQUFDLENBQUMsRUFBRSxXQUFXLENBQUMsTUFBTSxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUMsSUFBSSxLQUFLLEdBQUcsU0FBUyxFQUFFLENBQUM7SUFDNUcsT0FBTyxDQUFDLFNBQVMsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsV0FBVyxHQUFHLE9BQU8sQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDO0FBQ3BFLENBQUM7QUFFRCw0RkFBNEY7QUFDNUYsOEJBQThCO0FBRTlCLFNBQVMsYUFBYSxDQUFDLEdBQVc7SUFDOUIsSUFBSSxJQUFJLEdBQUcsTUFBTSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO0lBQ2pFLE9BQU8sRUFBRSxRQUFRLEVBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxzQkFBYyxFQUFFLElBQUksR0FBRyxPQUFPLENBQUMsRUFBRSxTQUFTLEVBQUUsSUFBSSxDQUFDLElBQUksQ0FBQyxzQkFBYyxFQUFFLElBQUksR0FBRyxPQUFPLENBQUMsRUFBRSxDQUFDO0FBQ3pILENBQUM7QUFFRCw0RkFBNEY7QUFDNUYsc0RBQXNEO0FBRXRELFNBQVMsU0FBUyxDQUFDLEdBQVc7SUFDMUIsSUFBSSxVQUFVLEdBQUcsYUFBYSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ3BDLElBQUksQ0FBQyxFQUFFLENBQUMsVUFBVSxDQUFDLFVBQVUsQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsVUFBVSxDQUFDLFFBQVEsQ0FBQztRQUMzRSxPQUFPLFNBQVMsQ0FBQztJQUVyQixJQUFJLFVBQVUsR0FBZSxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsVUFBVSxDQUFDLFNBQVMsQ0FBQyxDQUFDLFFBQVEsRUFBRSxDQUFDLENBQUM7SUFDMUYsSUFBSSxNQUFNLEdBQUcsRUFBRSxDQUFDLFlBQVksQ0FBQyxVQUFVLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDbEQsSUFBSSxVQUFVLENBQUMsR0FBRyxLQUFLLEdBQUcsSUFBSSxjQUFjLENBQUMsTUFBTSxDQUFDLEtBQUssVUFBVSxDQUFDLFdBQVcsRUFBRTtRQUM3RSxPQUFPLENBQUMsR0FBRyxDQUFDLHdDQUF3QyxHQUFHLEdBQUcsQ0FBQyxDQUFDO1FBQzVELE9BQU8sU0FBUyxDQUFDO0tBQ3BCO0lBQ0QsT0FBTyxFQUFFLFVBQVUsRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxDQUFDO0FBQ3RELENBQUM7QUFFRCxpR0FBaUc7QUFFakcsU0FBUyxVQUFVLENBQUMsR0FBVyxFQUFFLFFBQVEsRUFBRSxNQUFjLEVBQUUsV0FBbUI7SUFDMUUsSUFBSSxJQUFJLEdBQUcsUUFBUSxDQUFDLE9BQU8sQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUNwQyxJQUFJLFlBQVksR0FBRyxRQUFRLENBQUMsT0FBTyxDQUFDLGVBQWUsQ0FBQyxDQUFDO0lBQ3JELElBQUksSUFBSSxLQUFLLFNBQVMsSUFBSSxZQUFZLEtBQUssU0FBUztRQUNoRCxPQUFPO0lBRVgsSUFBSSxVQUFVLEdBQUcsYUFBYSxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQ3BDLElBQUksVUFBVSxHQUFlLEVBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLFlBQVksRUFBRSxZQUFZLEVBQUUsV0FBVyxFQUFFLFdBQVcsRUFBRSxDQUFDO0lBQzVHLEVBQUUsQ0FBQyxTQUFTLENBQUMsc0JBQWMsRUFBRSxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBQ2xELEVBQUUsQ0FBQyxhQUFhLENBQUMsVUFBVSxDQUFDLFFBQVEsRUFBRSxNQUFNLENBQUMsQ0FBQztJQUM5QyxFQUFFLENBQUMsYUFBYSxDQUFDLFVBQVUsQ0FBQyxTQUFTLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxVQUFVLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDO0FBQ3ZGLENBQUM7QUFFRCxnR0FBZ0c7QUFDaEcsOEVBQThFO0FBRTlFLEtBQUssVUFBVSxrQkFBa0IsQ0FBQyxHQUFXLEVBQUUsT0FBWTtJQUN2RCxLQUFLLElBQUksT0FBTyxHQUFHLENBQUMsR0FBSSxPQUFPLEVBQUUsRUFBRTtRQUMvQixJQUFJLEtBQUssR0FBRyxTQUFTLENBQUM7UUFDdEIsSUFBSTtZQUNBLElBQUksUUFBUSxHQUFHLE1BQU0sT0FBTyxtQkFBTSxPQUFPLElBQUUsR0FBRyxFQUFFLEdBQUcsRUFBRSxLQUFLLEVBQUUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxXQUFXLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLHVCQUF1QixFQUFFLElBQUksSUFBRyxDQUFDO1lBQ3JKLElBQUksUUFBUSxDQUFDLFVBQVUsR0FBRyxHQUFHO2dCQUN6QixPQUFPLFFBQVEsQ0FBQztZQUNwQixLQUFLLEdBQUcsSUFBSSxLQUFLLENBQUMsbUJBQW1CLEdBQUcsdUJBQXVCLFFBQVEsQ0FBQyxVQUFVLEdBQUcsQ0FBQyxDQUFDO1lBQ3ZGLElBQUksUUFBUSxDQUFDLFVBQVUsS0FBSyxHQUFHLElBQUksUUFBUSxDQUFDLFVBQVUsR0FBRyxHQUFHO2dCQUN4RCxNQUFNLEtBQUssQ0FBQztTQUNuQjtRQUFDLE9BQU8sWUFBWSxFQUFFO1lBQ25CLElBQUksWUFBWSxLQUFLLEtBQUs7Z0JBQ3RCLE1BQU0sS0FBSyxDQUFDO1lBQ2hCLEtBQUssR0FBRyxZQUFZLENBQUMsQ0FBRSw0REFBNEQ7U0FDdEY7UUFFRCxJQUFJLE9BQU8sSUFBSSxVQUFVO1lBQ3JCLE1BQU0sS0FBSyxDQUFDO1FBQ2hCLElBQUksS0FBSyxHQUFHLGlCQUFpQixHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxFQUFFLE9BQU8sQ0FBQyxDQUFDO1FBQ3JELE9BQU8sQ0FBQyxHQUFHLENBQUMsNEJBQTRCLEdBQUcsT0FBTyxLQUFLLEdBQUcsSUFBSSxtQkFBbUIsT0FBTyxHQUFHLENBQUMsT0FBTyxVQUFVLHNCQUFzQixLQUFLLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztRQUNwSixNQUFNLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztLQUN0QjtBQUNMLENBQUM7QUFFRCxnR0FBZ0c7QUFDaEcsK0ZBQStGO0FBQy9GLCtGQUErRjtBQUMvRixnRkFBZ0Y7QUFFekUsS0FBSyxVQUFVLEtBQUssQ0FBQyxHQUFXLEVBQUUsT0FBWTtJQUNqRCxJQUFJLGlCQUFpQixLQUFLLFNBQVMsSUFBSSxDQUFDLG1CQUFtQixFQUFFO1FBQ3pELElBQUksV0FBVyxHQUFHLGNBQWMsQ0FBQyxHQUFHLENBQUMsQ0FBQztRQUN0QyxPQUFPLENBQUMsR0FBRyxDQUFDLG9CQUFvQixXQUFXLEVBQUUsQ0FBQyxDQUFDO1FBQy9DLElBQUksTUFBTSxHQUFHLEVBQUUsQ0FBQyxZQUFZLENBQUMsV0FBVyxDQUFDLENBQUM7UUFDMUMsT0FBTyxFQUFFLElBQUksRUFBRSxPQUFPLENBQUMsTUFBTSxFQUFFLE9BQU8sQ0FBQyxFQUFFLFdBQVcsRUFBRSxjQUFjLENBQUMsTUFBTSxDQUFDLEVBQUUsUUFBUSxFQUFFLEtBQUssRUFBRSxDQUFDO0tBQ25HO0lBRUQsSUFBSSxLQUFLLEdBQUcsU0FBUyxDQUFDLEdBQUcsQ0FBQyxDQUFDO0lBQzNCLElBQUksT0FBTyxxQkFBUSxPQUFPLENBQUMsT0FBTyxDQUFFLENBQUM7SUFDckMsSUFBSSxLQUFLLEtBQUssU0FBUyxJQUFJLEtBQUssQ0FBQyxVQUFVLENBQUMsSUFBSSxLQUFLLFNBQVM7UUFDMUQsT0FBTyxDQUFDLGVBQWUsQ0FBQyxHQUFHLEtBQUssQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDO0lBQ3JELElBQUksS0FBSyxLQUFLLFNBQVMsSUFBSSxLQUFLLENBQUMsVUFBVSxDQUFDLFlBQVksS0FBSyxTQUFTO1FBQ2xFLE9BQU8sQ0FBQyxtQkFBbUIsQ0FBQyxHQUFHLEtBQUssQ0FBQyxVQUFVLENBQUMsWUFBWSxDQUFDO0lBRWpFLElBQUksUUFBUSxHQUFHLE1BQU0sa0JBQWtCLENBQUMsR0FBRyxvQkFBTyxPQUFPLElBQUUsT0FBTyxFQUFFLE9BQU8sSUFBRyxDQUFDO0lBQy9FLE1BQU0sS0FBSyxDQUFDLElBQUksR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLElBQUksQ0FBQyxNQUFNLEVBQUUsR0FBRyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztJQUV6RCxJQUFJLE1BQU0sR0FBVyxTQUFTLENBQUM7SUFDL0IsSUFBSSxRQUFRLEdBQUcsS0FBSyxDQUFDO0lBQ3JCLElBQUksUUFBUSxDQUFDLFVBQVUsS0FBSyxHQUFHLElBQUksS0FBSyxLQUFLLFNBQVMsRUFBRTtRQUNwRCxPQUFPLENBQUMsR0FBRyxDQUFDLDRCQUE0QixHQUFHLGtCQUFrQixDQUFDLENBQUM7UUFDL0QsTUFBTSxHQUFHLEtBQUssQ0FBQyxNQUFNLENBQUM7UUFDdEIsUUFBUSxHQUFHLElBQUksQ0FBQztLQUNuQjs7UUFDRyxNQUFNLEdBQUcsUUFBUSxDQUFDLElBQUksQ0FBQztJQUUzQixJQUFJLFdBQVcsR0FBRyxjQUFjLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDekMsSUFBSSxDQUFDLFFBQVE7UUFDVCxVQUFVLENBQUMsR0FBRyxFQUFFLFFBQVEsRUFBRSxNQUFNLEVBQUUsV0FBVyxDQUFDLENBQUM7SUFFbkQsSUFBSSxtQkFBbUIsRUFBRTtRQUNyQixJQUFJLFdBQVcsR0FBRyxjQUFjLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDdEMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxvQkFBb0IsV0FBVyxFQUFFLENBQUMsQ0FBQztRQUMvQyxFQUFFLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsV0FBVyxDQUFDLEVBQUUsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztRQUM3RCxFQUFFLENBQUMsYUFBYSxDQUFDLFdBQVcsRUFBRSxNQUFNLENBQUMsQ0FBQztLQUN6QztJQUVELE9BQU8sRUFBRSxJQUFJLEVBQUUsT0FBTyxDQUFDLE1BQU0sRUFBRSxPQUFPLENBQUMsRUFBRSxXQUFXLEVBQUUsV0FBVyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUUsQ0FBQztBQUM1RixDQUFDO0FBdkNELHNCQXVDQyJ9
\ No newline at end of file
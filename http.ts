@@ -0,0 +1,198 @@
+// Retrieves pages and PDFs from the council web site, retrying transient errors, caching the
+// responses on disk (revalidated using the ETag and Last-Modified headers) and hashing the
+// content of each response (so that unchanged PDFs can be skipped).
+
+"use strict";
+
+import * as fs from "fs";
+import * as path from "path";
+import * as crypto from "crypto";
+import * as request from "request-promise-native";
+import * as urlparser from "url";
+
+// When set, all pages and PDFs are read from this directory instead of from the web site (see
+// getFixturePath).  When MORPH_FIXTURES_RECORD is also set, pages and PDFs are instead read from
+// the web site and written to this directory (so that a run can later be replayed offline).
+
+const FixturesDirectory = process.env.MORPH_FIXTURES_DIRECTORY;
+const IsRecordingFixtures = (FixturesDirectory !== undefined && process.env.MORPH_FIXTURES_RECORD !== undefined);
+
+// The directory in which responses (and other downloaded data) are cached.
+
+export const CacheDirectory = process.env.MORPH_CACHE_DIRECTORY || "cache";
+
+// The number of times that a request is retried after a transient error (a network error or a
+// 429 or 5xx status code), and the delay before the first retry (this doubles for each retry).
+
+const RetryCount = 4;
+const InitialRetryDelay = 5000;
+
+// A retrieved page or PDF.  The content hash is the SHA-256 hash of the bytes of the body.
+
+export interface FetchResult {
+    body: any,
+    contentHash: string,
+    isCached: boolean
+}
+
+// The validators (and content hash) of a cached response.
+
+interface CacheEntry {
+    url: string,
+    etag: string,
+    lastModified: string,
+    contentHash: string
+}
+
+// Pauses for the specified number of milliseconds.
+
+export function sleep(milliseconds: number) {
+    return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+// Calculates the SHA-256 hash of the specified bytes (as a hexadecimal string).
+
+function getContentHash(buffer: Buffer) {
+    return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+// Converts the bytes of a response to the type requested in the options ("encoding: null" causes
+// a byte array to be returned instead of a string).  The bytes are copied into a separate array
+// (a small buffer read from a file may be a view of a larger, shared memory pool which pdf.js
+// would otherwise parse in its entirety).
+
+function getBody(buffer: Buffer, options: any) {
+    return (options.encoding === null) ? new Uint8Array(buffer) : buffer.toString();
+}
+
+// Determines the local file that holds the fixture for the specified URL.  The file is named
+// after the host, path and query of the URL (for example, the year page
+// "https://www.example.com/a/b" is read from "<fixtures directory>/www.example.com/a/b.html",
+// its second page "https://www.example.com/a/b?page=2" is read from
+// "<fixtures directory>/www.example.com/a/b_page=2.html" and the PDF
+// "https://www.example.com/c/d.pdf" is read from "<fixtures directory>/www.example.com/c/d.pdf").
+// Any characters of the query other than letters, digits, "=", ".", "_" and "-" are replaced
+// with "_".
+
+function getFixturePath(url: string) {
+    let parsedUrl = new urlparser.URL(url);
+    let fixturePath = path.join(FixturesDirectory, parsedUrl.hostname, decodeURIComponent(parsedUrl.pathname).replace(/\/+$/, ""));
+    let extension = path.extname(fixturePath);
+    let query = decodeURIComponent(parsedUrl.search.replace(/^\?/, "")).replace(/[^a-z0-9=._-]+/gi, "_");
+    if (query !== "")
+        fixturePath = `${fixturePath.substring(0, fixturePath.length - extension.length)}_${query}${extension}`;
+    return (extension === "") ? fixturePath + ".html" : fixturePath;
+}
+
+// Determines the local files that hold the cached body and the cache entry for a URL (named
+// after the hash of the URL).
+
+function getCachePaths(url: string) {
+    let name = crypto.createHash("sha256").update(url).digest("hex");
+    return { bodyPath: path.join(CacheDirectory, name + ".body"), entryPath: path.join(CacheDirectory, name + ".json") };
+}
+
+// Reads the cached response for a URL, returning undefined if the URL is not cached (or the
+// cached body is missing or does not match its hash).
+
+function readCache(url: string) {
+    let cachePaths = getCachePaths(url);
+    if (!fs.existsSync(cachePaths.entryPath) || !fs.existsSync(cachePaths.bodyPath))
+        return undefined;
+
+    let cacheEntry: CacheEntry = JSON.parse(fs.readFileSync(cachePaths.entryPath).toString());
+    let buffer = fs.readFileSync(cachePaths.bodyPath);
+    if (cacheEntry.url !== url || getContentHash(buffer) !== cacheEntry.contentHash) {
+        console.log(`Ignoring the corrupt cache entry for ${url}.`);
+        return undefined;
+    }
+    return { cacheEntry: cacheEntry, buffer: buffer };
+}
+
+// Caches a response (only if it can later be revalidated using an ETag or Last-Modified header).
+
+function writeCache(url: string, response, buffer: Buffer, contentHash: string) {
+    let etag = response.headers["etag"];
+    let lastModified = response.headers["last-modified"];
+    if (etag === undefined && lastModified === undefined)
+        return;
+
+    let cachePaths = getCachePaths(url);
+    let cacheEntry: CacheEntry = { url: url, etag: etag, lastModified: lastModified, contentHash: contentHash };
+    fs.mkdirSync(CacheDirectory, { recursive: true });
+    fs.writeFileSync(cachePaths.bodyPath, buffer);
+    fs.writeFileSync(cachePaths.entryPath, JSON.stringify(cacheEntry, null, 4) + "\n");
+}
+
+// Sends a request, retrying (with an exponentially increasing delay) after a network error or a
+// 429 or 5xx status code.  Any other error status code is thrown immediately.
+
+async function requestWithRetries(url: string, options: any) {
+    for (let attempt = 0; ; attempt++) {
+        let error = undefined;
+        try {
+            let response = await request({ ...options, url: url, proxy: process.env.MORPH_PROXY, encoding: null, simple: false, resolveWithFullResponse: true });
+            if (response.statusCode < 400)
+                return response;
+            error = new Error(`The request for ${url} failed with status ${response.statusCode}.`);
+            if (response.statusCode !== 429 && response.statusCode < 500)
+                throw error;
+        } catch (requestError) {
+            if (requestError === error)
+                throw error;
+            error = requestError;  // a network error (such as a timeout or a reset connection)
+        }
+
+        if (attempt >= RetryCount)
+            throw error;
+        let delay = InitialRetryDelay * Math.pow(2, attempt);
+        console.log(`Retrying the request for ${url} in ${delay / 1000} seconds (retry ${attempt + 1} of ${RetryCount}) after the error: ${error.message}`);
+        await sleep(delay);
+    }
+}
+
+// Retrieves the page or PDF at the specified URL (either from the web site or from the fixtures
+// directory).  The options are passed through to request (for example, "encoding: null" causes
+// a byte array to be returned instead of a string).  A cached response is revalidated with the
+// web site and then used if the web site reports that it has not been modified.
+
+export async function fetch(url: string, options: any): Promise<FetchResult> {
+    if (FixturesDirectory !== undefined && !IsRecordingFixtures) {
+        let fixturePath = getFixturePath(url);
+        console.log(`Reading fixture: ${fixturePath}`);
+        let buffer = fs.readFileSync(fixturePath);
+        return { body: getBody(buffer, options), contentHash: getContentHash(buffer), isCached: false };
+    }
+
+    let cache = readCache(url);
+    let headers = { ...options.headers };
+    if (cache !== undefined && cache.cacheEntry.etag !== undefined)
+        headers["If-None-Match"] = cache.cacheEntry.etag;
+    if (cache !== undefined && cache.cacheEntry.lastModified !== undefined)
+        headers["If-Modified-Since"] = cache.cacheEntry.lastModified;
+
+    let response = await requestWithRetries(url, { ...options, headers: headers });
+    await sleep(2000 + Math.floor(Math.random() * 5) * 1000);
+
+    let buffer: Buffer = undefined;
+    let isCached = false;
+    if (response.statusCode === 304 && cache !== undefined) {
+        console.log(`Using the cached copy of ${url} (not modified).`);
+        buffer = cache.buffer;
+        isCached = true;
+    } else
+        buffer = response.body;
+
+    let contentHash = getContentHash(buffer);
+    if (!isCached)
+        writeCache(url, response, buffer, contentHash);
+
+    if (IsRecordingFixtures) {
+        let fixturePath = getFixturePath(url);
+        console.log(`Writing fixture: ${fixturePath}`);
+        fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+        fs.writeFileSync(fixturePath, buffer);
+    }
+
+    return { body: getBody(buffer, options), contentHash: contentHash, isCached: isCached };
+}
@@ -0,0 +1,236 @@
+// Declarative definitions of the layouts of the development application register PDFs (the
+// layouts of each council are defined in its configuration file, see council.ts), along with
+// functions that detect the layout of a page and extract the elements of each field.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const table_1 = require("./table");
+// The fields that every layout must define.
+const RequiredFieldNames = ["applicationNumber", "receivedDate", "address", "description"];
+// Checks a layout definition (for example, one read from a council configuration file), returning
+// a description of each problem found (an empty array if the layout is valid).
+function validateLayout(layout) {
+    let issues = [];
+    if (typeof layout.name !== "string" || layout.name === "")
+        issues.push("The layout has no name.");
+    if (layout.headings === null || typeof layout.headings !== "object" || layout.fields === null || typeof layout.fields !== "object")
+        return [...issues, "The layout must have \"headings\" and \"fields\" objects."];
+    for (let name of Object.keys(layout.headings)) {
+        let heading = layout.headings[name];
+        if (heading === null || typeof heading !== "object" || typeof heading.label !== "string" || heading.label.trim() === "")
+            issues.push(`The heading "${name}" has no label.`);
+    }
+    for (let name of RequiredFieldNames)
+        if (layout.fields[name] === undefined)
+            issues.push(`The required field "${name}" is not defined.`);
+    for (let name of Object.keys(layout.fields)) {
+        let field = layout.fields[name];
+        if (field === null || typeof field !== "object") {
+            issues.push(`The field "${name}" is not an object.`);
+            continue;
+        }
+        if (layout.headings[field.heading] === undefined)
+            issues.push(`The field "${name}" refers to the heading "${field.heading}" which is not defined.`);
+        if (field.region !== "right" && field.region !== "below")
+            issues.push(`The field "${name}" has the region "${field.region}" (expected "right" or "below").`);
+        if (field.lineCount !== undefined && field.lineCount !== "unbounded" && !(Number.isInteger(field.lineCount) && field.lineCount >= 1))
+            issues.push(`The field "${name}" has the line count "${field.lineCount}" (expected a positive integer or "unbounded").`);
+    }
+    return issues.map(issue => `Layout "${layout.name}": ${issue}`);
+}
+exports.validateLayout = validateLayout;
+// Determines whether the text of an element matches a heading (ignoring case and white space).
+function isHeadingElement(heading, element) {
+    let text = element.text.toLowerCase().replace(/\s/g, "");
+    let label = heading.label.toLowerCase().replace(/\s/g, "");
+    return heading.isPrefix ? text.startsWith(label) : (text === label);
+}
+// Finds the first element that matches each heading of the layout.  Headings that are not
+// present on the page are omitted from the returned object.
+function findHeadingElements(layout, elements) {
+    let headingElements = {};
+    for (let name of Object.keys(layout.headings)) {
+        let headingElement = elements.find(element => isHeadingElement(layout.headings[name], element));
+        if (headingElement !== undefined)
+            headingElements[name] = headingElement;
+    }
+    return headingElements;
+}
+exports.findHeadingElements = findHeadingElements;
+// Splits any element that starts with the label of a heading and continues with other text (for
+// example, "Development Description Dwelling" where the text recognised from a scanned page or a
+// single run of text holds both a heading and its value) into a heading element and a value
+// element.  The width of the element is divided in proportion to the number of characters.
+function splitHeadingElements(layout, elements) {
+    let headings = Object.keys(layout.headings).map(name => layout.headings[name]).filter(heading => !heading.isPrefix);
+    let splitElements = [];
+    for (let element of elements) {
+        let words = element.text.trim().split(/\s+/);
+        let labelWordCount = 0;
+        for (let heading of headings) {
+            let count = heading.label.trim().split(/\s+/).length;
+            if (words.length > count && isHeadingElement(heading, Object.assign({}, element, { text: words.slice(0, count).join(" ") })))
+                labelWordCount = count;
+        }
+        if (labelWordCount === 0) {
+            splitElements.push(element);
+            continue;
+        }
+        let headingText = words.slice(0, labelWordCount).join(" ");
+        let valueText = words.slice(labelWordCount).join(" ");
+        let headingWidth = element.width * (headingText.length + 1) / (headingText.length + 1 + valueText.length); // including the space
+        splitElements.push(Object.assign({}, element, { text: headingText, width: headingWidth * headingText.length / (headingText.length + 1) }));
+        splitElements.push(Object.assign({}, element, { text: valueText, x: element.x + headingWidth, width: element.width - headingWidth }));
+    }
+    return splitElements;
+}
+exports.splitHeadingElements = splitHeadingElements;
+// Calculates the fraction of the headings of a layout that are present on a page (from 0 to 1).
+function scoreLayout(layout, elements) {
+    let headingNames = Object.keys(layout.headings);
+    let headingElements = findHeadingElements(layout, elements);
+    return (headingNames.length === 0) ? 0 : (Object.keys(headingElements).length / headingNames.length);
+}
+exports.scoreLayout = scoreLayout;
+// Determines the layout (of the layouts of a council) that best matches the elements of a page.
+// When several layouts score equally for a page the first of those layouts is used.
+function detectLayout(elements, layouts) {
+    let bestLayout = undefined;
+    let bestScore = -1;
+    for (let layout of layouts) {
+        let score = scoreLayout(layout, elements);
+        if (score > bestScore) {
+            bestLayout = layout;
+            bestScore = score;
+        }
+    }
+    return bestLayout;
+}
+exports.detectLayout = detectLayout;
+// Gets the label of the heading of a field (without any trailing colon, for use in messages).
+function getFieldHeadingLabel(layout, fieldName) {
+    return layout.headings[layout.fields[fieldName].heading].label.replace(/:$/, "");
+}
+exports.getFieldHeadingLabel = getFieldHeadingLabel;
+// Determines whether an element is a label (a heading of the layout or text ending with a colon,
+// such as "Lodgement Fee:").
+function isLabelElement(layout, element) {
+    return /\S\s*:$/.test(element.text.trim()) || Object.keys(layout.headings).some(name => isHeadingElement(layout.headings[name], element));
+}
+// Reconstructs the table structure (lines, cells and label columns) of the elements of a block or
+// page, treating the headings of the layout as labels.
+function buildLayoutTable(layout, elements) {
+    return table_1.buildTable(elements, element => isLabelElement(layout, element));
+}
+exports.buildLayoutTable = buildLayoutTable;
+// Finds the label cell of a heading (the first occurrence in reading order).
+function findHeadingCell(layout, table, headingName) {
+    return table_1.findLabelCell(table, cell => cell.elements.length === 1 && isHeadingElement(layout.headings[headingName], cell.elements[0]));
+}
+// Gets the elements of the value of a field (the value for the label of the heading of the field,
+// see getValueCells).  Returns undefined if the layout does not define the field or if the
+// heading of the field is not present.
+function getFieldElements(layout, fieldName, table) {
+    let field = layout.fields[fieldName];
+    if (field === undefined)
+        return undefined;
+    let headingCell = findHeadingCell(layout, table, field.heading);
+    if (headingCell === undefined)
+        return undefined;
+    if (field.valueInHeading) {
+        let tokens = headingCell.text.split(" ");
+        if (tokens.length >= 2)
+            return [Object.assign({}, headingCell.elements[0], { text: tokens[1] })];
+    }
+    let lineCount = (field.lineCount === undefined) ? 1 : ((field.lineCount === "unbounded") ? Number.POSITIVE_INFINITY : field.lineCount);
+    return table_1.getCellElements(table_1.getValueCells(table, headingCell, field.region, lineCount));
+}
+exports.getFieldElements = getFieldElements;
+// Splits the elements of a page into blocks (one block for each development application on the
+// page).  Each block starts at an occurrence of the heading of the "applicationNumber" field
+// (ignoring elements that also match another heading, such as "Development Description" for the
+// heading "Development") and extends down to the next occurrence.  Any elements above the first
+// block are returned separately as the leading elements (these may continue the description of
+// the last application on the previous page).
+function splitApplicationBlocks(layout, elements) {
+    let applicationHeadingName = layout.fields.applicationNumber.heading;
+    let otherHeadings = Object.keys(layout.headings).filter(name => name !== applicationHeadingName).map(name => layout.headings[name]);
+    let applicationHeadingElements = elements.filter(element => isHeadingElement(layout.headings[applicationHeadingName], element) &&
+        !otherHeadings.some(heading => isHeadingElement(heading, element)));
+    if (applicationHeadingElements.length === 0)
+        return { leadingElements: elements, blocks: [] };
+    // Allow for elements on the same line as a heading that are positioned slightly higher than
+    // the heading.
+    let tops = applicationHeadingElements.map(element => element.y - element.height / 2);
+    let leadingElements = elements.filter(element => element.y < tops[0]);
+    let blocks = tops.map((top, index) => {
+        let bottom = (index + 1 < tops.length) ? tops[index + 1] : Number.MAX_VALUE;
+        return elements.filter(element => element.y >= top && element.y < bottom);
+    });
+    return { leadingElements: leadingElements, blocks: blocks };
+}
+exports.splitApplicationBlocks = splitApplicationBlocks;
+// The continuation of a description on the next page must lie within this fraction of the page
+// height of the top of the page.
+const MaximumContinuationTop = 0.25;
+// Text that is taller than this multiple of the height of the description text (such as the title
+// of the register) is not a continuation of the description.
+const MaximumContinuationHeight = 1.25;
+// Text whose centre is within this fraction of the page width of the centre of the page (and that
+// is not aligned with the description) is centred, like the title of a page, and so is not a
+// continuation of the description.
+const CentredTolerance = 0.02;
+// Elements on consecutive pages with the same text (ignoring any numbers, such as "Page 2 of 3")
+// whose positions differ by less than this many points repeat on every page (a page header or
+// footer).
+const RepeatedElementTolerance = 2;
+// Determines whether an element also appears at the same position on another page (ignoring any
+// numbers in the text), as a page header or footer does.
+function isRepeatedElement(element, otherPageElements) {
+    let getText = (element) => element.text.toLowerCase().replace(/\s/g, "").replace(/\d+/g, "#");
+    let text = getText(element);
+    return otherPageElements.some(otherElement => Math.abs(otherElement.x - element.x) < RepeatedElementTolerance &&
+        Math.abs(otherElement.y - element.y) < RepeatedElementTolerance &&
+        getText(otherElement) === text);
+}
+// Gets any leading elements of a page that continue the description of the last application on
+// the previous page.  This is only the case if no label follows the description of that
+// application, in which case the continuation is taken to be the leading elements that lie in the
+// same column as the description, close to the top of the page.  Elements that repeat on every
+// page (compared with the elements of the previous page) and elements that are taller than the
+// description text or centred on the page (such as the title of the register) are ignored.
+function getDescriptionContinuationElements(layout, previousBlock, leadingElements, pageSize, previousPageElements) {
+    let field = layout.fields.description;
+    let table = buildLayoutTable(layout, previousBlock);
+    let headingCell = findHeadingCell(layout, table, field.heading);
+    if (headingCell === undefined || !table_1.isValueAtEnd(table, headingCell, field.region))
+        return [];
+    let { left, right } = table_1.getValueColumn(table, headingCell, field.region);
+    let descriptionElements = table_1.getCellElements(table_1.getValueCells(table, headingCell, field.region, Number.POSITIVE_INFINITY));
+    let descriptionHeight = Math.max(headingCell.height, ...descriptionElements.map(element => element.height));
+    let descriptionLeft = (descriptionElements.length === 0) ? left : Math.min(...descriptionElements.map(element => element.x));
+    return leadingElements.filter(element => element.x >= left && element.x < right &&
+        element.y <= pageSize.height * MaximumContinuationTop &&
+        element.height <= descriptionHeight * MaximumContinuationHeight &&
+        !(Math.abs(element.x + element.width / 2 - pageSize.width / 2) < pageSize.width * CentredTolerance && Math.abs(element.x - descriptionLeft) >= element.height) &&
+        !isRepeatedElement(element, previousPageElements) &&
+        !isLabelElement(layout, element));
+}
+exports.getDescriptionContinuationElements = getDescriptionContinuationElements;
+// Gets the values of any labelled fields (labels whose text ends with a colon, such as "Lodgement
+// Fee:") that are not headings of the layout.  The value of each label is the text of the cells
+// to the right of the label on the same line (up to the next label column).
+function getLabelledFields(layout, table) {
+    let headings = Object.keys(layout.headings).map(name => layout.headings[name]);
+    let labelledFields = {};
+    for (let line of table.lines) {
+        for (let labelCell of line.cells.filter(cell => cell.isLabel && /\S\s*:$/.test(cell.text) && !headings.some(heading => isHeadingElement(heading, cell.elements[0])))) {
+            let value = table_1.getValueCells(table, labelCell, "right", 1).map(cell => cell.text).join(" ").trim();
+            let label = labelCell.text.replace(/\s*:$/, "");
+            if (value !== "" && labelledFields[label] === undefined)
+                labelledFields[label] = value;
+        }
+    }
+    return labelledFields;
+}
+exports.getLabelledFields = getLabelledFields;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibGF5b3V0LmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsibGF5b3V0LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLDJGQUEyRjtBQUMzRiw2RkFBNkY7QUFDN0YscUZBQXFGO0FBRXJGLFlBQVksQ0FBQzs7QUFFYixtQ0FBeUg7QUF3RHpILDRDQUE0QztBQUU1QyxNQUFNLGtCQUFrQixHQUFHLENBQUUsbUJBQW1CLEVBQUUsY0FBYyxFQUFFLFNBQVMsRUFBRSxhQUFhLENBQUUsQ0FBQztBQUU3RixrR0FBa0c7QUFDbEcsK0VBQStFO0FBRS9FLFNBQWdCLGNBQWMsQ0FBQyxNQUFjO0lBQ3pDLElBQUksTUFBTSxHQUFhLEVBQUUsQ0FBQztJQUMxQixJQUFJLE9BQU8sTUFBTSxDQUFDLElBQUksS0FBSyxRQUFRLElBQUksTUFBTSxDQUFDLElBQUksS0FBSyxFQUFFO1FBQ3JELE1BQU0sQ0FBQyxJQUFJLENBQUMseUJBQXlCLENBQUMsQ0FBQztJQUMzQyxJQUFJLE1BQU0sQ0FBQyxRQUFRLEtBQUssSUFBSSxJQUFJLE9BQU8sTUFBTSxDQUFDLFFBQVEsS0FBSyxRQUFRLElBQUksTUFBTSxDQUFDLE1BQU0sS0FBSyxJQUFJLElBQUksT0FBTyxNQUFNLENBQUMsTUFBTSxLQUFLLFFBQVE7UUFDOUgsT0FBTyxDQUFFLEdBQUcsTUFBTSxFQUFFLDJEQUEyRCxDQUFFLENBQUM7SUFFdEYsS0FBSyxJQUFJLElBQUksSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsRUFBRTtRQUMzQyxJQUFJLE9BQU8sR0FBRyxNQUFNLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ3BDLElBQUksT0FBTyxLQUFLLElBQUksSUFBSSxPQUFPLE9BQU8sS0FBSyxRQUFRLElBQUksT0FBTyxPQUFPLENBQUMsS0FBSyxLQUFLLFFBQVEsSUFBSSxPQUFPLENBQUMsS0FBSyxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUU7WUFDbkgsTUFBTSxDQUFDLElBQUksQ0FBQyxnQkFBZ0IsSUFBSSxpQkFBaUIsQ0FBQyxDQUFDO0tBQzFEO0lBQ0QsS0FBSyxJQUFJLElBQUksSUFBSSxrQkFBa0I7UUFDL0IsSUFBSSxNQUFNLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxLQUFLLFNBQVM7WUFDakMsTUFBTSxDQUFDLElBQUksQ0FBQyx1QkFBdUIsSUFBSSxtQkFBbUIsQ0FBQyxDQUFDO0lBQ3BFLEtBQUssSUFBSSxJQUFJLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQUU7UUFDekMsSUFBSSxLQUFLLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUNoQyxJQUFJLEtBQUssS0FBSyxJQUFJLElBQUksT0FBTyxLQUFLLEtBQUssUUFBUSxFQUFFO1lBQzdDLE1BQU0sQ0FBQyxJQUFJLENBQUMsY0FBYyxJQUFJLHFCQUFxQixDQUFDLENBQUM7WUFDckQsU0FBUztTQUNaO1FBQ0QsSUFBSSxNQUFNLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxPQUFPLENBQUMsS0FBSyxTQUFTO1lBQzVDLE1BQU0sQ0FBQyxJQUFJLENBQUMsY0FBYyxJQUFJLDRCQUE0QixLQUFLLENBQUMsT0FBTyx5QkFBeUIsQ0FBQyxDQUFDO1FBQ3RHLElBQUksS0FBSyxDQUFDLE1BQU0sS0FBSyxPQUFPLElBQUksS0FBSyxDQUFDLE1BQU0sS0FBSyxPQUFPO1lBQ3BELE1BQU0sQ0FBQyxJQUFJLENBQUMsY0FBYyxJQUFJLHFCQUFxQixLQUFLLENBQUMsTUFBTSxrQ0FBa0MsQ0FBQyxDQUFDO1FBQ3ZHLElBQUksS0FBSyxDQUFDLFNBQVMsS0FBSyxTQUFTLElBQUksS0FBSyxDQUFDLFNBQVMsS0FBSyxXQUFXLElBQUksQ0FBQyxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxJQUFJLEtBQUssQ0FBQyxTQUFTLElBQUksQ0FBQyxDQUFDO1lBQ2hJLE1BQU0sQ0FBQyxJQUFJLENBQUMsY0FBYyxJQUFJLHlCQUF5QixLQUFLLENBQUMsU0FBUyxpREFBaUQsQ0FBQyxDQUFDO0tBQ2hJO0lBQ0QsT0FBTyxNQUFNLENBQUMsR0FBRyxDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUMsV0FBVyxNQUFNLENBQUMsSUFBSSxNQUFNLEtBQUssRUFBRSxDQUFDLENBQUM7QUFDcEUsQ0FBQztBQTdCRCx3Q0E2QkM7QUFFRCwrRkFBK0Y7QUFFL0YsU0FBUyxnQkFBZ0IsQ0FBQyxPQUEwQixFQUFFLE9BQWdCO0lBQ2xFLElBQUksSUFBSSxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsV0FBVyxFQUFFLENBQUMsT0FBTyxDQUFDLEtBQUssRUFBRSxFQUFFLENBQUMsQ0FBQztJQUN6RCxJQUFJLEtBQUssR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLFdBQVcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUM7SUFDM0QsT0FBTyxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsVUFBVSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksS0FBSyxLQUFLLENBQUMsQ0FBQztBQUN4RSxDQUFDO0FBRUQsMEZBQTBGO0FBQzFGLDREQUE0RDtBQUU1RCxTQUFnQixtQkFBbUIsQ0FBQyxNQUFjLEVBQUUsUUFBbUI7SUFDbkUsSUFBSSxlQUFlLEdBQWdDLEVBQUUsQ0FBQztJQUN0RCxLQUFLLElBQUksSUFBSSxJQUFJLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxFQUFFO1FBQzNDLElBQUksY0FBYyxHQUFHLFFBQVEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxnQkFBZ0IsQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxFQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUM7UUFDaEcsSUFBSSxjQUFjLEtBQUssU0FBUztZQUM1QixlQUFlLENBQUMsSUFBSSxDQUFDLEdBQUcsY0FBYyxDQUFDO0tBQzlDO0lBQ0QsT0FBTyxlQUFlLENBQUM7QUFDM0IsQ0FBQztBQVJELGtEQVFDO0FBRUQsZ0dBQWdHO0FBQ2hHLGlHQUFpRztBQUNqRyw0RkFBNEY7QUFDNUYsMkZBQTJGO0FBRTNGLFNBQWdCLG9CQUFvQixDQUFDLE1BQWMsRUFBRSxRQUFtQjtJQUNwRSxJQUFJLFFBQVEsR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUMsUUFBUSxDQUFDLENBQUM7SUFDcEgsSUFBSSxhQUFhLEdBQWMsRUFBRSxDQUFDO0lBQ2xDLEtBQUssSUFBSSxPQUFPLElBQUksUUFBUSxFQUFFO1FBQzFCLElBQUksS0FBSyxHQUFHLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO1FBQzdDLElBQUksY0FBYyxHQUFHLENBQUMsQ0FBQztRQUN2QixLQUFLLElBQUksT0FBTyxJQUFJLFFBQVEsRUFBRTtZQUMxQixJQUFJLEtBQUssR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLElBQUksRUFBRSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxNQUFNLENBQUM7WUFDckQsSUFBSSxLQUFLLENBQUMsTUFBTSxHQUFHLEtBQUssSUFBSSxnQkFBZ0IsQ0FBQyxPQUFPLG9CQUFPLE9BQU8sSUFBRSxJQUFJLEVBQUUsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsS0FBSyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFHO2dCQUN4RyxjQUFjLEdBQUcsS0FBSyxDQUFDO1NBQzlCO1FBQ0QsSUFBSSxjQUFjLEtBQUssQ0FBQyxFQUFFO1lBQ3RCLGFBQWEsQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7WUFDNUIsU0FBUztTQUNaO1FBRUQsSUFBSSxXQUFXLEdBQUcsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDLEVBQUUsY0FBYyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQzNELElBQUksU0FBUyxHQUFHLEtBQUssQ0FBQyxLQUFLLENBQUMsY0FBYyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQ3RELElBQUksWUFBWSxHQUFHLE9BQU8sQ0FBQyxLQUFLLEdBQUcsQ0FBQyxXQUFXLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLE1BQU0sR0FBRyxDQUFDLEdBQUcsU0FBUyxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUUsc0JBQXNCO1FBQ2xJLGFBQWEsQ0FBQyxJQUFJLG1CQUFNLE9BQU8sSUFBRSxJQUFJLEVBQUUsV0FBVyxFQUFFLEtBQUssRUFBRSxZQUFZLEdBQUcsV0FBVyxDQUFDLE1BQU0sR0FBRyxDQUFDLFdBQVcsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLElBQUcsQ0FBQztRQUMzSCxhQUFhLENBQUMsSUFBSSxtQkFBTSxPQUFPLElBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxDQUFDLEVBQUUsT0FBTyxDQUFDLENBQUMsR0FBRyxZQUFZLEVBQUUsS0FBSyxFQUFFLE9BQU8sQ0FBQyxLQUFLLEdBQUcsWUFBWSxJQUFHLENBQUM7S0FDekg7SUFDRCxPQUFPLGFBQWEsQ0FBQztBQUN6QixDQUFDO0FBdkJELG9EQXVCQztBQUVELGdHQUFnRztBQUVoRyxTQUFnQixXQUFXLENBQUMsTUFBYyxFQUFFLFFBQW1CO0lBQzNELElBQUksWUFBWSxHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQ2hELElBQUksZUFBZSxHQUFHLG1CQUFtQixDQUFDLE1BQU0sRUFBRSxRQUFRLENBQUMsQ0FBQztJQUM1RCxPQUFPLENBQUMsWUFBWSxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsZUFBZSxDQUFDLENBQUMsTUFBTSxHQUFHLFlBQVksQ0FBQyxNQUFNLENBQUMsQ0FBQztBQUN6RyxDQUFDO0FBSkQsa0NBSUM7QUFFRCxnR0FBZ0c7QUFDaEcsb0ZBQW9GO0FBRXBGLFNBQWdCLFlBQVksQ0FBQyxRQUFtQixFQUFFLE9BQWlCO0lBQy9ELElBQUksVUFBVSxHQUFHLFNBQVMsQ0FBQztJQUMzQixJQUFJLFNBQVMsR0FBRyxDQUFDLENBQUMsQ0FBQztJQUNuQixLQUFLLElBQUksTUFBTSxJQUFJLE9BQU8sRUFBRTtRQUN4QixJQUFJLEtBQUssR0FBRyxXQUFXLENBQUMsTUFBTSxFQUFFLFFBQVEsQ0FBQyxDQUFDO1FBQzFDLElBQUksS0FBSyxHQUFHLFNBQVMsRUFBRTtZQUNuQixVQUFVLEdBQUcsTUFBTSxDQUFDO1lBQ3BCLFNBQVMsR0FBRyxLQUFLLENBQUM7U0FDckI7S0FDSjtJQUNELE9BQU8sVUFBVSxDQUFDO0FBQ3RCLENBQUM7QUFYRCxvQ0FXQztBQUVELDhGQUE4RjtBQUU5RixTQUFnQixvQkFBb0IsQ0FBQyxNQUFjLEVBQUUsU0FBaUI7SUFDbEUsT0FBTyxNQUFNLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLENBQUMsT0FBTyxDQUFDLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsRUFBRSxDQUFDLENBQUM7QUFDckYsQ0FBQztBQUZELG9EQUVDO0FBRUQsaUdBQWlHO0FBQ2pHLDZCQUE2QjtBQUU3QixTQUFTLGNBQWMsQ0FBQyxNQUFjLEVBQUUsT0FBZ0I7SUFDcEQsT0FBTyxTQUFTLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsSUFBSSxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxnQkFBZ0IsQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxFQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUM7QUFDOUksQ0FBQztBQUVELGtHQUFrRztBQUNsRyx1REFBdUQ7QUFFdkQsU0FBZ0IsZ0JBQWdCLENBQUMsTUFBYyxFQUFFLFFBQW1CO0lBQ2hFLE9BQU8sa0JBQVUsQ0FBQyxRQUFRLEVBQUUsT0FBTyxDQUFDLEVBQUUsQ0FBQyxjQUFjLENBQUMsTUFBTSxFQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUM7QUFDNUUsQ0FBQztBQUZELDRDQUVDO0FBRUQsNkVBQTZFO0FBRTdFLFNBQVMsZUFBZSxDQUFDLE1BQWMsRUFBRSxLQUFZLEVBQUUsV0FBbUI7SUFDdEUsT0FBTyxxQkFBYSxDQUFDLEtBQUssRUFBRSxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsTUFBTSxLQUFLLENBQUMsSUFBSSxnQkFBZ0IsQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLFdBQVcsQ0FBQyxFQUFFLElBQUksQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0FBQ3hJLENBQUM7QUFFRCxrR0FBa0c7QUFDbEcsMkZBQTJGO0FBQzNGLHVDQUF1QztBQUV2QyxTQUFnQixnQkFBZ0IsQ0FBQyxNQUFjLEVBQUUsU0FBaUIsRUFBRSxLQUFZO0lBQzVFLElBQUksS0FBSyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsU0FBUyxDQUFDLENBQUM7SUFDckMsSUFBSSxLQUFLLEtBQUssU0FBUztRQUNuQixPQUFPLFNBQVMsQ0FBQztJQUNyQixJQUFJLFdBQVcsR0FBRyxlQUFlLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDaEUsSUFBSSxXQUFXLEtBQUssU0FBUztRQUN6QixPQUFPLFNBQVMsQ0FBQztJQUVyQixJQUFJLEtBQUssQ0FBQyxjQUFjLEVBQUU7UUFDdEIsSUFBSSxNQUFNLEdBQUcsV0FBVyxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLENBQUM7UUFDekMsSUFBSSxNQUFNLENBQUMsTUFBTSxJQUFJLENBQUM7WUFDbEIsT0FBTyxtQkFBTyxXQUFXLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxJQUFFLElBQUksRUFBRSxNQUFNLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQztLQUNsRTtJQUVELElBQUksU0FBUyxHQUFHLENBQUMsS0FBSyxDQUFDLFNBQVMsS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsS0FBSyxDQUFDLFNBQVMsS0FBSyxXQUFXLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLGlCQUFpQixDQUFDLENBQUMsQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLENBQUM7SUFDdkksT0FBTyx1QkFBZSxDQUFDLHFCQUFhLENBQUMsS0FBSyxFQUFFLFdBQVcsRUFBRSxLQUFLLENBQUMsTUFBTSxFQUFFLFNBQVMsQ0FBQyxDQUFDLENBQUM7QUFDdkYsQ0FBQztBQWhCRCw0Q0FnQkM7QUFFRCwrRkFBK0Y7QUFDL0YsNkZBQTZGO0FBQzdGLGdHQUFnRztBQUNoRyxnR0FBZ0c7QUFDaEcsK0ZBQStGO0FBQy9GLDhDQUE4QztBQUU5QyxTQUFnQixzQkFBc0IsQ0FBQyxNQUFjLEVBQUUsUUFBbUI7SUFDdEUsSUFBSSxzQkFBc0IsR0FBRyxNQUFNLENBQUMsTUFBTSxDQUFDLGlCQUFpQixDQUFDLE9BQU8sQ0FBQztJQUNyRSxJQUFJLGFBQWEsR0FBRyxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLEtBQUssc0JBQXNCLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUM7SUFDcEksSUFBSSwwQkFBMEIsR0FBRyxRQUFRLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQ3ZELGdCQUFnQixDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsc0JBQXNCLENBQUMsRUFBRSxPQUFPLENBQUM7UUFDbEUsQ0FBQyxhQUFhLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsZ0JBQWdCLENBQUMsT0FBTyxFQUFFLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUV4RSxJQUFJLDBCQUEwQixDQUFDLE1BQU0sS0FBSyxDQUFDO1FBQ3ZDLE9BQU8sRUFBRSxlQUFlLEVBQUUsUUFBUSxFQUFFLE1BQU0sRUFBRSxFQUFFLEVBQUUsQ0FBQztJQUVyRCw0RkFBNEY7SUFDNUYsZUFBZTtJQUVmLElBQUksSUFBSSxHQUFHLDBCQUEwQixDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQztJQUNyRixJQUFJLGVBQWUsR0FBRyxRQUFRLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUN0RSxJQUFJLE1BQU0sR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsR0FBRyxFQUFFLEtBQUssRUFBRSxFQUFFO1FBQ2pDLElBQUksTUFBTSxHQUFHLENBQUMsS0FBSyxHQUFHLENBQUMsR0FBRyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxLQUFLLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUM7UUFDNUUsT0FBTyxRQUFRLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLENBQUMsSUFBSSxHQUFHLElBQUksT0FBTyxDQUFDLENBQUMsR0FBRyxNQUFNLENBQUMsQ0FBQztJQUM5RSxDQUFDLENBQUMsQ0FBQztJQUVILE9BQU8sRUFBRSxlQUFlLEVBQUUsZUFBZSxFQUFFLE1BQU0sRUFBRSxNQUFNLEVBQUUsQ0FBQztBQUNoRSxDQUFDO0FBckJELHdEQXFCQztBQUVELCtGQUErRjtBQUMvRixpQ0FBaUM7QUFFakMsTUFBTSxzQkFBc0IsR0FBRyxJQUFJLENBQUM7QUFFcEMsa0dBQWtHO0FBQ2xHLDZEQUE2RDtBQUU3RCxNQUFNLHlCQUF5QixHQUFHLElBQUksQ0FBQztBQUV2QyxrR0FBa0c7QUFDbEcsNkZBQTZGO0FBQzdGLG1DQUFtQztBQUVuQyxNQUFNLGdCQUFnQixHQUFHLElBQUksQ0FBQztBQUU5QixpR0FBaUc7QUFDakcsOEZBQThGO0FBQzlGLFdBQVc7QUFFWCxNQUFNLHdCQUF3QixHQUFHLENBQUMsQ0FBQztBQVNuQyxnR0FBZ0c7QUFDaEcseURBQXlEO0FBRXpELFNBQVMsaUJBQWlCLENBQUMsT0FBZ0IsRUFBRSxpQkFBNEI7SUFDckUsSUFBSSxPQUFPLEdBQUcsQ0FBQyxPQUFnQixFQUFFLEVBQUUsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLFdBQVcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsT0FBTyxDQUFDLE1BQU0sRUFBRSxHQUFHLENBQUMsQ0FBQztJQUN2RyxJQUFJLElBQUksR0FBRyxPQUFPLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDNUIsT0FBTyxpQkFBaUIsQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLEVBQUUsQ0FDekMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxDQUFDLENBQUMsR0FBRyx3QkFBd0I7UUFDL0QsSUFBSSxDQUFDLEdBQUcsQ0FBQyxZQUFZLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxDQUFDLENBQUMsR0FBRyx3QkFBd0I7UUFDL0QsT0FBTyxDQUFDLFlBQVksQ0FBQyxLQUFLLElBQUksQ0FBQyxDQUFDO0FBQ3hDLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0Ysd0ZBQXdGO0FBQ3hGLGtHQUFrRztBQUNsRywrRkFBK0Y7QUFDL0YsK0ZBQStGO0FBQy9GLDJGQUEyRjtBQUUzRixTQUFnQixrQ0FBa0MsQ0FBQyxNQUFjLEVBQUUsYUFBd0IsRUFBRSxlQUEwQixFQUFFLFFBQWtCLEVBQUUsb0JBQStCO0lBQ3hLLElBQUksS0FBSyxHQUFHLE1BQU0sQ0FBQyxNQUFNLENBQUMsV0FBVyxDQUFDO0lBQ3RDLElBQUksS0FBSyxHQUFHLGdCQUFnQixDQUFDLE1BQU0sRUFBRSxhQUFhLENBQUMsQ0FBQztJQUNwRCxJQUFJLFdBQVcsR0FBRyxlQUFlLENBQUMsTUFBTSxFQUFFLEtBQUssRUFBRSxLQUFLLENBQUMsT0FBTyxDQUFDLENBQUM7SUFDaEUsSUFBSSxXQUFXLEtBQUssU0FBUyxJQUFJLENBQUMsb0JBQVksQ0FBQyxLQUFLLEVBQUUsV0FBVyxFQUFFLEtBQUssQ0FBQyxNQUFNLENBQUM7UUFDNUUsT0FBTyxFQUFFLENBQUM7SUFFZCxJQUFJLEVBQUUsSUFBSSxFQUFFLEtBQUssRUFBRSxHQUFHLHNCQUFjLENBQUMsS0FBSyxFQUFFLFdBQVcsRUFBRSxLQUFLLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDdkUsSUFBSSxtQkFBbUIsR0FBRyx1QkFBZSxDQUFDLHFCQUFhLENBQUMsS0FBSyxFQUFFLFdBQVcsRUFBRSxLQUFLLENBQUMsTUFBTSxFQUFFLE1BQU0sQ0FBQyxpQkFBaUIsQ0FBQyxDQUFDLENBQUM7SUFDckgsSUFBSSxpQkFBaUIsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLFdBQVcsQ0FBQyxNQUFNLEVBQUUsR0FBRyxtQkFBbUIsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztJQUM1RyxJQUFJLGVBQWUsR0FBRyxDQUFDLG1CQUFtQixDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsbUJBQW1CLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFFN0gsT0FBTyxlQUFlLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQ3BDLE9BQU8sQ0FBQyxDQUFDLElBQUksSUFBSSxJQUFJLE9BQU8sQ0FBQyxDQUFDLEdBQUcsS0FBSztRQUN0QyxPQUFPLENBQUMsQ0FBQyxJQUFJLFFBQVEsQ0FBQyxNQUFNLEdBQUcsc0JBQXNCO1FBQ3JELE9BQU8sQ0FBQyxNQUFNLElBQUksaUJBQWlCLEdBQUcseUJBQXlCO1FBQy9ELENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxDQUFDLEdBQUcsT0FBTyxDQUFDLEtBQUssR0FBRyxDQUFDLEdBQUcsUUFBUSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsR0FBRyxRQUFRLENBQUMsS0FBSyxHQUFHLGdCQUFnQixJQUFJLElBQUksQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLENBQUMsR0FBRyxlQUFlLENBQUMsSUFBSSxPQUFPLENBQUMsTUFBTSxDQUFDO1FBQzlKLENBQUMsaUJBQWlCLENBQUMsT0FBTyxFQUFFLG9CQUFvQixDQUFDO1FBQ2pELENBQUMsY0FBYyxDQUFDLE1BQU0sRUFBRSxPQUFPLENBQUMsQ0FBQyxDQUFDO0FBQzFDLENBQUM7QUFuQkQsZ0ZBbUJDO0FBRUQsa0dBQWtHO0FBQ2xHLGdHQUFnRztBQUNoRyw0RUFBNEU7QUFFNUUsU0FBZ0IsaUJBQWlCLENBQUMsTUFBYyxFQUFFLEtBQVk7SUFDMUQsSUFBSSxRQUFRLEdBQUcsTUFBTSxDQUFDLElBQUksQ0FBQyxNQUFNLENBQUMsUUFBUSxDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDO0lBQy9FLElBQUksY0FBYyxHQUFnQyxFQUFFLENBQUM7SUFDckQsS0FBSyxJQUFJLElBQUksSUFBSSxLQUFLLENBQUMsS0FBSyxFQUFFO1FBQzFCLEtBQUssSUFBSSxTQUFTLElBQUksSUFBSSxDQUFDLEtBQUssQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsT0FBTyxJQUFJLFNBQVMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLGdCQUFnQixDQUFDLE9BQU8sRUFBRSxJQUFJLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFO1lBQ2xLLElBQUksS0FBSyxHQUFHLHFCQUFhLENBQUMsS0FBSyxFQUFFLFNBQVMsRUFBRSxPQUFPLEVBQUUsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztZQUNoRyxJQUFJLEtBQUssR0FBRyxTQUFTLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLEVBQUUsRUFBRSxDQUFDLENBQUM7WUFDaEQsSUFBSSxLQUFLLEtBQUssRUFBRSxJQUFJLGNBQWMsQ0FBQyxLQUFLLENBQUMsS0FBSyxTQUFTO2dCQUNuRCxjQUFjLENBQUMsS0FBSyxDQUFDLEdBQUcsS0FBSyxDQUFDO1NBQ3JDO0tBQ0o7SUFDRCxPQUFPLGNBQWMsQ0FBQztBQUMxQixDQUFDO0FBWkQsOENBWUMifQ==
\ No newline at end of file
@@ -0,0 +1,339 @@
+// Declarative definitions of the layouts of the development application register PDFs (the
+// layouts of each council are defined in its configuration file, see council.ts), along with
+// functions that detect the layout of a page and extract the elements of each field.
+
+"use strict";
+
+import { Table, buildTable, findLabelCell, getValueCells, getValueColumn, isValueAtEnd, getCellElements } from "./table";
+
+// A bounding rectangle.
+
+export interface Rectangle {
+    x: number,
+    y: number,
+    width: number,
+    height: number
+}
+
+// An element (consisting of text and a bounding rectangle) in a PDF document.
+
+export interface Element extends Rectangle {
+    text: string
+}
+
+// A heading on the page.  The heading is found by comparing the label with the text of each
+// element (ignoring case and white space).  If isPrefix is true then the text of the element
+// need only start with the label (for example, the heading "Development 123/2019").
+
+export interface HeadingDefinition {
+    label: string,
+    isPrefix?: boolean
+}
+
+// The maximum number of lines of a field value, or "unbounded" if the value continues until the
+// next label (or the end of the application).
+
+export type LineCount = number | "unbounded";
+
+// A field whose value is found relative to a heading, either to the right of the heading (on the
+// same line, continuing onto the following lines up to "lineCount" lines) or on the lines below
+// the heading ("below").  The value extends horizontally up to the next column of labels, and
+// ends at the next line that has a label in (or to the left of) that column (see table.ts).  If
+// valueInHeading is true then the second word of the heading text is used as the value when
+// present (for example, "123/2019" in the heading "Development 123/2019").
+
+export interface FieldDefinition {
+    heading: string,
+    region: "right" | "below",
+    lineCount?: LineCount,
+    valueInHeading?: boolean
+}
+
+// The layout of a register PDF page.  The "applicationNumber", "receivedDate", "address" and
+// "description" fields must be defined.  The "applicationFees", "completedDate",
+// "relevantAuthority" and "assessmentNumber" fields are optional.  A page is rejected if the
+// heading of the "applicationNumber" or "address" field is missing.
+
+export interface Layout {
+    name: string,
+    headings: { [name: string]: HeadingDefinition },
+    fields: { [name: string]: FieldDefinition }
+}
+
+// The fields that every layout must define.
+
+const RequiredFieldNames = [ "applicationNumber", "receivedDate", "address", "description" ];
+
+// Checks a layout definition (for example, one read from a council configuration file), returning
+// a description of each problem found (an empty array if the layout is valid).
+
+export function validateLayout(layout: Layout) {
+    let issues: string[] = [];
+    if (typeof layout.name !== "string" || layout.name === "")
+        issues.push("The layout has no name.");
+    if (layout.headings === null || typeof layout.headings !== "object" || layout.fields === null || typeof layout.fields !== "object")
+        return [ ...issues, "The layout must have \"headings\" and \"fields\" objects." ];
+
+    for (let name of Object.keys(layout.headings)) {
+        let heading = layout.headings[name];
+        if (heading === null || typeof heading !== "object" || typeof heading.label !== "string" || heading.label.trim() === "")
+            issues.push(`The heading "${name}" has no label.`);
+    }
+    for (let name of RequiredFieldNames)
+        if (layout.fields[name] === undefined)
+            issues.push(`The required field "${name}" is not defined.`);
+    for (let name of Object.keys(layout.fields)) {
+        let field = layout.fields[name];
+        if (field === null || typeof field !== "object") {
+            issues.push(`The field "${name}" is not an object.`);
+            continue;
+        }
+        if (layout.headings[field.heading] === undefined)
+            issues.push(`The field "${name}" refers to the heading "${field.heading}" which is not defined.`);
+        if (field.region !== "right" && field.region !== "below")
+            issues.push(`The field "${name}" has the region "${field.region}" (expected "right" or "below").`);
+        if (field.lineCount !== undefined && field.lineCount !== "unbounded" && !(Number.isInteger(field.lineCount) && field.lineCount >= 1))
+            issues.push(`The field "${name}" has the line count "${field.lineCount}" (expected a positive integer or "unbounded").`);
+    }
+    return issues.map(issue => `Layout "${layout.name}": ${issue}`);
+}
+
+// Determines whether the text of an element matches a heading (ignoring case and white space).
+
+function isHeadingElement(heading: HeadingDefinition, element: Element) {
+    let text = element.text.toLowerCase().replace(/\s/g, "");
+    let label = heading.label.toLowerCase().replace(/\s/g, "");
+    return heading.isPrefix ? text.startsWith(label) : (text === label);
+}
+
+// Finds the first element that matches each heading of the layout.  Headings that are not
+// present on the page are omitted from the returned object.
+
+export function findHeadingElements(layout: Layout, elements: Element[]) {
+    let headingElements: { [name: string]: Element } = {};
+    for (let name of Object.keys(layout.headings)) {
+        let headingElement = elements.find(element => isHeadingElement(layout.headings[name], element));
+        if (headingElement !== undefined)
+            headingElements[name] = headingElement;
+    }
+    return headingElements;
+}
+
+// Splits any element that starts with the label of a heading and continues with other text (for
+// example, "Development Description Dwelling" where the text recognised from a scanned page or a
+// single run of text holds both a heading and its value) into a heading element and a value
+// element.  The width of the element is divided in proportion to the number of characters.
+
+export function splitHeadingElements(layout: Layout, elements: Element[]) {
+    let headings = Object.keys(layout.headings).map(name => layout.headings[name]).filter(heading => !heading.isPrefix);
+    let splitElements: Element[] = [];
+    for (let element of elements) {
+        let words = element.text.trim().split(/\s+/);
+        let labelWordCount = 0;
+        for (let heading of headings) {
+            let count = heading.label.trim().split(/\s+/).length;
+            if (words.length > count && isHeadingElement(heading, { ...element, text: words.slice(0, count).join(" ") }))
+                labelWordCount = count;
+        }
+        if (labelWordCount === 0) {
+            splitElements.push(element);
+            continue;
+        }
+
+        let headingText = words.slice(0, labelWordCount).join(" ");
+        let valueText = words.slice(labelWordCount).join(" ");
+        let headingWidth = element.width * (headingText.length + 1) / (headingText.length + 1 + valueText.length);  // including the space
+        splitElements.push({ ...element, text: headingText, width: headingWidth * headingText.length / (headingText.length + 1) });
+        splitElements.push({ ...element, text: valueText, x: element.x + headingWidth, width: element.width - headingWidth });
+    }
+    return splitElements;
+}
+
+// Calculates the fraction of the headings of a layout that are present on a page (from 0 to 1).
+
+export function scoreLayout(layout: Layout, elements: Element[]) {
+    let headingNames = Object.keys(layout.headings);
+    let headingElements = findHeadingElements(layout, elements);
+    return (headingNames.length === 0) ? 0 : (Object.keys(headingElements).length / headingNames.length);
+}
+
+// Determines the layout (of the layouts of a council) that best matches the elements of a page.
+// When several layouts score equally for a page the first of those layouts is used.
+
+export function detectLayout(elements: Element[], layouts: Layout[]) {
+    let bestLayout = undefined;
+    let bestScore = -1;
+    for (let layout of layouts) {
+        let score = scoreLayout(layout, elements);
+        if (score > bestScore) {
+            bestLayout = layout;
+            bestScore = score;
+        }
+    }
+    return bestLayout;
+}
+
+// Gets the label of the heading of a field (without any trailing colon, for use in messages).
+
+export function getFieldHeadingLabel(layout: Layout, fieldName: string) {
+    return layout.headings[layout.fields[fieldName].heading].label.replace(/:$/, "");
+}
+
+// Determines whether an element is a label (a heading of the layout or text ending with a colon,
+// such as "Lodgement Fee:").
+
+function isLabelElement(layout: Layout, element: Element) {
+    return /\S\s*:$/.test(element.text.trim()) || Object.keys(layout.headings).some(name => isHeadingElement(layout.headings[name], element));
+}
+
+// Reconstructs the table structure (lines, cells and label columns) of the elements of a block or
+// page, treating the headings of the layout as labels.
+
+export function buildLayoutTable(layout: Layout, elements: Element[]) {
+    return buildTable(elements, element => isLabelElement(layout, element));
+}
+
+// Finds the label cell of a heading (the first occurrence in reading order).
+
+function findHeadingCell(layout: Layout, table: Table, headingName: string) {
+    return findLabelCell(table, cell => cell.elements.length === 1 && isHeadingElement(layout.headings[headingName], cell.elements[0]));
+}
+
+// Gets the elements of the value of a field (the value for the label of the heading of the field,
+// see getValueCells).  Returns undefined if the layout does not define the field or if the
+// heading of the field is not present.
+
+export function getFieldElements(layout: Layout, fieldName: string, table: Table): Element[] {
+    let field = layout.fields[fieldName];
+    if (field === undefined)
+        return undefined;
+    let headingCell = findHeadingCell(layout, table, field.heading);
+    if (headingCell === undefined)
+        return undefined;
+
+    if (field.valueInHeading) {
+        let tokens = headingCell.text.split(" ");
+        if (tokens.length >= 2)
+            return [ { ...headingCell.elements[0], text: tokens[1] } ];
+    }
+
+    let lineCount = (field.lineCount === undefined) ? 1 : ((field.lineCount === "unbounded") ? Number.POSITIVE_INFINITY : field.lineCount);
+    return getCellElements(getValueCells(table, headingCell, field.region, lineCount));
+}
+
+// Splits the elements of a page into blocks (one block for each development application on the
+// page).  Each block starts at an occurrence of the heading of the "applicationNumber" field
+// (ignoring elements that also match another heading, such as "Development Description" for the
+// heading "Development") and extends down to the next occurrence.  Any elements above the first
+// block are returned separately as the leading elements (these may continue the description of
+// the last application on the previous page).
+
+export function splitApplicationBlocks(layout: Layout, elements: Element[]) {
+    let applicationHeadingName = layout.fields.applicationNumber.heading;
+    let otherHeadings = Object.keys(layout.headings).filter(name => name !== applicationHeadingName).map(name => layout.headings[name]);
+    let applicationHeadingElements = elements.filter(element =>
+        isHeadingElement(layout.headings[applicationHeadingName], element) &&
+        !otherHeadings.some(heading => isHeadingElement(heading, element)));
+
+    if (applicationHeadingElements.length === 0)
+        return { leadingElements: elements, blocks: [] };
+
+    // Allow for elements on the same line as a heading that are positioned slightly higher than
+    // the heading.
+
+    let tops = applicationHeadingElements.map(element => element.y - element.height / 2);
+    let leadingElements = elements.filter(element => element.y < tops[0]);
+    let blocks = tops.map((top, index) => {
+        let bottom = (index + 1 < tops.length) ? tops[index + 1] : Number.MAX_VALUE;
+        return elements.filter(element => element.y >= top && element.y < bottom);
+    });
+
+    return { leadingElements: leadingElements, blocks: blocks };
+}
+
+// The continuation of a description on the next page must lie within this fraction of the page
+// height of the top of the page.
+
+const MaximumContinuationTop = 0.25;
+
+// Text that is taller than this multiple of the height of the description text (such as the title
+// of the register) is not a continuation of the description.
+
+const MaximumContinuationHeight = 1.25;
+
+// Text whose centre is within this fraction of the page width of the centre of the page (and that
+// is not aligned with the description) is centred, like the title of a page, and so is not a
+// continuation of the description.
+
+const CentredTolerance = 0.02;
+
+// Elements on consecutive pages with the same text (ignoring any numbers, such as "Page 2 of 3")
+// whose positions differ by less than this many points repeat on every page (a page header or
+// footer).
+
+const RepeatedElementTolerance = 2;
+
+// The size of a page (in the same co-ordinates as its elements).
+
+export interface PageSize {
+    width: number,
+    height: number
+}
+
+// Determines whether an element also appears at the same position on another page (ignoring any
+// numbers in the text), as a page header or footer does.
+
+function isRepeatedElement(element: Element, otherPageElements: Element[]) {
+    let getText = (element: Element) => element.text.toLowerCase().replace(/\s/g, "").replace(/\d+/g, "#");
+    let text = getText(element);
+    return otherPageElements.some(otherElement =>
+        Math.abs(otherElement.x - element.x) < RepeatedElementTolerance &&
+        Math.abs(otherElement.y - element.y) < RepeatedElementTolerance &&
+        getText(otherElement) === text);
+}
+
+// Gets any leading elements of a page that continue the description of the last application on
+// the previous page.  This is only the case if no label follows the description of that
+// application, in which case the continuation is taken to be the leading elements that lie in the
+// same column as the description, close to the top of the page.  Elements that repeat on every
+// page (compared with the elements of the previous page) and elements that are taller than the
+// description text or centred on the page (such as the title of the register) are ignored.
+
+export function getDescriptionContinuationElements(layout: Layout, previousBlock: Element[], leadingElements: Element[], pageSize: PageSize, previousPageElements: Element[]) {
+    let field = layout.fields.description;
+    let table = buildLayoutTable(layout, previousBlock);
+    let headingCell = findHeadingCell(layout, table, field.heading);
+    if (headingCell === undefined || !isValueAtEnd(table, headingCell, field.region))
+        return [];
+
+    let { left, right } = getValueColumn(table, headingCell, field.region);
+    let descriptionElements = getCellElements(getValueCells(table, headingCell, field.region, Number.POSITIVE_INFINITY));
+    let descriptionHeight = Math.max(headingCell.height, ...descriptionElements.map(element => element.height));
+    let descriptionLeft = (descriptionElements.length === 0) ? left : Math.min(...descriptionElements.map(element => element.x));
+
+    return leadingElements.filter(element =>
+        element.x >= left && element.x < right &&
+        element.y <= pageSize.height * MaximumContinuationTop &&
+        element.height <= descriptionHeight * MaximumContinuationHeight &&
+        !(Math.abs(element.x + element.width / 2 - pageSize.width / 2) < pageSize.width * CentredTolerance && Math.abs(element.x - descriptionLeft) >= element.height) &&
+        !isRepeatedElement(element, previousPageElements) &&
+        !isLabelElement(layout, element));
+}
+
+// Gets the values of any labelled fields (labels whose text ends with a colon, such as "Lodgement
+// Fee:") that are not headings of the layout.  The value of each label is the text of the cells
+// to the right of the label on the same line (up to the next label column).
+
+export function getLabelledFields(layout: Layout, table: Table) {
+    let headings = Object.keys(layout.headings).map(name => layout.headings[name]);
+    let labelledFields: { [label: string]: string } = {};
+    for (let line of table.lines) {
+        for (let labelCell of line.cells.filter(cell => cell.isLabel && /\S\s*:$/.test(cell.text) && !headings.some(heading => isHeadingElement(heading, cell.elements[0])))) {
+            let value = getValueCells(table, labelCell, "right", 1).map(cell => cell.text).join(" ").trim();
+            let label = labelCell.text.replace(/\s*:$/, "");
+            if (value !== "" && labelledFields[label] === undefined)
+                labelledFields[label] = value;
+        }
+    }
+    return labelledFields;
+}
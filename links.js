@@ -0,0 +1,158 @@
+// Finds the links to the year pages and to the register PDFs on the council web site.  The year
+// and month (or other period) of each link are determined from the link text and the file name,
+// so that the links are ordered by period rather than by their order on the page.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const cheerio = require("cheerio");
+const path = require("path");
+const urlparser = require("url");
+const http_1 = require("./http");
+// The maximum number of pages that are read when following pagination and nested pages (from a
+// single starting page).
+const MaximumPageCount = 20;
+// The month names and abbreviations (in lower case).
+const MonthNames = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+// Determines the year and month of a link from its text, falling back to its file name.  A link
+// covering several months (for example, "January to March 2019" or "Q1 2019") is given the last
+// month of the period.
+function getPeriod(text, url) {
+    let fileName = path.basename(decodeURIComponent(new urlparser.URL(url).pathname)).replace(/\.[a-z]+$/i, "").toLowerCase();
+    let texts = [text.toLowerCase(), fileName];
+    let year = undefined;
+    for (let candidate of texts) {
+        let years = candidate.split(/[^0-9]+/).filter(digits => /^(19|20)\d\d$/.test(digits));
+        if (years.length > 0) {
+            year = Number(years[years.length - 1]);
+            break;
+        }
+    }
+    let month = undefined;
+    for (let candidate of texts) {
+        let words = candidate.split(/[^a-z0-9]+/);
+        let months = words.map(word => MonthNames.findIndex(monthName => word.length >= 3 && monthName.startsWith(word)) + 1).filter(month => month > 0); // allows for abbreviations such as "Jan" and "Sept"
+        let quarter = /\b(?:q|quarter\s*)([1-4])\b/.exec(candidate);
+        let numericMonth = /(?:^|[^0-9])(?:19|20)\d\d[-_.]?(0[1-9]|1[0-2])(?:[^0-9]|$)/.exec(candidate) || /(?:^|[^0-9])(0[1-9]|1[0-2])[-_.](?:19|20)\d\d(?:[^0-9]|$)/.exec(candidate);
+        if (months.length > 0)
+            month = months[months.length - 1];
+        else if (quarter !== null)
+            month = Number(quarter[1]) * 3;
+        else if (numericMonth !== null && candidate === fileName)
+            month = Number(numericMonth[1]);
+        if (month !== undefined)
+            break;
+    }
+    return { year: year, month: month };
+}
+exports.getPeriod = getPeriod;
+// Gets the sort key of a link (links with an unknown year sort before all other links).
+function getSortKey(link) {
+    return ((link.year === undefined) ? 0 : link.year) * 100 + ((link.month === undefined) ? 0 : link.month);
+}
+// Sorts links by period, oldest first unless isNewestFirst is true (links with the same period
+// remain in page order).
+function sortLinks(links, isNewestFirst = false) {
+    return links
+        .map((link, index) => ({ link: link, index: index }))
+        .sort((a, b) => ((isNewestFirst ? -1 : 1) * (getSortKey(a.link) - getSortKey(b.link))) || (a.index - b.index))
+        .map(item => item.link);
+}
+exports.sortLinks = sortLinks;
+// Describes the links on a page (used when no links match, so that a change to the web site can
+// be diagnosed from the log).
+function describeLinks($, pageUrl, selectors) {
+    let anchors = $("a[href]").get();
+    let descriptions = anchors.slice(0, 15).map(element => `"${$(element).text().trim().replace(/\s+/g, " ")}" -> ${element.attribs.href}`);
+    return `The page ${pageUrl} has ${anchors.length} link(s) in total (the content selectors tried were ${selectors.contentSelectors.join(", ")})${(descriptions.length === 0) ? "." : ":\n    " + descriptions.join("\n    ")}`;
+}
+// Finds the links on a page that match a condition, using the first content element (see
+// LinkSelectors) that contains any matching links.
+function findLinks($, pageUrl, selectors, isMatch) {
+    for (let selector of selectors.contentSelectors) {
+        let links = [];
+        for (let element of $(selector).find("a[href]").get()) {
+            let url = new urlparser.URL(element.attribs.href, pageUrl).href;
+            let text = $(element).text().trim().replace(/\s+/g, " ");
+            if (isMatch(text, url) && !links.some(link => link.url === url))
+                links.push(Object.assign({ url: url, text: text }, getPeriod(text, url)));
+        }
+        if (links.length > 0) {
+            if (selector !== selectors.contentSelectors[0])
+                console.log(`Found ${links.length} link(s) on ${pageUrl} using the fallback content selector "${selector}".`);
+            return links;
+        }
+    }
+    return [];
+}
+// Finds the links to the next page of a paginated list (for example, a "Next" link).
+function findNextPageUrls($, pageUrl) {
+    let urls = [];
+    for (let element of $("a[href]").get()) {
+        let text = $(element).text().trim();
+        if (element.attribs.rel === "next" || /^(next|next page|older|older entries|›|»|>|>>)$/i.test(text))
+            urls.push(new urlparser.URL(element.attribs.href, pageUrl).href);
+    }
+    return urls;
+}
+// Determines whether a URL is a PDF.
+function isPdfUrl(url) {
+    return /\.pdf$/i.test(new urlparser.URL(url).pathname);
+}
+// Determines whether the text (or file name) of a link contains the link text of the selectors.
+function hasLinkText(text, selectors) {
+    return text.toLowerCase().includes(selectors.linkText.toLowerCase());
+}
+// Finds the links to the year pages on the development applications page (following any
+// pagination).  The links are ordered by year, most recent first.  An error (describing the links
+// that were found instead) is thrown if there are no year page links.
+async function findYearPageLinks(pageUrl, selectors) {
+    let links = [];
+    let diagnostic = undefined;
+    let pageUrls = [pageUrl];
+    for (let index = 0; index < pageUrls.length && index < MaximumPageCount; index++) {
+        let $ = cheerio.load((await http_1.fetch(pageUrls[index], { rejectUnauthorized: false })).body);
+        if (index === 0)
+            diagnostic = describeLinks($, pageUrl, selectors);
+        for (let link of findLinks($, pageUrls[index], selectors, (text, url) => hasLinkText(text, selectors) && !isPdfUrl(url)))
+            if (!links.some(otherLink => otherLink.url === link.url))
+                links.push(link);
+        for (let nextPageUrl of findNextPageUrls($, pageUrls[index]))
+            if (!pageUrls.includes(nextPageUrl))
+                pageUrls.push(nextPageUrl);
+    }
+    if (links.length === 0)
+        throw new Error(`No links to year pages (links with "${selectors.linkText}" in their text) were found.  ${diagnostic}`);
+    return sortLinks(links, true);
+}
+exports.findYearPageLinks = findYearPageLinks;
+// Finds the links to the register PDFs on a year page, following any pagination and any nested
+// pages (pages on the same site with the link text of the selectors in their link text, such as a
+// page for each month).  Links to other year pages (the excluded URLs) are not followed.  The
+// links are ordered by period, oldest first.  The diagnostic describes the links on the year page
+// if no PDFs were found.
+async function findRegisterPdfLinks(yearPageUrl, selectors, excludedUrls = []) {
+    let links = [];
+    let diagnostic = undefined;
+    let yearPageYear = getPeriod("", yearPageUrl).year;
+    let pageUrls = [yearPageUrl];
+    for (let index = 0; index < pageUrls.length && index < MaximumPageCount; index++) {
+        let $ = cheerio.load((await http_1.fetch(pageUrls[index], { rejectUnauthorized: false })).body);
+        if (index === 0)
+            diagnostic = describeLinks($, yearPageUrl, selectors);
+        let isRegisterLink = (text, url) => hasLinkText(text, selectors) || hasLinkText(path.basename(new urlparser.URL(url).pathname), selectors);
+        for (let link of findLinks($, pageUrls[index], selectors, (text, url) => isPdfUrl(url) && isRegisterLink(text, url)))
+            if (!links.some(otherLink => otherLink.url === link.url))
+                links.push(link);
+        // Follow pagination and nested pages (on the same site and, if the year of both pages is
+        // known, for the same year).
+        let nestedPageUrls = findLinks($, pageUrls[index], selectors, (text, url) => !isPdfUrl(url) && hasLinkText(text, selectors))
+            .filter(link => new urlparser.URL(link.url).host === new urlparser.URL(yearPageUrl).host)
+            .filter(link => yearPageYear === undefined || link.year === undefined || link.year === yearPageYear)
+            .map(link => link.url);
+        for (let nextPageUrl of [...findNextPageUrls($, pageUrls[index]), ...nestedPageUrls])
+            if (!pageUrls.includes(nextPageUrl) && !excludedUrls.includes(nextPageUrl))
+                pageUrls.push(nextPageUrl);
+    }
+    return { links: sortLinks(links), diagnostic: (links.length === 0) ? diagnostic : undefined };
+}
+exports.findRegisterPdfLinks = findRegisterPdfLinks;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibGlua3MuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJsaW5rcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSxnR0FBZ0c7QUFDaEcsZ0dBQWdHO0FBQ2hHLGtGQUFrRjtBQUVsRixZQUFZLENBQUM7O0FBRWIsbUNBQW1DO0FBQ25DLDZCQUE2QjtBQUM3QixpQ0FBaUM7QUFDakMsaUNBQStCO0FBZS9CLCtGQUErRjtBQUMvRix5QkFBeUI7QUFFekIsTUFBTSxnQkFBZ0IsR0FBRyxFQUFFLENBQUM7QUFFNUIscURBQXFEO0FBRXJELE1BQU0sVUFBVSxHQUFHLENBQUUsU0FBUyxFQUFFLFVBQVUsRUFBRSxPQUFPLEVBQUUsT0FBTyxFQUFFLEtBQUssRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxXQUFXLEVBQUUsU0FBUyxFQUFFLFVBQVUsRUFBRSxVQUFVLENBQUUsQ0FBQztBQVloSixnR0FBZ0c7QUFDaEcsZ0dBQWdHO0FBQ2hHLHVCQUF1QjtBQUV2QixTQUFnQixTQUFTLENBQUMsSUFBWSxFQUFFLEdBQVc7SUFDL0MsSUFBSSxRQUFRLEdBQUcsSUFBSSxDQUFDLFFBQVEsQ0FBQyxrQkFBa0IsQ0FBQyxJQUFJLFNBQVMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsWUFBWSxFQUFFLEVBQUUsQ0FBQyxDQUFDLFdBQVcsRUFBRSxDQUFDO0lBQzFILElBQUksS0FBSyxHQUFHLENBQUUsSUFBSSxDQUFDLFdBQVcsRUFBRSxFQUFFLFFBQVEsQ0FBRSxDQUFDO0lBRTdDLElBQUksSUFBSSxHQUFXLFNBQVMsQ0FBQztJQUM3QixLQUFLLElBQUksU0FBUyxJQUFJLEtBQUssRUFBRTtRQUN6QixJQUFJLEtBQUssR0FBRyxTQUFTLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLGVBQWUsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLENBQUMsQ0FBQztRQUN0RixJQUFJLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQyxFQUFFO1lBQ2xCLElBQUksR0FBRyxNQUFNLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQztZQUN2QyxNQUFNO1NBQ1Q7S0FDSjtJQUVELElBQUksS0FBSyxHQUFXLFNBQVMsQ0FBQztJQUM5QixLQUFLLElBQUksU0FBUyxJQUFJLEtBQUssRUFBRTtRQUN6QixJQUFJLEtBQUssR0FBRyxTQUFTLENBQUMsS0FBSyxDQUFDLFlBQVksQ0FBQyxDQUFDO1FBQzFDLElBQUksTUFBTSxHQUFHLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsU0FBUyxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLE1BQU0sSUFBSSxDQUFDLElBQUksU0FBUyxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFFLG9EQUFvRDtRQUN2TSxJQUFJLE9BQU8sR0FBRyw2QkFBNkIsQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUM7UUFDNUQsSUFBSSxZQUFZLEdBQUcsNERBQTRELENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxJQUFJLDJEQUEyRCxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQztRQUMvSyxJQUFJLE1BQU0sQ0FBQyxNQUFNLEdBQUcsQ0FBQztZQUNqQixLQUFLLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUM7YUFDakMsSUFBSSxPQUFPLEtBQUssSUFBSTtZQUNyQixLQUFLLEdBQUcsTUFBTSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQzthQUM5QixJQUFJLFlBQVksS0FBSyxJQUFJLElBQUksU0FBUyxLQUFLLFFBQVE7WUFDcEQsS0FBSyxHQUFHLE1BQU0sQ0FBQyxZQUFZLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztRQUNwQyxJQUFJLEtBQUssS0FBSyxTQUFTO1lBQ25CLE1BQU07S0FDYjtJQUVELE9BQU8sRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQztBQUN4QyxDQUFDO0FBOUJELDhCQThCQztBQUVELHdGQUF3RjtBQUV4RixTQUFTLFVBQVUsQ0FBQyxJQUFrQjtJQUNsQyxPQUFPLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxHQUFHLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxLQUFLLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO0FBQzdHLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0YseUJBQXlCO0FBRXpCLFNBQWdCLFNBQVMsQ0FBQyxLQUFxQixFQUFFLGdCQUF5QixLQUFLO0lBQzNFLE9BQU8sS0FBSztTQUNQLEdBQUcsQ0FBQyxDQUFDLElBQUksRUFBRSxLQUFLLEVBQUUsRUFBRSxDQUFDLENBQUMsRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQyxDQUFDO1NBQ3BELElBQUksQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLEVBQUUsRUFBRSxDQUFDLENBQUMsQ0FBQyxhQUFhLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLEdBQUcsVUFBVSxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsS0FBSyxHQUFHLENBQUMsQ0FBQyxLQUFLLENBQUMsQ0FBQztTQUM3RyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUM7QUFDaEMsQ0FBQztBQUxELDhCQUtDO0FBRUQsZ0dBQWdHO0FBQ2hHLDhCQUE4QjtBQUU5QixTQUFTLGFBQWEsQ0FBQyxDQUFDLEVBQUUsT0FBZSxFQUFFLFNBQXdCO0lBQy9ELElBQUksT0FBTyxHQUFHLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxHQUFHLEVBQUUsQ0FBQztJQUNqQyxJQUFJLFlBQVksR0FBRyxPQUFPLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxRQUFRLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQztJQUN4SSxPQUFPLFlBQVksT0FBTyxRQUFRLE9BQU8sQ0FBQyxNQUFNLHVEQUF1RCxTQUFTLENBQUMsZ0JBQWdCLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxTQUFTLEdBQUcsWUFBWSxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDO0FBQ2xPLENBQUM7QUFFRCx5RkFBeUY7QUFDekYsbURBQW1EO0FBRW5ELFNBQVMsU0FBUyxDQUFDLENBQUMsRUFBRSxPQUFlLEVBQUUsU0FBd0IsRUFBRSxPQUErQztJQUM1RyxLQUFLLElBQUksUUFBUSxJQUFJLFNBQVMsQ0FBQyxnQkFBZ0IsRUFBRTtRQUM3QyxJQUFJLEtBQUssR0FBbUIsRUFBRSxDQUFDO1FBQy9CLEtBQUssSUFBSSxPQUFPLElBQUksQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBQyxHQUFHLEVBQUUsRUFBRTtZQUNuRCxJQUFJLEdBQUcsR0FBRyxJQUFJLFNBQVMsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLE9BQU8sQ0FBQyxJQUFJLEVBQUUsT0FBTyxDQUFDLENBQUMsSUFBSSxDQUFDO1lBQ2hFLElBQUksSUFBSSxHQUFHLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLEdBQUcsQ0FBQyxDQUFDO1lBQ3pELElBQUksT0FBTyxDQUFDLElBQUksRUFBRSxHQUFHLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsR0FBRyxLQUFLLEdBQUcsQ0FBQztnQkFDM0QsS0FBSyxDQUFDLElBQUksaUJBQUcsR0FBRyxFQUFFLEdBQUcsRUFBRSxJQUFJLEVBQUUsSUFBSSxJQUFLLFNBQVMsQ0FBQyxJQUFJLEVBQUUsR0FBRyxDQUFDLEVBQUcsQ0FBQztTQUNyRTtRQUNELElBQUksS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLEVBQUU7WUFDbEIsSUFBSSxRQUFRLEtBQUssU0FBUyxDQUFDLGdCQUFnQixDQUFDLENBQUMsQ0FBQztnQkFDMUMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxTQUFTLEtBQUssQ0FBQyxNQUFNLGVBQWUsT0FBTyx5Q0FBeUMsUUFBUSxJQUFJLENBQUMsQ0FBQztZQUNsSCxPQUFPLEtBQUssQ0FBQztTQUNoQjtLQUNKO0lBQ0QsT0FBTyxFQUFFLENBQUM7QUFDZCxDQUFDO0FBRUQscUZBQXFGO0FBRXJGLFNBQVMsZ0JBQWdCLENBQUMsQ0FBQyxFQUFFLE9BQWU7SUFDeEMsSUFBSSxJQUFJLEdBQWEsRUFBRSxDQUFDO0lBQ3hCLEtBQUssSUFBSSxPQUFPLElBQUksQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLEdBQUcsRUFBRSxFQUFFO1FBQ3BDLElBQUksSUFBSSxHQUFHLENBQUMsQ0FBQyxPQUFPLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxJQUFJLEVBQUUsQ0FBQztRQUNwQyxJQUFJLE9BQU8sQ0FBQyxPQUFPLENBQUMsR0FBRyxLQUFLLE1BQU0sSUFBSSxrREFBa0QsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDO1lBQy9GLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxTQUFTLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSxFQUFFLE9BQU8sQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDO0tBQ3hFO0lBQ0QsT0FBTyxJQUFJLENBQUM7QUFDaEIsQ0FBQztBQUVELHFDQUFxQztBQUVyQyxTQUFTLFFBQVEsQ0FBQyxHQUFXO0lBQ3pCLE9BQU8sU0FBUyxDQUFDLElBQUksQ0FBQyxJQUFJLFNBQVMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLENBQUMsUUFBUSxDQUFDLENBQUM7QUFDM0QsQ0FBQztBQUVELGdHQUFnRztBQUVoRyxTQUFTLFdBQVcsQ0FBQyxJQUFZLEVBQUUsU0FBd0I7SUFDdkQsT0FBTyxJQUFJLENBQUMsV0FBVyxFQUFFLENBQUMsUUFBUSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsV0FBVyxFQUFFLENBQUMsQ0FBQztBQUN6RSxDQUFDO0FBRUQsd0ZBQXdGO0FBQ3hGLGtHQUFrRztBQUNsRyxzRUFBc0U7QUFFL0QsS0FBSyxVQUFVLGlCQUFpQixDQUFDLE9BQWUsRUFBRSxTQUF3QjtJQUM3RSxJQUFJLEtBQUssR0FBbUIsRUFBRSxDQUFDO0lBQy9CLElBQUksVUFBVSxHQUFXLFNBQVMsQ0FBQztJQUNuQyxJQUFJLFFBQVEsR0FBRyxDQUFFLE9BQU8sQ0FBRSxDQUFDO0lBQzNCLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxRQUFRLENBQUMsTUFBTSxJQUFJLEtBQUssR0FBRyxnQkFBZ0IsRUFBRSxLQUFLLEVBQUUsRUFBRTtRQUM5RSxJQUFJLENBQUMsR0FBRyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxZQUFLLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxFQUFFLEVBQUUsa0JBQWtCLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ3pGLElBQUksS0FBSyxLQUFLLENBQUM7WUFDWCxVQUFVLEdBQUcsYUFBYSxDQUFDLENBQUMsRUFBRSxPQUFPLEVBQUUsU0FBUyxDQUFDLENBQUM7UUFFdEQsS0FBSyxJQUFJLElBQUksSUFBSSxTQUFTLENBQUMsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxLQUFLLENBQUMsRUFBRSxTQUFTLEVBQUUsQ0FBQyxJQUFJLEVBQUUsR0FBRyxFQUFFLEVBQUUsQ0FBQyxXQUFXLENBQUMsSUFBSSxFQUFFLFNBQVMsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1lBQ3BILElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLEdBQUcsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDO2dCQUNwRCxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ3pCLEtBQUssSUFBSSxXQUFXLElBQUksZ0JBQWdCLENBQUMsQ0FBQyxFQUFFLFFBQVEsQ0FBQyxLQUFLLENBQUMsQ0FBQztZQUN4RCxJQUFJLENBQUMsUUFBUSxDQUFDLFFBQVEsQ0FBQyxXQUFXLENBQUM7Z0JBQy9CLFFBQVEsQ0FBQyxJQUFJLENBQUMsV0FBVyxDQUFDLENBQUM7S0FDdEM7SUFFRCxJQUFJLEtBQUssQ0FBQyxNQUFNLEtBQUssQ0FBQztRQUNsQixNQUFNLElBQUksS0FBSyxDQUFDLHVDQUF1QyxTQUFTLENBQUMsUUFBUSxpQ0FBaUMsVUFBVSxFQUFFLENBQUMsQ0FBQztJQUM1SCxPQUFPLFNBQVMsQ0FBQyxLQUFLLEVBQUUsSUFBSSxDQUFDLENBQUM7QUFDbEMsQ0FBQztBQXBCRCw4Q0FvQkM7QUFFRCwrRkFBK0Y7QUFDL0Ysa0dBQWtHO0FBQ2xHLDhGQUE4RjtBQUM5RixrR0FBa0c7QUFDbEcseUJBQXlCO0FBRWxCLEtBQUssVUFBVSxvQkFBb0IsQ0FBQyxXQUFtQixFQUFFLFNBQXdCLEVBQUUsZUFBeUIsRUFBRTtJQUNqSCxJQUFJLEtBQUssR0FBbUIsRUFBRSxDQUFDO0lBQy9CLElBQUksVUFBVSxHQUFXLFNBQVMsQ0FBQztJQUNuQyxJQUFJLFlBQVksR0FBRyxTQUFTLENBQUMsRUFBRSxFQUFFLFdBQVcsQ0FBQyxDQUFDLElBQUksQ0FBQztJQUNuRCxJQUFJLFFBQVEsR0FBRyxDQUFFLFdBQVcsQ0FBRSxDQUFDO0lBQy9CLEtBQUssSUFBSSxLQUFLLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxRQUFRLENBQUMsTUFBTSxJQUFJLEtBQUssR0FBRyxnQkFBZ0IsRUFBRSxLQUFLLEVBQUUsRUFBRTtRQUM5RSxJQUFJLENBQUMsR0FBRyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsTUFBTSxZQUFLLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxFQUFFLEVBQUUsa0JBQWtCLEVBQUUsS0FBSyxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ3pGLElBQUksS0FBSyxLQUFLLENBQUM7WUFDWCxVQUFVLEdBQUcsYUFBYSxDQUFDLENBQUMsRUFBRSxXQUFXLEVBQUUsU0FBUyxDQUFDLENBQUM7UUFFMUQsSUFBSSxjQUFjLEdBQUcsQ0FBQyxJQUFZLEVBQUUsR0FBVyxFQUFFLEVBQUUsQ0FBQyxXQUFXLENBQUMsSUFBSSxFQUFFLFNBQVMsQ0FBQyxJQUFJLFdBQVcsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLElBQUksU0FBUyxDQUFDLEdBQUcsQ0FBQyxHQUFHLENBQUMsQ0FBQyxRQUFRLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQztRQUMzSixLQUFLLElBQUksSUFBSSxJQUFJLFNBQVMsQ0FBQyxDQUFDLEVBQUUsUUFBUSxDQUFDLEtBQUssQ0FBQyxFQUFFLFNBQVMsRUFBRSxDQUFDLElBQUksRUFBRSxHQUFHLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsSUFBSSxjQUFjLENBQUMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxDQUFDO1lBQ2hILElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLEdBQUcsS0FBSyxJQUFJLENBQUMsR0FBRyxDQUFDO2dCQUNwRCxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBRXpCLHlGQUF5RjtRQUN6Riw2QkFBNkI7UUFFN0IsSUFBSSxjQUFjLEdBQUcsU0FBUyxDQUFDLENBQUMsRUFBRSxRQUFRLENBQUMsS0FBSyxDQUFDLEVBQUUsU0FBUyxFQUFFLENBQUMsSUFBSSxFQUFFLEdBQUcsRUFBRSxFQUFFLENBQUMsQ0FBQyxRQUFRLENBQUMsR0FBRyxDQUFDLElBQUksV0FBVyxDQUFDLElBQUksRUFBRSxTQUFTLENBQUMsQ0FBQzthQUN2SCxNQUFNLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLFNBQVMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksS0FBSyxJQUFJLFNBQVMsQ0FBQyxHQUFHLENBQUMsV0FBVyxDQUFDLENBQUMsSUFBSSxDQUFDO2FBQ3hGLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLFlBQVksS0FBSyxTQUFTLElBQUksSUFBSSxDQUFDLElBQUksS0FBSyxTQUFTLElBQUksSUFBSSxDQUFDLElBQUksS0FBSyxZQUFZLENBQUM7YUFDbkcsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxDQUFDO1FBQzNCLEtBQUssSUFBSSxXQUFXLElBQUksQ0FBRSxHQUFHLGdCQUFnQixDQUFDLENBQUMsRUFBRSxRQUFRLENBQUMsS0FBSyxDQUFDLENBQUMsRUFBRSxHQUFHLGNBQWMsQ0FBRTtZQUNsRixJQUFJLENBQUMsUUFBUSxDQUFDLFFBQVEsQ0FBQyxXQUFXLENBQUMsSUFBSSxDQUFDLFlBQVksQ0FBQyxRQUFRLENBQUMsV0FBVyxDQUFDO2dCQUN0RSxRQUFRLENBQUMsSUFBSSxDQUFDLFdBQVcsQ0FBQyxDQUFDO0tBQ3RDO0lBQ0QsT0FBTyxFQUFFLEtBQUssRUFBRSxTQUFTLENBQUMsS0FBSyxDQUFDLEVBQUUsVUFBVSxFQUFFLENBQUMsS0FBSyxDQUFDLE1BQU0sS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsVUFBVSxDQUFDLENBQUMsQ0FBQyxTQUFTLEVBQUUsQ0FBQztBQUNsRyxDQUFDO0FBM0JELG9EQTJCQyJ9
\ No newline at end of file
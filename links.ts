@@ -0,0 +1,209 @@
+// Finds the links to the year pages and to the register PDFs on the council web site.  The year
+// and month (or other period) of each link are determined from the link text and the file name,
+// so that the links are ordered by period rather than by their order on the page.
+
+"use strict";
+
+import * as cheerio from "cheerio";
+import * as path from "path";
+import * as urlparser from "url";
+import { fetch } from "./http";
+
+// How the links are found on the pages of a council web site (see council.ts).  The content
+// selectors select the elements that contain the links, in the order that they are tried (the
+// first element that contains any matching links is used, so that a fallback such as "body" is
+// only used if the council moves the links out of the usual element).  The link text (for
+// example, "register") is the text, ignoring case, that the text of a link to a year page or
+// nested page must contain, and that the text or file name of a link to a register PDF must
+// contain.
+
+export interface LinkSelectors {
+    contentSelectors: string[],
+    linkText: string
+}
+
+// The maximum number of pages that are read when following pagination and nested pages (from a
+// single starting page).
+
+const MaximumPageCount = 20;
+
+// The month names and abbreviations (in lower case).
+
+const MonthNames = [ "january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december" ];
+
+// A link to a year page or register PDF, along with the year and month determined from its text
+// or file name (undefined if unknown).
+
+export interface RegisterLink {
+    url: string,
+    text: string,
+    year: number,
+    month: number
+}
+
+// Determines the year and month of a link from its text, falling back to its file name.  A link
+// covering several months (for example, "January to March 2019" or "Q1 2019") is given the last
+// month of the period.
+
+export function getPeriod(text: string, url: string) {
+    let fileName = path.basename(decodeURIComponent(new urlparser.URL(url).pathname)).replace(/\.[a-z]+$/i, "").toLowerCase();
+    let texts = [ text.toLowerCase(), fileName ];
+
+    let year: number = undefined;
+    for (let candidate of texts) {
+        let years = candidate.split(/[^0-9]+/).filter(digits => /^(19|20)\d\d$/.test(digits));
+        if (years.length > 0) {
+            year = Number(years[years.length - 1]);
+            break;
+        }
+    }
+
+    let month: number = undefined;
+    for (let candidate of texts) {
+        let words = candidate.split(/[^a-z0-9]+/);
+        let months = words.map(word => MonthNames.findIndex(monthName => word.length >= 3 && monthName.startsWith(word)) + 1).filter(month => month > 0);  // allows for abbreviations such as "Jan" and "Sept"
+        let quarter = /\b(?:q|quarter\s*)([1-4])\b/.exec(candidate);
+        let numericMonth = /(?:^|[^0-9])(?:19|20)\d\d[-_.]?(0[1-9]|1[0-2])(?:[^0-9]|$)/.exec(candidate) || /(?:^|[^0-9])(0[1-9]|1[0-2])[-_.](?:19|20)\d\d(?:[^0-9]|$)/.exec(candidate);
+        if (months.length > 0)
+            month = months[months.length - 1];
+        else if (quarter !== null)
+            month = Number(quarter[1]) * 3;
+        else if (numericMonth !== null && candidate === fileName)
+            month = Number(numericMonth[1]);
+        if (month !== undefined)
+            break;
+    }
+
+    return { year: year, month: month };
+}
+
+// Gets the sort key of a link (links with an unknown year sort before all other links).
+
+function getSortKey(link: RegisterLink) {
+    return ((link.year === undefined) ? 0 : link.year) * 100 + ((link.month === undefined) ? 0 : link.month);
+}
+
+// Sorts links by period, oldest first unless isNewestFirst is true (links with the same period
+// remain in page order).
+
+export function sortLinks(links: RegisterLink[], isNewestFirst: boolean = false) {
+    return links
+        .map((link, index) => ({ link: link, index: index }))
+        .sort((a, b) => ((isNewestFirst ? -1 : 1) * (getSortKey(a.link) - getSortKey(b.link))) || (a.index - b.index))
+        .map(item => item.link);
+}
+
+// Describes the links on a page (used when no links match, so that a change to the web site can
+// be diagnosed from the log).
+
+function describeLinks($, pageUrl: string, selectors: LinkSelectors) {
+    let anchors = $("a[href]").get();
+    let descriptions = anchors.slice(0, 15).map(element => `"${$(element).text().trim().replace(/\s+/g, " ")}" -> ${element.attribs.href}`);
+    return `The page ${pageUrl} has ${anchors.length} link(s) in total (the content selectors tried were ${selectors.contentSelectors.join(", ")})${(descriptions.length === 0) ? "." : ":\n    " + descriptions.join("\n    ")}`;
+}
+
+// Finds the links on a page that match a condition, using the first content element (see
+// LinkSelectors) that contains any matching links.
+
+function findLinks($, pageUrl: string, selectors: LinkSelectors, isMatch: (text: string, url: string) => boolean) {
+    for (let selector of selectors.contentSelectors) {
+        let links: RegisterLink[] = [];
+        for (let element of $(selector).find("a[href]").get()) {
+            let url = new urlparser.URL(element.attribs.href, pageUrl).href;
+            let text = $(element).text().trim().replace(/\s+/g, " ");
+            if (isMatch(text, url) && !links.some(link => link.url === url))
+                links.push({ url: url, text: text, ...getPeriod(text, url) });
+        }
+        if (links.length > 0) {
+            if (selector !== selectors.contentSelectors[0])
+                console.log(`Found ${links.length} link(s) on ${pageUrl} using the fallback content selector "${selector}".`);
+            return links;
+        }
+    }
+    return [];
+}
+
+// Finds the links to the next page of a paginated list (for example, a "Next" link).
+
+function findNextPageUrls($, pageUrl: string) {
+    let urls: string[] = [];
+    for (let element of $("a[href]").get()) {
+        let text = $(element).text().trim();
+        if (element.attribs.rel === "next" || /^(next|next page|older|older entries|›|»|>|>>)$/i.test(text))
+            urls.push(new urlparser.URL(element.attribs.href, pageUrl).href);
+    }
+    return urls;
+}
+
+// Determines whether a URL is a PDF.
+
+function isPdfUrl(url: string) {
+    return /\.pdf$/i.test(new urlparser.URL(url).pathname);
+}
+
+// Determines whether the text (or file name) of a link contains the link text of the selectors.
+
+function hasLinkText(text: string, selectors: LinkSelectors) {
+    return text.toLowerCase().includes(selectors.linkText.toLowerCase());
+}
+
+// Finds the links to the year pages on the development applications page (following any
+// pagination).  The links are ordered by year, most recent first.  An error (describing the links
+// that were found instead) is thrown if there are no year page links.
+
+export async function findYearPageLinks(pageUrl: string, selectors: LinkSelectors) {
+    let links: RegisterLink[] = [];
+    let diagnostic: string = undefined;
+    let pageUrls = [ pageUrl ];
+    for (let index = 0; index < pageUrls.length && index < MaximumPageCount; index++) {
+        let $ = cheerio.load((await fetch(pageUrls[index], { rejectUnauthorized: false })).body);
+        if (index === 0)
+            diagnostic = describeLinks($, pageUrl, selectors);
+
+        for (let link of findLinks($, pageUrls[index], selectors, (text, url) => hasLinkText(text, selectors) && !isPdfUrl(url)))
+            if (!links.some(otherLink => otherLink.url === link.url))
+                links.push(link);
+        for (let nextPageUrl of findNextPageUrls($, pageUrls[index]))
+            if (!pageUrls.includes(nextPageUrl))
+                pageUrls.push(nextPageUrl);
+    }
+
+    if (links.length === 0)
+        throw new Error(`No links to year pages (links with "${selectors.linkText}" in their text) were found.  ${diagnostic}`);
+    return sortLinks(links, true);
+}
+
+// Finds the links to the register PDFs on a year page, following any pagination and any nested
+// pages (pages on the same site with the link text of the selectors in their link text, such as a
+// page for each month).  Links to other year pages (the excluded URLs) are not followed.  The
+// links are ordered by period, oldest first.  The diagnostic describes the links on the year page
+// if no PDFs were found.
+
+export async function findRegisterPdfLinks(yearPageUrl: string, selectors: LinkSelectors, excludedUrls: string[] = []) {
+    let links: RegisterLink[] = [];
+    let diagnostic: string = undefined;
+    let yearPageYear = getPeriod("", yearPageUrl).year;
+    let pageUrls = [ yearPageUrl ];
+    for (let index = 0; index < pageUrls.length && index < MaximumPageCount; index++) {
+        let $ = cheerio.load((await fetch(pageUrls[index], { rejectUnauthorized: false })).body);
+        if (index === 0)
+            diagnostic = describeLinks($, yearPageUrl, selectors);
+
+        let isRegisterLink = (text: string, url: string) => hasLinkText(text, selectors) || hasLinkText(path.basename(new urlparser.URL(url).pathname), selectors);
+        for (let link of findLinks($, pageUrls[index], selectors, (text, url) => isPdfUrl(url) && isRegisterLink(text, url)))
+            if (!links.some(otherLink => otherLink.url === link.url))
+                links.push(link);
+
+        // Follow pagination and nested pages (on the same site and, if the year of both pages is
+        // known, for the same year).
+
+        let nestedPageUrls = findLinks($, pageUrls[index], selectors, (text, url) => !isPdfUrl(url) && hasLinkText(text, selectors))
+            .filter(link => new urlparser.URL(link.url).host === new urlparser.URL(yearPageUrl).host)
+            .filter(link => yearPageYear === undefined || link.year === undefined || link.year === yearPageYear)
+            .map(link => link.url);
+        for (let nextPageUrl of [ ...findNextPageUrls($, pageUrls[index]), ...nestedPageUrls ])
+            if (!pageUrls.includes(nextPageUrl) && !excludedUrls.includes(nextPageUrl))
+                pageUrls.push(nextPageUrl);
+    }
+    return { links: sortLinks(links), diagnostic: (links.length === 0) ? diagnostic : undefined };
+}
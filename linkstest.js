@@ -0,0 +1,66 @@
+// Unit tests for getPeriod and sortLinks in links.ts: the year and month of a link read from its
+// text (month names, abbreviations, ranges of months and quarters) or from its file name (including
+// numeric months), and the order of the links by period.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const links_1 = require("./links");
+// Gets the period of a link as "YYYY-M" (with "?" for an unknown year or month).
+function formatPeriod(text, url) {
+    let period = links_1.getPeriod(text, url);
+    return `${(period.year === undefined) ? "?" : period.year}-${(period.month === undefined) ? "?" : period.month}`;
+}
+// Creates a link with the specified text (the URL is the text, so that the order of the sorted
+// links can be read from their URLs).
+function createLink(text, year, month) {
+    return { url: text, text: text, year: year, month: month };
+}
+// Links in page order: a link with an unknown year, two links with the same period and a link
+// with an unknown month.
+const Links = [
+    createLink("mar-2019", 2019, 3),
+    createLink("unknown", undefined, undefined),
+    createLink("jan-2019", 2019, 1),
+    createLink("2018", 2018, undefined),
+    createLink("jan-2019-amended", 2019, 1)
+];
+const LinkTests = [
+    // The period of a link.
+    { name: "A month name", actual: formatPeriod("Development Register January 2019", "https://www.example.com/register.pdf"), expected: "2019-1" },
+    { name: "A month abbreviation", actual: formatPeriod("Dev Register Sept 2019", "https://www.example.com/register.pdf"), expected: "2019-9" },
+    { name: "A range of months is given the last month", actual: formatPeriod("Register January to March 2019", "https://www.example.com/register.pdf"), expected: "2019-3" },
+    { name: "A quarter (\"Q1\") is given its last month", actual: formatPeriod("Register Q1 2019", "https://www.example.com/register.pdf"), expected: "2019-3" },
+    { name: "A quarter (\"Quarter 2\") is given its last month", actual: formatPeriod("Register Quarter 2 2019", "https://www.example.com/register.pdf"), expected: "2019-6" },
+    { name: "A range of years is given the last year", actual: formatPeriod("Register 2018-2019", "https://www.example.com/register.pdf"), expected: "2019-?" },
+    { name: "The text takes precedence over the file name", actual: formatPeriod("Register February 2019", "https://www.example.com/register-jan-2018.pdf"), expected: "2019-2" },
+    { name: "The year falls back to the file name", actual: formatPeriod("March Register", "https://www.example.com/register-mar-2019.pdf"), expected: "2019-3" },
+    { name: "The month falls back to the file name", actual: formatPeriod("Register 2019", "https://www.example.com/register-apr-2019.pdf"), expected: "2019-4" },
+    { name: "A numeric month after the year in the file name", actual: formatPeriod("Register", "https://www.example.com/register-2019-04.pdf"), expected: "2019-4" },
+    { name: "A numeric month before the year in the file name", actual: formatPeriod("Register", "https://www.example.com/register_11.2019.pdf"), expected: "2019-11" },
+    { name: "A numeric month is only read from the file name", actual: formatPeriod("Register 2019-05", "https://www.example.com/register.pdf"), expected: "2019-?" },
+    { name: "An encoded file name", actual: formatPeriod("Register", "https://www.example.com/Register%20March%202019.pdf"), expected: "2019-3" },
+    { name: "A link without a period", actual: formatPeriod("Register", "https://www.example.com/register.pdf"), expected: "?-?" },
+    // The order of the links.
+    { name: "Links are sorted oldest first (an unknown year first and the same period in page order)", actual: links_1.sortLinks(Links).map(link => link.url).join(", "), expected: "unknown, 2018, jan-2019, jan-2019-amended, mar-2019" },
+    { name: "Links are sorted newest first (the same period in page order)", actual: links_1.sortLinks(Links, true).map(link => link.url).join(", "), expected: "mar-2019, jan-2019, jan-2019-amended, 2018, unknown" },
+    { name: "The links are not reordered in place", actual: Links.map(link => link.url).join(", "), expected: "mar-2019, unknown, jan-2019, 2018, jan-2019-amended" }
+];
+// Runs every test and reports any differences.
+function main() {
+    let differenceCount = 0;
+    for (let linkTest of LinkTests) {
+        if (linkTest.actual !== linkTest.expected) {
+            differenceCount++;
+            console.log(`Test: ${linkTest.name}`);
+            console.log(`    Expected: ${JSON.stringify(linkTest.expected)}`);
+            console.log(`    Actual:   ${JSON.stringify(linkTest.actual)}`);
+        }
+    }
+    if (differenceCount > 0) {
+        console.log(`${differenceCount} of ${LinkTests.length} link test(s) failed.`);
+        process.exitCode = 1;
+    }
+    else
+        console.log(`All ${LinkTests.length} link test(s) passed.`);
+}
+main();
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoibGlua3N0ZXN0LmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsibGlua3N0ZXN0LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLGlHQUFpRztBQUNqRyxvR0FBb0c7QUFDcEcseURBQXlEO0FBRXpELFlBQVksQ0FBQzs7QUFFYixtQ0FBNkQ7QUFZN0QsaUZBQWlGO0FBRWpGLFNBQVMsWUFBWSxDQUFDLElBQVksRUFBRSxHQUFXO0lBQzNDLElBQUksTUFBTSxHQUFHLGlCQUFTLENBQUMsSUFBSSxFQUFFLEdBQUcsQ0FBQyxDQUFDO0lBQ2xDLE9BQU8sR0FBRyxDQUFDLE1BQU0sQ0FBQyxJQUFJLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLElBQUksSUFBSSxDQUFDLE1BQU0sQ0FBQyxLQUFLLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssRUFBRSxDQUFDO0FBQ3JILENBQUM7QUFFRCwrRkFBK0Y7QUFDL0Ysc0NBQXNDO0FBRXRDLFNBQVMsVUFBVSxDQUFDLElBQVksRUFBRSxJQUFZLEVBQUUsS0FBYTtJQUN6RCxPQUFPLEVBQUUsR0FBRyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDO0FBQy9ELENBQUM7QUFFRCw4RkFBOEY7QUFDOUYseUJBQXlCO0FBRXpCLE1BQU0sS0FBSyxHQUFHO0lBQ1YsVUFBVSxDQUFDLFVBQVUsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO0lBQy9CLFVBQVUsQ0FBQyxTQUFTLEVBQUUsU0FBUyxFQUFFLFNBQVMsQ0FBQztJQUMzQyxVQUFVLENBQUMsVUFBVSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUM7SUFDL0IsVUFBVSxDQUFDLE1BQU0sRUFBRSxJQUFJLEVBQUUsU0FBUyxDQUFDO0lBQ25DLFVBQVUsQ0FBQyxrQkFBa0IsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO0NBQzFDLENBQUM7QUFFRixNQUFNLFNBQVMsR0FBZTtJQUMxQix3QkFBd0I7SUFFeEIsRUFBRSxJQUFJLEVBQUUsY0FBYyxFQUFFLE1BQU0sRUFBRSxZQUFZLENBQUMsbUNBQW1DLEVBQUUsc0NBQXNDLENBQUMsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFO0lBQy9JLEVBQUUsSUFBSSxFQUFFLHNCQUFzQixFQUFFLE1BQU0sRUFBRSxZQUFZLENBQUMsd0JBQXdCLEVBQUUsc0NBQXNDLENBQUMsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFO0lBQzVJLEVBQUUsSUFBSSxFQUFFLDJDQUEyQyxFQUFFLE1BQU0sRUFBRSxZQUFZLENBQUMsZ0NBQWdDLEVBQUUsc0NBQXNDLENBQUMsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFO0lBQ3pLLEVBQUUsSUFBSSxFQUFFLDRDQUE0QyxFQUFFLE1BQU0sRUFBRSxZQUFZLENBQUMsa0JBQWtCLEVBQUUsc0NBQXNDLENBQUMsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFO0lBQzVKLEVBQUUsSUFBSSxFQUFFLG1EQUFtRCxFQUFFLE1BQU0sRUFBRSxZQUFZLENBQUMseUJBQXlCLEVBQUUsc0NBQXNDLENBQUMsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFO0lBQzFLLEVBQUUsSUFBSSxFQUFFLHlDQUF5QyxFQUFFLE1BQU0sRUFBRSxZQUFZLENBQUMsb0JBQW9CLEVBQUUsc0NBQXNDLENBQUMsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFO0lBQzNKLEVBQUUsSUFBSSxFQUFFLDhDQUE4QyxFQUFFLE1BQU0sRUFBRSxZQUFZLENBQUMsd0JBQXdCLEVBQUUsK0NBQStDLENBQUMsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFO0lBQzdLLEVBQUUsSUFBSSxFQUFFLHNDQUFzQyxFQUFFLE1BQU0sRUFBRSxZQUFZLENBQUMsZ0JBQWdCLEVBQUUsK0NBQStDLENBQUMsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFO0lBQzdKLEVBQUUsSUFBSSxFQUFFLHVDQUF1QyxFQUFFLE1BQU0sRUFBRSxZQUFZLENBQUMsZUFBZSxFQUFFLCtDQUErQyxDQUFDLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRTtJQUM3SixFQUFFLElBQUksRUFBRSxpREFBaUQsRUFBRSxNQUFNLEVBQUUsWUFBWSxDQUFDLFVBQVUsRUFBRSw4Q0FBOEMsQ0FBQyxFQUFFLFFBQVEsRUFBRSxRQUFRLEVBQUU7SUFDakssRUFBRSxJQUFJLEVBQUUsa0RBQWtELEVBQUUsTUFBTSxFQUFFLFlBQVksQ0FBQyxVQUFVLEVBQUUsOENBQThDLENBQUMsRUFBRSxRQUFRLEVBQUUsU0FBUyxFQUFFO0lBQ25LLEVBQUUsSUFBSSxFQUFFLGlEQUFpRCxFQUFFLE1BQU0sRUFBRSxZQUFZLENBQUMsa0JBQWtCLEVBQUUsc0NBQXNDLENBQUMsRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFO0lBQ2pLLEVBQUUsSUFBSSxFQUFFLHNCQUFzQixFQUFFLE1BQU0sRUFBRSxZQUFZLENBQUMsVUFBVSxFQUFFLHFEQUFxRCxDQUFDLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRTtJQUM3SSxFQUFFLElBQUksRUFBRSx5QkFBeUIsRUFBRSxNQUFNLEVBQUUsWUFBWSxDQUFDLFVBQVUsRUFBRSxzQ0FBc0MsQ0FBQyxFQUFFLFFBQVEsRUFBRSxLQUFLLEVBQUU7SUFFOUgsMEJBQTBCO0lBRTFCLEVBQUUsSUFBSSxFQUFFLHlGQUF5RixFQUFFLE1BQU0sRUFBRSxpQkFBUyxDQUFDLEtBQUssQ0FBQyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLHFEQUFxRCxFQUFFO0lBQy9OLEVBQUUsSUFBSSxFQUFFLCtEQUErRCxFQUFFLE1BQU0sRUFBRSxpQkFBUyxDQUFDLEtBQUssRUFBRSxJQUFJLENBQUMsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLFFBQVEsRUFBRSxxREFBcUQsRUFBRTtJQUMzTSxFQUFFLElBQUksRUFBRSxzQ0FBc0MsRUFBRSxNQUFNLEVBQUUsS0FBSyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLHFEQUFxRCxFQUFFO0NBQ3BLLENBQUM7QUFFRiwrQ0FBK0M7QUFFL0MsU0FBUyxJQUFJO0lBQ1QsSUFBSSxlQUFlLEdBQUcsQ0FBQyxDQUFDO0lBRXhCLEtBQUssSUFBSSxRQUFRLElBQUksU0FBUyxFQUFFO1FBQzVCLElBQUksUUFBUSxDQUFDLE1BQU0sS0FBSyxRQUFRLENBQUMsUUFBUSxFQUFFO1lBQ3ZDLGVBQWUsRUFBRSxDQUFDO1lBQ2xCLE9BQU8sQ0FBQyxHQUFHLENBQUMsU0FBUyxRQUFRLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQztZQUN0QyxPQUFPLENBQUMsR0FBRyxDQUFDLGlCQUFpQixJQUFJLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLENBQUM7WUFDbEUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxpQkFBaUIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxRQUFRLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1NBQ25FO0tBQ0o7SUFFRCxJQUFJLGVBQWUsR0FBRyxDQUFDLEVBQUU7UUFDckIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxHQUFHLGVBQWUsT0FBTyxTQUFTLENBQUMsTUFBTSx1QkFBdUIsQ0FBQyxDQUFDO1FBQzlFLE9BQU8sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxDQUFDO0tBQ3hCOztRQUNHLE9BQU8sQ0FBQyxHQUFHLENBQUMsT0FBTyxTQUFTLENBQUMsTUFBTSx1QkFBdUIsQ0FBQyxDQUFDO0FBQ3BFLENBQUM7QUFFRCxJQUFJLEVBQUUsQ0FBQyJ9
\ No newline at end of file
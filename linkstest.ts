@@ -0,0 +1,90 @@
+// Unit tests for getPeriod and sortLinks in links.ts: the year and month of a link read from its
+// text (month names, abbreviations, ranges of months and quarters) or from its file name (including
+// numeric months), and the order of the links by period.
+
+"use strict";
+
+import { RegisterLink, getPeriod, sortLinks } from "./links";
+
+declare const process: any;
+
+// A test: a description and the actual and expected results.
+
+interface LinkTest {
+    name: string,
+    actual: any,
+    expected: any
+}
+
+// Gets the period of a link as "YYYY-M" (with "?" for an unknown year or month).
+
+function formatPeriod(text: string, url: string) {
+    let period = getPeriod(text, url);
+    return `${(period.year === undefined) ? "?" : period.year}-${(period.month === undefined) ? "?" : period.month}`;
+}
+
+// Creates a link with the specified text (the URL is the text, so that the order of the sorted
+// links can be read from their URLs).
+
+function createLink(text: string, year: number, month: number): RegisterLink {
+    return { url: text, text: text, year: year, month: month };
+}
+
+// Links in page order: a link with an unknown year, two links with the same period and a link
+// with an unknown month.
+
+const Links = [
+    createLink("mar-2019", 2019, 3),
+    createLink("unknown", undefined, undefined),
+    createLink("jan-2019", 2019, 1),
+    createLink("2018", 2018, undefined),
+    createLink("jan-2019-amended", 2019, 1)
+];
+
+const LinkTests: LinkTest[] = [
+    // The period of a link.
+
+    { name: "A month name", actual: formatPeriod("Development Register January 2019", "https://www.example.com/register.pdf"), expected: "2019-1" },
+    { name: "A month abbreviation", actual: formatPeriod("Dev Register Sept 2019", "https://www.example.com/register.pdf"), expected: "2019-9" },
+    { name: "A range of months is given the last month", actual: formatPeriod("Register January to March 2019", "https://www.example.com/register.pdf"), expected: "2019-3" },
+    { name: "A quarter (\"Q1\") is given its last month", actual: formatPeriod("Register Q1 2019", "https://www.example.com/register.pdf"), expected: "2019-3" },
+    { name: "A quarter (\"Quarter 2\") is given its last month", actual: formatPeriod("Register Quarter 2 2019", "https://www.example.com/register.pdf"), expected: "2019-6" },
+    { name: "A range of years is given the last year", actual: formatPeriod("Register 2018-2019", "https://www.example.com/register.pdf"), expected: "2019-?" },
+    { name: "The text takes precedence over the file name", actual: formatPeriod("Register February 2019", "https://www.example.com/register-jan-2018.pdf"), expected: "2019-2" },
+    { name: "The year falls back to the file name", actual: formatPeriod("March Register", "https://www.example.com/register-mar-2019.pdf"), expected: "2019-3" },
+    { name: "The month falls back to the file name", actual: formatPeriod("Register 2019", "https://www.example.com/register-apr-2019.pdf"), expected: "2019-4" },
+    { name: "A numeric month after the year in the file name", actual: formatPeriod("Register", "https://www.example.com/register-2019-04.pdf"), expected: "2019-4" },
+    { name: "A numeric month before the year in the file name", actual: formatPeriod("Register", "https://www.example.com/register_11.2019.pdf"), expected: "2019-11" },
+    { name: "A numeric month is only read from the file name", actual: formatPeriod("Register 2019-05", "https://www.example.com/register.pdf"), expected: "2019-?" },
+    { name: "An encoded file name", actual: formatPeriod("Register", "https://www.example.com/Register%20March%202019.pdf"), expected: "2019-3" },
+    { name: "A link without a period", actual: formatPeriod("Register", "https://www.example.com/register.pdf"), expected: "?-?" },
+
+    // The order of the links.
+
+    { name: "Links are sorted oldest first (an unknown year first and the same period in page order)", actual: sortLinks(Links).map(link => link.url).join(", "), expected: "unknown, 2018, jan-2019, jan-2019-amended, mar-2019" },
+    { name: "Links are sorted newest first (the same period in page order)", actual: sortLinks(Links, true).map(link => link.url).join(", "), expected: "mar-2019, jan-2019, jan-2019-amended, 2018, unknown" },
+    { name: "The links are not reordered in place", actual: Links.map(link => link.url).join(", "), expected: "mar-2019, unknown, jan-2019, 2018, jan-2019-amended" }
+];
+
+// Runs every test and reports any differences.
+
+function main() {
+    let differenceCount = 0;
+
+    for (let linkTest of LinkTests) {
+        if (linkTest.actual !== linkTest.expected) {
+            differenceCount++;
+            console.log(`Test: ${linkTest.name}`);
+            console.log(`    Expected: ${JSON.stringify(linkTest.expected)}`);
+            console.log(`    Actual:   ${JSON.stringify(linkTest.actual)}`);
+        }
+    }
+
+    if (differenceCount > 0) {
+        console.log(`${differenceCount} of ${LinkTests.length} link test(s) failed.`);
+        process.exitCode = 1;
+    } else
+        console.log(`All ${LinkTests.length} link test(s) passed.`);
+}
+
+main();
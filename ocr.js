@@ -0,0 +1,171 @@
+// Recognises the text of scanned register pages (pages that contain an image but no text layer)
+// by rendering each page locally and passing the rendered image through the tesseract OCR engine
+// (which runs on the CPU).  The recognised words are converted to elements (with bounding
+// rectangles in the same co-ordinates as the text layer) so that the usual layouts can be used.
+// The "canvas" and "tesseract.js" modules are only loaded when a scanned page is encountered.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const path = require("path");
+const pdfjs = require("pdfjs-dist");
+const http_1 = require("./http");
+// The scale at which pages are rendered for OCR (a scale of 1 is 72 DPI, so the default of 4 is
+// 288 DPI).  This may be overridden by the MORPH_OCR_SCALE environment variable.
+const RenderScale = Number(process.env.MORPH_OCR_SCALE) || 4;
+// The language of the registers, and the directory (or URL) from which the tesseract language
+// data ("eng.traineddata" or "eng.traineddata.gz") is read.  When MORPH_OCR_LANGUAGE_PATH is not
+// set the language data is downloaded once and then kept in the cache directory.
+const Language = "eng";
+const LanguagePath = process.env.MORPH_OCR_LANGUAGE_PATH;
+// Recognised words with a confidence (from 0 to 100) below this are ignored (these are usually
+// specks, lines or stamps on the scanned page rather than text).
+const MinimumWordConfidence = 30;
+// Adjacent words on a line that are separated by a horizontal gap larger than this multiple of
+// the word height are placed in separate elements (so that, as in the text layer, a heading such
+// as "Application Date" is a single element that is separate from its value).
+const WordGap = 1.0;
+// The tesseract worker (created when the first scanned page is recognised), and the error that
+// occurred if OCR is unavailable (so that the error is only reported once).
+let worker = undefined;
+let unavailableError = undefined;
+// Determines whether a page is a scanned page (the page has no text but paints an image).
+async function isScannedPage(page, elements) {
+    if (elements.some(element => element.text.trim() !== ""))
+        return false;
+    let operatorList = await page.getOperatorList();
+    let imageOperators = [pdfjs.OPS.paintImageXObject, pdfjs.OPS.paintJpegXObject, pdfjs.OPS.paintInlineImageXObject, pdfjs.OPS.paintImageXObjectRepeat];
+    return operatorList.fnArray.some(operator => imageOperators.includes(operator));
+}
+exports.isScannedPage = isScannedPage;
+// Loads an optional module, throwing an error that explains how to install the module if it is
+// not installed.
+function loadModule(name) {
+    try {
+        return require(name);
+    }
+    catch (error) {
+        throw new Error(`The "${name}" module is required to read scanned register pages (run "npm install ${name}"): ${error.message}`);
+    }
+}
+// Creates (once) the tesseract worker.
+async function getWorker() {
+    if (worker === undefined) {
+        let tesseract = loadModule("tesseract.js");
+        let isLocalPath = (LanguagePath !== undefined && !/^[a-z]+:\/\//i.test(LanguagePath));
+        let options = Object.assign({ cachePath: path.join(http_1.CacheDirectory, "tessdata"), logger: () => { }, errorHandler: () => { } }, (LanguagePath === undefined ? {} : { langPath: LanguagePath }), (isLocalPath ? { gzip: !fs.existsSync(path.join(LanguagePath, `${Language}.traineddata`)) } : {}));
+        fs.mkdirSync(options.cachePath, { recursive: true });
+        let newWorker = tesseract.createWorker(options);
+        try {
+            await newWorker.load();
+            await newWorker.loadLanguage(Language);
+            await newWorker.initialize(Language);
+        }
+        catch (error) {
+            await newWorker.terminate(); // otherwise the worker process keeps running
+            throw new Error(`The OCR engine could not be started: ${error.message || error}`);
+        }
+        worker = newWorker;
+    }
+    return worker;
+}
+// Renders a page to a PNG image (at the OCR render scale).
+async function renderPage(page) {
+    let canvasModule = loadModule("canvas");
+    let canvasFactory = {
+        create: (width, height) => {
+            let canvas = canvasModule.createCanvas(width, height);
+            return { canvas: canvas, context: canvas.getContext("2d") };
+        },
+        reset: (canvasAndContext, width, height) => {
+            canvasAndContext.canvas.width = width;
+            canvasAndContext.canvas.height = height;
+        },
+        destroy: canvasAndContext => {
+            canvasAndContext.canvas = undefined;
+            canvasAndContext.context = undefined;
+        }
+    };
+    let viewport = page.getViewport(RenderScale);
+    let canvasAndContext = canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    canvasAndContext.context.fillStyle = "white"; // a transparent background is read as black
+    canvasAndContext.context.fillRect(0, 0, canvasAndContext.canvas.width, canvasAndContext.canvas.height);
+    await page.render({ canvasContext: canvasAndContext.context, viewport: viewport, canvasFactory: canvasFactory }).promise;
+    let image = canvasAndContext.canvas.toBuffer("image/png");
+    canvasFactory.destroy(canvasAndContext);
+    return image;
+}
+// Converts the recognised words of each line to elements, joining adjacent words (see WordGap)
+// and converting the bounding boxes from image pixels to page co-ordinates.  The y co-ordinate of
+// each element is its baseline (as in the text layer).
+function convertWords(lines) {
+    let elements = [];
+    for (let line of lines) {
+        let words = line.words
+            .filter(word => word.text.trim() !== "" && word.confidence >= MinimumWordConfidence)
+            .sort((a, b) => a.bbox.x0 - b.bbox.x0);
+        let baseline = (line.baseline !== undefined && line.baseline.has_baseline) ? ((line.baseline.y0 + line.baseline.y1) / 2) : undefined;
+        let group = [];
+        let addElement = () => {
+            if (group.length === 0)
+                return;
+            let x0 = Math.min(...group.map(word => word.bbox.x0));
+            let x1 = Math.max(...group.map(word => word.bbox.x1));
+            let y0 = Math.min(...group.map(word => word.bbox.y0));
+            let y1 = Math.max(...group.map(word => word.bbox.y1));
+            elements.push({
+                text: group.map(word => word.text.trim()).join(" "),
+                x: x0 / RenderScale,
+                y: ((baseline === undefined) ? y1 : baseline) / RenderScale,
+                width: (x1 - x0) / RenderScale,
+                height: (y1 - y0) / RenderScale
+            });
+            group = [];
+        };
+        for (let word of words) {
+            let previousWord = group[group.length - 1];
+            let height = Math.max(word.bbox.y1 - word.bbox.y0, (previousWord === undefined) ? 0 : previousWord.bbox.y1 - previousWord.bbox.y0);
+            if (previousWord !== undefined && word.bbox.x0 - previousWord.bbox.x1 > WordGap * height)
+                addElement();
+            group.push(word);
+        }
+        addElement();
+    }
+    return elements;
+}
+// Recognises the text of a scanned page, returning the elements of the page.  If OCR is not
+// available (because the optional modules are not installed or the language data cannot be read)
+// the error is logged (once) and no elements are returned.
+async function recognisePage(page) {
+    if (unavailableError !== undefined)
+        return [];
+    let image = undefined;
+    let ocrWorker = undefined;
+    try {
+        image = await renderPage(page);
+        ocrWorker = await getWorker();
+    }
+    catch (error) {
+        unavailableError = error;
+        console.log(`Warning: scanned pages cannot be read: ${error.message}`);
+        return [];
+    }
+    try {
+        let result = await ocrWorker.recognize(image);
+        return convertWords(result.data.lines);
+    }
+    catch (error) {
+        console.log(`Warning: the text of the scanned page could not be recognised: ${error.message || error}`);
+        return [];
+    }
+}
+exports.recognisePage = recognisePage;
+// Terminates the tesseract worker (if it was created).
+async function terminateOcr() {
+    if (worker !== undefined) {
+        let oldWorker = worker;
+        worker = undefined;
+        await oldWorker.terminate();
+    }
+}
+exports.terminateOcr = terminateOcr;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoib2NyLmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsib2NyLnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLGdHQUFnRztBQUNoRyxpR0FBaUc7QUFDakcsMEZBQTBGO0FBQzFGLGdHQUFnRztBQUNoRyw4RkFBOEY7QUFFOUYsWUFBWSxDQUFDOztBQUViLHlCQUF5QjtBQUN6Qiw2QkFBNkI7QUFDN0Isb0NBQW9DO0FBRXBDLGlDQUF3QztBQUV4QyxnR0FBZ0c7QUFDaEcsaUZBQWlGO0FBRWpGLE1BQU0sV0FBVyxHQUFHLE1BQU0sQ0FBQyxPQUFPLENBQUMsR0FBRyxDQUFDLGVBQWUsQ0FBQyxJQUFJLENBQUMsQ0FBQztBQUU3RCw4RkFBOEY7QUFDOUYsaUdBQWlHO0FBQ2pHLGlGQUFpRjtBQUVqRixNQUFNLFFBQVEsR0FBRyxLQUFLLENBQUM7QUFDdkIsTUFBTSxZQUFZLEdBQUcsT0FBTyxDQUFDLEdBQUcsQ0FBQyx1QkFBdUIsQ0FBQztBQUV6RCwrRkFBK0Y7QUFDL0YsaUVBQWlFO0FBRWpFLE1BQU0scUJBQXFCLEdBQUcsRUFBRSxDQUFDO0FBRWpDLCtGQUErRjtBQUMvRixpR0FBaUc7QUFDakcsOEVBQThFO0FBRTlFLE1BQU0sT0FBTyxHQUFHLEdBQUcsQ0FBQztBQUVwQiwrRkFBK0Y7QUFDL0YsNEVBQTRFO0FBRTVFLElBQUksTUFBTSxHQUFHLFNBQVMsQ0FBQztBQUN2QixJQUFJLGdCQUFnQixHQUFVLFNBQVMsQ0FBQztBQUV4QywwRkFBMEY7QUFFbkYsS0FBSyxVQUFVLGFBQWEsQ0FBQyxJQUFJLEVBQUUsUUFBbUI7SUFDekQsSUFBSSxRQUFRLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxJQUFJLEVBQUUsS0FBSyxFQUFFLENBQUM7UUFDcEQsT0FBTyxLQUFLLENBQUM7SUFDakIsSUFBSSxZQUFZLEdBQUcsTUFBTSxJQUFJLENBQUMsZUFBZSxFQUFFLENBQUM7SUFDaEQsSUFBSSxjQUFjLEdBQUcsQ0FBRSxLQUFLLENBQUMsR0FBRyxDQUFDLGlCQUFpQixFQUFFLEtBQUssQ0FBQyxHQUFHLENBQUMsZ0JBQWdCLEVBQUUsS0FBSyxDQUFDLEdBQUcsQ0FBQyx1QkFBdUIsRUFBRSxLQUFLLENBQUMsR0FBRyxDQUFDLHVCQUF1QixDQUFFLENBQUM7SUFDdkosT0FBTyxZQUFZLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsRUFBRSxDQUFDLGNBQWMsQ0FBQyxRQUFRLENBQUMsUUFBUSxDQUFDLENBQUMsQ0FBQztBQUNwRixDQUFDO0FBTkQsc0NBTUM7QUFFRCwrRkFBK0Y7QUFDL0YsaUJBQWlCO0FBRWpCLFNBQVMsVUFBVSxDQUFDLElBQVk7SUFDNUIsSUFBSTtRQUNBLE9BQU8sT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDO0tBQ3hCO0lBQUMsT0FBTyxLQUFLLEVBQUU7UUFDWixNQUFNLElBQUksS0FBSyxDQUFDLFFBQVEsSUFBSSx5RUFBeUUsSUFBSSxPQUFPLEtBQUssQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO0tBQ3BJO0FBQ0wsQ0FBQztBQUVELHVDQUF1QztBQUV2QyxLQUFLLFVBQVUsU0FBUztJQUNwQixJQUFJLE1BQU0sS0FBSyxTQUFTLEVBQUU7UUFDdEIsSUFBSSxTQUFTLEdBQUcsVUFBVSxDQUFDLGNBQWMsQ0FBQyxDQUFDO1FBQzNDLElBQUksV0FBVyxHQUFHLENBQUMsWUFBWSxLQUFLLFNBQVMsSUFBSSxDQUFDLGVBQWUsQ0FBQyxJQUFJLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQztRQUN0RixJQUFJLE9BQU8sbUJBQ1AsU0FBUyxFQUFFLElBQUksQ0FBQyxJQUFJLENBQUMscUJBQWMsRUFBRSxVQUFVLENBQUMsRUFDaEQsTUFBTSxFQUFFLEdBQUcsRUFBRSxHQUFFLENBQUMsRUFDaEIsWUFBWSxFQUFFLEdBQUcsRUFBRSxHQUFFLENBQUMsSUFDbkIsQ0FBQyxZQUFZLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLEVBQUUsUUFBUSxFQUFFLFlBQVksRUFBRSxDQUFDLEVBQzlELENBQUMsV0FBVyxDQUFDLENBQUMsQ0FBQyxFQUFFLElBQUksRUFBRSxDQUFDLEVBQUUsQ0FBQyxVQUFVLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxZQUFZLEVBQUUsR0FBRyxRQUFRLGNBQWMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDLENBQ3ZHLENBQUM7UUFDRixFQUFFLENBQUMsU0FBUyxDQUFDLE9BQU8sQ0FBQyxTQUFTLEVBQUUsRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLENBQUMsQ0FBQztRQUNyRCxJQUFJLFNBQVMsR0FBRyxTQUFTLENBQUMsWUFBWSxDQUFDLE9BQU8sQ0FBQyxDQUFDO1FBQ2hELElBQUk7WUFDQSxNQUFNLFNBQVMsQ0FBQyxJQUFJLEVBQUUsQ0FBQztZQUN2QixNQUFNLFNBQVMsQ0FBQyxZQUFZLENBQUMsUUFBUSxDQUFDLENBQUM7WUFDdkMsTUFBTSxTQUFTLENBQUMsVUFBVSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1NBQ3hDO1FBQUMsT0FBTyxLQUFLLEVBQUU7WUFDWixNQUFNLFNBQVMsQ0FBQyxTQUFTLEVBQUUsQ0FBQyxDQUFFLDZDQUE2QztZQUMzRSxNQUFNLElBQUksS0FBSyxDQUFDLHdDQUF3QyxLQUFLLENBQUMsT0FBTyxJQUFJLEtBQUssRUFBRSxDQUFDLENBQUM7U0FDckY7UUFDRCxNQUFNLEdBQUcsU0FBUyxDQUFDO0tBQ3RCO0lBQ0QsT0FBTyxNQUFNLENBQUM7QUFDbEIsQ0FBQztBQUVELDJEQUEyRDtBQUUzRCxLQUFLLFVBQVUsVUFBVSxDQUFDLElBQUk7SUFDMUIsSUFBSSxZQUFZLEdBQUcsVUFBVSxDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQ3hDLElBQUksYUFBYSxHQUFHO1FBQ2hCLE1BQU0sRUFBRSxDQUFDLEtBQWEsRUFBRSxNQUFjLEVBQUUsRUFBRTtZQUN0QyxJQUFJLE1BQU0sR0FBRyxZQUFZLENBQUMsWUFBWSxDQUFDLEtBQUssRUFBRSxNQUFNLENBQUMsQ0FBQztZQUN0RCxPQUFPLEVBQUUsTUFBTSxFQUFFLE1BQU0sRUFBRSxPQUFPLEVBQUUsTUFBTSxDQUFDLFVBQVUsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDO1FBQ2hFLENBQUM7UUFDRCxLQUFLLEVBQUUsQ0FBQyxnQkFBZ0IsRUFBRSxLQUFhLEVBQUUsTUFBYyxFQUFFLEVBQUU7WUFDdkQsZ0JBQWdCLENBQUMsTUFBTSxDQUFDLEtBQUssR0FBRyxLQUFLLENBQUM7WUFDdEMsZ0JBQWdCLENBQUMsTUFBTSxDQUFDLE1BQU0sR0FBRyxNQUFNLENBQUM7UUFDNUMsQ0FBQztRQUNELE9BQU8sRUFBRSxnQkFBZ0IsQ0FBQyxFQUFFO1lBQ3hCLGdCQUFnQixDQUFDLE1BQU0sR0FBRyxTQUFTLENBQUM7WUFDcEMsZ0JBQWdCLENBQUMsT0FBTyxHQUFHLFNBQVMsQ0FBQztRQUN6QyxDQUFDO0tBQ0osQ0FBQztJQUVGLElBQUksUUFBUSxHQUFHLElBQUksQ0FBQyxXQUFXLENBQUMsV0FBVyxDQUFDLENBQUM7SUFDN0MsSUFBSSxnQkFBZ0IsR0FBRyxhQUFhLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxFQUFFLElBQUksQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLE1BQU0sQ0FBQyxDQUFDLENBQUM7SUFDbkcsZ0JBQWdCLENBQUMsT0FBTyxDQUFDLFNBQVMsR0FBRyxPQUFPLENBQUMsQ0FBRSw0Q0FBNEM7SUFDM0YsZ0JBQWdCLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLGdCQUFnQixDQUFDLE1BQU0sQ0FBQyxLQUFLLEVBQUUsZ0JBQWdCLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBQ3ZHLE1BQU0sSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFLGFBQWEsRUFBRSxnQkFBZ0IsQ0FBQyxPQUFPLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRSxhQUFhLEVBQUUsYUFBYSxFQUFFLENBQUMsQ0FBQyxPQUFPLENBQUM7SUFDekgsSUFBSSxLQUFLLEdBQUcsZ0JBQWdCLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxXQUFXLENBQUMsQ0FBQztJQUMxRCxhQUFhLENBQUMsT0FBTyxDQUFDLGdCQUFnQixDQUFDLENBQUM7SUFDeEMsT0FBTyxLQUFLLENBQUM7QUFDakIsQ0FBQztBQUVELCtGQUErRjtBQUMvRixrR0FBa0c7QUFDbEcsdURBQXVEO0FBRXZELFNBQVMsWUFBWSxDQUFDLEtBQUs7SUFDdkIsSUFBSSxRQUFRLEdBQWMsRUFBRSxDQUFDO0lBQzdCLEtBQUssSUFBSSxJQUFJLElBQUksS0FBSyxFQUFFO1FBQ3BCLElBQUksS0FBSyxHQUFHLElBQUksQ0FBQyxLQUFLO2FBQ2pCLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLEtBQUssRUFBRSxJQUFJLElBQUksQ0FBQyxVQUFVLElBQUkscUJBQXFCLENBQUM7YUFDbkYsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsQ0FBQztRQUMzQyxJQUFJLFFBQVEsR0FBRyxDQUFDLElBQUksQ0FBQyxRQUFRLEtBQUssU0FBUyxJQUFJLElBQUksQ0FBQyxRQUFRLENBQUMsWUFBWSxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLEVBQUUsR0FBRyxJQUFJLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUM7UUFFckksSUFBSSxLQUFLLEdBQUcsRUFBRSxDQUFDO1FBQ2YsSUFBSSxVQUFVLEdBQUcsR0FBRyxFQUFFO1lBQ2xCLElBQUksS0FBSyxDQUFDLE1BQU0sS0FBSyxDQUFDO2dCQUNsQixPQUFPO1lBQ1gsSUFBSSxFQUFFLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7WUFDdEQsSUFBSSxFQUFFLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7WUFDdEQsSUFBSSxFQUFFLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7WUFDdEQsSUFBSSxFQUFFLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7WUFDdEQsUUFBUSxDQUFDLElBQUksQ0FBQztnQkFDVixJQUFJLEVBQUUsS0FBSyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLENBQUMsQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDO2dCQUNuRCxDQUFDLEVBQUUsRUFBRSxHQUFHLFdBQVc7Z0JBQ25CLENBQUMsRUFBRSxDQUFDLENBQUMsUUFBUSxLQUFLLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsQ0FBQyxDQUFDLFFBQVEsQ0FBQyxHQUFHLFdBQVc7Z0JBQzNELEtBQUssRUFBRSxDQUFDLEVBQUUsR0FBRyxFQUFFLENBQUMsR0FBRyxXQUFXO2dCQUM5QixNQUFNLEVBQUUsQ0FBQyxFQUFFLEdBQUcsRUFBRSxDQUFDLEdBQUcsV0FBVzthQUNsQyxDQUFDLENBQUM7WUFDSCxLQUFLLEdBQUcsRUFBRSxDQUFDO1FBQ2YsQ0FBQyxDQUFDO1FBRUYsS0FBSyxJQUFJLElBQUksSUFBSSxLQUFLLEVBQUU7WUFDcEIsSUFBSSxZQUFZLEdBQUcsS0FBSyxDQUFDLEtBQUssQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUM7WUFDM0MsSUFBSSxNQUFNLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsR0FBRyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsRUFBRSxDQUFDLFlBQVksS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUMsSUFBSSxDQUFDLEVBQUUsR0FBRyxZQUFZLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1lBQ25JLElBQUksWUFBWSxLQUFLLFNBQVMsSUFBSSxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsR0FBRyxZQUFZLENBQUMsSUFBSSxDQUFDLEVBQUUsR0FBRyxPQUFPLEdBQUcsTUFBTTtnQkFDcEYsVUFBVSxFQUFFLENBQUM7WUFDakIsS0FBSyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQztTQUNwQjtRQUNELFVBQVUsRUFBRSxDQUFDO0tBQ2hCO0lBQ0QsT0FBTyxRQUFRLENBQUM7QUFDcEIsQ0FBQztBQUVELDRGQUE0RjtBQUM1RixpR0FBaUc7QUFDakcsMkRBQTJEO0FBRXBELEtBQUssVUFBVSxhQUFhLENBQUMsSUFBSTtJQUNwQyxJQUFJLGdCQUFnQixLQUFLLFNBQVM7UUFDOUIsT0FBTyxFQUFFLENBQUM7SUFFZCxJQUFJLEtBQUssR0FBRyxTQUFTLENBQUM7SUFDdEIsSUFBSSxTQUFTLEdBQUcsU0FBUyxDQUFDO0lBQzFCLElBQUk7UUFDQSxLQUFLLEdBQUcsTUFBTSxVQUFVLENBQUMsSUFBSSxDQUFDLENBQUM7UUFDL0IsU0FBUyxHQUFHLE1BQU0sU0FBUyxFQUFFLENBQUM7S0FDakM7SUFBQyxPQUFPLEtBQUssRUFBRTtRQUNaLGdCQUFnQixHQUFHLEtBQUssQ0FBQztRQUN6QixPQUFPLENBQUMsR0FBRyxDQUFDLDBDQUEwQyxLQUFLLENBQUMsT0FBTyxFQUFFLENBQUMsQ0FBQztRQUN2RSxPQUFPLEVBQUUsQ0FBQztLQUNiO0lBRUQsSUFBSTtRQUNBLElBQUksTUFBTSxHQUFHLE1BQU0sU0FBUyxDQUFDLFNBQVMsQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUM5QyxPQUFPLFlBQVksQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxDQUFDO0tBQzFDO0lBQUMsT0FBTyxLQUFLLEVBQUU7UUFDWixPQUFPLENBQUMsR0FBRyxDQUFDLGtFQUFrRSxLQUFLLENBQUMsT0FBTyxJQUFJLEtBQUssRUFBRSxDQUFDLENBQUM7UUFDeEcsT0FBTyxFQUFFLENBQUM7S0FDYjtBQUNMLENBQUM7QUF0QkQsc0NBc0JDO0FBRUQsdURBQXVEO0FBRWhELEtBQUssVUFBVSxZQUFZO0lBQzlCLElBQUksTUFBTSxLQUFLLFNBQVMsRUFBRTtRQUN0QixJQUFJLFNBQVMsR0FBRyxNQUFNLENBQUM7UUFDdkIsTUFBTSxHQUFHLFNBQVMsQ0FBQztRQUNuQixNQUFNLFNBQVMsQ0FBQyxTQUFTLEVBQUUsQ0FBQztLQUMvQjtBQUNMLENBQUM7QUFORCxvQ0FNQyJ9
\ No newline at end of file
@@ -0,0 +1,200 @@
+// Recognises the text of scanned register pages (pages that contain an image but no text layer)
+// by rendering each page locally and passing the rendered image through the tesseract OCR engine
+// (which runs on the CPU).  The recognised words are converted to elements (with bounding
+// rectangles in the same co-ordinates as the text layer) so that the usual layouts can be used.
+// The "canvas" and "tesseract.js" modules are only loaded when a scanned page is encountered.
+
+"use strict";
+
+import * as fs from "fs";
+import * as path from "path";
+import * as pdfjs from "pdfjs-dist";
+import { Element } from "./layout";
+import { CacheDirectory } from "./http";
+
+// The scale at which pages are rendered for OCR (a scale of 1 is 72 DPI, so the default of 4 is
+// 288 DPI).  This may be overridden by the MORPH_OCR_SCALE environment variable.
+
+const RenderScale = Number(process.env.MORPH_OCR_SCALE) || 4;
+
+// The language of the registers, and the directory (or URL) from which the tesseract language
+// data ("eng.traineddata" or "eng.traineddata.gz") is read.  When MORPH_OCR_LANGUAGE_PATH is not
+// set the language data is downloaded once and then kept in the cache directory.
+
+const Language = "eng";
+const LanguagePath = process.env.MORPH_OCR_LANGUAGE_PATH;
+
+// Recognised words with a confidence (from 0 to 100) below this are ignored (these are usually
+// specks, lines or stamps on the scanned page rather than text).
+
+const MinimumWordConfidence = 30;
+
+// Adjacent words on a line that are separated by a horizontal gap larger than this multiple of
+// the word height are placed in separate elements (so that, as in the text layer, a heading such
+// as "Application Date" is a single element that is separate from its value).
+
+const WordGap = 1.0;
+
+// The tesseract worker (created when the first scanned page is recognised), and the error that
+// occurred if OCR is unavailable (so that the error is only reported once).
+
+let worker = undefined;
+let unavailableError: Error = undefined;
+
+// Determines whether a page is a scanned page (the page has no text but paints an image).
+
+export async function isScannedPage(page, elements: Element[]) {
+    if (elements.some(element => element.text.trim() !== ""))
+        return false;
+    let operatorList = await page.getOperatorList();
+    let imageOperators = [ pdfjs.OPS.paintImageXObject, pdfjs.OPS.paintJpegXObject, pdfjs.OPS.paintInlineImageXObject, pdfjs.OPS.paintImageXObjectRepeat ];
+    return operatorList.fnArray.some(operator => imageOperators.includes(operator));
+}
+
+// Loads an optional module, throwing an error that explains how to install the module if it is
+// not installed.
+
+function loadModule(name: string) {
+    try {
+        return require(name);
+    } catch (error) {
+        throw new Error(`The "${name}" module is required to read scanned register pages (run "npm install ${name}"): ${error.message}`);
+    }
+}
+
+// Creates (once) the tesseract worker.
+
+async function getWorker() {
+    if (worker === undefined) {
+        let tesseract = loadModule("tesseract.js");
+        let isLocalPath = (LanguagePath !== undefined && !/^[a-z]+:\/\//i.test(LanguagePath));
+        let options = {
+            cachePath: path.join(CacheDirectory, "tessdata"),
+            logger: () => {},
+            errorHandler: () => {},  // errors are instead reported by rejecting the promise of each job
+            ...(LanguagePath === undefined ? {} : { langPath: LanguagePath }),
+            ...(isLocalPath ? { gzip: !fs.existsSync(path.join(LanguagePath, `${Language}.traineddata`)) } : {})
+        };
+        fs.mkdirSync(options.cachePath, { recursive: true });
+        let newWorker = tesseract.createWorker(options);
+        try {
+            await newWorker.load();
+            await newWorker.loadLanguage(Language);
+            await newWorker.initialize(Language);
+        } catch (error) {
+            await newWorker.terminate();  // otherwise the worker process keeps running
+            throw new Error(`The OCR engine could not be started: ${error.message || error}`);
+        }
+        worker = newWorker;
+    }
+    return worker;
+}
+
+// Renders a page to a PNG image (at the OCR render scale).
+
+async function renderPage(page) {
+    let canvasModule = loadModule("canvas");
+    let canvasFactory = {
+        create: (width: number, height: number) => {
+            let canvas = canvasModule.createCanvas(width, height);
+            return { canvas: canvas, context: canvas.getContext("2d") };
+        },
+        reset: (canvasAndContext, width: number, height: number) => {
+            canvasAndContext.canvas.width = width;
+            canvasAndContext.canvas.height = height;
+        },
+        destroy: canvasAndContext => {
+            canvasAndContext.canvas = undefined;
+            canvasAndContext.context = undefined;
+        }
+    };
+
+    let viewport = page.getViewport(RenderScale);
+    let canvasAndContext = canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    canvasAndContext.context.fillStyle = "white";  // a transparent background is read as black
+    canvasAndContext.context.fillRect(0, 0, canvasAndContext.canvas.width, canvasAndContext.canvas.height);
+    await page.render({ canvasContext: canvasAndContext.context, viewport: viewport, canvasFactory: canvasFactory }).promise;
+    let image = canvasAndContext.canvas.toBuffer("image/png");
+    canvasFactory.destroy(canvasAndContext);
+    return image;
+}
+
+// Converts the recognised words of each line to elements, joining adjacent words (see WordGap)
+// and converting the bounding boxes from image pixels to page co-ordinates.  The y co-ordinate of
+// each element is its baseline (as in the text layer).
+
+function convertWords(lines): Element[] {
+    let elements: Element[] = [];
+    for (let line of lines) {
+        let words = line.words
+            .filter(word => word.text.trim() !== "" && word.confidence >= MinimumWordConfidence)
+            .sort((a, b) => a.bbox.x0 - b.bbox.x0);
+        let baseline = (line.baseline !== undefined && line.baseline.has_baseline) ? ((line.baseline.y0 + line.baseline.y1) / 2) : undefined;
+
+        let group = [];
+        let addElement = () => {
+            if (group.length === 0)
+                return;
+            let x0 = Math.min(...group.map(word => word.bbox.x0));
+            let x1 = Math.max(...group.map(word => word.bbox.x1));
+            let y0 = Math.min(...group.map(word => word.bbox.y0));
+            let y1 = Math.max(...group.map(word => word.bbox.y1));
+            elements.push({
+                text: group.map(word => word.text.trim()).join(" "),
+                x: x0 / RenderScale,
+                y: ((baseline === undefined) ? y1 : baseline) / RenderScale,
+                width: (x1 - x0) / RenderScale,
+                height: (y1 - y0) / RenderScale
+            });
+            group = [];
+        };
+
+        for (let word of words) {
+            let previousWord = group[group.length - 1];
+            let height = Math.max(word.bbox.y1 - word.bbox.y0, (previousWord === undefined) ? 0 : previousWord.bbox.y1 - previousWord.bbox.y0);
+            if (previousWord !== undefined && word.bbox.x0 - previousWord.bbox.x1 > WordGap * height)
+                addElement();
+            group.push(word);
+        }
+        addElement();
+    }
+    return elements;
+}
+
+// Recognises the text of a scanned page, returning the elements of the page.  If OCR is not
+// available (because the optional modules are not installed or the language data cannot be read)
+// the error is logged (once) and no elements are returned.
+
+export async function recognisePage(page): Promise<Element[]> {
+    if (unavailableError !== undefined)
+        return [];
+
+    let image = undefined;
+    let ocrWorker = undefined;
+    try {
+        image = await renderPage(page);
+        ocrWorker = await getWorker();
+    } catch (error) {
+        unavailableError = error;
+        console.log(`Warning: scanned pages cannot be read: ${error.message}`);
+        return [];
+    }
+
+    try {
+        let result = await ocrWorker.recognize(image);
+        return convertWords(result.data.lines);
+    } catch (error) {
+        console.log(`Warning: the text of the scanned page could not be recognised: ${error.message || error}`);
+        return [];
+    }
+}
+
+// Terminates the tesseract worker (if it was created).
+
+export async function terminateOcr() {
+    if (worker !== undefined) {
+        let oldWorker = worker;
+        worker = undefined;
+        await oldWorker.terminate();
+    }
+}
@@ -0,0 +1,91 @@
+// Reads the text elements of each page of a PDF, parsing the PDF once and releasing the resources
+// of each page after it is read (so that large registers are read in linear time within the
+// morph.io memory limit).  The text of scanned pages is recognised using OCR (see ocr.ts).
+"use strict";
+var __await = (this && this.__await) || function (v) { return this instanceof __await ? (this.v = v, this) : new __await(v); }
+var __asyncGenerator = (this && this.__asyncGenerator) || function (thisArg, _arguments, generator) {
+    if (!Symbol.asyncIterator) throw new TypeError("Symbol.asyncIterator is not defined.");
+    var g = generator.apply(thisArg, _arguments || []), i, q = [];
+    return i = {}, verb("next"), verb("throw"), verb("return"), i[Symbol.asyncIterator] = function () { return this; }, i;
+    function verb(n) { if (g[n]) i[n] = function (v) { return new Promise(function (a, b) { q.push([n, v, a, b]) > 1 || resume(n, v); }); }; }
+    function resume(n, v) { try { step(g[n](v)); } catch (e) { settle(q[0][3], e); } }
+    function step(r) { r.value instanceof __await ? Promise.resolve(r.value.v).then(fulfill, reject) : settle(q[0][2], r); }
+    function fulfill(value) { resume("next", value); }
+    function reject(value) { resume("throw", value); }
+    function settle(f, v) { if (f(v), q.shift(), q.length) resume(q[0][0], q[0][1]); }
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+const pdfjs = require("pdfjs-dist");
+const ocr_1 = require("./ocr");
+// The maximum number of pages read from a PDF (a larger PDF is truncated with a warning).  This
+// may be overridden by the MORPH_PDF_PAGE_LIMIT environment variable.
+exports.DefaultPageLimit = Number(process.env.MORPH_PDF_PAGE_LIMIT) || 2000;
+// The resident set size above which the PDF document (and the state of the pdf.js worker) is
+// destroyed and reloaded before reading the next page.  Releasing each page does not release
+// everything that pdf.js caches for the document (such as fonts), so this keeps the memory usage
+// bounded for registers with many pages.  This may be overridden by the MORPH_PDF_MEMORY_BUDGET
+// environment variable (in megabytes).
+exports.DefaultMemoryBudget = (Number(process.env.MORPH_PDF_MEMORY_BUDGET) || 256) * 1024 * 1024;
+// Loads a PDF document.
+async function loadDocument(buffer) {
+    return await pdfjs.getDocument({ data: buffer, disableFontFace: true, ignoreErrors: true });
+}
+// Reads the text elements of a page (unsorted).
+async function readElements(page) {
+    let textContent = await page.getTextContent();
+    let viewport = await page.getViewport(1.0);
+    return textContent.items.map(item => {
+        let transform = pdfjs.Util.transform(viewport.transform, item.transform);
+        // Work around the issue https://github.com/mozilla/pdf.js/issues/8276 (heights are
+        // exaggerated).  The problem seems to be that the height value is too large in some
+        // PDFs.  Provide an alternative, more accurate height value by using a calculation
+        // based on the transform matrix.
+        let workaroundHeight = Math.sqrt(transform[2] * transform[2] + transform[3] * transform[3]);
+        return { text: item.str, x: transform[4], y: transform[5], width: item.width, height: workaroundHeight };
+    });
+}
+// Reads the pages of a PDF in order, yielding the text elements of each page.  The PDF is parsed
+// once; it is only reloaded (continuing from the next page) if the memory usage exceeds the
+// budget.
+function readPdfPages(buffer, options = {}) {
+    return __asyncGenerator(this, arguments, function* readPdfPages_1() {
+        let pageLimit = (options.pageLimit === undefined) ? exports.DefaultPageLimit : options.pageLimit;
+        let memoryBudget = (options.memoryBudget === undefined) ? exports.DefaultMemoryBudget : options.memoryBudget;
+        let pdf = yield __await(loadDocument(buffer));
+        try {
+            let pageCount = pdf.numPages;
+            if (pageCount > pageLimit)
+                console.log(`Warning: only the first ${pageLimit} of the ${pageCount} pages of the PDF will be read (see MORPH_PDF_PAGE_LIMIT).`);
+            for (let pageNumber = 1; pageNumber <= Math.min(pageCount, pageLimit); pageNumber++) {
+                let page = yield __await(pdf.getPage(pageNumber));
+                let viewport = yield __await(page.getViewport(1.0));
+                let elements = yield __await(readElements(page));
+                let isScanned = yield __await(ocr_1.isScannedPage(page, elements));
+                if (isScanned) {
+                    console.log(`Page ${pageNumber} has no text layer, so its text will be recognised using OCR.`);
+                    elements = yield __await(ocr_1.recognisePage(page));
+                }
+                page.cleanup(); // releases the resources of the page
+                yield yield __await({ pageNumber: pageNumber, pageCount: pageCount, width: viewport.width, height: viewport.height, elements: elements, isScanned: isScanned });
+                // Reload the document if the memory usage has exceeded the budget.
+                if (pageNumber < Math.min(pageCount, pageLimit) && process.memoryUsage().rss > memoryBudget) {
+                    console.log(`Reloading the PDF after page ${pageNumber} because memory usage is ${Math.round(process.memoryUsage().rss / (1024 * 1024))} MB.`);
+                    yield __await(pdf.destroy());
+                    pdf = undefined;
+                    if (global.gc)
+                        global.gc();
+                    pdf = yield __await(loadDocument(buffer));
+                }
+            }
+        }
+        finally {
+            yield __await(ocr_1.terminateOcr());
+            if (pdf !== undefined)
+                yield __await(pdf.destroy());
+            if (global.gc)
+                global.gc();
+        }
+    });
+}
+exports.readPdfPages = readPdfPages;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicGFnZXMuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJwYWdlcy50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSxrR0FBa0c7QUFDbEcsNEZBQTRGO0FBQzVGLDJGQUEyRjtBQUUzRixZQUFZLENBQUM7Ozs7Ozs7Ozs7Ozs7O0FBRWIsb0NBQW9DO0FBRXBDLCtCQUFtRTtBQUVuRSxnR0FBZ0c7QUFDaEcsc0VBQXNFO0FBRXpELFFBQUEsZ0JBQWdCLEdBQUcsTUFBTSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsb0JBQW9CLENBQUMsSUFBSSxJQUFJLENBQUM7QUFFakYsNkZBQTZGO0FBQzdGLDZGQUE2RjtBQUM3RixpR0FBaUc7QUFDakcsZ0dBQWdHO0FBQ2hHLHVDQUF1QztBQUUxQixRQUFBLG1CQUFtQixHQUFHLENBQUMsTUFBTSxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsdUJBQXVCLENBQUMsSUFBSSxHQUFHLENBQUMsR0FBRyxJQUFJLEdBQUcsSUFBSSxDQUFDO0FBZXRHLHdCQUF3QjtBQUV4QixLQUFLLFVBQVUsWUFBWSxDQUFDLE1BQWtCO0lBQzFDLE9BQU8sTUFBTSxLQUFLLENBQUMsV0FBVyxDQUFDLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxlQUFlLEVBQUUsSUFBSSxFQUFFLFlBQVksRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDO0FBQ2hHLENBQUM7QUFFRCxnREFBZ0Q7QUFFaEQsS0FBSyxVQUFVLFlBQVksQ0FBQyxJQUFJO0lBQzVCLElBQUksV0FBVyxHQUFHLE1BQU0sSUFBSSxDQUFDLGNBQWMsRUFBRSxDQUFDO0lBQzlDLElBQUksUUFBUSxHQUFHLE1BQU0sSUFBSSxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQztJQUUzQyxPQUFPLFdBQVcsQ0FBQyxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFO1FBQ2hDLElBQUksU0FBUyxHQUFHLEtBQUssQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLFFBQVEsQ0FBQyxTQUFTLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxDQUFDO1FBRXpFLG1GQUFtRjtRQUNuRixvRkFBb0Y7UUFDcEYsbUZBQW1GO1FBQ25GLGlDQUFpQztRQUVqQyxJQUFJLGdCQUFnQixHQUFHLElBQUksQ0FBQyxJQUFJLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7UUFDNUYsT0FBTyxFQUFFLElBQUksRUFBRSxJQUFJLENBQUMsR0FBRyxFQUFFLENBQUMsRUFBRSxTQUFTLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLFNBQVMsQ0FBQyxDQUFDLENBQUMsRUFBRSxLQUFLLEVBQUUsSUFBSSxDQUFDLEtBQUssRUFBRSxNQUFNLEVBQUUsZ0JBQWdCLEVBQUUsQ0FBQztJQUM3RyxDQUFDLENBQUMsQ0FBQztBQUNQLENBQUM7QUFFRCxpR0FBaUc7QUFDakcsNEZBQTRGO0FBQzVGLFVBQVU7QUFFVixTQUF1QixZQUFZLENBQUMsTUFBa0IsRUFBRSxVQUF5RCxFQUFFOztRQUMvRyxJQUFJLFNBQVMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxTQUFTLEtBQUssU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLHdCQUFnQixDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsU0FBUyxDQUFDO1FBQ3pGLElBQUksWUFBWSxHQUFHLENBQUMsT0FBTyxDQUFDLFlBQVksS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsMkJBQW1CLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxZQUFZLENBQUM7UUFFckcsSUFBSSxHQUFHLEdBQUcsY0FBTSxZQUFZLENBQUMsTUFBTSxDQUFDLENBQUEsQ0FBQztRQUNyQyxJQUFJO1lBQ0EsSUFBSSxTQUFTLEdBQUcsR0FBRyxDQUFDLFFBQVEsQ0FBQztZQUM3QixJQUFJLFNBQVMsR0FBRyxTQUFTO2dCQUNyQixPQUFPLENBQUMsR0FBRyxDQUFDLDJCQUEyQixTQUFTLFdBQVcsU0FBUyw0REFBNEQsQ0FBQyxDQUFDO1lBRXRJLEtBQUssSUFBSSxVQUFVLEdBQUcsQ0FBQyxFQUFFLFVBQVUsSUFBSSxJQUFJLENBQUMsR0FBRyxDQUFDLFNBQVMsRUFBRSxTQUFTLENBQUMsRUFBRSxVQUFVLEVBQUUsRUFBRTtnQkFDakYsSUFBSSxJQUFJLEdBQUcsY0FBTSxHQUFHLENBQUMsT0FBTyxDQUFDLFVBQVUsQ0FBQyxDQUFBLENBQUM7Z0JBQ3pDLElBQUksUUFBUSxHQUFHLGNBQU0sSUFBSSxDQUFDLFdBQVcsQ0FBQyxHQUFHLENBQUMsQ0FBQSxDQUFDO2dCQUMzQyxJQUFJLFFBQVEsR0FBRyxjQUFNLFlBQVksQ0FBQyxJQUFJLENBQUMsQ0FBQSxDQUFDO2dCQUN4QyxJQUFJLFNBQVMsR0FBRyxjQUFNLG1CQUFhLENBQUMsSUFBSSxFQUFFLFFBQVEsQ0FBQyxDQUFBLENBQUM7Z0JBQ3BELElBQUksU0FBUyxFQUFFO29CQUNYLE9BQU8sQ0FBQyxHQUFHLENBQUMsUUFBUSxVQUFVLCtEQUErRCxDQUFDLENBQUM7b0JBQy9GLFFBQVEsR0FBRyxjQUFNLG1CQUFhLENBQUMsSUFBSSxDQUFDLENBQUEsQ0FBQztpQkFDeEM7Z0JBQ0QsSUFBSSxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUUscUNBQXFDO2dCQUV0RCxvQkFBTSxFQUFFLFVBQVUsRUFBRSxVQUFVLEVBQUUsU0FBUyxFQUFFLFNBQVMsRUFBRSxLQUFLLEVBQUUsUUFBUSxDQUFDLEtBQUssRUFBRSxNQUFNLEVBQUUsUUFBUSxDQUFDLE1BQU0sRUFBRSxRQUFRLEVBQUUsUUFBUSxFQUFFLFNBQVMsRUFBRSxTQUFTLEVBQUUsQ0FBQSxDQUFDO2dCQUVqSixtRUFBbUU7Z0JBRW5FLElBQUksVUFBVSxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsU0FBUyxFQUFFLFNBQVMsQ0FBQyxJQUFJLE9BQU8sQ0FBQyxXQUFXLEVBQUUsQ0FBQyxHQUFHLEdBQUcsWUFBWSxFQUFFO29CQUN6RixPQUFPLENBQUMsR0FBRyxDQUFDLGdDQUFnQyxVQUFVLDRCQUE0QixJQUFJLENBQUMsS0FBSyxDQUFDLE9BQU8sQ0FBQyxXQUFXLEVBQUUsQ0FBQyxHQUFHLEdBQUcsQ0FBQyxJQUFJLEdBQUcsSUFBSSxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUM7b0JBQy9JLGNBQU0sR0FBRyxDQUFDLE9BQU8sRUFBRSxDQUFBLENBQUM7b0JBQ3BCLEdBQUcsR0FBRyxTQUFTLENBQUM7b0JBQ2hCLElBQUksTUFBTSxDQUFDLEVBQUU7d0JBQ1QsTUFBTSxDQUFDLEVBQUUsRUFBRSxDQUFDO29CQUNoQixHQUFHLEdBQUcsY0FBTSxZQUFZLENBQUMsTUFBTSxDQUFDLENBQUEsQ0FBQztpQkFDcEM7YUFDSjtTQUNKO2dCQUFTO1lBQ04sY0FBTSxrQkFBWSxFQUFFLENBQUEsQ0FBQztZQUNyQixJQUFJLEdBQUcsS0FBSyxTQUFTO2dCQUNqQixjQUFNLEdBQUcsQ0FBQyxPQUFPLEVBQUUsQ0FBQSxDQUFDO1lBQ3hCLElBQUksTUFBTSxDQUFDLEVBQUU7Z0JBQ1QsTUFBTSxDQUFDLEVBQUUsRUFBRSxDQUFDO1NBQ25CO0lBQ0wsQ0FBQztDQUFBO0FBekNELG9DQXlDQyJ9
\ No newline at end of file
@@ -0,0 +1,107 @@
+// Reads the text elements of each page of a PDF, parsing the PDF once and releasing the resources
+// of each page after it is read (so that large registers are read in linear time within the
+// morph.io memory limit).  The text of scanned pages is recognised using OCR (see ocr.ts).
+
+"use strict";
+
+import * as pdfjs from "pdfjs-dist";
+import { Element } from "./layout";
+import { isScannedPage, recognisePage, terminateOcr } from "./ocr";
+
+// The maximum number of pages read from a PDF (a larger PDF is truncated with a warning).  This
+// may be overridden by the MORPH_PDF_PAGE_LIMIT environment variable.
+
+export const DefaultPageLimit = Number(process.env.MORPH_PDF_PAGE_LIMIT) || 2000;
+
+// The resident set size above which the PDF document (and the state of the pdf.js worker) is
+// destroyed and reloaded before reading the next page.  Releasing each page does not release
+// everything that pdf.js caches for the document (such as fonts), so this keeps the memory usage
+// bounded for registers with many pages.  This may be overridden by the MORPH_PDF_MEMORY_BUDGET
+// environment variable (in megabytes).
+
+export const DefaultMemoryBudget = (Number(process.env.MORPH_PDF_MEMORY_BUDGET) || 256) * 1024 * 1024;
+
+// The text elements of one page of a PDF (isScanned is true if the page has no text layer, in
+// which case the elements are the text recognised using OCR).  The width and height of the page
+// are in the same co-ordinates as the elements.
+
+export interface PdfPage {
+    pageNumber: number,
+    pageCount: number,
+    width: number,
+    height: number,
+    elements: Element[],
+    isScanned: boolean
+}
+
+// Loads a PDF document.
+
+async function loadDocument(buffer: Uint8Array) {
+    return await pdfjs.getDocument({ data: buffer, disableFontFace: true, ignoreErrors: true });
+}
+
+// Reads the text elements of a page (unsorted).
+
+async function readElements(page): Promise<Element[]> {
+    let textContent = await page.getTextContent();
+    let viewport = await page.getViewport(1.0);
+
+    return textContent.items.map(item => {
+        let transform = pdfjs.Util.transform(viewport.transform, item.transform);
+
+        // Work around the issue https://github.com/mozilla/pdf.js/issues/8276 (heights are
+        // exaggerated).  The problem seems to be that the height value is too large in some
+        // PDFs.  Provide an alternative, more accurate height value by using a calculation
+        // based on the transform matrix.
+
+        let workaroundHeight = Math.sqrt(transform[2] * transform[2] + transform[3] * transform[3]);
+        return { text: item.str, x: transform[4], y: transform[5], width: item.width, height: workaroundHeight };
+    });
+}
+
+// Reads the pages of a PDF in order, yielding the text elements of each page.  The PDF is parsed
+// once; it is only reloaded (continuing from the next page) if the memory usage exceeds the
+// budget.
+
+export async function* readPdfPages(buffer: Uint8Array, options: { pageLimit?: number, memoryBudget?: number } = {}): AsyncIterableIterator<PdfPage> {
+    let pageLimit = (options.pageLimit === undefined) ? DefaultPageLimit : options.pageLimit;
+    let memoryBudget = (options.memoryBudget === undefined) ? DefaultMemoryBudget : options.memoryBudget;
+
+    let pdf = await loadDocument(buffer);
+    try {
+        let pageCount = pdf.numPages;
+        if (pageCount > pageLimit)
+            console.log(`Warning: only the first ${pageLimit} of the ${pageCount} pages of the PDF will be read (see MORPH_PDF_PAGE_LIMIT).`);
+
+        for (let pageNumber = 1; pageNumber <= Math.min(pageCount, pageLimit); pageNumber++) {
+            let page = await pdf.getPage(pageNumber);
+            let viewport = await page.getViewport(1.0);
+            let elements = await readElements(page);
+            let isScanned = await isScannedPage(page, elements);
+            if (isScanned) {
+                console.log(`Page ${pageNumber} has no text layer, so its text will be recognised using OCR.`);
+                elements = await recognisePage(page);
+            }
+            page.cleanup();  // releases the resources of the page
+
+            yield { pageNumber: pageNumber, pageCount: pageCount, width: viewport.width, height: viewport.height, elements: elements, isScanned: isScanned };
+
+            // Reload the document if the memory usage has exceeded the budget.
+
+            if (pageNumber < Math.min(pageCount, pageLimit) && process.memoryUsage().rss > memoryBudget) {
+                console.log(`Reloading the PDF after page ${pageNumber} because memory usage is ${Math.round(process.memoryUsage().rss / (1024 * 1024))} MB.`);
+                await pdf.destroy();
+                pdf = undefined;
+                if (global.gc)
+                    global.gc();
+                pdf = await loadDocument(buffer);
+            }
+        }
+    } finally {
+        await terminateOcr();
+        if (pdf !== undefined)
+            await pdf.destroy();
+        if (global.gc)
+            global.gc();
+    }
+}
@@ -0,0 +1,71 @@
+// Regression tests for parsing register PDFs.  Each fixture PDF in the fixtures directory is
+// parsed using "node scraper.js parse-pdf" (so that the database is not touched) and every field
+// of every parsed application is compared with the expected applications in the golden file.
+//
+// Run "node registertest.js --update" to rewrite the golden file with the current applications
+// (only after reviewing the reported differences).
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const childprocess = require("child_process");
+const fs = require("fs");
+const GoldenFileName = "fixtures/registers.golden.json";
+const ScrapeDate = "2019-06-01"; // the fixed scrape date (so that the parsed applications do not change)
+const RegisterFixtures = [
+    {
+        fileName: "fixtures/register-mar-2019-repeated-header.pdf",
+        comment: "The register title and page number repeat at the top of each page; only the text below them continues the description.  The last application has a completed date and an additional labelled field."
+    },
+    {
+        fileName: "fixtures/register-mar-2019-title.pdf",
+        comment: "A larger, centred title at the top of the second page is not a continuation of the description."
+    },
+    {
+        fileName: "fixtures/register-may-2019-new.pdf",
+        comment: "The \"new\" layout: the application number follows \"Development\" in the same text (or in the next cell) and the address is on the lines below the assessment number."
+    }
+];
+// Parses a register PDF, returning the parsed applications.
+function parseRegister(fileName) {
+    let output = childprocess.execFileSync(process.execPath, ["scraper.js", "parse-pdf", fileName], { stdio: ["ignore", "pipe", "ignore"], env: Object.assign({}, process.env, { MORPH_SCRAPE_DATE: ScrapeDate }) });
+    return JSON.parse(output.toString()).developmentApplications;
+}
+// Parses every fixture PDF and reports any differences from the golden file.
+function main() {
+    let goldenApplications = fs.existsSync(GoldenFileName) ? JSON.parse(fs.readFileSync(GoldenFileName).toString()) : {};
+    let updatedApplications = {};
+    let differenceCount = 0;
+    for (let registerFixture of RegisterFixtures) {
+        let expected = goldenApplications[registerFixture.fileName] || [];
+        let actual = parseRegister(registerFixture.fileName);
+        updatedApplications[registerFixture.fileName] = actual;
+        let applicationNumbers = [...expected, ...actual].map(developmentApplication => developmentApplication.applicationNumber);
+        let differences = [];
+        for (let applicationNumber of Array.from(new Set(applicationNumbers))) {
+            let expectedApplication = expected.find(developmentApplication => developmentApplication.applicationNumber === applicationNumber);
+            let actualApplication = actual.find(developmentApplication => developmentApplication.applicationNumber === applicationNumber);
+            if (JSON.stringify(actualApplication) !== JSON.stringify(expectedApplication))
+                differences.push({ applicationNumber: applicationNumber, expected: expectedApplication, actual: actualApplication });
+        }
+        if (differences.length > 0 || actual.length !== expected.length) {
+            differenceCount++;
+            console.log(`Register: ${registerFixture.fileName} (${registerFixture.comment})`);
+            for (let difference of differences) {
+                console.log(`    Application: ${difference.applicationNumber}`);
+                console.log(`        Expected: ${JSON.stringify(difference.expected)}`);
+                console.log(`        Actual:   ${JSON.stringify(difference.actual)}`);
+            }
+        }
+    }
+    if (process.argv.includes("--update")) {
+        fs.writeFileSync(GoldenFileName, JSON.stringify(updatedApplications, null, 4) + "\n");
+        console.log(`Updated ${differenceCount} of ${RegisterFixtures.length} register(s) in ${GoldenFileName}.`);
+    }
+    else if (differenceCount > 0) {
+        console.log(`${differenceCount} of ${RegisterFixtures.length} register(s) differ from ${GoldenFileName}.`);
+        process.exitCode = 1;
+    }
+    else
+        console.log(`All ${RegisterFixtures.length} register(s) match ${GoldenFileName}.`);
+}
+main();
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicmVnaXN0ZXJ0ZXN0LmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsicmVnaXN0ZXJ0ZXN0LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLDZGQUE2RjtBQUM3RixpR0FBaUc7QUFDakcsNkZBQTZGO0FBQzdGLEVBQUU7QUFDRiwrRkFBK0Y7QUFDL0YsbURBQW1EO0FBRW5ELFlBQVksQ0FBQzs7QUFFYiw4Q0FBOEM7QUFDOUMseUJBQXlCO0FBRXpCLE1BQU0sY0FBYyxHQUFHLGdDQUFnQyxDQUFDO0FBQ3hELE1BQU0sVUFBVSxHQUFHLFlBQVksQ0FBQyxDQUFFLHdFQUF3RTtBQVcxRyxNQUFNLGdCQUFnQixHQUFzQjtJQUN4QztRQUNJLFFBQVEsRUFBRSxnREFBZ0Q7UUFDMUQsT0FBTyxFQUFFLHFNQUFxTTtLQUNqTjtJQUNEO1FBQ0ksUUFBUSxFQUFFLHNDQUFzQztRQUNoRCxPQUFPLEVBQUUsaUdBQWlHO0tBQzdHO0lBQ0Q7UUFDSSxRQUFRLEVBQUUsb0NBQW9DO1FBQzlDLE9BQU8sRUFBRSx3S0FBd0s7S0FDcEw7Q0FDSixDQUFDO0FBRUYsNERBQTREO0FBRTVELFNBQVMsYUFBYSxDQUFDLFFBQWdCO0lBQ25DLElBQUksTUFBTSxHQUFHLFlBQVksQ0FBQyxZQUFZLENBQUMsT0FBTyxDQUFDLFFBQVEsRUFBRSxDQUFFLFlBQVksRUFBRSxXQUFXLEVBQUUsUUFBUSxDQUFFLEVBQUUsRUFBRSxLQUFLLEVBQUUsQ0FBRSxRQUFRLEVBQUUsTUFBTSxFQUFFLFFBQVEsQ0FBRSxFQUFFLEdBQUcsb0JBQU8sT0FBTyxDQUFDLEdBQUcsSUFBRSxpQkFBaUIsRUFBRSxVQUFVLEdBQUUsRUFBRSxDQUFDLENBQUM7SUFDck0sT0FBTyxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxRQUFRLEVBQUUsQ0FBQyxDQUFDLHVCQUF1QixDQUFDO0FBQ2pFLENBQUM7QUFFRCw2RUFBNkU7QUFFN0UsU0FBUyxJQUFJO0lBQ1QsSUFBSSxrQkFBa0IsR0FBRyxFQUFFLENBQUMsVUFBVSxDQUFDLGNBQWMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsY0FBYyxDQUFDLENBQUMsUUFBUSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsRUFBRSxDQUFDO0lBQ3JILElBQUksbUJBQW1CLEdBQUcsRUFBRSxDQUFDO0lBQzdCLElBQUksZUFBZSxHQUFHLENBQUMsQ0FBQztJQUV4QixLQUFLLElBQUksZUFBZSxJQUFJLGdCQUFnQixFQUFFO1FBQzFDLElBQUksUUFBUSxHQUFHLGtCQUFrQixDQUFDLGVBQWUsQ0FBQyxRQUFRLENBQUMsSUFBSSxFQUFFLENBQUM7UUFDbEUsSUFBSSxNQUFNLEdBQUcsYUFBYSxDQUFDLGVBQWUsQ0FBQyxRQUFRLENBQUMsQ0FBQztRQUNyRCxtQkFBbUIsQ0FBQyxlQUFlLENBQUMsUUFBUSxDQUFDLEdBQUcsTUFBTSxDQUFDO1FBRXZELElBQUksa0JBQWtCLEdBQUcsQ0FBRSxHQUFHLFFBQVEsRUFBRSxHQUFHLE1BQU0sQ0FBRSxDQUFDLEdBQUcsQ0FBQyxzQkFBc0IsQ0FBQyxFQUFFLENBQUMsc0JBQXNCLENBQUMsaUJBQWlCLENBQUMsQ0FBQztRQUM1SCxJQUFJLFdBQVcsR0FBRyxFQUFFLENBQUM7UUFDckIsS0FBSyxJQUFJLGlCQUFpQixJQUFJLEtBQUssQ0FBQyxJQUFJLENBQUMsSUFBSSxHQUFHLENBQUMsa0JBQWtCLENBQUMsQ0FBQyxFQUFFO1lBQ25FLElBQUksbUJBQW1CLEdBQUcsUUFBUSxDQUFDLElBQUksQ0FBQyxzQkFBc0IsQ0FBQyxFQUFFLENBQUMsc0JBQXNCLENBQUMsaUJBQWlCLEtBQUssaUJBQWlCLENBQUMsQ0FBQztZQUNsSSxJQUFJLGlCQUFpQixHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsc0JBQXNCLENBQUMsRUFBRSxDQUFDLHNCQUFzQixDQUFDLGlCQUFpQixLQUFLLGlCQUFpQixDQUFDLENBQUM7WUFDOUgsSUFBSSxJQUFJLENBQUMsU0FBUyxDQUFDLGlCQUFpQixDQUFDLEtBQUssSUFBSSxDQUFDLFNBQVMsQ0FBQyxtQkFBbUIsQ0FBQztnQkFDekUsV0FBVyxDQUFDLElBQUksQ0FBQyxFQUFFLGlCQUFpQixFQUFFLGlCQUFpQixFQUFFLFFBQVEsRUFBRSxtQkFBbUIsRUFBRSxNQUFNLEVBQUUsaUJBQWlCLEVBQUUsQ0FBQyxDQUFDO1NBQzVIO1FBRUQsSUFBSSxXQUFXLENBQUMsTUFBTSxHQUFHLENBQUMsSUFBSSxNQUFNLENBQUMsTUFBTSxLQUFLLFFBQVEsQ0FBQyxNQUFNLEVBQUU7WUFDN0QsZUFBZSxFQUFFLENBQUM7WUFDbEIsT0FBTyxDQUFDLEdBQUcsQ0FBQyxhQUFhLGVBQWUsQ0FBQyxRQUFRLEtBQUssZUFBZSxDQUFDLE9BQU8sR0FBRyxDQUFDLENBQUM7WUFDbEYsS0FBSyxJQUFJLFVBQVUsSUFBSSxXQUFXLEVBQUU7Z0JBQ2hDLE9BQU8sQ0FBQyxHQUFHLENBQUMsb0JBQW9CLFVBQVUsQ0FBQyxpQkFBaUIsRUFBRSxDQUFDLENBQUM7Z0JBQ2hFLE9BQU8sQ0FBQyxHQUFHLENBQUMscUJBQXFCLElBQUksQ0FBQyxTQUFTLENBQUMsVUFBVSxDQUFDLFFBQVEsQ0FBQyxFQUFFLENBQUMsQ0FBQztnQkFDeEUsT0FBTyxDQUFDLEdBQUcsQ0FBQyxxQkFBcUIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxVQUFVLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxDQUFDO2FBQ3pFO1NBQ0o7S0FDSjtJQUVELElBQUksT0FBTyxDQUFDLElBQUksQ0FBQyxRQUFRLENBQUMsVUFBVSxDQUFDLEVBQUU7UUFDbkMsRUFBRSxDQUFDLGFBQWEsQ0FBQyxjQUFjLEVBQUUsSUFBSSxDQUFDLFNBQVMsQ0FBQyxtQkFBbUIsRUFBRSxJQUFJLEVBQUUsQ0FBQyxDQUFDLEdBQUcsSUFBSSxDQUFDLENBQUM7UUFDdEYsT0FBTyxDQUFDLEdBQUcsQ0FBQyxXQUFXLGVBQWUsT0FBTyxnQkFBZ0IsQ0FBQyxNQUFNLG1CQUFtQixjQUFjLEdBQUcsQ0FBQyxDQUFDO0tBQzdHO1NBQU0sSUFBSSxlQUFlLEdBQUcsQ0FBQyxFQUFFO1FBQzVCLE9BQU8sQ0FBQyxHQUFHLENBQUMsR0FBRyxlQUFlLE9BQU8sZ0JBQWdCLENBQUMsTUFBTSw0QkFBNEIsY0FBYyxHQUFHLENBQUMsQ0FBQztRQUMzRyxPQUFPLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQztLQUN4Qjs7UUFDRyxPQUFPLENBQUMsR0FBRyxDQUFDLE9BQU8sZ0JBQWdCLENBQUMsTUFBTSxzQkFBc0IsY0FBYyxHQUFHLENBQUMsQ0FBQztBQUMzRixDQUFDO0FBRUQsSUFBSSxFQUFFLENBQUMifQ==
\ No newline at end of file
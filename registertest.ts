@@ -0,0 +1,89 @@
+// Regression tests for parsing register PDFs.  Each fixture PDF in the fixtures directory is
+// parsed using "node scraper.js parse-pdf" (so that the database is not touched) and every field
+// of every parsed application is compared with the expected applications in the golden file.
+//
+// Run "node registertest.js --update" to rewrite the golden file with the current applications
+// (only after reviewing the reported differences).
+
+"use strict";
+
+import * as childprocess from "child_process";
+import * as fs from "fs";
+
+const GoldenFileName = "fixtures/registers.golden.json";
+const ScrapeDate = "2019-06-01";  // the fixed scrape date (so that the parsed applications do not change)
+
+declare const process: any;
+
+// A fixture PDF and what it tests.
+
+interface RegisterFixture {
+    fileName: string,
+    comment: string
+}
+
+const RegisterFixtures: RegisterFixture[] = [
+    {
+        fileName: "fixtures/register-mar-2019-repeated-header.pdf",
+        comment: "The register title and page number repeat at the top of each page; only the text below them continues the description.  The last application has a completed date and an additional labelled field."
+    },
+    {
+        fileName: "fixtures/register-mar-2019-title.pdf",
+        comment: "A larger, centred title at the top of the second page is not a continuation of the description."
+    },
+    {
+        fileName: "fixtures/register-may-2019-new.pdf",
+        comment: "The \"new\" layout: the application number follows \"Development\" in the same text (or in the next cell) and the address is on the lines below the assessment number."
+    }
+];
+
+// Parses a register PDF, returning the parsed applications.
+
+function parseRegister(fileName: string) {
+    let output = childprocess.execFileSync(process.execPath, [ "scraper.js", "parse-pdf", fileName ], { stdio: [ "ignore", "pipe", "ignore" ], env: { ...process.env, MORPH_SCRAPE_DATE: ScrapeDate } });
+    return JSON.parse(output.toString()).developmentApplications;
+}
+
+// Parses every fixture PDF and reports any differences from the golden file.
+
+function main() {
+    let goldenApplications = fs.existsSync(GoldenFileName) ? JSON.parse(fs.readFileSync(GoldenFileName).toString()) : {};
+    let updatedApplications = {};
+    let differenceCount = 0;
+
+    for (let registerFixture of RegisterFixtures) {
+        let expected = goldenApplications[registerFixture.fileName] || [];
+        let actual = parseRegister(registerFixture.fileName);
+        updatedApplications[registerFixture.fileName] = actual;
+
+        let applicationNumbers = [ ...expected, ...actual ].map(developmentApplication => developmentApplication.applicationNumber);
+        let differences = [];
+        for (let applicationNumber of Array.from(new Set(applicationNumbers))) {
+            let expectedApplication = expected.find(developmentApplication => developmentApplication.applicationNumber === applicationNumber);
+            let actualApplication = actual.find(developmentApplication => developmentApplication.applicationNumber === applicationNumber);
+            if (JSON.stringify(actualApplication) !== JSON.stringify(expectedApplication))
+                differences.push({ applicationNumber: applicationNumber, expected: expectedApplication, actual: actualApplication });
+        }
+
+        if (differences.length > 0 || actual.length !== expected.length) {
+            differenceCount++;
+            console.log(`Register: ${registerFixture.fileName} (${registerFixture.comment})`);
+            for (let difference of differences) {
+                console.log(`    Application: ${difference.applicationNumber}`);
+                console.log(`        Expected: ${JSON.stringify(difference.expected)}`);
+                console.log(`        Actual:   ${JSON.stringify(difference.actual)}`);
+            }
+        }
+    }
+
+    if (process.argv.includes("--update")) {
+        fs.writeFileSync(GoldenFileName, JSON.stringify(updatedApplications, null, 4) + "\n");
+        console.log(`Updated ${differenceCount} of ${RegisterFixtures.length} register(s) in ${GoldenFileName}.`);
+    } else if (differenceCount > 0) {
+        console.log(`${differenceCount} of ${RegisterFixtures.length} register(s) differ from ${GoldenFileName}.`);
+        process.exitCode = 1;
+    } else
+        console.log(`All ${RegisterFixtures.length} register(s) match ${GoldenFileName}.`);
+}
+
+main();
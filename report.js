@@ -0,0 +1,154 @@
+// Records what happened during a run of the scraper (the pages and PDFs that were found, the PDFs
+// that were selected and why, and the number of applications parsed, skipped, rejected and saved
+// from each PDF) as a machine-readable report, so that a drop in the yield (for example, after the council
+// changes the layout of its web site or registers) is noticed.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const moment = require("moment");
+// The interval at which the memory usage is sampled while a PDF is processed (to determine the
+// peak memory usage of each PDF).
+const MemorySampleInterval = 100;
+// The format of the start and end times of a run (including milliseconds).
+const TimeFormat = "YYYY-MM-DDTHH:mm:ss.SSSZ";
+// The PDF currently being processed (and the timer that samples its memory usage).
+let currentPdfReport = undefined;
+let currentPdfStartTime = undefined;
+let memorySampleTimer = undefined;
+// Samples the memory usage, updating the peak memory of the run and of the current PDF.
+function sampleMemory(report) {
+    let memoryUsage = process.memoryUsage().rss;
+    report.peakMemory = Math.max(report.peakMemory, memoryUsage);
+    if (currentPdfReport !== undefined)
+        currentPdfReport.peakMemory = Math.max(currentPdfReport.peakMemory, memoryUsage);
+}
+// Creates the report for a run of the specified command.
+function createRunReport(command) {
+    let report = {
+        command: command,
+        startTime: moment().format(TimeFormat),
+        endTime: undefined,
+        milliseconds: undefined,
+        peakMemory: 0,
+        yearPages: [],
+        pdfs: [],
+        totals: undefined,
+        warnings: [],
+        error: undefined
+    };
+    sampleMemory(report);
+    return report;
+}
+exports.createRunReport = createRunReport;
+// Records a year page and the URLs of the PDFs found on that page.
+function addYearPage(report, url, text, pdfUrls) {
+    let yearPage = report.yearPages.find(yearPage => yearPage.url === url);
+    if (yearPage === undefined)
+        report.yearPages.push({ url: url, text: text, pdfUrls: [...pdfUrls] });
+    else
+        yearPage.pdfUrls = [...pdfUrls];
+}
+exports.addYearPage = addYearPage;
+// Starts recording the processing of a PDF (selected for the specified reason, for example,
+// "most recent PDF of the current year").  Returns the report of the PDF, which is completed by
+// calling finishPdfReport.
+function startPdfReport(report, url, selectionReason) {
+    currentPdfReport = {
+        url: url,
+        selectionReason: selectionReason,
+        status: "parsed",
+        pageCount: 0,
+        scannedPageCount: 0,
+        parsedCount: 0,
+        missingDateCount: 0,
+        skippedCounts: {},
+        rejectedCounts: {},
+        newCount: 0,
+        unchangedCount: 0,
+        modifiedCount: 0,
+        milliseconds: undefined,
+        peakMemory: 0,
+        error: undefined
+    };
+    report.pdfs.push(currentPdfReport);
+    currentPdfStartTime = Date.now();
+    sampleMemory(report);
+    memorySampleTimer = setInterval(() => sampleMemory(report), MemorySampleInterval);
+    memorySampleTimer.unref(); // do not keep the process running
+    return currentPdfReport;
+}
+exports.startPdfReport = startPdfReport;
+// Completes the report of the PDF that is currently being processed.
+function finishPdfReport(report) {
+    if (currentPdfReport === undefined)
+        return;
+    clearInterval(memorySampleTimer);
+    sampleMemory(report);
+    currentPdfReport.milliseconds = Date.now() - currentPdfStartTime;
+    currentPdfReport = undefined;
+}
+exports.finishPdfReport = finishPdfReport;
+// Records a PDF that was skipped without being read (for example, a PDF that was processed by an
+// earlier backfill).
+function addSkippedPdf(report, url, selectionReason, status) {
+    startPdfReport(report, url, selectionReason).status = status;
+    finishPdfReport(report);
+}
+exports.addSkippedPdf = addSkippedPdf;
+// Completes a run report, calculating the totals and adding warnings for an unexpected yield.
+function finishRunReport(report, error) {
+    if (error !== undefined) {
+        report.error = String((error && error.stack) || error);
+        if (currentPdfReport !== undefined) { // the error interrupted the processing of a PDF
+            currentPdfReport.status = "failed";
+            currentPdfReport.error = String((error && error.message) || error);
+        }
+    }
+    finishPdfReport(report);
+    report.endTime = moment().format(TimeFormat);
+    report.milliseconds = moment(report.endTime).diff(moment(report.startTime)) || 0;
+    let parsedPdfReports = report.pdfs.filter(pdfReport => pdfReport.status === "parsed");
+    let addCounts = (getCounts) => {
+        let totalCounts = {};
+        for (let pdfReport of parsedPdfReports)
+            for (let reason of Object.keys(getCounts(pdfReport)))
+                totalCounts[reason] = (totalCounts[reason] || 0) + getCounts(pdfReport)[reason];
+        return totalCounts;
+    };
+    let skippedCounts = addCounts(pdfReport => pdfReport.skippedCounts);
+    let rejectedCounts = addCounts(pdfReport => pdfReport.rejectedCounts);
+    let sum = (getCount) => parsedPdfReports.reduce((total, pdfReport) => total + getCount(pdfReport), 0);
+    report.totals = {
+        pdfCount: parsedPdfReports.length,
+        skippedPdfCount: report.pdfs.filter(pdfReport => pdfReport.status === "unchanged" || pdfReport.status === "previously-processed").length,
+        failedPdfCount: report.pdfs.filter(pdfReport => pdfReport.status === "failed").length,
+        pageCount: sum(pdfReport => pdfReport.pageCount),
+        scannedPageCount: sum(pdfReport => pdfReport.scannedPageCount),
+        parsedCount: sum(pdfReport => pdfReport.parsedCount),
+        missingDateCount: sum(pdfReport => pdfReport.missingDateCount),
+        skippedCount: Object.values(skippedCounts).reduce((total, count) => total + count, 0),
+        skippedCounts: skippedCounts,
+        rejectedCount: Object.values(rejectedCounts).reduce((total, count) => total + count, 0),
+        rejectedCounts: rejectedCounts,
+        newCount: sum(pdfReport => pdfReport.newCount),
+        unchangedCount: sum(pdfReport => pdfReport.unchangedCount),
+        modifiedCount: sum(pdfReport => pdfReport.modifiedCount)
+    };
+    // Warn about a yield of zero (this usually indicates that the layout of the web site or of
+    // the registers has changed).
+    if (report.pdfs.length === 0 && error === undefined)
+        report.warnings.push(`No register PDFs were found (${report.yearPages.length} year page(s) were found).`);
+    for (let pdfReport of parsedPdfReports)
+        if (pdfReport.parsedCount === 0)
+            report.warnings.push(`No development applications were parsed from ${pdfReport.pageCount} page(s) of ${pdfReport.url}.`);
+    for (let warning of report.warnings)
+        console.log(`Warning: ${warning}`);
+}
+exports.finishRunReport = finishRunReport;
+// Writes a run report to a JSON file.
+function writeRunReport(report, fileName) {
+    fs.writeFileSync(fileName, JSON.stringify(report, null, 4) + "\n");
+    console.log(`Wrote the run report to ${fileName}.`);
+}
+exports.writeRunReport = writeRunReport;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoicmVwb3J0LmpzIiwic291cmNlUm9vdCI6IiIsInNvdXJjZXMiOlsicmVwb3J0LnRzIl0sIm5hbWVzIjpbXSwibWFwcGluZ3MiOiJBQUFBLGtHQUFrRztBQUNsRyxpR0FBaUc7QUFDakcsMkdBQTJHO0FBQzNHLCtEQUErRDtBQUUvRCxZQUFZLENBQUM7O0FBRWIseUJBQXlCO0FBQ3pCLGlDQUFpQztBQUVqQywrRkFBK0Y7QUFDL0Ysa0NBQWtDO0FBRWxDLE1BQU0sb0JBQW9CLEdBQUcsR0FBRyxDQUFDO0FBRWpDLDJFQUEyRTtBQUUzRSxNQUFNLFVBQVUsR0FBRywwQkFBMEIsQ0FBQztBQTREOUMsbUZBQW1GO0FBRW5GLElBQUksZ0JBQWdCLEdBQWMsU0FBUyxDQUFDO0FBQzVDLElBQUksbUJBQW1CLEdBQVcsU0FBUyxDQUFDO0FBQzVDLElBQUksaUJBQWlCLEdBQUcsU0FBUyxDQUFDO0FBRWxDLHdGQUF3RjtBQUV4RixTQUFTLFlBQVksQ0FBQyxNQUFpQjtJQUNuQyxJQUFJLFdBQVcsR0FBRyxPQUFPLENBQUMsV0FBVyxFQUFFLENBQUMsR0FBRyxDQUFDO0lBQzVDLE1BQU0sQ0FBQyxVQUFVLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsVUFBVSxFQUFFLFdBQVcsQ0FBQyxDQUFDO0lBQzdELElBQUksZ0JBQWdCLEtBQUssU0FBUztRQUM5QixnQkFBZ0IsQ0FBQyxVQUFVLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxnQkFBZ0IsQ0FBQyxVQUFVLEVBQUUsV0FBVyxDQUFDLENBQUM7QUFDekYsQ0FBQztBQUVELHlEQUF5RDtBQUV6RCxTQUFnQixlQUFlLENBQUMsT0FBZTtJQUMzQyxJQUFJLE1BQU0sR0FBYztRQUNwQixPQUFPLEVBQUUsT0FBTztRQUNoQixTQUFTLEVBQUUsTUFBTSxFQUFFLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQztRQUN0QyxPQUFPLEVBQUUsU0FBUztRQUNsQixZQUFZLEVBQUUsU0FBUztRQUN2QixVQUFVLEVBQUUsQ0FBQztRQUNiLFNBQVMsRUFBRSxFQUFFO1FBQ2IsSUFBSSxFQUFFLEVBQUU7UUFDUixNQUFNLEVBQUUsU0FBUztRQUNqQixRQUFRLEVBQUUsRUFBRTtRQUNaLEtBQUssRUFBRSxTQUFTO0tBQ25CLENBQUM7SUFDRixZQUFZLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDckIsT0FBTyxNQUFNLENBQUM7QUFDbEIsQ0FBQztBQWZELDBDQWVDO0FBRUQsbUVBQW1FO0FBRW5FLFNBQWdCLFdBQVcsQ0FBQyxNQUFpQixFQUFFLEdBQVcsRUFBRSxJQUFZLEVBQUUsT0FBaUI7SUFDdkYsSUFBSSxRQUFRLEdBQUcsTUFBTSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxRQUFRLENBQUMsR0FBRyxLQUFLLEdBQUcsQ0FBQyxDQUFDO0lBQ3ZFLElBQUksUUFBUSxLQUFLLFNBQVM7UUFDdEIsTUFBTSxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsRUFBRSxHQUFHLEVBQUUsR0FBRyxFQUFFLElBQUksRUFBRSxJQUFJLEVBQUUsT0FBTyxFQUFFLENBQUUsR0FBRyxPQUFPLENBQUUsRUFBRSxDQUFDLENBQUM7O1FBRXpFLFFBQVEsQ0FBQyxPQUFPLEdBQUcsQ0FBRSxHQUFHLE9BQU8sQ0FBRSxDQUFDO0FBQzFDLENBQUM7QUFORCxrQ0FNQztBQUVELDRGQUE0RjtBQUM1RixnR0FBZ0c7QUFDaEcsMkJBQTJCO0FBRTNCLFNBQWdCLGNBQWMsQ0FBQyxNQUFpQixFQUFFLEdBQVcsRUFBRSxlQUF1QjtJQUNsRixnQkFBZ0IsR0FBRztRQUNmLEdBQUcsRUFBRSxHQUFHO1FBQ1IsZUFBZSxFQUFFLGVBQWU7UUFDaEMsTUFBTSxFQUFFLFFBQVE7UUFDaEIsU0FBUyxFQUFFLENBQUM7UUFDWixnQkFBZ0IsRUFBRSxDQUFDO1FBQ25CLFdBQVcsRUFBRSxDQUFDO1FBQ2QsZ0JBQWdCLEVBQUUsQ0FBQztRQUNuQixhQUFhLEVBQUUsRUFBRTtRQUNqQixjQUFjLEVBQUUsRUFBRTtRQUNsQixRQUFRLEVBQUUsQ0FBQztRQUNYLGNBQWMsRUFBRSxDQUFDO1FBQ2pCLGFBQWEsRUFBRSxDQUFDO1FBQ2hCLFlBQVksRUFBRSxTQUFTO1FBQ3ZCLFVBQVUsRUFBRSxDQUFDO1FBQ2IsS0FBSyxFQUFFLFNBQVM7S0FDbkIsQ0FBQztJQUNGLE1BQU0sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLGdCQUFnQixDQUFDLENBQUM7SUFDbkMsbUJBQW1CLEdBQUcsSUFBSSxDQUFDLEdBQUcsRUFBRSxDQUFDO0lBQ2pDLFlBQVksQ0FBQyxNQUFNLENBQUMsQ0FBQztJQUNyQixpQkFBaUIsR0FBRyxXQUFXLENBQUMsR0FBRyxFQUFFLENBQUMsWUFBWSxDQUFDLE1BQU0sQ0FBQyxFQUFFLG9CQUFvQixDQUFDLENBQUM7SUFDbEYsaUJBQWlCLENBQUMsS0FBSyxFQUFFLENBQUMsQ0FBRSxrQ0FBa0M7SUFDOUQsT0FBTyxnQkFBZ0IsQ0FBQztBQUM1QixDQUFDO0FBeEJELHdDQXdCQztBQUVELHFFQUFxRTtBQUVyRSxTQUFnQixlQUFlLENBQUMsTUFBaUI7SUFDN0MsSUFBSSxnQkFBZ0IsS0FBSyxTQUFTO1FBQzlCLE9BQU87SUFDWCxhQUFhLENBQUMsaUJBQWlCLENBQUMsQ0FBQztJQUNqQyxZQUFZLENBQUMsTUFBTSxDQUFDLENBQUM7SUFDckIsZ0JBQWdCLENBQUMsWUFBWSxHQUFHLElBQUksQ0FBQyxHQUFHLEVBQUUsR0FBRyxtQkFBbUIsQ0FBQztJQUNqRSxnQkFBZ0IsR0FBRyxTQUFTLENBQUM7QUFDakMsQ0FBQztBQVBELDBDQU9DO0FBRUQsaUdBQWlHO0FBQ2pHLHFCQUFxQjtBQUVyQixTQUFnQixhQUFhLENBQUMsTUFBaUIsRUFBRSxHQUFXLEVBQUUsZUFBdUIsRUFBRSxNQUFjO0lBQ2pHLGNBQWMsQ0FBQyxNQUFNLEVBQUUsR0FBRyxFQUFFLGVBQWUsQ0FBQyxDQUFDLE1BQU0sR0FBRyxNQUFNLENBQUM7SUFDN0QsZUFBZSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0FBQzVCLENBQUM7QUFIRCxzQ0FHQztBQUVELDhGQUE4RjtBQUU5RixTQUFnQixlQUFlLENBQUMsTUFBaUIsRUFBRSxLQUFXO0lBQzFELElBQUksS0FBSyxLQUFLLFNBQVMsRUFBRTtRQUNyQixNQUFNLENBQUMsS0FBSyxHQUFHLE1BQU0sQ0FBQyxDQUFDLEtBQUssSUFBSSxLQUFLLENBQUMsS0FBSyxDQUFDLElBQUksS0FBSyxDQUFDLENBQUM7UUFDdkQsSUFBSSxnQkFBZ0IsS0FBSyxTQUFTLEVBQUUsRUFBRyxnREFBZ0Q7WUFDbkYsZ0JBQWdCLENBQUMsTUFBTSxHQUFHLFFBQVEsQ0FBQztZQUNuQyxnQkFBZ0IsQ0FBQyxLQUFLLEdBQUcsTUFBTSxDQUFDLENBQUMsS0FBSyxJQUFJLEtBQUssQ0FBQyxPQUFPLENBQUMsSUFBSSxLQUFLLENBQUMsQ0FBQztTQUN0RTtLQUNKO0lBQ0QsZUFBZSxDQUFDLE1BQU0sQ0FBQyxDQUFDO0lBRXhCLE1BQU0sQ0FBQyxPQUFPLEdBQUcsTUFBTSxFQUFFLENBQUMsTUFBTSxDQUFDLFVBQVUsQ0FBQyxDQUFDO0lBQzdDLE1BQU0sQ0FBQyxZQUFZLEdBQUcsTUFBTSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQztJQUVqRixJQUFJLGdCQUFnQixHQUFHLE1BQU0sQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLE1BQU0sS0FBSyxRQUFRLENBQUMsQ0FBQztJQUN0RixJQUFJLFNBQVMsR0FBRyxDQUFDLFNBQWlFLEVBQUUsRUFBRTtRQUNsRixJQUFJLFdBQVcsR0FBaUMsRUFBRSxDQUFDO1FBQ25ELEtBQUssSUFBSSxTQUFTLElBQUksZ0JBQWdCO1lBQ2xDLEtBQUssSUFBSSxNQUFNLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxTQUFTLENBQUMsU0FBUyxDQUFDLENBQUM7Z0JBQ2hELFdBQVcsQ0FBQyxNQUFNLENBQUMsR0FBRyxDQUFDLFdBQVcsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsU0FBUyxDQUFDLENBQUMsTUFBTSxDQUFDLENBQUM7UUFDeEYsT0FBTyxXQUFXLENBQUM7SUFDdkIsQ0FBQyxDQUFDO0lBQ0YsSUFBSSxhQUFhLEdBQUcsU0FBUyxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLGFBQWEsQ0FBQyxDQUFDO0lBQ3BFLElBQUksY0FBYyxHQUFHLFNBQVMsQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLFNBQVMsQ0FBQyxjQUFjLENBQUMsQ0FBQztJQUN0RSxJQUFJLEdBQUcsR0FBRyxDQUFDLFFBQTBDLEVBQUUsRUFBRSxDQUFDLGdCQUFnQixDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssRUFBRSxTQUFTLEVBQUUsRUFBRSxDQUFDLEtBQUssR0FBRyxRQUFRLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFFeEksTUFBTSxDQUFDLE1BQU0sR0FBRztRQUNaLFFBQVEsRUFBRSxnQkFBZ0IsQ0FBQyxNQUFNO1FBQ2pDLGVBQWUsRUFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLFNBQVMsQ0FBQyxNQUFNLEtBQUssV0FBVyxJQUFJLFNBQVMsQ0FBQyxNQUFNLEtBQUssc0JBQXNCLENBQUMsQ0FBQyxNQUFNO1FBQ3hJLGNBQWMsRUFBRSxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLFNBQVMsQ0FBQyxNQUFNLEtBQUssUUFBUSxDQUFDLENBQUMsTUFBTTtRQUNyRixTQUFTLEVBQUUsR0FBRyxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLFNBQVMsQ0FBQztRQUNoRCxnQkFBZ0IsRUFBRSxHQUFHLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsZ0JBQWdCLENBQUM7UUFDOUQsV0FBVyxFQUFFLEdBQUcsQ0FBQyxTQUFTLENBQUMsRUFBRSxDQUFDLFNBQVMsQ0FBQyxXQUFXLENBQUM7UUFDcEQsZ0JBQWdCLEVBQUUsR0FBRyxDQUFDLFNBQVMsQ0FBQyxFQUFFLENBQUMsU0FBUyxDQUFDLGdCQUFnQixDQUFDO1FBQzlELFlBQVksRUFBRSxNQUFNLENBQUMsTUFBTSxDQUFDLGFBQWEsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssRUFBRSxLQUFLLEVBQUUsRUFBRSxDQUFDLEtBQUssR0FBRyxLQUFLLEVBQUUsQ0FBQyxDQUFDO1FBQ3JGLGFBQWEsRUFBRSxhQUFhO1FBQzVCLGFBQWEsRUFBRSxNQUFNLENBQUMsTUFBTSxDQUFDLGNBQWMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxDQUFDLEtBQUssRUFBRSxLQUFLLEVBQUUsRUFBRSxDQUFDLEtBQUssR0FBRyxLQUFLLEVBQUUsQ0FBQyxDQUFDO1FBQ3ZGLGNBQWMsRUFBRSxjQUFjO1FBQzlCLFFBQVEsRUFBRSxHQUFHLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsUUFBUSxDQUFDO1FBQzlDLGNBQWMsRUFBRSxHQUFHLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsY0FBYyxDQUFDO1FBQzFELGFBQWEsRUFBRSxHQUFHLENBQUMsU0FBUyxDQUFDLEVBQUUsQ0FBQyxTQUFTLENBQUMsYUFBYSxDQUFDO0tBQzNELENBQUM7SUFFRiwyRkFBMkY7SUFDM0YsOEJBQThCO0lBRTlCLElBQUksTUFBTSxDQUFDLElBQUksQ0FBQyxNQUFNLEtBQUssQ0FBQyxJQUFJLEtBQUssS0FBSyxTQUFTO1FBQy9DLE1BQU0sQ0FBQyxRQUFRLENBQUMsSUFBSSxDQUFDLGdDQUFnQyxNQUFNLENBQUMsU0FBUyxDQUFDLE1BQU0sNEJBQTRCLENBQUMsQ0FBQztJQUM5RyxLQUFLLElBQUksU0FBUyxJQUFJLGdCQUFnQjtRQUNsQyxJQUFJLFNBQVMsQ0FBQyxXQUFXLEtBQUssQ0FBQztZQUMzQixNQUFNLENBQUMsUUFBUSxDQUFDLElBQUksQ0FBQyxnREFBZ0QsU0FBUyxDQUFDLFNBQVMsZUFBZSxTQUFTLENBQUMsR0FBRyxHQUFHLENBQUMsQ0FBQztJQUNqSSxLQUFLLElBQUksT0FBTyxJQUFJLE1BQU0sQ0FBQyxRQUFRO1FBQy9CLE9BQU8sQ0FBQyxHQUFHLENBQUMsWUFBWSxPQUFPLEVBQUUsQ0FBQyxDQUFDO0FBQzNDLENBQUM7QUFwREQsMENBb0RDO0FBRUQsc0NBQXNDO0FBRXRDLFNBQWdCLGNBQWMsQ0FBQyxNQUFpQixFQUFFLFFBQWdCO0lBQzlELEVBQUUsQ0FBQyxhQUFhLENBQUMsUUFBUSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsTUFBTSxFQUFFLElBQUksRUFBRSxDQUFDLENBQUMsR0FBRyxJQUFJLENBQUMsQ0FBQztJQUNuRSxPQUFPLENBQUMsR0FBRyxDQUFDLDJCQUEyQixRQUFRLEdBQUcsQ0FBQyxDQUFDO0FBQ3hELENBQUM7QUFIRCx3Q0FHQyJ9
\ No newline at end of file
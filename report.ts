@@ -0,0 +1,232 @@
+// Records what happened during a run of the scraper (the pages and PDFs that were found, the PDFs
+// that were selected and why, and the number of applications parsed, skipped, rejected and saved
+// from each PDF) as a machine-readable report, so that a drop in the yield (for example, after the council
+// changes the layout of its web site or registers) is noticed.
+
+"use strict";
+
+import * as fs from "fs";
+import * as moment from "moment";
+
+// The interval at which the memory usage is sampled while a PDF is processed (to determine the
+// peak memory usage of each PDF).
+
+const MemorySampleInterval = 100;
+
+// The format of the start and end times of a run (including milliseconds).
+
+const TimeFormat = "YYYY-MM-DDTHH:mm:ss.SSSZ";
+
+// The outcome of processing one PDF.  The status is "parsed", "unchanged" (skipped because its
+// content has not changed since it was last parsed), "previously-processed" (skipped by a
+// backfill without being read) or "failed".  The scanned page count is the number of pages
+// without a text layer (whose text is recognised using OCR).  The skipped and rejected counts are
+// the number of applications that were not saved for each reason (an application is skipped, for
+// example, as a "duplicate" of an earlier application in the PDF, and rejected when it cannot be
+// parsed).  The peak memory is the largest resident set size (in bytes) sampled while the PDF
+// was processed.
+
+export interface PdfReport {
+    url: string,
+    selectionReason: string,
+    status: string,
+    pageCount: number,
+    scannedPageCount: number,
+    parsedCount: number,
+    missingDateCount: number,
+    skippedCounts: { [reason: string]: number },
+    rejectedCounts: { [reason: string]: number },
+    newCount: number,
+    unchangedCount: number,
+    modifiedCount: number,
+    milliseconds: number,
+    peakMemory: number,
+    error: string
+}
+
+// The report of a complete run.  The warnings highlight an unexpected yield (such as no
+// applications being parsed from any PDF).
+
+export interface RunReport {
+    command: string,
+    startTime: string,
+    endTime: string,
+    milliseconds: number,
+    peakMemory: number,
+    yearPages: { url: string, text: string, pdfUrls: string[] }[],
+    pdfs: PdfReport[],
+    totals: {
+        pdfCount: number,
+        skippedPdfCount: number,
+        failedPdfCount: number,
+        pageCount: number,
+        scannedPageCount: number,
+        parsedCount: number,
+        missingDateCount: number,
+        skippedCount: number,
+        skippedCounts: { [reason: string]: number },
+        rejectedCount: number,
+        rejectedCounts: { [reason: string]: number },
+        newCount: number,
+        unchangedCount: number,
+        modifiedCount: number
+    },
+    warnings: string[],
+    error: string
+}
+
+// The PDF currently being processed (and the timer that samples its memory usage).
+
+let currentPdfReport: PdfReport = undefined;
+let currentPdfStartTime: number = undefined;
+let memorySampleTimer = undefined;
+
+// Samples the memory usage, updating the peak memory of the run and of the current PDF.
+
+function sampleMemory(report: RunReport) {
+    let memoryUsage = process.memoryUsage().rss;
+    report.peakMemory = Math.max(report.peakMemory, memoryUsage);
+    if (currentPdfReport !== undefined)
+        currentPdfReport.peakMemory = Math.max(currentPdfReport.peakMemory, memoryUsage);
+}
+
+// Creates the report for a run of the specified command.
+
+export function createRunReport(command: string): RunReport {
+    let report: RunReport = {
+        command: command,
+        startTime: moment().format(TimeFormat),
+        endTime: undefined,
+        milliseconds: undefined,
+        peakMemory: 0,
+        yearPages: [],
+        pdfs: [],
+        totals: undefined,
+        warnings: [],
+        error: undefined
+    };
+    sampleMemory(report);
+    return report;
+}
+
+// Records a year page and the URLs of the PDFs found on that page.
+
+export function addYearPage(report: RunReport, url: string, text: string, pdfUrls: string[]) {
+    let yearPage = report.yearPages.find(yearPage => yearPage.url === url);
+    if (yearPage === undefined)
+        report.yearPages.push({ url: url, text: text, pdfUrls: [ ...pdfUrls ] });
+    else
+        yearPage.pdfUrls = [ ...pdfUrls ];
+}
+
+// Starts recording the processing of a PDF (selected for the specified reason, for example,
+// "most recent PDF of the current year").  Returns the report of the PDF, which is completed by
+// calling finishPdfReport.
+
+export function startPdfReport(report: RunReport, url: string, selectionReason: string) {
+    currentPdfReport = {
+        url: url,
+        selectionReason: selectionReason,
+        status: "parsed",
+        pageCount: 0,
+        scannedPageCount: 0,
+        parsedCount: 0,
+        missingDateCount: 0,
+        skippedCounts: {},
+        rejectedCounts: {},
+        newCount: 0,
+        unchangedCount: 0,
+        modifiedCount: 0,
+        milliseconds: undefined,
+        peakMemory: 0,
+        error: undefined
+    };
+    report.pdfs.push(currentPdfReport);
+    currentPdfStartTime = Date.now();
+    sampleMemory(report);
+    memorySampleTimer = setInterval(() => sampleMemory(report), MemorySampleInterval);
+    memorySampleTimer.unref();  // do not keep the process running
+    return currentPdfReport;
+}
+
+// Completes the report of the PDF that is currently being processed.
+
+export function finishPdfReport(report: RunReport) {
+    if (currentPdfReport === undefined)
+        return;
+    clearInterval(memorySampleTimer);
+    sampleMemory(report);
+    currentPdfReport.milliseconds = Date.now() - currentPdfStartTime;
+    currentPdfReport = undefined;
+}
+
+// Records a PDF that was skipped without being read (for example, a PDF that was processed by an
+// earlier backfill).
+
+export function addSkippedPdf(report: RunReport, url: string, selectionReason: string, status: string) {
+    startPdfReport(report, url, selectionReason).status = status;
+    finishPdfReport(report);
+}
+
+// Completes a run report, calculating the totals and adding warnings for an unexpected yield.
+
+export function finishRunReport(report: RunReport, error?: any) {
+    if (error !== undefined) {
+        report.error = String((error && error.stack) || error);
+        if (currentPdfReport !== undefined) {  // the error interrupted the processing of a PDF
+            currentPdfReport.status = "failed";
+            currentPdfReport.error = String((error && error.message) || error);
+        }
+    }
+    finishPdfReport(report);
+
+    report.endTime = moment().format(TimeFormat);
+    report.milliseconds = moment(report.endTime).diff(moment(report.startTime)) || 0;
+
+    let parsedPdfReports = report.pdfs.filter(pdfReport => pdfReport.status === "parsed");
+    let addCounts = (getCounts: (pdfReport: PdfReport) => { [reason: string]: number }) => {
+        let totalCounts: { [reason: string]: number } = {};
+        for (let pdfReport of parsedPdfReports)
+            for (let reason of Object.keys(getCounts(pdfReport)))
+                totalCounts[reason] = (totalCounts[reason] || 0) + getCounts(pdfReport)[reason];
+        return totalCounts;
+    };
+    let skippedCounts = addCounts(pdfReport => pdfReport.skippedCounts);
+    let rejectedCounts = addCounts(pdfReport => pdfReport.rejectedCounts);
+    let sum = (getCount: (pdfReport: PdfReport) => number) => parsedPdfReports.reduce((total, pdfReport) => total + getCount(pdfReport), 0);
+
+    report.totals = {
+        pdfCount: parsedPdfReports.length,
+        skippedPdfCount: report.pdfs.filter(pdfReport => pdfReport.status === "unchanged" || pdfReport.status === "previously-processed").length,
+        failedPdfCount: report.pdfs.filter(pdfReport => pdfReport.status === "failed").length,
+        pageCount: sum(pdfReport => pdfReport.pageCount),
+        scannedPageCount: sum(pdfReport => pdfReport.scannedPageCount),
+        parsedCount: sum(pdfReport => pdfReport.parsedCount),
+        missingDateCount: sum(pdfReport => pdfReport.missingDateCount),
+        skippedCount: Object.values(skippedCounts).reduce((total, count) => total + count, 0),
+        skippedCounts: skippedCounts,
+        rejectedCount: Object.values(rejectedCounts).reduce((total, count) => total + count, 0),
+        rejectedCounts: rejectedCounts,
+        newCount: sum(pdfReport => pdfReport.newCount),
+        unchangedCount: sum(pdfReport => pdfReport.unchangedCount),
+        modifiedCount: sum(pdfReport => pdfReport.modifiedCount)
+    };
+
+    // Warn about a yield of zero (this usually indicates that the layout of the web site or of
+    // the registers has changed).
+
+    if (report.pdfs.length === 0 && error === undefined)
+        report.warnings.push(`No register PDFs were found (${report.yearPages.length} year page(s) were found).`);
+    for (let pdfReport of parsedPdfReports)
+        if (pdfReport.parsedCount === 0)
+            report.warnings.push(`No development applications were parsed from ${pdfReport.pageCount} page(s) of ${pdfReport.url}.`);
+    for (let warning of report.warnings)
+        console.log(`Warning: ${warning}`);
+}
+
+// Writes a run report to a JSON file.
+
+export function writeRunReport(report: RunReport, fileName: string) {
+    fs.writeFileSync(fileName, JSON.stringify(report, null, 4) + "\n");
+    console.log(`Wrote the run report to ${fileName}.`);
+}
@@ -0,0 +1,194 @@
+// Saves development applications to a local sqlite database (by default, the data.sqlite file
+// that morph.io publishes).  The results of each PDF are saved in a single transaction, and the
+// schema of an existing database is upgraded by the migrations below.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const sqlite3 = require("sqlite3");
+const description_1 = require("./description");
+const storage_1 = require("./storage");
+sqlite3.verbose();
+// The maximum number of values in the "in (...)" clause of a query (sqlite allows at most 999
+// parameters in a statement).
+const MaximumQueryParameterCount = 500;
+// Runs an SQL statement.
+async function runSql(database, sql, parameters = []) {
+    return new Promise((resolve, reject) => {
+        database.run(sql, parameters, function (error) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else
+                resolve();
+        });
+    });
+}
+// Runs an SQL query, returning all rows.
+async function getRows(database, sql, parameters = []) {
+    return new Promise((resolve, reject) => {
+        database.all(sql, parameters, (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            }
+            else
+                resolve(rows);
+        });
+    });
+}
+// Runs a query for each chunk of the specified values (the values are substituted for "?..." in
+// the query), returning the rows of all of the queries.
+async function getRowsInChunks(database, sql, values) {
+    let rows = [];
+    for (let index = 0; index < values.length; index += MaximumQueryParameterCount) {
+        let chunk = values.slice(index, index + MaximumQueryParameterCount);
+        rows.push(...await getRows(database, sql.replace("?...", chunk.map(value => "?").join(", ")), chunk));
+    }
+    return rows;
+}
+// Inserts rows in a table using a single prepared statement (the statement is "insert or
+// replace" so that a row replaces any existing row with the same primary key).
+async function insertRows(database, table, columns, rows, isReplace) {
+    if (rows.length === 0)
+        return;
+    let sqlStatement = database.prepare(`insert ${isReplace ? "or replace " : ""}into [${table}] (${columns.map(column => `[${column.name}]`).join(", ")}) values (${columns.map(column => "?").join(", ")})`);
+    try {
+        for (let row of rows)
+            await new Promise((resolve, reject) => {
+                sqlStatement.run(columns.map(column => row[column.name]), error => {
+                    if (error) {
+                        console.error(error);
+                        reject(error);
+                    }
+                    else
+                        resolve();
+                });
+            });
+    }
+    finally {
+        await new Promise(resolve => sqlStatement.finalize(() => resolve())); // releases any locks
+    }
+}
+// Runs the specified function in a transaction (which is rolled back if the function throws an
+// error).
+async function runInTransaction(database, action) {
+    await runSql(database, "begin transaction");
+    try {
+        let result = await action();
+        await runSql(database, "commit");
+        return result;
+    }
+    catch (error) {
+        await runSql(database, "rollback");
+        throw error;
+    }
+}
+// Adds any of the specified columns that are missing from a table (for example, columns that
+// were added after an existing database was created).
+async function addMissingColumns(database, table, columns) {
+    let rows = await getRows(database, `pragma table_info([${table}])`);
+    for (let column of columns)
+        if (!rows.some(row => row.name === column.name))
+            await runSql(database, `alter table [${table}] add column [${column.name}] ${column.type}`);
+}
+// The migrations that upgrade the schema of a database, in order.  The number of migrations that
+// have been applied is recorded in the "user_version" of the database.  Databases created before
+// the migrations were introduced already have some of the tables and columns (so these migrations
+// only create what is missing).  To change the schema, append a new migration (never modify an
+// existing migration).  A migration lists the columns as they were at its version (rather than
+// using the current columns in storage.ts), so that a column added by a later migration is not
+// also created by an earlier migration.
+const Migrations = [
+    // Create the tables (the [data] table with its original seven columns).
+    async (database) => {
+        await runSql(database, `create table if not exists [data] (${storage_1.OriginalColumns.map(column => `[${column.name}] ${column.type}`).join(", ")}, primary key ([council_reference]))`);
+        await runSql(database, "create table if not exists [application_history] ([council_reference] text, [info_url] text, [date_scraped] text, [change] text)");
+        await runSql(database, "create table if not exists [processed_pdfs] ([url] text primary key, [date_processed] text, [application_count] integer)");
+        await runSql(database, "create table if not exists [runs] ([start_time] text, [end_time] text, [command] text, [pdf_count] integer, [page_count] integer, [parsed_count] integer, [rejected_count] integer, [new_count] integer, [modified_count] integer, [warning_count] integer, [error] text, [report] text)");
+        await runSql(database, "create table if not exists [rejected] ([pdf_url] text, [page_number] integer, [reason] text, [council_reference] text, [raw_text] text, [date_scraped] text, primary key ([pdf_url], [page_number], [raw_text]))");
+    },
+    // Add the columns that were added to the [data], [application_history] and [processed_pdfs]
+    // tables after they were first created (the [application_history] table only has the columns
+    // of the fields read from the register).
+    async (database) => {
+        let addedColumns = [
+            { name: "street_number", type: "text" }, { name: "street_name", type: "text" }, { name: "suburb", type: "text" },
+            { name: "postcode", type: "text" }, { name: "hundred", type: "text" }, { name: "section_lot", type: "text" },
+            { name: "address_confidence", type: "real" }, { name: "application_fees", type: "real" }, { name: "date_completed", type: "text" },
+            { name: "relevant_authority", type: "text" }, { name: "assessment_number", type: "text" }, { name: "category", type: "text" },
+            { name: "other_fields", type: "text" }
+        ];
+        await addMissingColumns(database, "data", addedColumns);
+        await addMissingColumns(database, "application_history", [
+            { name: "address", type: "text" }, { name: "description", type: "text" }, { name: "date_received", type: "text" },
+            { name: "application_fees", type: "real" }, { name: "date_completed", type: "text" }, { name: "relevant_authority", type: "text" },
+            { name: "assessment_number", type: "text" }
+        ]);
+        await addMissingColumns(database, "processed_pdfs", [{ name: "content_hash", type: "text" }]);
+    },
+    // Set the category of any applications that do not have a category (applications saved
+    // before the category was recorded).
+    async (database) => {
+        let rows = await getRows(database, "select [council_reference], [description] from [data] where [category] is null");
+        for (let row of rows)
+            await runSql(database, "update [data] set [category] = ? where [council_reference] = ?", [description_1.classifyDescription(row.description || ""), row.council_reference]);
+    },
+    // Add the number of applications skipped (for example, duplicates) to the [runs] table.
+    async (database) => {
+        await addMissingColumns(database, "runs", [{ name: "skipped_count", type: "integer" }]);
+    }
+];
+// Applies any migrations that have not yet been applied to the database (each in its own
+// transaction).
+async function migrate(database) {
+    let version = (await getRows(database, "pragma user_version"))[0].user_version;
+    for (let index = version; index < Migrations.length; index++)
+        await runInTransaction(database, async () => {
+            await Migrations[index](database);
+            await runSql(database, `pragma user_version = ${index + 1}`);
+        });
+}
+// Saves the results of parsing a PDF in a single transaction: each development application (and
+// any new version of it in the [application_history] table), each rejected application and the
+// record that the PDF was processed.
+async function savePdfResults(database, results) {
+    return await runInTransaction(database, async () => {
+        let applicationNumbers = results.developmentApplications.map(developmentApplication => developmentApplication.applicationNumber);
+        let existingRows = await getRowsInChunks(database, "select * from [data] where [council_reference] in (?...)", applicationNumbers);
+        let historyApplicationNumbers = (await getRowsInChunks(database, "select distinct [council_reference] from [application_history] where [council_reference] in (?...)", applicationNumbers)).map(row => row.council_reference);
+        let changes = [];
+        let historyRows = [];
+        for (let developmentApplication of results.developmentApplications) {
+            let existingRow = existingRows.find(row => row.council_reference === developmentApplication.applicationNumber);
+            let applicationChange = storage_1.getApplicationChange(developmentApplication, existingRow, historyApplicationNumbers.includes(developmentApplication.applicationNumber));
+            changes.push({ change: applicationChange.change, modifiedColumns: applicationChange.modifiedColumns });
+            historyRows.push(...applicationChange.historyRows);
+        }
+        await insertRows(database, "application_history", storage_1.HistoryColumns, historyRows, false);
+        await insertRows(database, "data", storage_1.DataColumns, results.developmentApplications.map(storage_1.getDataRow), true);
+        await insertRows(database, "rejected", storage_1.RejectedColumns, results.rejectedApplications.map(rejectedApplication => storage_1.getRejectedRow(rejectedApplication, results.scrapeDate)), true);
+        await insertRows(database, "processed_pdfs", storage_1.ProcessedPdfColumns, [{ url: results.pdfUrl, date_processed: results.scrapeDate, application_count: results.developmentApplications.length, content_hash: results.contentHash }], true);
+        return changes;
+    });
+}
+// Opens (creating if necessary) an sqlite database and applies any outstanding migrations.
+async function openSqliteStorage(fileName) {
+    let database = await new Promise((resolve, reject) => {
+        let database = new sqlite3.Database(fileName, error => error ? reject(error) : resolve(database));
+    });
+    await migrate(database);
+    return {
+        name: fileName,
+        savePdfResults: (results) => savePdfResults(database, results),
+        isPdfProcessed: async (url) => (await getRows(database, "select [url] from [processed_pdfs] where [url] = ?", [url])).length > 0,
+        getProcessedPdfContentHash: async (url) => {
+            let rows = await getRows(database, "select [content_hash] from [processed_pdfs] where [url] = ?", [url]);
+            return (rows.length === 0 || rows[0].content_hash === null) ? undefined : rows[0].content_hash;
+        },
+        saveRunReport: (report) => insertRows(database, "runs", storage_1.RunColumns, [storage_1.getRunRow(report)], false),
+        getDataRows: () => getRows(database, "select * from [data] order by [council_reference]"),
+        close: () => new Promise((resolve, reject) => database.close(error => error ? reject(error) : resolve()))
+    };
+}
+exports.openSqliteStorage = openSqliteStorage;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic3FsaXRlc3RvcmFnZS5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInNxbGl0ZXN0b3JhZ2UudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsOEZBQThGO0FBQzlGLGdHQUFnRztBQUNoRyxzRUFBc0U7QUFFdEUsWUFBWSxDQUFDOztBQUViLG1DQUFtQztBQUNuQywrQ0FBb0Q7QUFFcEQsdUNBQXdPO0FBRXhPLE9BQU8sQ0FBQyxPQUFPLEVBQUUsQ0FBQztBQUVsQiw4RkFBOEY7QUFDOUYsOEJBQThCO0FBRTlCLE1BQU0sMEJBQTBCLEdBQUcsR0FBRyxDQUFDO0FBRXZDLHlCQUF5QjtBQUV6QixLQUFLLFVBQVUsTUFBTSxDQUFDLFFBQVEsRUFBRSxHQUFXLEVBQUUsYUFBb0IsRUFBRTtJQUMvRCxPQUFPLElBQUksT0FBTyxDQUFPLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1FBQ3pDLFFBQVEsQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLFVBQVUsRUFBRSxVQUFTLEtBQUs7WUFDeEMsSUFBSSxLQUFLLEVBQUU7Z0JBQ1AsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztnQkFDckIsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDO2FBQ2pCOztnQkFDRyxPQUFPLEVBQUUsQ0FBQztRQUNsQixDQUFDLENBQUMsQ0FBQztJQUNQLENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQUVELHlDQUF5QztBQUV6QyxLQUFLLFVBQVUsT0FBTyxDQUFDLFFBQVEsRUFBRSxHQUFXLEVBQUUsYUFBb0IsRUFBRTtJQUNoRSxPQUFPLElBQUksT0FBTyxDQUFRLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1FBQzFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLFVBQVUsRUFBRSxDQUFDLEtBQUssRUFBRSxJQUFJLEVBQUUsRUFBRTtZQUMxQyxJQUFJLEtBQUssRUFBRTtnQkFDUCxPQUFPLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxDQUFDO2dCQUNyQixNQUFNLENBQUMsS0FBSyxDQUFDLENBQUM7YUFDakI7O2dCQUNHLE9BQU8sQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUN0QixDQUFDLENBQUMsQ0FBQztJQUNQLENBQUMsQ0FBQyxDQUFDO0FBQ1AsQ0FBQztBQUVELGdHQUFnRztBQUNoRyx3REFBd0Q7QUFFeEQsS0FBSyxVQUFVLGVBQWUsQ0FBQyxRQUFRLEVBQUUsR0FBVyxFQUFFLE1BQWE7SUFDL0QsSUFBSSxJQUFJLEdBQUcsRUFBRSxDQUFDO0lBQ2QsS0FBSyxJQUFJLEtBQUssR0FBRyxDQUFDLEVBQUUsS0FBSyxHQUFHLE1BQU0sQ0FBQyxNQUFNLEVBQUUsS0FBSyxJQUFJLDBCQUEwQixFQUFFO1FBQzVFLElBQUksS0FBSyxHQUFHLE1BQU0sQ0FBQyxLQUFLLENBQUMsS0FBSyxFQUFFLEtBQUssR0FBRywwQkFBMEIsQ0FBQyxDQUFDO1FBQ3BFLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxNQUFNLE9BQU8sQ0FBQyxRQUFRLEVBQUUsR0FBRyxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsS0FBSyxDQUFDLEdBQUcsQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsQ0FBQyxFQUFFLEtBQUssQ0FBQyxDQUFDLENBQUM7S0FDekc7SUFDRCxPQUFPLElBQUksQ0FBQztBQUNoQixDQUFDO0FBRUQseUZBQXlGO0FBQ3pGLCtFQUErRTtBQUUvRSxLQUFLLFVBQVUsVUFBVSxDQUFDLFFBQVEsRUFBRSxLQUFhLEVBQUUsT0FBaUIsRUFBRSxJQUFXLEVBQUUsU0FBa0I7SUFDakcsSUFBSSxJQUFJLENBQUMsTUFBTSxLQUFLLENBQUM7UUFDakIsT0FBTztJQUNYLElBQUksWUFBWSxHQUFHLFFBQVEsQ0FBQyxPQUFPLENBQUMsVUFBVSxTQUFTLENBQUMsQ0FBQyxDQUFDLGFBQWEsQ0FBQyxDQUFDLENBQUMsRUFBRSxTQUFTLEtBQUssTUFBTSxPQUFPLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsSUFBSSxNQUFNLENBQUMsSUFBSSxHQUFHLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLGFBQWEsT0FBTyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLEdBQUcsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUM7SUFDM00sSUFBSTtRQUNBLEtBQUssSUFBSSxHQUFHLElBQUksSUFBSTtZQUNoQixNQUFNLElBQUksT0FBTyxDQUFPLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO2dCQUN4QyxZQUFZLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLEVBQUUsS0FBSyxDQUFDLEVBQUU7b0JBQzlELElBQUksS0FBSyxFQUFFO3dCQUNQLE9BQU8sQ0FBQyxLQUFLLENBQUMsS0FBSyxDQUFDLENBQUM7d0JBQ3JCLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQztxQkFDakI7O3dCQUNHLE9BQU8sRUFBRSxDQUFDO2dCQUNsQixDQUFDLENBQUMsQ0FBQztZQUNQLENBQUMsQ0FBQyxDQUFDO0tBQ1Y7WUFBUztRQUNOLE1BQU0sSUFBSSxPQUFPLENBQU8sT0FBTyxDQUFDLEVBQUUsQ0FBQyxZQUFZLENBQUMsUUFBUSxDQUFDLEdBQUcsRUFBRSxDQUFDLE9BQU8sRUFBRSxDQUFDLENBQUMsQ0FBQyxDQUFFLHFCQUFxQjtLQUNyRztBQUNMLENBQUM7QUFFRCwrRkFBK0Y7QUFDL0YsVUFBVTtBQUVWLEtBQUssVUFBVSxnQkFBZ0IsQ0FBSSxRQUFRLEVBQUUsTUFBd0I7SUFDakUsTUFBTSxNQUFNLENBQUMsUUFBUSxFQUFFLG1CQUFtQixDQUFDLENBQUM7SUFDNUMsSUFBSTtRQUNBLElBQUksTUFBTSxHQUFHLE1BQU0sTUFBTSxFQUFFLENBQUM7UUFDNUIsTUFBTSxNQUFNLENBQUMsUUFBUSxFQUFFLFFBQVEsQ0FBQyxDQUFDO1FBQ2pDLE9BQU8sTUFBTSxDQUFDO0tBQ2pCO0lBQUMsT0FBTyxLQUFLLEVBQUU7UUFDWixNQUFNLE1BQU0sQ0FBQyxRQUFRLEVBQUUsVUFBVSxDQUFDLENBQUM7UUFDbkMsTUFBTSxLQUFLLENBQUM7S0FDZjtBQUNMLENBQUM7QUFFRCw2RkFBNkY7QUFDN0Ysc0RBQXNEO0FBRXRELEtBQUssVUFBVSxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUsS0FBYSxFQUFFLE9BQWlCO0lBQ3ZFLElBQUksSUFBSSxHQUFHLE1BQU0sT0FBTyxDQUFDLFFBQVEsRUFBRSxzQkFBc0IsS0FBSyxJQUFJLENBQUMsQ0FBQztJQUNwRSxLQUFLLElBQUksTUFBTSxJQUFJLE9BQU87UUFDdEIsSUFBSSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsSUFBSSxLQUFLLE1BQU0sQ0FBQyxJQUFJLENBQUM7WUFDM0MsTUFBTSxNQUFNLENBQUMsUUFBUSxFQUFFLGdCQUFnQixLQUFLLGlCQUFpQixNQUFNLENBQUMsSUFBSSxLQUFLLE1BQU0sQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDO0FBQ3hHLENBQUM7QUFFRCxpR0FBaUc7QUFDakcsaUdBQWlHO0FBQ2pHLGtHQUFrRztBQUNsRywrRkFBK0Y7QUFDL0YsK0ZBQStGO0FBQy9GLCtGQUErRjtBQUMvRix3Q0FBd0M7QUFFeEMsTUFBTSxVQUFVLEdBQW9DO0lBQ2hELHdFQUF3RTtJQUV4RSxLQUFLLEVBQUMsUUFBUSxFQUFDLEVBQUU7UUFDYixNQUFNLE1BQU0sQ0FBQyxRQUFRLEVBQUUsc0NBQXNDLHlCQUFlLENBQUMsR0FBRyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsSUFBSSxNQUFNLENBQUMsSUFBSSxLQUFLLE1BQU0sQ0FBQyxJQUFJLEVBQUUsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsc0NBQXNDLENBQUMsQ0FBQztRQUNoTCxNQUFNLE1BQU0sQ0FBQyxRQUFRLEVBQUUsa0lBQWtJLENBQUMsQ0FBQztRQUMzSixNQUFNLE1BQU0sQ0FBQyxRQUFRLEVBQUUsMEhBQTBILENBQUMsQ0FBQztRQUNuSixNQUFNLE1BQU0sQ0FBQyxRQUFRLEVBQUUsMFJBQTBSLENBQUMsQ0FBQztRQUNuVCxNQUFNLE1BQU0sQ0FBQyxRQUFRLEVBQUUsa05BQWtOLENBQUMsQ0FBQztJQUMvTyxDQUFDO0lBRUQsNEZBQTRGO0lBQzVGLDZGQUE2RjtJQUM3Rix5Q0FBeUM7SUFFekMsS0FBSyxFQUFDLFFBQVEsRUFBQyxFQUFFO1FBQ2IsSUFBSSxZQUFZLEdBQWE7WUFDekIsRUFBRSxJQUFJLEVBQUUsZUFBZSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsRUFBRSxFQUFFLElBQUksRUFBRSxhQUFhLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxFQUFFLEVBQUUsSUFBSSxFQUFFLFFBQVEsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFO1lBQ2hILEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLEVBQUUsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsRUFBRSxFQUFFLElBQUksRUFBRSxhQUFhLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtZQUM1RyxFQUFFLElBQUksRUFBRSxvQkFBb0IsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLEVBQUUsRUFBRSxJQUFJLEVBQUUsa0JBQWtCLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxFQUFFLEVBQUUsSUFBSSxFQUFFLGdCQUFnQixFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7WUFDbEksRUFBRSxJQUFJLEVBQUUsb0JBQW9CLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxFQUFFLEVBQUUsSUFBSSxFQUFFLG1CQUFtQixFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsRUFBRSxFQUFFLElBQUksRUFBRSxVQUFVLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtZQUM3SCxFQUFFLElBQUksRUFBRSxjQUFjLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtTQUN6QyxDQUFDO1FBQ0YsTUFBTSxpQkFBaUIsQ0FBQyxRQUFRLEVBQUUsTUFBTSxFQUFFLFlBQVksQ0FBQyxDQUFDO1FBQ3hELE1BQU0saUJBQWlCLENBQUMsUUFBUSxFQUFFLHFCQUFxQixFQUFFO1lBQ3JELEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLEVBQUUsRUFBRSxJQUFJLEVBQUUsYUFBYSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsRUFBRSxFQUFFLElBQUksRUFBRSxlQUFlLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtZQUNqSCxFQUFFLElBQUksRUFBRSxrQkFBa0IsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLEVBQUUsRUFBRSxJQUFJLEVBQUUsZ0JBQWdCLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxFQUFFLEVBQUUsSUFBSSxFQUFFLG9CQUFvQixFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7WUFDbEksRUFBRSxJQUFJLEVBQUUsbUJBQW1CLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtTQUM5QyxDQUFDLENBQUM7UUFDSCxNQUFNLGlCQUFpQixDQUFDLFFBQVEsRUFBRSxnQkFBZ0IsRUFBRSxDQUFFLEVBQUUsSUFBSSxFQUFFLGNBQWMsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLENBQUUsQ0FBQyxDQUFDO0lBQ3BHLENBQUM7SUFFRCx1RkFBdUY7SUFDdkYscUNBQXFDO0lBRXJDLEtBQUssRUFBQyxRQUFRLEVBQUMsRUFBRTtRQUNiLElBQUksSUFBSSxHQUFHLE1BQU0sT0FBTyxDQUFDLFFBQVEsRUFBRSxnRkFBZ0YsQ0FBQyxDQUFDO1FBQ3JILEtBQUssSUFBSSxHQUFHLElBQUksSUFBSTtZQUNoQixNQUFNLE1BQU0sQ0FBQyxRQUFRLEVBQUUsZ0VBQWdFLEVBQUUsQ0FBRSxpQ0FBbUIsQ0FBQyxHQUFHLENBQUMsV0FBVyxJQUFJLEVBQUUsQ0FBQyxFQUFFLEdBQUcsQ0FBQyxpQkFBaUIsQ0FBRSxDQUFDLENBQUM7SUFDeEssQ0FBQztJQUVELHdGQUF3RjtJQUV4RixLQUFLLEVBQUMsUUFBUSxFQUFDLEVBQUU7UUFDYixNQUFNLGlCQUFpQixDQUFDLFFBQVEsRUFBRSxNQUFNLEVBQUUsQ0FBRSxFQUFFLElBQUksRUFBRSxlQUFlLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxDQUFFLENBQUMsQ0FBQztJQUM5RixDQUFDO0NBQ0osQ0FBQztBQUVGLHlGQUF5RjtBQUN6RixnQkFBZ0I7QUFFaEIsS0FBSyxVQUFVLE9BQU8sQ0FBQyxRQUFRO0lBQzNCLElBQUksT0FBTyxHQUFHLENBQUMsTUFBTSxPQUFPLENBQUMsUUFBUSxFQUFFLHFCQUFxQixDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxZQUFZLENBQUM7SUFDL0UsS0FBSyxJQUFJLEtBQUssR0FBRyxPQUFPLEVBQUUsS0FBSyxHQUFHLFVBQVUsQ0FBQyxNQUFNLEVBQUUsS0FBSyxFQUFFO1FBQ3hELE1BQU0sZ0JBQWdCLENBQUMsUUFBUSxFQUFFLEtBQUssSUFBSSxFQUFFO1lBQ3hDLE1BQU0sVUFBVSxDQUFDLEtBQUssQ0FBQyxDQUFDLFFBQVEsQ0FBQyxDQUFDO1lBQ2xDLE1BQU0sTUFBTSxDQUFDLFFBQVEsRUFBRSx5QkFBeUIsS0FBSyxHQUFHLENBQUMsRUFBRSxDQUFDLENBQUM7UUFDakUsQ0FBQyxDQUFDLENBQUM7QUFDWCxDQUFDO0FBRUQsZ0dBQWdHO0FBQ2hHLCtGQUErRjtBQUMvRixxQ0FBcUM7QUFFckMsS0FBSyxVQUFVLGNBQWMsQ0FBQyxRQUFRLEVBQUUsT0FBbUI7SUFDdkQsT0FBTyxNQUFNLGdCQUFnQixDQUFDLFFBQVEsRUFBRSxLQUFLLElBQUksRUFBRTtRQUMvQyxJQUFJLGtCQUFrQixHQUFHLE9BQU8sQ0FBQyx1QkFBdUIsQ0FBQyxHQUFHLENBQUMsc0JBQXNCLENBQUMsRUFBRSxDQUFDLHNCQUFzQixDQUFDLGlCQUFpQixDQUFDLENBQUM7UUFDakksSUFBSSxZQUFZLEdBQUcsTUFBTSxlQUFlLENBQUMsUUFBUSxFQUFFLDBEQUEwRCxFQUFFLGtCQUFrQixDQUFDLENBQUM7UUFDbkksSUFBSSx5QkFBeUIsR0FBRyxDQUFDLE1BQU0sZUFBZSxDQUFDLFFBQVEsRUFBRSxvR0FBb0csRUFBRSxrQkFBa0IsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLGlCQUFpQixDQUFDLENBQUM7UUFFOU4sSUFBSSxPQUFPLEdBQXdCLEVBQUUsQ0FBQztRQUN0QyxJQUFJLFdBQVcsR0FBRyxFQUFFLENBQUM7UUFDckIsS0FBSyxJQUFJLHNCQUFzQixJQUFJLE9BQU8sQ0FBQyx1QkFBdUIsRUFBRTtZQUNoRSxJQUFJLFdBQVcsR0FBRyxZQUFZLENBQUMsSUFBSSxDQUFDLEdBQUcsQ0FBQyxFQUFFLENBQUMsR0FBRyxDQUFDLGlCQUFpQixLQUFLLHNCQUFzQixDQUFDLGlCQUFpQixDQUFDLENBQUM7WUFDL0csSUFBSSxpQkFBaUIsR0FBRyw4QkFBb0IsQ0FBQyxzQkFBc0IsRUFBRSxXQUFXLEVBQUUseUJBQXlCLENBQUMsUUFBUSxDQUFDLHNCQUFzQixDQUFDLGlCQUFpQixDQUFDLENBQUMsQ0FBQztZQUNoSyxPQUFPLENBQUMsSUFBSSxDQUFDLEVBQUUsTUFBTSxFQUFFLGlCQUFpQixDQUFDLE1BQU0sRUFBRSxlQUFlLEVBQUUsaUJBQWlCLENBQUMsZUFBZSxFQUFFLENBQUMsQ0FBQztZQUN2RyxXQUFXLENBQUMsSUFBSSxDQUFDLEdBQUcsaUJBQWlCLENBQUMsV0FBVyxDQUFDLENBQUM7U0FDdEQ7UUFFRCxNQUFNLFVBQVUsQ0FBQyxRQUFRLEVBQUUscUJBQXFCLEVBQUUsd0JBQWMsRUFBRSxXQUFXLEVBQUUsS0FBSyxDQUFDLENBQUM7UUFDdEYsTUFBTSxVQUFVLENBQUMsUUFBUSxFQUFFLE1BQU0sRUFBRSxxQkFBVyxFQUFFLE9BQU8sQ0FBQyx1QkFBdUIsQ0FBQyxHQUFHLENBQUMsb0JBQVUsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDO1FBQ3ZHLE1BQU0sVUFBVSxDQUFDLFFBQVEsRUFBRSxVQUFVLEVBQUUseUJBQWUsRUFBRSxPQUFPLENBQUMsb0JBQW9CLENBQUMsR0FBRyxDQUFDLG1CQUFtQixDQUFDLEVBQUUsQ0FBQyx3QkFBYyxDQUFDLG1CQUFtQixFQUFFLE9BQU8sQ0FBQyxVQUFVLENBQUMsQ0FBQyxFQUFFLElBQUksQ0FBQyxDQUFDO1FBQ2hMLE1BQU0sVUFBVSxDQUFDLFFBQVEsRUFBRSxnQkFBZ0IsRUFBRSw2QkFBbUIsRUFBRSxDQUFFLEVBQUUsR0FBRyxFQUFFLE9BQU8sQ0FBQyxNQUFNLEVBQUUsY0FBYyxFQUFFLE9BQU8sQ0FBQyxVQUFVLEVBQUUsaUJBQWlCLEVBQUUsT0FBTyxDQUFDLHVCQUF1QixDQUFDLE1BQU0sRUFBRSxZQUFZLEVBQUUsT0FBTyxDQUFDLFdBQVcsRUFBRSxDQUFFLEVBQUUsSUFBSSxDQUFDLENBQUM7UUFDdk8sT0FBTyxPQUFPLENBQUM7SUFDbkIsQ0FBQyxDQUFDLENBQUM7QUFDUCxDQUFDO0FBRUQsMkZBQTJGO0FBRXBGLEtBQUssVUFBVSxpQkFBaUIsQ0FBQyxRQUFnQjtJQUNwRCxJQUFJLFFBQVEsR0FBRyxNQUFNLElBQUksT0FBTyxDQUFNLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFO1FBQ3RELElBQUksUUFBUSxHQUFHLElBQUksT0FBTyxDQUFDLFFBQVEsQ0FBQyxRQUFRLEVBQUUsS0FBSyxDQUFDLEVBQUUsQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLE1BQU0sQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLENBQUMsT0FBTyxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUM7SUFDdEcsQ0FBQyxDQUFDLENBQUM7SUFDSCxNQUFNLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUV4QixPQUFPO1FBQ0gsSUFBSSxFQUFFLFFBQVE7UUFDZCxjQUFjLEVBQUUsQ0FBQyxPQUFtQixFQUFFLEVBQUUsQ0FBQyxjQUFjLENBQUMsUUFBUSxFQUFFLE9BQU8sQ0FBQztRQUMxRSxjQUFjLEVBQUUsS0FBSyxFQUFFLEdBQVcsRUFBRSxFQUFFLENBQUMsQ0FBQyxNQUFNLE9BQU8sQ0FBQyxRQUFRLEVBQUUsb0RBQW9ELEVBQUUsQ0FBRSxHQUFHLENBQUUsQ0FBQyxDQUFDLENBQUMsTUFBTSxHQUFHLENBQUM7UUFDMUksMEJBQTBCLEVBQUUsS0FBSyxFQUFFLEdBQVcsRUFBRSxFQUFFO1lBQzlDLElBQUksSUFBSSxHQUFHLE1BQU0sT0FBTyxDQUFDLFFBQVEsRUFBRSw2REFBNkQsRUFBRSxDQUFFLEdBQUcsQ0FBRSxDQUFDLENBQUM7WUFDM0csT0FBTyxDQUFDLElBQUksQ0FBQyxNQUFNLEtBQUssQ0FBQyxJQUFJLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxZQUFZLEtBQUssSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLFlBQVksQ0FBQztRQUNuRyxDQUFDO1FBQ0QsYUFBYSxFQUFFLENBQUMsTUFBaUIsRUFBRSxFQUFFLENBQUMsVUFBVSxDQUFDLFFBQVEsRUFBRSxNQUFNLEVBQUUsb0JBQVUsRUFBRSxDQUFFLG1CQUFTLENBQUMsTUFBTSxDQUFDLENBQUUsRUFBRSxLQUFLLENBQUM7UUFDNUcsV0FBVyxFQUFFLEdBQUcsRUFBRSxDQUFDLE9BQU8sQ0FBQyxRQUFRLEVBQUUsbURBQW1ELENBQUM7UUFDekYsS0FBSyxFQUFFLEdBQUcsRUFBRSxDQUFDLElBQUksT0FBTyxDQUFPLENBQUMsT0FBTyxFQUFFLE1BQU0sRUFBRSxFQUFFLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsRUFBRSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDO0tBQ2xILENBQUM7QUFDTixDQUFDO0FBbEJELDhDQWtCQyJ9
\ No newline at end of file
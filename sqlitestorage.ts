@@ -0,0 +1,222 @@
+// Saves development applications to a local sqlite database (by default, the data.sqlite file
+// that morph.io publishes).  The results of each PDF are saved in a single transaction, and the
+// schema of an existing database is upgraded by the migrations below.
+
+"use strict";
+
+import * as sqlite3 from "sqlite3";
+import { classifyDescription } from "./description";
+import { RunReport } from "./report";
+import { Column, Storage, PdfResults, ApplicationChange, OriginalColumns, DataColumns, HistoryColumns, RejectedColumns, ProcessedPdfColumns, RunColumns, getDataRow, getRejectedRow, getRunRow, getApplicationChange } from "./storage";
+
+sqlite3.verbose();
+
+// The maximum number of values in the "in (...)" clause of a query (sqlite allows at most 999
+// parameters in a statement).
+
+const MaximumQueryParameterCount = 500;
+
+// Runs an SQL statement.
+
+async function runSql(database, sql: string, parameters: any[] = []) {
+    return new Promise<void>((resolve, reject) => {
+        database.run(sql, parameters, function(error) {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve();
+        });
+    });
+}
+
+// Runs an SQL query, returning all rows.
+
+async function getRows(database, sql: string, parameters: any[] = []) {
+    return new Promise<any[]>((resolve, reject) => {
+        database.all(sql, parameters, (error, rows) => {
+            if (error) {
+                console.error(error);
+                reject(error);
+            } else
+                resolve(rows);
+        });
+    });
+}
+
+// Runs a query for each chunk of the specified values (the values are substituted for "?..." in
+// the query), returning the rows of all of the queries.
+
+async function getRowsInChunks(database, sql: string, values: any[]) {
+    let rows = [];
+    for (let index = 0; index < values.length; index += MaximumQueryParameterCount) {
+        let chunk = values.slice(index, index + MaximumQueryParameterCount);
+        rows.push(...await getRows(database, sql.replace("?...", chunk.map(value => "?").join(", ")), chunk));
+    }
+    return rows;
+}
+
+// Inserts rows in a table using a single prepared statement (the statement is "insert or
+// replace" so that a row replaces any existing row with the same primary key).
+
+async function insertRows(database, table: string, columns: Column[], rows: any[], isReplace: boolean) {
+    if (rows.length === 0)
+        return;
+    let sqlStatement = database.prepare(`insert ${isReplace ? "or replace " : ""}into [${table}] (${columns.map(column => `[${column.name}]`).join(", ")}) values (${columns.map(column => "?").join(", ")})`);
+    try {
+        for (let row of rows)
+            await new Promise<void>((resolve, reject) => {
+                sqlStatement.run(columns.map(column => row[column.name]), error => {
+                    if (error) {
+                        console.error(error);
+                        reject(error);
+                    } else
+                        resolve();
+                });
+            });
+    } finally {
+        await new Promise<void>(resolve => sqlStatement.finalize(() => resolve()));  // releases any locks
+    }
+}
+
+// Runs the specified function in a transaction (which is rolled back if the function throws an
+// error).
+
+async function runInTransaction<T>(database, action: () => Promise<T>) {
+    await runSql(database, "begin transaction");
+    try {
+        let result = await action();
+        await runSql(database, "commit");
+        return result;
+    } catch (error) {
+        await runSql(database, "rollback");
+        throw error;
+    }
+}
+
+// Adds any of the specified columns that are missing from a table (for example, columns that
+// were added after an existing database was created).
+
+async function addMissingColumns(database, table: string, columns: Column[]) {
+    let rows = await getRows(database, `pragma table_info([${table}])`);
+    for (let column of columns)
+        if (!rows.some(row => row.name === column.name))
+            await runSql(database, `alter table [${table}] add column [${column.name}] ${column.type}`);
+}
+
+// The migrations that upgrade the schema of a database, in order.  The number of migrations that
+// have been applied is recorded in the "user_version" of the database.  Databases created before
+// the migrations were introduced already have some of the tables and columns (so these migrations
+// only create what is missing).  To change the schema, append a new migration (never modify an
+// existing migration).  A migration lists the columns as they were at its version (rather than
+// using the current columns in storage.ts), so that a column added by a later migration is not
+// also created by an earlier migration.
+
+const Migrations: ((database) => Promise<void>)[] = [
+    // Create the tables (the [data] table with its original seven columns).
+
+    async database => {
+        await runSql(database, `create table if not exists [data] (${OriginalColumns.map(column => `[${column.name}] ${column.type}`).join(", ")}, primary key ([council_reference]))`);
+        await runSql(database, "create table if not exists [application_history] ([council_reference] text, [info_url] text, [date_scraped] text, [change] text)");
+        await runSql(database, "create table if not exists [processed_pdfs] ([url] text primary key, [date_processed] text, [application_count] integer)");
+        await runSql(database, "create table if not exists [runs] ([start_time] text, [end_time] text, [command] text, [pdf_count] integer, [page_count] integer, [parsed_count] integer, [rejected_count] integer, [new_count] integer, [modified_count] integer, [warning_count] integer, [error] text, [report] text)");
+        await runSql(database, "create table if not exists [rejected] ([pdf_url] text, [page_number] integer, [reason] text, [council_reference] text, [raw_text] text, [date_scraped] text, primary key ([pdf_url], [page_number], [raw_text]))");
+    },
+
+    // Add the columns that were added to the [data], [application_history] and [processed_pdfs]
+    // tables after they were first created (the [application_history] table only has the columns
+    // of the fields read from the register).
+
+    async database => {
+        let addedColumns: Column[] = [
+            { name: "street_number", type: "text" }, { name: "street_name", type: "text" }, { name: "suburb", type: "text" },
+            { name: "postcode", type: "text" }, { name: "hundred", type: "text" }, { name: "section_lot", type: "text" },
+            { name: "address_confidence", type: "real" }, { name: "application_fees", type: "real" }, { name: "date_completed", type: "text" },
+            { name: "relevant_authority", type: "text" }, { name: "assessment_number", type: "text" }, { name: "category", type: "text" },
+            { name: "other_fields", type: "text" }
+        ];
+        await addMissingColumns(database, "data", addedColumns);
+        await addMissingColumns(database, "application_history", [
+            { name: "address", type: "text" }, { name: "description", type: "text" }, { name: "date_received", type: "text" },
+            { name: "application_fees", type: "real" }, { name: "date_completed", type: "text" }, { name: "relevant_authority", type: "text" },
+            { name: "assessment_number", type: "text" }
+        ]);
+        await addMissingColumns(database, "processed_pdfs", [ { name: "content_hash", type: "text" } ]);
+    },
+
+    // Set the category of any applications that do not have a category (applications saved
+    // before the category was recorded).
+
+    async database => {
+        let rows = await getRows(database, "select [council_reference], [description] from [data] where [category] is null");
+        for (let row of rows)
+            await runSql(database, "update [data] set [category] = ? where [council_reference] = ?", [ classifyDescription(row.description || ""), row.council_reference ]);
+    },
+
+    // Add the number of applications skipped (for example, duplicates) to the [runs] table.
+
+    async database => {
+        await addMissingColumns(database, "runs", [ { name: "skipped_count", type: "integer" } ]);
+    }
+];
+
+// Applies any migrations that have not yet been applied to the database (each in its own
+// transaction).
+
+async function migrate(database) {
+    let version = (await getRows(database, "pragma user_version"))[0].user_version;
+    for (let index = version; index < Migrations.length; index++)
+        await runInTransaction(database, async () => {
+            await Migrations[index](database);
+            await runSql(database, `pragma user_version = ${index + 1}`);
+        });
+}
+
+// Saves the results of parsing a PDF in a single transaction: each development application (and
+// any new version of it in the [application_history] table), each rejected application and the
+// record that the PDF was processed.
+
+async function savePdfResults(database, results: PdfResults) {
+    return await runInTransaction(database, async () => {
+        let applicationNumbers = results.developmentApplications.map(developmentApplication => developmentApplication.applicationNumber);
+        let existingRows = await getRowsInChunks(database, "select * from [data] where [council_reference] in (?...)", applicationNumbers);
+        let historyApplicationNumbers = (await getRowsInChunks(database, "select distinct [council_reference] from [application_history] where [council_reference] in (?...)", applicationNumbers)).map(row => row.council_reference);
+
+        let changes: ApplicationChange[] = [];
+        let historyRows = [];
+        for (let developmentApplication of results.developmentApplications) {
+            let existingRow = existingRows.find(row => row.council_reference === developmentApplication.applicationNumber);
+            let applicationChange = getApplicationChange(developmentApplication, existingRow, historyApplicationNumbers.includes(developmentApplication.applicationNumber));
+            changes.push({ change: applicationChange.change, modifiedColumns: applicationChange.modifiedColumns });
+            historyRows.push(...applicationChange.historyRows);
+        }
+
+        await insertRows(database, "application_history", HistoryColumns, historyRows, false);
+        await insertRows(database, "data", DataColumns, results.developmentApplications.map(getDataRow), true);
+        await insertRows(database, "rejected", RejectedColumns, results.rejectedApplications.map(rejectedApplication => getRejectedRow(rejectedApplication, results.scrapeDate)), true);
+        await insertRows(database, "processed_pdfs", ProcessedPdfColumns, [ { url: results.pdfUrl, date_processed: results.scrapeDate, application_count: results.developmentApplications.length, content_hash: results.contentHash } ], true);
+        return changes;
+    });
+}
+
+// Opens (creating if necessary) an sqlite database and applies any outstanding migrations.
+
+export async function openSqliteStorage(fileName: string): Promise<Storage> {
+    let database = await new Promise<any>((resolve, reject) => {
+        let database = new sqlite3.Database(fileName, error => error ? reject(error) : resolve(database));
+    });
+    await migrate(database);
+
+    return {
+        name: fileName,
+        savePdfResults: (results: PdfResults) => savePdfResults(database, results),
+        isPdfProcessed: async (url: string) => (await getRows(database, "select [url] from [processed_pdfs] where [url] = ?", [ url ])).length > 0,
+        getProcessedPdfContentHash: async (url: string) => {
+            let rows = await getRows(database, "select [content_hash] from [processed_pdfs] where [url] = ?", [ url ]);
+            return (rows.length === 0 || rows[0].content_hash === null) ? undefined : rows[0].content_hash;
+        },
+        saveRunReport: (report: RunReport) => insertRows(database, "runs", RunColumns, [ getRunRow(report) ], false),
+        getDataRows: () => getRows(database, "select * from [data] order by [council_reference]"),
+        close: () => new Promise<void>((resolve, reject) => database.close(error => error ? reject(error) : resolve()))
+    };
+}
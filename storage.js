@@ -0,0 +1,180 @@
+// The interface through which parsed development applications, rejected applications, processed
+// PDFs and run reports are saved (see sqlitestorage.ts, postgresstorage.ts and
+// dryrunstorage.ts), along with the table columns and change detection shared by the
+// implementations.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const description_1 = require("./description");
+// The original seven columns of the [data] table.
+exports.OriginalColumns = [
+    { name: "council_reference", type: "text", property: "applicationNumber" },
+    { name: "address", type: "text", property: "address" },
+    { name: "description", type: "text", property: "description" },
+    { name: "info_url", type: "text", property: "informationUrl" },
+    { name: "comment_url", type: "text", property: "commentUrl" },
+    { name: "date_scraped", type: "text", property: "scrapeDate" },
+    { name: "date_received", type: "text", property: "receivedDate" }
+];
+// The columns that were added to the [data] table after the original seven columns.  A column
+// added here must also be added to existing databases by a new migration in each storage
+// implementation (see sqlitestorage.ts and postgresstorage.ts).
+exports.AddedColumns = [
+    { name: "street_number", type: "text", property: "streetNumber" },
+    { name: "street_name", type: "text", property: "streetName" },
+    { name: "suburb", type: "text", property: "suburb" },
+    { name: "postcode", type: "text", property: "postCode" },
+    { name: "hundred", type: "text", property: "hundred" },
+    { name: "section_lot", type: "text", property: "sectionOrLot" },
+    { name: "address_confidence", type: "real", property: "addressConfidence" },
+    { name: "application_fees", type: "real", property: "applicationFees" },
+    { name: "date_completed", type: "text", property: "completedDate" },
+    { name: "relevant_authority", type: "text", property: "relevantAuthority" },
+    { name: "assessment_number", type: "text", property: "assessmentNumber" },
+    { name: "category", type: "text", property: "category" },
+    { name: "other_fields", type: "text", property: "otherFields" }
+];
+// All columns of the [data] table.
+exports.DataColumns = [...exports.OriginalColumns, ...exports.AddedColumns];
+// The columns of the [data] table that are compared to determine whether an application has
+// been modified (each distinct version of these columns is saved to the [application_history]
+// table, after the [council_reference], [info_url] (the source PDF), [date_scraped] and [change]
+// columns).  Only the fields read from the register are versioned; the values derived by the
+// scraper (such as the address parts, the address confidence, the category and the other labelled
+// fields) change whenever the address parser, the gazetteer files or the classifier change, and so
+// would otherwise record a spurious modification of every application.
+exports.VersionedColumns = [
+    { name: "address", type: "text", property: "address" },
+    { name: "description", type: "text", property: "description" },
+    { name: "date_received", type: "text", property: "receivedDate" },
+    { name: "application_fees", type: "real", property: "applicationFees" },
+    { name: "date_completed", type: "text", property: "completedDate" },
+    { name: "relevant_authority", type: "text", property: "relevantAuthority" },
+    { name: "assessment_number", type: "text", property: "assessmentNumber" }
+];
+// The columns of the other tables.
+exports.HistoryColumns = [
+    { name: "council_reference", type: "text" },
+    { name: "info_url", type: "text" },
+    { name: "date_scraped", type: "text" },
+    { name: "change", type: "text" },
+    ...exports.VersionedColumns
+];
+exports.RejectedColumns = [
+    { name: "pdf_url", type: "text" },
+    { name: "page_number", type: "integer" },
+    { name: "reason", type: "text" },
+    { name: "council_reference", type: "text" },
+    { name: "raw_text", type: "text" },
+    { name: "date_scraped", type: "text" }
+];
+exports.ProcessedPdfColumns = [
+    { name: "url", type: "text" },
+    { name: "date_processed", type: "text" },
+    { name: "application_count", type: "integer" },
+    { name: "content_hash", type: "text" }
+];
+exports.RunColumns = [
+    { name: "start_time", type: "text" },
+    { name: "end_time", type: "text" },
+    { name: "command", type: "text" },
+    { name: "pdf_count", type: "integer" },
+    { name: "page_count", type: "integer" },
+    { name: "parsed_count", type: "integer" },
+    { name: "skipped_count", type: "integer" },
+    { name: "rejected_count", type: "integer" },
+    { name: "new_count", type: "integer" },
+    { name: "modified_count", type: "integer" },
+    { name: "warning_count", type: "integer" },
+    { name: "error", type: "text" },
+    { name: "report", type: "text" }
+];
+// Converts a development application to a row with the same columns as the [data] table.
+function getDataRow(developmentApplication) {
+    let row = {};
+    for (let column of exports.DataColumns)
+        row[column.name] = developmentApplication[column.property];
+    return row;
+}
+exports.getDataRow = getDataRow;
+// Converts a rejected application to a row of the [rejected] table.
+function getRejectedRow(rejectedApplication, scrapeDate) {
+    return {
+        pdf_url: rejectedApplication.pdfUrl,
+        page_number: rejectedApplication.pageNumber,
+        reason: rejectedApplication.reason,
+        council_reference: rejectedApplication.applicationNumber,
+        raw_text: rejectedApplication.text,
+        date_scraped: scrapeDate
+    };
+}
+exports.getRejectedRow = getRejectedRow;
+// Converts a run report to a row of the [runs] table (the complete report, including the number of
+// applications skipped and rejected for each reason, is saved as JSON in the [report] column).
+function getRunRow(report) {
+    return {
+        start_time: report.startTime,
+        end_time: report.endTime,
+        command: report.command,
+        pdf_count: report.totals.pdfCount,
+        page_count: report.totals.pageCount,
+        parsed_count: report.totals.parsedCount,
+        skipped_count: report.totals.skippedCount,
+        rejected_count: report.totals.rejectedCount,
+        new_count: report.totals.newCount,
+        modified_count: report.totals.modifiedCount,
+        warning_count: report.warnings.length,
+        error: report.error || null,
+        report: JSON.stringify(report)
+    };
+}
+exports.getRunRow = getRunRow;
+// Creates a row of the [application_history] table for a version of an application.
+function getHistoryRow(applicationNumber, version, informationUrl, scrapeDate, change) {
+    let row = { council_reference: applicationNumber, info_url: informationUrl, date_scraped: scrapeDate, change: change };
+    for (let column of exports.VersionedColumns)
+        row[column.name] = version[column.property];
+    return row;
+}
+// Determines whether an application is new, unchanged or modified (compared with the existing row
+// in the [data] table, if any) and gets the rows that record any new version in the
+// [application_history] table.  The existing version is also recorded (as "existing") if it was
+// saved to the [data] table before the history was recorded.
+function getApplicationChange(developmentApplication, existingRow, hasHistory) {
+    let applicationNumber = developmentApplication.applicationNumber;
+    if (existingRow === undefined)
+        return {
+            change: "new",
+            modifiedColumns: [],
+            historyRows: [getHistoryRow(applicationNumber, developmentApplication, developmentApplication.informationUrl, developmentApplication.scrapeDate, "new")]
+        };
+    // A row saved before the remaining register fields were read (in a database created before
+    // those columns were added) has null in every one of those columns (the scraper saves an empty
+    // string for a missing text field), so those columns are not compared for that row.  Treat
+    // null and "" as equal, and compare the existing description once normalised (it may have been
+    // saved before the descriptions were normalised, or by an earlier version of the rules).
+    let isNull = value => (value === null || value === undefined);
+    let isOriginalColumn = (column) => exports.OriginalColumns.some(originalColumn => originalColumn.name === column.name);
+    let isRegisterFieldsRead = exports.VersionedColumns.some(column => !isOriginalColumn(column) && !isNull(existingRow[column.name]));
+    let modifiedColumns = exports.VersionedColumns.filter(column => {
+        if (!isRegisterFieldsRead && !isOriginalColumn(column))
+            return false;
+        let existingValue = isNull(existingRow[column.name]) ? "" : existingRow[column.name];
+        let value = isNull(developmentApplication[column.property]) ? "" : developmentApplication[column.property];
+        if (column.name === "description" && existingValue !== "")
+            existingValue = description_1.normaliseDescription(existingValue);
+        return existingValue !== value;
+    }).map(column => column.name);
+    if (modifiedColumns.length === 0)
+        return { change: "unchanged", modifiedColumns: [], historyRows: [] };
+    let historyRows = [];
+    if (!hasHistory) {
+        let existingVersion = {};
+        for (let column of exports.VersionedColumns)
+            existingVersion[column.property] = existingRow[column.name];
+        historyRows.push(getHistoryRow(applicationNumber, existingVersion, existingRow.info_url, existingRow.date_scraped, "existing"));
+    }
+    historyRows.push(getHistoryRow(applicationNumber, developmentApplication, developmentApplication.informationUrl, developmentApplication.scrapeDate, "modified"));
+    return { change: "modified", modifiedColumns: modifiedColumns, historyRows: historyRows };
+}
+exports.getApplicationChange = getApplicationChange;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic3RvcmFnZS5qcyIsInNvdXJjZVJvb3QiOiIiLCJzb3VyY2VzIjpbInN0b3JhZ2UudHMiXSwibmFtZXMiOltdLCJtYXBwaW5ncyI6IkFBQUEsZ0dBQWdHO0FBQ2hHLCtFQUErRTtBQUMvRSxxRkFBcUY7QUFDckYsbUJBQW1CO0FBRW5CLFlBQVksQ0FBQzs7QUFHYiwrQ0FBcUQ7QUF5RHJELGtEQUFrRDtBQUVyQyxRQUFBLGVBQWUsR0FBYTtJQUNyQyxFQUFFLElBQUksRUFBRSxtQkFBbUIsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxtQkFBbUIsRUFBRTtJQUMxRSxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsU0FBUyxFQUFFO0lBQ3RELEVBQUUsSUFBSSxFQUFFLGFBQWEsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxhQUFhLEVBQUU7SUFDOUQsRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLGdCQUFnQixFQUFFO0lBQzlELEVBQUUsSUFBSSxFQUFFLGFBQWEsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxZQUFZLEVBQUU7SUFDN0QsRUFBRSxJQUFJLEVBQUUsY0FBYyxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLFlBQVksRUFBRTtJQUM5RCxFQUFFLElBQUksRUFBRSxlQUFlLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsY0FBYyxFQUFFO0NBQ3BFLENBQUM7QUFFRiw4RkFBOEY7QUFDOUYseUZBQXlGO0FBQ3pGLGdFQUFnRTtBQUVuRCxRQUFBLFlBQVksR0FBYTtJQUNsQyxFQUFFLElBQUksRUFBRSxlQUFlLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsY0FBYyxFQUFFO0lBQ2pFLEVBQUUsSUFBSSxFQUFFLGFBQWEsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxZQUFZLEVBQUU7SUFDN0QsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLFFBQVEsRUFBRTtJQUNwRCxFQUFFLElBQUksRUFBRSxVQUFVLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsVUFBVSxFQUFFO0lBQ3hELEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxTQUFTLEVBQUU7SUFDdEQsRUFBRSxJQUFJLEVBQUUsYUFBYSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLGNBQWMsRUFBRTtJQUMvRCxFQUFFLElBQUksRUFBRSxvQkFBb0IsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxtQkFBbUIsRUFBRTtJQUMzRSxFQUFFLElBQUksRUFBRSxrQkFBa0IsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxpQkFBaUIsRUFBRTtJQUN2RSxFQUFFLElBQUksRUFBRSxnQkFBZ0IsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxlQUFlLEVBQUU7SUFDbkUsRUFBRSxJQUFJLEVBQUUsb0JBQW9CLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsbUJBQW1CLEVBQUU7SUFDM0UsRUFBRSxJQUFJLEVBQUUsbUJBQW1CLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsa0JBQWtCLEVBQUU7SUFDekUsRUFBRSxJQUFJLEVBQUUsVUFBVSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLFVBQVUsRUFBRTtJQUN4RCxFQUFFLElBQUksRUFBRSxjQUFjLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsYUFBYSxFQUFFO0NBQ2xFLENBQUM7QUFFRixtQ0FBbUM7QUFFdEIsUUFBQSxXQUFXLEdBQWEsQ0FBRSxHQUFHLHVCQUFlLEVBQUUsR0FBRyxvQkFBWSxDQUFFLENBQUM7QUFFN0UsNEZBQTRGO0FBQzVGLDhGQUE4RjtBQUM5RixpR0FBaUc7QUFDakcsNkZBQTZGO0FBQzdGLGtHQUFrRztBQUNsRyxtR0FBbUc7QUFDbkcsdUVBQXVFO0FBRTFELFFBQUEsZ0JBQWdCLEdBQWE7SUFDdEMsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLFNBQVMsRUFBRTtJQUN0RCxFQUFFLElBQUksRUFBRSxhQUFhLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsYUFBYSxFQUFFO0lBQzlELEVBQUUsSUFBSSxFQUFFLGVBQWUsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFLFFBQVEsRUFBRSxjQUFjLEVBQUU7SUFDakUsRUFBRSxJQUFJLEVBQUUsa0JBQWtCLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsaUJBQWlCLEVBQUU7SUFDdkUsRUFBRSxJQUFJLEVBQUUsZ0JBQWdCLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRSxRQUFRLEVBQUUsZUFBZSxFQUFFO0lBQ25FLEVBQUUsSUFBSSxFQUFFLG9CQUFvQixFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLG1CQUFtQixFQUFFO0lBQzNFLEVBQUUsSUFBSSxFQUFFLG1CQUFtQixFQUFFLElBQUksRUFBRSxNQUFNLEVBQUUsUUFBUSxFQUFFLGtCQUFrQixFQUFFO0NBQzVFLENBQUM7QUFFRixtQ0FBbUM7QUFFdEIsUUFBQSxjQUFjLEdBQWE7SUFDcEMsRUFBRSxJQUFJLEVBQUUsbUJBQW1CLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtJQUMzQyxFQUFFLElBQUksRUFBRSxVQUFVLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtJQUNsQyxFQUFFLElBQUksRUFBRSxjQUFjLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtJQUN0QyxFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtJQUNoQyxHQUFHLHdCQUFnQjtDQUN0QixDQUFDO0FBRVcsUUFBQSxlQUFlLEdBQWE7SUFDckMsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDakMsRUFBRSxJQUFJLEVBQUUsYUFBYSxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUU7SUFDeEMsRUFBRSxJQUFJLEVBQUUsUUFBUSxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7SUFDaEMsRUFBRSxJQUFJLEVBQUUsbUJBQW1CLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtJQUMzQyxFQUFFLElBQUksRUFBRSxVQUFVLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtJQUNsQyxFQUFFLElBQUksRUFBRSxjQUFjLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtDQUN6QyxDQUFDO0FBRVcsUUFBQSxtQkFBbUIsR0FBYTtJQUN6QyxFQUFFLElBQUksRUFBRSxLQUFLLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtJQUM3QixFQUFFLElBQUksRUFBRSxnQkFBZ0IsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFO0lBQ3hDLEVBQUUsSUFBSSxFQUFFLG1CQUFtQixFQUFFLElBQUksRUFBRSxTQUFTLEVBQUU7SUFDOUMsRUFBRSxJQUFJLEVBQUUsY0FBYyxFQUFFLElBQUksRUFBRSxNQUFNLEVBQUU7Q0FDekMsQ0FBQztBQUVXLFFBQUEsVUFBVSxHQUFhO0lBQ2hDLEVBQUUsSUFBSSxFQUFFLFlBQVksRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFO0lBQ3BDLEVBQUUsSUFBSSxFQUFFLFVBQVUsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFO0lBQ2xDLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRSxJQUFJLEVBQUUsTUFBTSxFQUFFO0lBQ2pDLEVBQUUsSUFBSSxFQUFFLFdBQVcsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFO0lBQ3RDLEVBQUUsSUFBSSxFQUFFLFlBQVksRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFO0lBQ3ZDLEVBQUUsSUFBSSxFQUFFLGNBQWMsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFO0lBQ3pDLEVBQUUsSUFBSSxFQUFFLGVBQWUsRUFBRSxJQUFJLEVBQUUsU0FBUyxFQUFFO0lBQzFDLEVBQUUsSUFBSSxFQUFFLGdCQUFnQixFQUFFLElBQUksRUFBRSxTQUFTLEVBQUU7SUFDM0MsRUFBRSxJQUFJLEVBQUUsV0FBVyxFQUFFLElBQUksRUFBRSxTQUFTLEVBQUU7SUFDdEMsRUFBRSxJQUFJLEVBQUUsZ0JBQWdCLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRTtJQUMzQyxFQUFFLElBQUksRUFBRSxlQUFlLEVBQUUsSUFBSSxFQUFFLFNBQVMsRUFBRTtJQUMxQyxFQUFFLElBQUksRUFBRSxPQUFPLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtJQUMvQixFQUFFLElBQUksRUFBRSxRQUFRLEVBQUUsSUFBSSxFQUFFLE1BQU0sRUFBRTtDQUNuQyxDQUFDO0FBRUYseUZBQXlGO0FBRXpGLFNBQWdCLFVBQVUsQ0FBQyxzQkFBc0I7SUFDN0MsSUFBSSxHQUFHLEdBQUcsRUFBRSxDQUFDO0lBQ2IsS0FBSyxJQUFJLE1BQU0sSUFBSSxtQkFBVztRQUMxQixHQUFHLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxHQUFHLHNCQUFzQixDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsQ0FBQztJQUMvRCxPQUFPLEdBQUcsQ0FBQztBQUNmLENBQUM7QUFMRCxnQ0FLQztBQUVELG9FQUFvRTtBQUVwRSxTQUFnQixjQUFjLENBQUMsbUJBQXdDLEVBQUUsVUFBa0I7SUFDdkYsT0FBTztRQUNILE9BQU8sRUFBRSxtQkFBbUIsQ0FBQyxNQUFNO1FBQ25DLFdBQVcsRUFBRSxtQkFBbUIsQ0FBQyxVQUFVO1FBQzNDLE1BQU0sRUFBRSxtQkFBbUIsQ0FBQyxNQUFNO1FBQ2xDLGlCQUFpQixFQUFFLG1CQUFtQixDQUFDLGlCQUFpQjtRQUN4RCxRQUFRLEVBQUUsbUJBQW1CLENBQUMsSUFBSTtRQUNsQyxZQUFZLEVBQUUsVUFBVTtLQUMzQixDQUFDO0FBQ04sQ0FBQztBQVRELHdDQVNDO0FBRUQsbUdBQW1HO0FBQ25HLCtGQUErRjtBQUUvRixTQUFnQixTQUFTLENBQUMsTUFBaUI7SUFDdkMsT0FBTztRQUNILFVBQVUsRUFBRSxNQUFNLENBQUMsU0FBUztRQUM1QixRQUFRLEVBQUUsTUFBTSxDQUFDLE9BQU87UUFDeEIsT0FBTyxFQUFFLE1BQU0sQ0FBQyxPQUFPO1FBQ3ZCLFNBQVMsRUFBRSxNQUFNLENBQUMsTUFBTSxDQUFDLFFBQVE7UUFDakMsVUFBVSxFQUFFLE1BQU0sQ0FBQyxNQUFNLENBQUMsU0FBUztRQUNuQyxZQUFZLEVBQUUsTUFBTSxDQUFDLE1BQU0sQ0FBQyxXQUFXO1FBQ3ZDLGFBQWEsRUFBRSxNQUFNLENBQUMsTUFBTSxDQUFDLFlBQVk7UUFDekMsY0FBYyxFQUFFLE1BQU0sQ0FBQyxNQUFNLENBQUMsYUFBYTtRQUMzQyxTQUFTLEVBQUUsTUFBTSxDQUFDLE1BQU0sQ0FBQyxRQUFRO1FBQ2pDLGNBQWMsRUFBRSxNQUFNLENBQUMsTUFBTSxDQUFDLGFBQWE7UUFDM0MsYUFBYSxFQUFFLE1BQU0sQ0FBQyxRQUFRLENBQUMsTUFBTTtRQUNyQyxLQUFLLEVBQUUsTUFBTSxDQUFDLEtBQUssSUFBSSxJQUFJO1FBQzNCLE1BQU0sRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDLE1BQU0sQ0FBQztLQUNqQyxDQUFDO0FBQ04sQ0FBQztBQWhCRCw4QkFnQkM7QUFFRCxvRkFBb0Y7QUFFcEYsU0FBUyxhQUFhLENBQUMsaUJBQXlCLEVBQUUsT0FBb0MsRUFBRSxjQUFzQixFQUFFLFVBQWtCLEVBQUUsTUFBYztJQUM5SSxJQUFJLEdBQUcsR0FBRyxFQUFFLGlCQUFpQixFQUFFLGlCQUFpQixFQUFFLFFBQVEsRUFBRSxjQUFjLEVBQUUsWUFBWSxFQUFFLFVBQVUsRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLENBQUM7SUFDdkgsS0FBSyxJQUFJLE1BQU0sSUFBSSx3QkFBZ0I7UUFDL0IsR0FBRyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsR0FBRyxPQUFPLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQ2hELE9BQU8sR0FBRyxDQUFDO0FBQ2YsQ0FBQztBQUVELGtHQUFrRztBQUNsRyxvRkFBb0Y7QUFDcEYsZ0dBQWdHO0FBQ2hHLDZEQUE2RDtBQUU3RCxTQUFnQixvQkFBb0IsQ0FBQyxzQkFBc0IsRUFBRSxXQUFXLEVBQUUsVUFBbUI7SUFDekYsSUFBSSxpQkFBaUIsR0FBRyxzQkFBc0IsQ0FBQyxpQkFBaUIsQ0FBQztJQUNqRSxJQUFJLFdBQVcsS0FBSyxTQUFTO1FBQ3pCLE9BQU87WUFDSCxNQUFNLEVBQUUsS0FBSztZQUNiLGVBQWUsRUFBRSxFQUFFO1lBQ25CLFdBQVcsRUFBRSxDQUFFLGFBQWEsQ0FBQyxpQkFBaUIsRUFBRSxzQkFBc0IsRUFBRSxzQkFBc0IsQ0FBQyxjQUFjLEVBQUUsc0JBQXNCLENBQUMsVUFBVSxFQUFFLEtBQUssQ0FBQyxDQUFFO1NBQzdKLENBQUM7SUFFTiwyRkFBMkY7SUFDM0YsK0ZBQStGO0lBQy9GLDJGQUEyRjtJQUMzRiwrRkFBK0Y7SUFDL0YseUZBQXlGO0lBRXpGLElBQUksTUFBTSxHQUFHLEtBQUssQ0FBQyxFQUFFLENBQUMsQ0FBQyxLQUFLLEtBQUssSUFBSSxJQUFJLEtBQUssS0FBSyxTQUFTLENBQUMsQ0FBQztJQUM5RCxJQUFJLGdCQUFnQixHQUFHLENBQUMsTUFBYyxFQUFFLEVBQUUsQ0FBQyx1QkFBZSxDQUFDLElBQUksQ0FBQyxjQUFjLENBQUMsRUFBRSxDQUFDLGNBQWMsQ0FBQyxJQUFJLEtBQUssTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDO0lBQ3ZILElBQUksb0JBQW9CLEdBQUcsd0JBQWdCLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsQ0FBQyxnQkFBZ0IsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxXQUFXLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUUzSCxJQUFJLGVBQWUsR0FBRyx3QkFBZ0IsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLEVBQUU7UUFDbkQsSUFBSSxDQUFDLG9CQUFvQixJQUFJLENBQUMsZ0JBQWdCLENBQUMsTUFBTSxDQUFDO1lBQ2xELE9BQU8sS0FBSyxDQUFDO1FBQ2pCLElBQUksYUFBYSxHQUFHLE1BQU0sQ0FBQyxXQUFXLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsV0FBVyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQztRQUNyRixJQUFJLEtBQUssR0FBRyxNQUFNLENBQUMsc0JBQXNCLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxDQUFDLENBQUMsc0JBQXNCLENBQUMsTUFBTSxDQUFDLFFBQVEsQ0FBQyxDQUFDO1FBQzNHLElBQUksTUFBTSxDQUFDLElBQUksS0FBSyxhQUFhLElBQUksYUFBYSxLQUFLLEVBQUU7WUFDckQsYUFBYSxHQUFHLGtDQUFvQixDQUFDLGFBQWEsQ0FBQyxDQUFDO1FBQ3hELE9BQU8sYUFBYSxLQUFLLEtBQUssQ0FBQztJQUNuQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxNQUFNLENBQUMsSUFBSSxDQUFDLENBQUM7SUFFOUIsSUFBSSxlQUFlLENBQUMsTUFBTSxLQUFLLENBQUM7UUFDNUIsT0FBTyxFQUFFLE1BQU0sRUFBRSxXQUFXLEVBQUUsZUFBZSxFQUFFLEVBQUUsRUFBRSxXQUFXLEVBQUUsRUFBRSxFQUFFLENBQUM7SUFFekUsSUFBSSxXQUFXLEdBQUcsRUFBRSxDQUFDO0lBQ3JCLElBQUksQ0FBQyxVQUFVLEVBQUU7UUFDYixJQUFJLGVBQWUsR0FBRyxFQUFFLENBQUM7UUFDekIsS0FBSyxJQUFJLE1BQU0sSUFBSSx3QkFBZ0I7WUFDL0IsZUFBZSxDQUFDLE1BQU0sQ0FBQyxRQUFRLENBQUMsR0FBRyxXQUFXLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxDQUFDO1FBQ2hFLFdBQVcsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLGlCQUFpQixFQUFFLGVBQWUsRUFBRSxXQUFXLENBQUMsUUFBUSxFQUFFLFdBQVcsQ0FBQyxZQUFZLEVBQUUsVUFBVSxDQUFDLENBQUMsQ0FBQztLQUNuSTtJQUNELFdBQVcsQ0FBQyxJQUFJLENBQUMsYUFBYSxDQUFDLGlCQUFpQixFQUFFLHNCQUFzQixFQUFFLHNCQUFzQixDQUFDLGNBQWMsRUFBRSxzQkFBc0IsQ0FBQyxVQUFVLEVBQUUsVUFBVSxDQUFDLENBQUMsQ0FBQztJQUNqSyxPQUFPLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxlQUFlLEVBQUUsZUFBZSxFQUFFLFdBQVcsRUFBRSxXQUFXLEVBQUUsQ0FBQztBQUM5RixDQUFDO0FBekNELG9EQXlDQyJ9
\ No newline at end of file
@@ -0,0 +1,260 @@
+// The interface through which parsed development applications, rejected applications, processed
+// PDFs and run reports are saved (see sqlitestorage.ts, postgresstorage.ts and
+// dryrunstorage.ts), along with the table columns and change detection shared by the
+// implementations.
+
+"use strict";
+
+import { RunReport } from "./report";
+import { normaliseDescription } from "./description";
+
+// A development application that was ignored (rather than saved to the [data] table), along with
+// the reason that it was ignored and the text of the page from which it was parsed.
+
+export interface RejectedApplication {
+    pdfUrl: string,
+    pageNumber: number,
+    reason: string,
+    applicationNumber: string,
+    text: string
+}
+
+// The change made by saving a development application ("new", "unchanged" or "modified", along
+// with the names of any modified columns).
+
+export interface ApplicationChange {
+    change: string,
+    modifiedColumns: string[]
+}
+
+// The results of parsing one PDF, which are saved together (in a single transaction where the
+// storage supports transactions, so that the PDF is only recorded as processed if all of its
+// applications were saved).
+
+export interface PdfResults {
+    pdfUrl: string,
+    contentHash: string,
+    scrapeDate: string,
+    developmentApplications: any[],
+    rejectedApplications: RejectedApplication[]
+}
+
+// A storage backend.  The [data] table holds the latest version of each application, the
+// [application_history] table holds each distinct version, the [rejected] table holds the
+// rejected applications, the [processed_pdfs] table records the PDFs that have been processed
+// and the [runs] table holds the run reports.
+
+export interface Storage {
+    name: string,
+    savePdfResults: (results: PdfResults) => Promise<ApplicationChange[]>,  // returns the change for each application
+    isPdfProcessed: (url: string) => Promise<boolean>,
+    getProcessedPdfContentHash: (url: string) => Promise<string>,  // undefined if not processed
+    saveRunReport: (report: RunReport) => Promise<void>,
+    getDataRows: () => Promise<any[]>,  // all rows of the [data] table (ordered by council reference)
+    close: () => Promise<void>
+}
+
+// A column of a table, along with the corresponding development application property.  The type
+// is "text", "real" or "integer".
+
+export interface Column {
+    name: string,
+    type: string,
+    property?: string
+}
+
+// The original seven columns of the [data] table.
+
+export const OriginalColumns: Column[] = [
+    { name: "council_reference", type: "text", property: "applicationNumber" },
+    { name: "address", type: "text", property: "address" },
+    { name: "description", type: "text", property: "description" },
+    { name: "info_url", type: "text", property: "informationUrl" },
+    { name: "comment_url", type: "text", property: "commentUrl" },
+    { name: "date_scraped", type: "text", property: "scrapeDate" },
+    { name: "date_received", type: "text", property: "receivedDate" }
+];
+
+// The columns that were added to the [data] table after the original seven columns.  A column
+// added here must also be added to existing databases by a new migration in each storage
+// implementation (see sqlitestorage.ts and postgresstorage.ts).
+
+export const AddedColumns: Column[] = [
+    { name: "street_number", type: "text", property: "streetNumber" },
+    { name: "street_name", type: "text", property: "streetName" },
+    { name: "suburb", type: "text", property: "suburb" },
+    { name: "postcode", type: "text", property: "postCode" },
+    { name: "hundred", type: "text", property: "hundred" },
+    { name: "section_lot", type: "text", property: "sectionOrLot" },
+    { name: "address_confidence", type: "real", property: "addressConfidence" },
+    { name: "application_fees", type: "real", property: "applicationFees" },
+    { name: "date_completed", type: "text", property: "completedDate" },
+    { name: "relevant_authority", type: "text", property: "relevantAuthority" },
+    { name: "assessment_number", type: "text", property: "assessmentNumber" },
+    { name: "category", type: "text", property: "category" },
+    { name: "other_fields", type: "text", property: "otherFields" }
+];
+
+// All columns of the [data] table.
+
+export const DataColumns: Column[] = [ ...OriginalColumns, ...AddedColumns ];
+
+// The columns of the [data] table that are compared to determine whether an application has
+// been modified (each distinct version of these columns is saved to the [application_history]
+// table, after the [council_reference], [info_url] (the source PDF), [date_scraped] and [change]
+// columns).  Only the fields read from the register are versioned; the values derived by the
+// scraper (such as the address parts, the address confidence, the category and the other labelled
+// fields) change whenever the address parser, the gazetteer files or the classifier change, and so
+// would otherwise record a spurious modification of every application.
+
+export const VersionedColumns: Column[] = [
+    { name: "address", type: "text", property: "address" },
+    { name: "description", type: "text", property: "description" },
+    { name: "date_received", type: "text", property: "receivedDate" },
+    { name: "application_fees", type: "real", property: "applicationFees" },
+    { name: "date_completed", type: "text", property: "completedDate" },
+    { name: "relevant_authority", type: "text", property: "relevantAuthority" },
+    { name: "assessment_number", type: "text", property: "assessmentNumber" }
+];
+
+// The columns of the other tables.
+
+export const HistoryColumns: Column[] = [
+    { name: "council_reference", type: "text" },
+    { name: "info_url", type: "text" },
+    { name: "date_scraped", type: "text" },
+    { name: "change", type: "text" },
+    ...VersionedColumns
+];
+
+export const RejectedColumns: Column[] = [
+    { name: "pdf_url", type: "text" },
+    { name: "page_number", type: "integer" },
+    { name: "reason", type: "text" },
+    { name: "council_reference", type: "text" },
+    { name: "raw_text", type: "text" },
+    { name: "date_scraped", type: "text" }
+];
+
+export const ProcessedPdfColumns: Column[] = [
+    { name: "url", type: "text" },
+    { name: "date_processed", type: "text" },
+    { name: "application_count", type: "integer" },
+    { name: "content_hash", type: "text" }
+];
+
+export const RunColumns: Column[] = [
+    { name: "start_time", type: "text" },
+    { name: "end_time", type: "text" },
+    { name: "command", type: "text" },
+    { name: "pdf_count", type: "integer" },
+    { name: "page_count", type: "integer" },
+    { name: "parsed_count", type: "integer" },
+    { name: "skipped_count", type: "integer" },
+    { name: "rejected_count", type: "integer" },
+    { name: "new_count", type: "integer" },
+    { name: "modified_count", type: "integer" },
+    { name: "warning_count", type: "integer" },
+    { name: "error", type: "text" },
+    { name: "report", type: "text" }
+];
+
+// Converts a development application to a row with the same columns as the [data] table.
+
+export function getDataRow(developmentApplication) {
+    let row = {};
+    for (let column of DataColumns)
+        row[column.name] = developmentApplication[column.property];
+    return row;
+}
+
+// Converts a rejected application to a row of the [rejected] table.
+
+export function getRejectedRow(rejectedApplication: RejectedApplication, scrapeDate: string) {
+    return {
+        pdf_url: rejectedApplication.pdfUrl,
+        page_number: rejectedApplication.pageNumber,
+        reason: rejectedApplication.reason,
+        council_reference: rejectedApplication.applicationNumber,
+        raw_text: rejectedApplication.text,
+        date_scraped: scrapeDate
+    };
+}
+
+// Converts a run report to a row of the [runs] table (the complete report, including the number of
+// applications skipped and rejected for each reason, is saved as JSON in the [report] column).
+
+export function getRunRow(report: RunReport) {
+    return {
+        start_time: report.startTime,
+        end_time: report.endTime,
+        command: report.command,
+        pdf_count: report.totals.pdfCount,
+        page_count: report.totals.pageCount,
+        parsed_count: report.totals.parsedCount,
+        skipped_count: report.totals.skippedCount,
+        rejected_count: report.totals.rejectedCount,
+        new_count: report.totals.newCount,
+        modified_count: report.totals.modifiedCount,
+        warning_count: report.warnings.length,
+        error: report.error || null,
+        report: JSON.stringify(report)
+    };
+}
+
+// Creates a row of the [application_history] table for a version of an application.
+
+function getHistoryRow(applicationNumber: string, version: { [property: string]: any }, informationUrl: string, scrapeDate: string, change: string) {
+    let row = { council_reference: applicationNumber, info_url: informationUrl, date_scraped: scrapeDate, change: change };
+    for (let column of VersionedColumns)
+        row[column.name] = version[column.property];
+    return row;
+}
+
+// Determines whether an application is new, unchanged or modified (compared with the existing row
+// in the [data] table, if any) and gets the rows that record any new version in the
+// [application_history] table.  The existing version is also recorded (as "existing") if it was
+// saved to the [data] table before the history was recorded.
+
+export function getApplicationChange(developmentApplication, existingRow, hasHistory: boolean) {
+    let applicationNumber = developmentApplication.applicationNumber;
+    if (existingRow === undefined)
+        return {
+            change: "new",
+            modifiedColumns: [],
+            historyRows: [ getHistoryRow(applicationNumber, developmentApplication, developmentApplication.informationUrl, developmentApplication.scrapeDate, "new") ]
+        };
+
+    // A row saved before the remaining register fields were read (in a database created before
+    // those columns were added) has null in every one of those columns (the scraper saves an empty
+    // string for a missing text field), so those columns are not compared for that row.  Treat
+    // null and "" as equal, and compare the existing description once normalised (it may have been
+    // saved before the descriptions were normalised, or by an earlier version of the rules).
+
+    let isNull = value => (value === null || value === undefined);
+    let isOriginalColumn = (column: Column) => OriginalColumns.some(originalColumn => originalColumn.name === column.name);
+    let isRegisterFieldsRead = VersionedColumns.some(column => !isOriginalColumn(column) && !isNull(existingRow[column.name]));
+
+    let modifiedColumns = VersionedColumns.filter(column => {
+        if (!isRegisterFieldsRead && !isOriginalColumn(column))
+            return false;
+        let existingValue = isNull(existingRow[column.name]) ? "" : existingRow[column.name];
+        let value = isNull(developmentApplication[column.property]) ? "" : developmentApplication[column.property];
+        if (column.name === "description" && existingValue !== "")
+            existingValue = normaliseDescription(existingValue);
+        return existingValue !== value;
+    }).map(column => column.name);
+
+    if (modifiedColumns.length === 0)
+        return { change: "unchanged", modifiedColumns: [], historyRows: [] };
+
+    let historyRows = [];
+    if (!hasHistory) {
+        let existingVersion = {};
+        for (let column of VersionedColumns)
+            existingVersion[column.property] = existingRow[column.name];
+        historyRows.push(getHistoryRow(applicationNumber, existingVersion, existingRow.info_url, existingRow.date_scraped, "existing"));
+    }
+    historyRows.push(getHistoryRow(applicationNumber, developmentApplication, developmentApplication.informationUrl, developmentApplication.scrapeDate, "modified"));
+    return { change: "modified", modifiedColumns: modifiedColumns, historyRows: historyRows };
+}
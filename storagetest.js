@@ -0,0 +1,116 @@
+// Tests of the sqlite storage: an application saved to a database created by an earlier version
+// of the scraper (with only the original seven columns of the [data] table) is upgraded by the
+// migrations and then scraped again, and the change recorded for each application and the
+// [application_history] table are compared with their expected values.
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+const sqlitestorage_1 = require("./sqlitestorage");
+const storage_1 = require("./storage");
+// The register PDF from which the applications are read.
+const PdfUrl = "https://www.example.com/register-mar-2019.pdf";
+// An application as it was saved to the [data] table before the migrations were introduced (the
+// description was saved exactly as it was read from the register).
+const OriginalRow = ["123/2019", "1 Alfred Terrace, Streaky Bay SA 5680", "DWELLING AND VERANDAH", PdfUrl, "mailto:council@example.com", "2019-04-01", "2019-03-05"];
+// Creates an application as it is now read from the same register entry (with the remaining
+// register fields, which were not read before the migrations were introduced).
+function createApplication(applicationNumber, address, scrapeDate) {
+    return {
+        applicationNumber: applicationNumber,
+        address: address,
+        description: "Dwelling and verandah",
+        informationUrl: PdfUrl,
+        commentUrl: "mailto:council@example.com",
+        scrapeDate: scrapeDate,
+        receivedDate: "2019-03-05",
+        applicationFees: 120.5,
+        completedDate: "",
+        relevantAuthority: "Council Delegate",
+        assessmentNumber: "A1234",
+        category: "dwelling",
+        otherFields: ""
+    };
+}
+// Runs an SQL statement or query against an sqlite database file, returning all rows.
+async function getRows(fileName, sql, parameters = []) {
+    let database = await new Promise((resolve, reject) => {
+        let database = new sqlite3.Database(fileName, error => error ? reject(error) : resolve(database));
+    });
+    try {
+        return await new Promise((resolve, reject) => database.all(sql, parameters, (error, rows) => error ? reject(error) : resolve(rows)));
+    }
+    finally {
+        await new Promise(resolve => database.close(() => resolve()));
+    }
+}
+// Saves applications to a database and returns the change recorded for each application (for
+// example, "unchanged" or "modified (address)").
+async function saveApplications(fileName, developmentApplications, scrapeDate) {
+    let storage = await sqlitestorage_1.openSqliteStorage(fileName);
+    try {
+        let changes = await storage.savePdfResults({ pdfUrl: PdfUrl, contentHash: scrapeDate, scrapeDate: scrapeDate, developmentApplications: developmentApplications, rejectedApplications: [] });
+        return changes.map(change => (change.change === "modified") ? `modified (${change.modifiedColumns.join(", ")})` : change.change);
+    }
+    finally {
+        await storage.close();
+    }
+}
+// Creates a database with the schema (and an application) of an earlier version of the scraper,
+// then upgrades and scrapes it, returning the results of each test.
+async function runStorageTests(fileName) {
+    await getRows(fileName, "create table [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text)");
+    await getRows(fileName, "insert into [data] values (?, ?, ?, ?, ?, ?, ?)", OriginalRow);
+    let storageTests = [];
+    let changes = await saveApplications(fileName, [createApplication("123/2019", OriginalRow[1], "2019-05-01")], "2019-05-01");
+    let historyColumnNames = (await getRows(fileName, "pragma table_info([application_history])")).map(row => row.name);
+    storageTests.push({ name: "The history table of an upgraded database has the versioned columns only", actual: historyColumnNames.join(", "), expected: storage_1.HistoryColumns.map(column => column.name).join(", ") });
+    storageTests.push({ name: "An application saved before the remaining register fields were read is unchanged", actual: changes.join(", "), expected: "unchanged" });
+    storageTests.push({ name: "No history is recorded for an unchanged application", actual: (await getRows(fileName, "select * from [application_history]")).length, expected: 0 });
+    let rows = await getRows(fileName, "select [description], [application_fees], [relevant_authority], [assessment_number] from [data] where [council_reference] = ?", ["123/2019"]);
+    storageTests.push({ name: "The remaining register fields are saved without recording a change", actual: JSON.stringify(rows), expected: JSON.stringify([{ description: "Dwelling and verandah", application_fees: 120.5, relevant_authority: "Council Delegate", assessment_number: "A1234" }]) });
+    changes = await saveApplications(fileName, [createApplication("123/2019", "2 Alfred Terrace, Streaky Bay SA 5680", "2019-06-01"), createApplication("124/2019", OriginalRow[1], "2019-06-01")], "2019-06-01");
+    storageTests.push({ name: "A corrected register entry is modified and a new application is new", actual: changes.join(", "), expected: "modified (address), new" });
+    rows = await getRows(fileName, "select [council_reference], [change], [address], [date_scraped] from [application_history] order by [council_reference], [date_scraped]");
+    storageTests.push({
+        name: "The existing and modified versions of a corrected register entry are recorded",
+        actual: JSON.stringify(rows),
+        expected: JSON.stringify([
+            { council_reference: "123/2019", change: "existing", address: "1 Alfred Terrace, Streaky Bay SA 5680", date_scraped: "2019-05-01" },
+            { council_reference: "123/2019", change: "modified", address: "2 Alfred Terrace, Streaky Bay SA 5680", date_scraped: "2019-06-01" },
+            { council_reference: "124/2019", change: "new", address: "1 Alfred Terrace, Streaky Bay SA 5680", date_scraped: "2019-06-01" }
+        ])
+    });
+    return storageTests;
+}
+// Runs every test (against a temporary database) and reports any differences.
+async function main() {
+    let fileName = path.join(os.tmpdir(), `storagetest-${process.pid}.sqlite`);
+    let storageTests = [];
+    try {
+        storageTests = await runStorageTests(fileName);
+    }
+    finally {
+        if (fs.existsSync(fileName))
+            fs.unlinkSync(fileName);
+    }
+    let differenceCount = 0;
+    for (let storageTest of storageTests) {
+        if (storageTest.actual !== storageTest.expected) {
+            differenceCount++;
+            console.log(`Test: ${storageTest.name}`);
+            console.log(`    Expected: ${JSON.stringify(storageTest.expected)}`);
+            console.log(`    Actual:   ${JSON.stringify(storageTest.actual)}`);
+        }
+    }
+    if (differenceCount > 0) {
+        console.log(`${differenceCount} of ${storageTests.length} storage test(s) failed.`);
+        process.exitCode = 1;
+    }
+    else
+        console.log(`All ${storageTests.length} storage test(s) passed.`);
+}
+main().catch(error => { console.error(error); process.exitCode = 1; });
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoic3RvcmFnZXRlc3QuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJzdG9yYWdldGVzdC50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSxnR0FBZ0c7QUFDaEcsK0ZBQStGO0FBQy9GLDBGQUEwRjtBQUMxRix1RUFBdUU7QUFFdkUsWUFBWSxDQUFDOztBQUViLHlCQUF5QjtBQUN6Qix5QkFBeUI7QUFDekIsNkJBQTZCO0FBQzdCLG1DQUFtQztBQUNuQyxtREFBb0Q7QUFDcEQsdUNBQTJDO0FBWTNDLHlEQUF5RDtBQUV6RCxNQUFNLE1BQU0sR0FBRywrQ0FBK0MsQ0FBQztBQUUvRCxnR0FBZ0c7QUFDaEcsbUVBQW1FO0FBRW5FLE1BQU0sV0FBVyxHQUFHLENBQUUsVUFBVSxFQUFFLHVDQUF1QyxFQUFFLHVCQUF1QixFQUFFLE1BQU0sRUFBRSw0QkFBNEIsRUFBRSxZQUFZLEVBQUUsWUFBWSxDQUFFLENBQUM7QUFFdkssNEZBQTRGO0FBQzVGLCtFQUErRTtBQUUvRSxTQUFTLGlCQUFpQixDQUFDLGlCQUF5QixFQUFFLE9BQWUsRUFBRSxVQUFrQjtJQUNyRixPQUFPO1FBQ0gsaUJBQWlCLEVBQUUsaUJBQWlCO1FBQ3BDLE9BQU8sRUFBRSxPQUFPO1FBQ2hCLFdBQVcsRUFBRSx1QkFBdUI7UUFDcEMsY0FBYyxFQUFFLE1BQU07UUFDdEIsVUFBVSxFQUFFLDRCQUE0QjtRQUN4QyxVQUFVLEVBQUUsVUFBVTtRQUN0QixZQUFZLEVBQUUsWUFBWTtRQUMxQixlQUFlLEVBQUUsS0FBSztRQUN0QixhQUFhLEVBQUUsRUFBRTtRQUNqQixpQkFBaUIsRUFBRSxrQkFBa0I7UUFDckMsZ0JBQWdCLEVBQUUsT0FBTztRQUN6QixRQUFRLEVBQUUsVUFBVTtRQUNwQixXQUFXLEVBQUUsRUFBRTtLQUNsQixDQUFDO0FBQ04sQ0FBQztBQUVELHNGQUFzRjtBQUV0RixLQUFLLFVBQVUsT0FBTyxDQUFDLFFBQWdCLEVBQUUsR0FBVyxFQUFFLGFBQW9CLEVBQUU7SUFDeEUsSUFBSSxRQUFRLEdBQUcsTUFBTSxJQUFJLE9BQU8sQ0FBTSxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRTtRQUN0RCxJQUFJLFFBQVEsR0FBRyxJQUFJLE9BQU8sQ0FBQyxRQUFRLENBQUMsUUFBUSxFQUFFLEtBQUssQ0FBQyxFQUFFLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLENBQUMsQ0FBQyxDQUFDO0lBQ3RHLENBQUMsQ0FBQyxDQUFDO0lBQ0gsSUFBSTtRQUNBLE9BQU8sTUFBTSxJQUFJLE9BQU8sQ0FBUSxDQUFDLE9BQU8sRUFBRSxNQUFNLEVBQUUsRUFBRSxDQUFDLFFBQVEsQ0FBQyxHQUFHLENBQUMsR0FBRyxFQUFFLFVBQVUsRUFBRSxDQUFDLEtBQUssRUFBRSxJQUFJLEVBQUUsRUFBRSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLEtBQUssQ0FBQyxDQUFDLENBQUMsQ0FBQyxPQUFPLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO0tBQy9JO1lBQVM7UUFDTixNQUFNLElBQUksT0FBTyxDQUFPLE9BQU8sQ0FBQyxFQUFFLENBQUMsUUFBUSxDQUFDLEtBQUssQ0FBQyxHQUFHLEVBQUUsQ0FBQyxPQUFPLEVBQUUsQ0FBQyxDQUFDLENBQUM7S0FDdkU7QUFDTCxDQUFDO0FBRUQsNkZBQTZGO0FBQzdGLGlEQUFpRDtBQUVqRCxLQUFLLFVBQVUsZ0JBQWdCLENBQUMsUUFBZ0IsRUFBRSx1QkFBOEIsRUFBRSxVQUFrQjtJQUNoRyxJQUFJLE9BQU8sR0FBRyxNQUFNLGlDQUFpQixDQUFDLFFBQVEsQ0FBQyxDQUFDO0lBQ2hELElBQUk7UUFDQSxJQUFJLE9BQU8sR0FBRyxNQUFNLE9BQU8sQ0FBQyxjQUFjLENBQUMsRUFBRSxNQUFNLEVBQUUsTUFBTSxFQUFFLFdBQVcsRUFBRSxVQUFVLEVBQUUsVUFBVSxFQUFFLFVBQVUsRUFBRSx1QkFBdUIsRUFBRSx1QkFBdUIsRUFBRSxvQkFBb0IsRUFBRSxFQUFFLEVBQUUsQ0FBQyxDQUFDO1FBQzVMLE9BQU8sT0FBTyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLENBQUMsTUFBTSxDQUFDLE1BQU0sS0FBSyxVQUFVLENBQUMsQ0FBQyxDQUFDLENBQUMsYUFBYSxNQUFNLENBQUMsZUFBZSxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUMsTUFBTSxDQUFDLENBQUM7S0FDcEk7WUFBUztRQUNOLE1BQU0sT0FBTyxDQUFDLEtBQUssRUFBRSxDQUFDO0tBQ3pCO0FBQ0wsQ0FBQztBQUVELGdHQUFnRztBQUNoRyxvRUFBb0U7QUFFcEUsS0FBSyxVQUFVLGVBQWUsQ0FBQyxRQUFnQjtJQUMzQyxNQUFNLE9BQU8sQ0FBQyxRQUFRLEVBQUUsZ0xBQWdMLENBQUMsQ0FBQztJQUMxTSxNQUFNLE9BQU8sQ0FBQyxRQUFRLEVBQUUsaURBQWlELEVBQUUsV0FBVyxDQUFDLENBQUM7SUFFeEYsSUFBSSxZQUFZLEdBQWtCLEVBQUUsQ0FBQztJQUNyQyxJQUFJLE9BQU8sR0FBRyxNQUFNLGdCQUFnQixDQUFDLFFBQVEsRUFBRSxDQUFFLGlCQUFpQixDQUFDLFVBQVUsRUFBRSxXQUFXLENBQUMsQ0FBQyxDQUFDLEVBQUUsWUFBWSxDQUFDLENBQUUsRUFBRSxZQUFZLENBQUMsQ0FBQztJQUM5SCxJQUFJLGtCQUFrQixHQUFHLENBQUMsTUFBTSxPQUFPLENBQUMsUUFBUSxFQUFFLDBDQUEwQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsR0FBRyxDQUFDLEVBQUUsQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLENBQUM7SUFDcEgsWUFBWSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSwwRUFBMEUsRUFBRSxNQUFNLEVBQUUsa0JBQWtCLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLFFBQVEsRUFBRSx3QkFBYyxDQUFDLEdBQUcsQ0FBQyxNQUFNLENBQUMsRUFBRSxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxDQUFDO0lBQy9NLFlBQVksQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsa0ZBQWtGLEVBQUUsTUFBTSxFQUFFLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLFdBQVcsRUFBRSxDQUFDLENBQUM7SUFDbkssWUFBWSxDQUFDLElBQUksQ0FBQyxFQUFFLElBQUksRUFBRSxxREFBcUQsRUFBRSxNQUFNLEVBQUUsQ0FBQyxNQUFNLE9BQU8sQ0FBQyxRQUFRLEVBQUUscUNBQXFDLENBQUMsQ0FBQyxDQUFDLE1BQU0sRUFBRSxRQUFRLEVBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQztJQUVqTCxJQUFJLElBQUksR0FBRyxNQUFNLE9BQU8sQ0FBQyxRQUFRLEVBQUUsK0hBQStILEVBQUUsQ0FBRSxVQUFVLENBQUUsQ0FBQyxDQUFDO0lBQ3BMLFlBQVksQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUsb0VBQW9FLEVBQUUsTUFBTSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsQ0FBRSxFQUFFLFdBQVcsRUFBRSx1QkFBdUIsRUFBRSxnQkFBZ0IsRUFBRSxLQUFLLEVBQUUsa0JBQWtCLEVBQUUsa0JBQWtCLEVBQUUsaUJBQWlCLEVBQUUsT0FBTyxFQUFFLENBQUUsQ0FBQyxFQUFFLENBQUMsQ0FBQztJQUVyUyxPQUFPLEdBQUcsTUFBTSxnQkFBZ0IsQ0FBQyxRQUFRLEVBQUUsQ0FBRSxpQkFBaUIsQ0FBQyxVQUFVLEVBQUUsdUNBQXVDLEVBQUUsWUFBWSxDQUFDLEVBQUUsaUJBQWlCLENBQUMsVUFBVSxFQUFFLFdBQVcsQ0FBQyxDQUFDLENBQUMsRUFBRSxZQUFZLENBQUMsQ0FBRSxFQUFFLFlBQVksQ0FBQyxDQUFDO0lBQ2hOLFlBQVksQ0FBQyxJQUFJLENBQUMsRUFBRSxJQUFJLEVBQUUscUVBQXFFLEVBQUUsTUFBTSxFQUFFLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLEVBQUUsUUFBUSxFQUFFLHlCQUF5QixFQUFFLENBQUMsQ0FBQztJQUVwSyxJQUFJLEdBQUcsTUFBTSxPQUFPLENBQUMsUUFBUSxFQUFFLHlJQUF5SSxDQUFDLENBQUM7SUFDMUssWUFBWSxDQUFDLElBQUksQ0FBQztRQUNkLElBQUksRUFBRSwrRUFBK0U7UUFDckYsTUFBTSxFQUFFLElBQUksQ0FBQyxTQUFTLENBQUMsSUFBSSxDQUFDO1FBQzVCLFFBQVEsRUFBRSxJQUFJLENBQUMsU0FBUyxDQUFDO1lBQ3JCLEVBQUUsaUJBQWlCLEVBQUUsVUFBVSxFQUFFLE1BQU0sRUFBRSxVQUFVLEVBQUUsT0FBTyxFQUFFLHVDQUF1QyxFQUFFLFlBQVksRUFBRSxZQUFZLEVBQUU7WUFDbkksRUFBRSxpQkFBaUIsRUFBRSxVQUFVLEVBQUUsTUFBTSxFQUFFLFVBQVUsRUFBRSxPQUFPLEVBQUUsdUNBQXVDLEVBQUUsWUFBWSxFQUFFLFlBQVksRUFBRTtZQUNuSSxFQUFFLGlCQUFpQixFQUFFLFVBQVUsRUFBRSxNQUFNLEVBQUUsS0FBSyxFQUFFLE9BQU8sRUFBRSx1Q0FBdUMsRUFBRSxZQUFZLEVBQUUsWUFBWSxFQUFFO1NBQ2pJLENBQUM7S0FDTCxDQUFDLENBQUM7SUFFSCxPQUFPLFlBQVksQ0FBQztBQUN4QixDQUFDO0FBRUQsOEVBQThFO0FBRTlFLEtBQUssVUFBVSxJQUFJO0lBQ2YsSUFBSSxRQUFRLEdBQUcsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsTUFBTSxFQUFFLEVBQUUsZUFBZSxPQUFPLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQztJQUMzRSxJQUFJLFlBQVksR0FBa0IsRUFBRSxDQUFDO0lBQ3JDLElBQUk7UUFDQSxZQUFZLEdBQUcsTUFBTSxlQUFlLENBQUMsUUFBUSxDQUFDLENBQUM7S0FDbEQ7WUFBUztRQUNOLElBQUksRUFBRSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUM7WUFDdkIsRUFBRSxDQUFDLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQztLQUMvQjtJQUVELElBQUksZUFBZSxHQUFHLENBQUMsQ0FBQztJQUN4QixLQUFLLElBQUksV0FBVyxJQUFJLFlBQVksRUFBRTtRQUNsQyxJQUFJLFdBQVcsQ0FBQyxNQUFNLEtBQUssV0FBVyxDQUFDLFFBQVEsRUFBRTtZQUM3QyxlQUFlLEVBQUUsQ0FBQztZQUNsQixPQUFPLENBQUMsR0FBRyxDQUFDLFNBQVMsV0FBVyxDQUFDLElBQUksRUFBRSxDQUFDLENBQUM7WUFDekMsT0FBTyxDQUFDLEdBQUcsQ0FBQyxpQkFBaUIsSUFBSSxDQUFDLFNBQVMsQ0FBQyxXQUFXLENBQUMsUUFBUSxDQUFDLEVBQUUsQ0FBQyxDQUFDO1lBQ3JFLE9BQU8sQ0FBQyxHQUFHLENBQUMsaUJBQWlCLElBQUksQ0FBQyxTQUFTLENBQUMsV0FBVyxDQUFDLE1BQU0sQ0FBQyxFQUFFLENBQUMsQ0FBQztTQUN0RTtLQUNKO0lBRUQsSUFBSSxlQUFlLEdBQUcsQ0FBQyxFQUFFO1FBQ3JCLE9BQU8sQ0FBQyxHQUFHLENBQUMsR0FBRyxlQUFlLE9BQU8sWUFBWSxDQUFDLE1BQU0sMEJBQTBCLENBQUMsQ0FBQztRQUNwRixPQUFPLENBQUMsUUFBUSxHQUFHLENBQUMsQ0FBQztLQUN4Qjs7UUFDRyxPQUFPLENBQUMsR0FBRyxDQUFDLE9BQU8sWUFBWSxDQUFDLE1BQU0sMEJBQTBCLENBQUMsQ0FBQztBQUMxRSxDQUFDO0FBRUQsSUFBSSxFQUFFLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxFQUFFLEdBQUcsT0FBTyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQyxDQUFDLE9BQU8sQ0FBQyxRQUFRLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMifQ==
\ No newline at end of file
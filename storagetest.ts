@@ -0,0 +1,144 @@
+// Tests of the sqlite storage: an application saved to a database created by an earlier version
+// of the scraper (with only the original seven columns of the [data] table) is upgraded by the
+// migrations and then scraped again, and the change recorded for each application and the
+// [application_history] table are compared with their expected values.
+
+"use strict";
+
+import * as fs from "fs";
+import * as os from "os";
+import * as path from "path";
+import * as sqlite3 from "sqlite3";
+import { openSqliteStorage } from "./sqlitestorage";
+import { HistoryColumns } from "./storage";
+
+declare const process: any;
+
+// A test: a description and the actual and expected results.
+
+interface StorageTest {
+    name: string,
+    actual: any,
+    expected: any
+}
+
+// The register PDF from which the applications are read.
+
+const PdfUrl = "https://www.example.com/register-mar-2019.pdf";
+
+// An application as it was saved to the [data] table before the migrations were introduced (the
+// description was saved exactly as it was read from the register).
+
+const OriginalRow = [ "123/2019", "1 Alfred Terrace, Streaky Bay SA 5680", "DWELLING AND VERANDAH", PdfUrl, "mailto:council@example.com", "2019-04-01", "2019-03-05" ];
+
+// Creates an application as it is now read from the same register entry (with the remaining
+// register fields, which were not read before the migrations were introduced).
+
+function createApplication(applicationNumber: string, address: string, scrapeDate: string) {
+    return {
+        applicationNumber: applicationNumber,
+        address: address,
+        description: "Dwelling and verandah",
+        informationUrl: PdfUrl,
+        commentUrl: "mailto:council@example.com",
+        scrapeDate: scrapeDate,
+        receivedDate: "2019-03-05",
+        applicationFees: 120.5,
+        completedDate: "",
+        relevantAuthority: "Council Delegate",
+        assessmentNumber: "A1234",
+        category: "dwelling",
+        otherFields: ""
+    };
+}
+
+// Runs an SQL statement or query against an sqlite database file, returning all rows.
+
+async function getRows(fileName: string, sql: string, parameters: any[] = []) {
+    let database = await new Promise<any>((resolve, reject) => {
+        let database = new sqlite3.Database(fileName, error => error ? reject(error) : resolve(database));
+    });
+    try {
+        return await new Promise<any[]>((resolve, reject) => database.all(sql, parameters, (error, rows) => error ? reject(error) : resolve(rows)));
+    } finally {
+        await new Promise<void>(resolve => database.close(() => resolve()));
+    }
+}
+
+// Saves applications to a database and returns the change recorded for each application (for
+// example, "unchanged" or "modified (address)").
+
+async function saveApplications(fileName: string, developmentApplications: any[], scrapeDate: string) {
+    let storage = await openSqliteStorage(fileName);
+    try {
+        let changes = await storage.savePdfResults({ pdfUrl: PdfUrl, contentHash: scrapeDate, scrapeDate: scrapeDate, developmentApplications: developmentApplications, rejectedApplications: [] });
+        return changes.map(change => (change.change === "modified") ? `modified (${change.modifiedColumns.join(", ")})` : change.change);
+    } finally {
+        await storage.close();
+    }
+}
+
+// Creates a database with the schema (and an application) of an earlier version of the scraper,
+// then upgrades and scrapes it, returning the results of each test.
+
+async function runStorageTests(fileName: string) {
+    await getRows(fileName, "create table [data] ([council_reference] text primary key, [address] text, [description] text, [info_url] text, [comment_url] text, [date_scraped] text, [date_received] text)");
+    await getRows(fileName, "insert into [data] values (?, ?, ?, ?, ?, ?, ?)", OriginalRow);
+
+    let storageTests: StorageTest[] = [];
+    let changes = await saveApplications(fileName, [ createApplication("123/2019", OriginalRow[1], "2019-05-01") ], "2019-05-01");
+    let historyColumnNames = (await getRows(fileName, "pragma table_info([application_history])")).map(row => row.name);
+    storageTests.push({ name: "The history table of an upgraded database has the versioned columns only", actual: historyColumnNames.join(", "), expected: HistoryColumns.map(column => column.name).join(", ") });
+    storageTests.push({ name: "An application saved before the remaining register fields were read is unchanged", actual: changes.join(", "), expected: "unchanged" });
+    storageTests.push({ name: "No history is recorded for an unchanged application", actual: (await getRows(fileName, "select * from [application_history]")).length, expected: 0 });
+
+    let rows = await getRows(fileName, "select [description], [application_fees], [relevant_authority], [assessment_number] from [data] where [council_reference] = ?", [ "123/2019" ]);
+    storageTests.push({ name: "The remaining register fields are saved without recording a change", actual: JSON.stringify(rows), expected: JSON.stringify([ { description: "Dwelling and verandah", application_fees: 120.5, relevant_authority: "Council Delegate", assessment_number: "A1234" } ]) });
+
+    changes = await saveApplications(fileName, [ createApplication("123/2019", "2 Alfred Terrace, Streaky Bay SA 5680", "2019-06-01"), createApplication("124/2019", OriginalRow[1], "2019-06-01") ], "2019-06-01");
+    storageTests.push({ name: "A corrected register entry is modified and a new application is new", actual: changes.join(", "), expected: "modified (address), new" });
+
+    rows = await getRows(fileName, "select [council_reference], [change], [address], [date_scraped] from [application_history] order by [council_reference], [date_scraped]");
+    storageTests.push({
+        name: "The existing and modified versions of a corrected register entry are recorded",
+        actual: JSON.stringify(rows),
+        expected: JSON.stringify([
+            { council_reference: "123/2019", change: "existing", address: "1 Alfred Terrace, Streaky Bay SA 5680", date_scraped: "2019-05-01" },
+            { council_reference: "123/2019", change: "modified", address: "2 Alfred Terrace, Streaky Bay SA 5680", date_scraped: "2019-06-01" },
+            { council_reference: "124/2019", change: "new", address: "1 Alfred Terrace, Streaky Bay SA 5680", date_scraped: "2019-06-01" }
+        ])
+    });
+
+    return storageTests;
+}
+
+// Runs every test (against a temporary database) and reports any differences.
+
+async function main() {
+    let fileName = path.join(os.tmpdir(), `storagetest-${process.pid}.sqlite`);
+    let storageTests: StorageTest[] = [];
+    try {
+        storageTests = await runStorageTests(fileName);
+    } finally {
+        if (fs.existsSync(fileName))
+            fs.unlinkSync(fileName);
+    }
+
+    let differenceCount = 0;
+    for (let storageTest of storageTests) {
+        if (storageTest.actual !== storageTest.expected) {
+            differenceCount++;
+            console.log(`Test: ${storageTest.name}`);
+            console.log(`    Expected: ${JSON.stringify(storageTest.expected)}`);
+            console.log(`    Actual:   ${JSON.stringify(storageTest.actual)}`);
+        }
+    }
+
+    if (differenceCount > 0) {
+        console.log(`${differenceCount} of ${storageTests.length} storage test(s) failed.`);
+        process.exitCode = 1;
+    } else
+        console.log(`All ${storageTests.length} storage test(s) passed.`);
+}
+
+main().catch(error => { console.error(error); process.exitCode = 1; });
@@ -0,0 +1,165 @@
+// Reconstructs the table structure of a page from its text elements: the elements are grouped
+// into lines (by clustering their baselines), each line is split into cells (at large horizontal
+// gaps and at labels), and the left edges of the labels are clustered into columns.  The value of
+// a label is then the cells to the right of (or below) the label, up to the next label column,
+// including any continuation lines (such as a wrapped address or a multi-line description).
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+// Elements whose baselines differ by less than this fraction of their height are on the same line.
+const LineTolerance = 0.5;
+// A horizontal gap between elements on a line that is larger than this multiple of the height of
+// the line separates two cells.
+const CellGap = 1.0;
+// Label cells whose left edges differ by less than this multiple of their height are in the same
+// column.
+const ColumnTolerance = 1.0;
+// Consecutive lines of a multi-line value that are separated by more than this multiple of the
+// line height end the value (a paragraph break).
+const MaximumLineSpacing = 2.5;
+// Groups elements into lines by clustering their baselines.
+function groupLines(elements) {
+    let sortedElements = [...elements].filter(element => element.text.trim() !== "").sort((a, b) => (a.y - b.y) || (a.x - b.x));
+    let lines = [];
+    for (let element of sortedElements) {
+        let line = lines[lines.length - 1];
+        if (line !== undefined && Math.abs(element.y - line[0].y) < LineTolerance * Math.max(element.height, line[0].height))
+            line.push(element);
+        else
+            lines.push([element]);
+    }
+    return lines.map(line => line.sort((a, b) => a.x - b.x));
+}
+exports.groupLines = groupLines;
+// Constructs a cell from adjacent elements.
+function createCell(elements, isLabel) {
+    let x = Math.min(...elements.map(element => element.x));
+    let y = Math.min(...elements.map(element => element.y));
+    return {
+        x: x,
+        y: y,
+        width: Math.max(...elements.map(element => element.x + element.width)) - x,
+        height: Math.max(...elements.map(element => element.height)),
+        text: elements.map(element => element.text).join(" ").trim().replace(/\s\s+/g, " "),
+        elements: elements,
+        isLabel: isLabel
+    };
+}
+// Splits the elements of a line into cells at each large horizontal gap.  Each label is placed in
+// a cell of its own.
+function splitCells(elements, isLabel) {
+    let cells = [];
+    let cellElements = [];
+    for (let element of elements) {
+        let previousElement = cellElements[cellElements.length - 1];
+        if (previousElement !== undefined && (isLabel(element) || isLabel(previousElement) || element.x - (previousElement.x + previousElement.width) > CellGap * Math.max(element.height, previousElement.height))) {
+            cells.push(createCell(cellElements, isLabel(previousElement)));
+            cellElements = [];
+        }
+        cellElements.push(element);
+    }
+    if (cellElements.length > 0)
+        cells.push(createCell(cellElements, isLabel(cellElements[0])));
+    return cells;
+}
+// Clusters the left edges of the label cells into columns.
+function clusterLabelColumns(lines) {
+    let labelCells = [].concat(...lines.map(line => line.cells.filter(cell => cell.isLabel))).sort((a, b) => a.x - b.x);
+    let columns = [];
+    let previousCell = undefined;
+    for (let cell of labelCells) {
+        if (previousCell === undefined || cell.x - previousCell.x >= ColumnTolerance * cell.height)
+            columns.push(cell.x);
+        previousCell = cell;
+    }
+    return columns;
+}
+// Reconstructs the table structure of the elements of a page (or of part of a page).
+function buildTable(elements, isLabel) {
+    let lines = groupLines(elements).map(lineElements => {
+        let cells = splitCells(lineElements, isLabel);
+        return { y: lineElements[0].y, height: Math.max(...cells.map(cell => cell.height)), cells: cells };
+    });
+    return { lines: lines, labelColumns: clusterLabelColumns(lines) };
+}
+exports.buildTable = buildTable;
+// Finds the first label cell (in reading order) that satisfies a condition.
+function findLabelCell(table, isMatch) {
+    for (let line of table.lines)
+        for (let cell of line.cells)
+            if (cell.isLabel && isMatch(cell))
+                return cell;
+    return undefined;
+}
+exports.findLabelCell = findLabelCell;
+// Gets the left edge of the first label column to the right of the specified position (or
+// infinity if there is none).
+function getNextLabelColumn(table, x) {
+    let column = table.labelColumns.find(column => column > x);
+    return (column === undefined) ? Number.POSITIVE_INFINITY : column;
+}
+// Gets the cells of the value of a label.  The value is either to the right of the label
+// (continuing onto the following lines) or on the lines below the label.  The value extends
+// horizontally up to the next label column, and ends at the first line that contains a label
+// within (or to the left of) that range, a line without any cells in that range, a large vertical
+// gap, or after the specified maximum number of lines.
+function getValueCells(table, labelCell, region, maximumLineCount = 1) {
+    let lineIndex = table.lines.findIndex(line => line.cells.includes(labelCell));
+    if (lineIndex < 0)
+        return [];
+    let tolerance = ColumnTolerance * labelCell.height;
+    let left = (region === "right") ? (labelCell.x + labelCell.width) : (labelCell.x - tolerance);
+    let right = getNextLabelColumn(table, (region === "right") ? (labelCell.x + labelCell.width - tolerance) : (labelCell.x + tolerance));
+    let valueCells = [];
+    let lineCount = 0;
+    let previousLine = undefined;
+    if (region === "right") {
+        let line = table.lines[lineIndex];
+        let lineCells = line.cells.filter(cell => cell.x >= left - tolerance / 2 && cell.x < right && !cell.isLabel);
+        valueCells.push(...lineCells);
+        if (lineCells.length > 0)
+            left = lineCells[0].x - tolerance; // continuation lines are aligned with the value
+        lineCount++;
+        previousLine = line;
+    }
+    else
+        previousLine = table.lines[lineIndex];
+    for (let index = lineIndex + 1; index < table.lines.length && lineCount < maximumLineCount; index++) {
+        let line = table.lines[index];
+        if (line.cells.some(cell => cell.isLabel && cell.x < right))
+            break;
+        if (line.y - previousLine.y > MaximumLineSpacing * Math.max(line.height, previousLine.height))
+            break;
+        let lineCells = line.cells.filter(cell => cell.x >= left && cell.x < right);
+        if (lineCells.length === 0)
+            break;
+        valueCells.push(...lineCells);
+        lineCount++;
+        previousLine = line;
+    }
+    return valueCells;
+}
+exports.getValueCells = getValueCells;
+// Gets the horizontal range of the value of a label (as used by getValueCells), for example, to
+// find any continuation of the value on the next page.
+function getValueColumn(table, labelCell, region) {
+    let tolerance = ColumnTolerance * labelCell.height;
+    let valueCells = getValueCells(table, labelCell, region, 1);
+    let left = (valueCells.length > 0) ? (valueCells[0].x - tolerance) : ((region === "right") ? (labelCell.x + labelCell.width) : (labelCell.x - tolerance));
+    let right = getNextLabelColumn(table, (region === "right") ? (labelCell.x + labelCell.width - tolerance) : (labelCell.x + tolerance));
+    return { left: left, right: right };
+}
+exports.getValueColumn = getValueColumn;
+// Determines whether the value of a label extends to the last line of the table (in which case
+// the value may continue on the next page).
+function isValueAtEnd(table, labelCell, region) {
+    let lineIndex = table.lines.findIndex(line => line.cells.includes(labelCell));
+    let { right } = getValueColumn(table, labelCell, region);
+    return lineIndex >= 0 && !table.lines.slice(lineIndex + 1).some(line => line.cells.some(cell => cell.isLabel && cell.x < right));
+}
+exports.isValueAtEnd = isValueAtEnd;
+// Gets the elements of a list of cells.
+function getCellElements(cells) {
+    return [].concat(...cells.map(cell => cell.elements));
+}
+exports.getCellElements = getCellElements;
+//# sourceMappingURL=data:application/json;base64,eyJ2ZXJzaW9uIjozLCJmaWxlIjoidGFibGUuanMiLCJzb3VyY2VSb290IjoiIiwic291cmNlcyI6WyJ0YWJsZS50cyJdLCJuYW1lcyI6W10sIm1hcHBpbmdzIjoiQUFBQSw4RkFBOEY7QUFDOUYsaUdBQWlHO0FBQ2pHLGtHQUFrRztBQUNsRywrRkFBK0Y7QUFDL0YsNEZBQTRGO0FBRTVGLFlBQVksQ0FBQzs7QUFJYixtR0FBbUc7QUFFbkcsTUFBTSxhQUFhLEdBQUcsR0FBRyxDQUFDO0FBRTFCLGlHQUFpRztBQUNqRyxnQ0FBZ0M7QUFFaEMsTUFBTSxPQUFPLEdBQUcsR0FBRyxDQUFDO0FBRXBCLGlHQUFpRztBQUNqRyxVQUFVO0FBRVYsTUFBTSxlQUFlLEdBQUcsR0FBRyxDQUFDO0FBRTVCLCtGQUErRjtBQUMvRixpREFBaUQ7QUFFakQsTUFBTSxrQkFBa0IsR0FBRyxHQUFHLENBQUM7QUEyQi9CLDREQUE0RDtBQUU1RCxTQUFnQixVQUFVLENBQUMsUUFBbUI7SUFDMUMsSUFBSSxjQUFjLEdBQUcsQ0FBRSxHQUFHLFFBQVEsQ0FBRSxDQUFDLE1BQU0sQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxFQUFFLEtBQUssRUFBRSxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDOUgsSUFBSSxLQUFLLEdBQWdCLEVBQUUsQ0FBQztJQUM1QixLQUFLLElBQUksT0FBTyxJQUFJLGNBQWMsRUFBRTtRQUNoQyxJQUFJLElBQUksR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDLE1BQU0sR0FBRyxDQUFDLENBQUMsQ0FBQztRQUNuQyxJQUFJLElBQUksS0FBSyxTQUFTLElBQUksSUFBSSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsQ0FBQyxHQUFHLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxhQUFhLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsTUFBTSxFQUFFLElBQUksQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUM7WUFDaEgsSUFBSSxDQUFDLElBQUksQ0FBQyxPQUFPLENBQUMsQ0FBQzs7WUFFbkIsS0FBSyxDQUFDLElBQUksQ0FBQyxDQUFFLE9BQU8sQ0FBRSxDQUFDLENBQUM7S0FDL0I7SUFDRCxPQUFPLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxFQUFFLENBQUMsRUFBRSxFQUFFLENBQUMsQ0FBQyxDQUFDLENBQUMsR0FBRyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztBQUM3RCxDQUFDO0FBWEQsZ0NBV0M7QUFFRCw0Q0FBNEM7QUFFNUMsU0FBUyxVQUFVLENBQUMsUUFBbUIsRUFBRSxPQUFnQjtJQUNyRCxJQUFJLENBQUMsR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLEdBQUcsUUFBUSxDQUFDLEdBQUcsQ0FBQyxPQUFPLENBQUMsRUFBRSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDO0lBQ3hELElBQUksQ0FBQyxHQUFHLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUM7SUFDeEQsT0FBTztRQUNILENBQUMsRUFBRSxDQUFDO1FBQ0osQ0FBQyxFQUFFLENBQUM7UUFDSixLQUFLLEVBQUUsSUFBSSxDQUFDLEdBQUcsQ0FBQyxHQUFHLFFBQVEsQ0FBQyxHQUFHLENBQUMsT0FBTyxDQUFDLEVBQUUsQ0FBQyxPQUFPLENBQUMsQ0FBQyxHQUFHLE9BQU8sQ0FBQyxLQUFLLENBQUMsQ0FBQyxHQUFHLENBQUM7UUFDMUUsTUFBTSxFQUFFLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLE1BQU0sQ0FBQyxDQUFDO1FBQzVELElBQUksRUFBRSxRQUFRLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxFQUFFLENBQUMsT0FBTyxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksQ0FBQyxHQUFHLENBQUMsQ0FBQyxJQUFJLEVBQUUsQ0FBQyxPQUFPLENBQUMsUUFBUSxFQUFFLEdBQUcsQ0FBQztRQUNuRixRQUFRLEVBQUUsUUFBUTtRQUNsQixPQUFPLEVBQUUsT0FBTztLQUNuQixDQUFDO0FBQ04sQ0FBQztBQUVELGtHQUFrRztBQUNsRyxxQkFBcUI7QUFFckIsU0FBUyxVQUFVLENBQUMsUUFBbUIsRUFBRSxPQUFzQztJQUMzRSxJQUFJLEtBQUssR0FBVyxFQUFFLENBQUM7SUFDdkIsSUFBSSxZQUFZLEdBQWMsRUFBRSxDQUFDO0lBQ2pDLEtBQUssSUFBSSxPQUFPLElBQUksUUFBUSxFQUFFO1FBQzFCLElBQUksZUFBZSxHQUFHLFlBQVksQ0FBQyxZQUFZLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDO1FBQzVELElBQUksZUFBZSxLQUFLLFNBQVMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxPQUFPLENBQUMsSUFBSSxPQUFPLENBQUMsZUFBZSxDQUFDLElBQUksT0FBTyxDQUFDLENBQUMsR0FBRyxDQUFDLGVBQWUsQ0FBQyxDQUFDLEdBQUcsZUFBZSxDQUFDLEtBQUssQ0FBQyxHQUFHLE9BQU8sR0FBRyxJQUFJLENBQUMsR0FBRyxDQUFDLE9BQU8sQ0FBQyxNQUFNLEVBQUUsZUFBZSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEVBQUU7WUFDek0sS0FBSyxDQUFDLElBQUksQ0FBQyxVQUFVLENBQUMsWUFBWSxFQUFFLE9BQU8sQ0FBQyxlQUFlLENBQUMsQ0FBQyxDQUFDLENBQUM7WUFDL0QsWUFBWSxHQUFHLEVBQUUsQ0FBQztTQUNyQjtRQUNELFlBQVksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7S0FDOUI7SUFDRCxJQUFJLFlBQVksQ0FBQyxNQUFNLEdBQUcsQ0FBQztRQUN2QixLQUFLLENBQUMsSUFBSSxDQUFDLFVBQVUsQ0FBQyxZQUFZLEVBQUUsT0FBTyxDQUFDLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNuRSxPQUFPLEtBQUssQ0FBQztBQUNqQixDQUFDO0FBRUQsMkRBQTJEO0FBRTNELFNBQVMsbUJBQW1CLENBQUMsS0FBYTtJQUN0QyxJQUFJLFVBQVUsR0FBRyxFQUFFLENBQUMsTUFBTSxDQUFDLEdBQUcsS0FBSyxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLE9BQU8sQ0FBQyxDQUFDLENBQUMsQ0FBQyxJQUFJLENBQUMsQ0FBQyxDQUFDLEVBQUUsQ0FBQyxFQUFFLEVBQUUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQztJQUNwSCxJQUFJLE9BQU8sR0FBYSxFQUFFLENBQUM7SUFDM0IsSUFBSSxZQUFZLEdBQVMsU0FBUyxDQUFDO0lBQ25DLEtBQUssSUFBSSxJQUFJLElBQUksVUFBVSxFQUFFO1FBQ3pCLElBQUksWUFBWSxLQUFLLFNBQVMsSUFBSSxJQUFJLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxDQUFDLElBQUksZUFBZSxHQUFHLElBQUksQ0FBQyxNQUFNO1lBQ3RGLE9BQU8sQ0FBQyxJQUFJLENBQUMsSUFBSSxDQUFDLENBQUMsQ0FBQyxDQUFDO1FBQ3pCLFlBQVksR0FBRyxJQUFJLENBQUM7S0FDdkI7SUFDRCxPQUFPLE9BQU8sQ0FBQztBQUNuQixDQUFDO0FBRUQscUZBQXFGO0FBRXJGLFNBQWdCLFVBQVUsQ0FBQyxRQUFtQixFQUFFLE9BQXNDO0lBQ2xGLElBQUksS0FBSyxHQUFHLFVBQVUsQ0FBQyxRQUFRLENBQUMsQ0FBQyxHQUFHLENBQUMsWUFBWSxDQUFDLEVBQUU7UUFDaEQsSUFBSSxLQUFLLEdBQUcsVUFBVSxDQUFDLFlBQVksRUFBRSxPQUFPLENBQUMsQ0FBQztRQUM5QyxPQUFPLEVBQUUsQ0FBQyxFQUFFLFlBQVksQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEVBQUUsTUFBTSxFQUFFLElBQUksQ0FBQyxHQUFHLENBQUMsR0FBRyxLQUFLLENBQUMsR0FBRyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLE1BQU0sQ0FBQyxDQUFDLEVBQUUsS0FBSyxFQUFFLEtBQUssRUFBRSxDQUFDO0lBQ3ZHLENBQUMsQ0FBQyxDQUFDO0lBQ0gsT0FBTyxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsWUFBWSxFQUFFLG1CQUFtQixDQUFDLEtBQUssQ0FBQyxFQUFFLENBQUM7QUFDdEUsQ0FBQztBQU5ELGdDQU1DO0FBRUQsNEVBQTRFO0FBRTVFLFNBQWdCLGFBQWEsQ0FBQyxLQUFZLEVBQUUsT0FBZ0M7SUFDeEUsS0FBSyxJQUFJLElBQUksSUFBSSxLQUFLLENBQUMsS0FBSztRQUN4QixLQUFLLElBQUksSUFBSSxJQUFJLElBQUksQ0FBQyxLQUFLO1lBQ3ZCLElBQUksSUFBSSxDQUFDLE9BQU8sSUFBSSxPQUFPLENBQUMsSUFBSSxDQUFDO2dCQUM3QixPQUFPLElBQUksQ0FBQztJQUN4QixPQUFPLFNBQVMsQ0FBQztBQUNyQixDQUFDO0FBTkQsc0NBTUM7QUFFRCwwRkFBMEY7QUFDMUYsOEJBQThCO0FBRTlCLFNBQVMsa0JBQWtCLENBQUMsS0FBWSxFQUFFLENBQVM7SUFDL0MsSUFBSSxNQUFNLEdBQUcsS0FBSyxDQUFDLFlBQVksQ0FBQyxJQUFJLENBQUMsTUFBTSxDQUFDLEVBQUUsQ0FBQyxNQUFNLEdBQUcsQ0FBQyxDQUFDLENBQUM7SUFDM0QsT0FBTyxDQUFDLE1BQU0sS0FBSyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsTUFBTSxDQUFDLGlCQUFpQixDQUFDLENBQUMsQ0FBQyxNQUFNLENBQUM7QUFDdEUsQ0FBQztBQUVELHlGQUF5RjtBQUN6Riw0RkFBNEY7QUFDNUYsNkZBQTZGO0FBQzdGLGtHQUFrRztBQUNsRyx1REFBdUQ7QUFFdkQsU0FBZ0IsYUFBYSxDQUFDLEtBQVksRUFBRSxTQUFlLEVBQUUsTUFBeUIsRUFBRSxtQkFBMkIsQ0FBQztJQUNoSCxJQUFJLFNBQVMsR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDLFNBQVMsQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsUUFBUSxDQUFDLFNBQVMsQ0FBQyxDQUFDLENBQUM7SUFDOUUsSUFBSSxTQUFTLEdBQUcsQ0FBQztRQUNiLE9BQU8sRUFBRSxDQUFDO0lBRWQsSUFBSSxTQUFTLEdBQUcsZUFBZSxHQUFHLFNBQVMsQ0FBQyxNQUFNLENBQUM7SUFDbkQsSUFBSSxJQUFJLEdBQUcsQ0FBQyxNQUFNLEtBQUssT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQztJQUM5RixJQUFJLEtBQUssR0FBRyxrQkFBa0IsQ0FBQyxLQUFLLEVBQUUsQ0FBQyxNQUFNLEtBQUssT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsS0FBSyxHQUFHLFNBQVMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFNBQVMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQztJQUV0SSxJQUFJLFVBQVUsR0FBVyxFQUFFLENBQUM7SUFDNUIsSUFBSSxTQUFTLEdBQUcsQ0FBQyxDQUFDO0lBQ2xCLElBQUksWUFBWSxHQUFTLFNBQVMsQ0FBQztJQUVuQyxJQUFJLE1BQU0sS0FBSyxPQUFPLEVBQUU7UUFDcEIsSUFBSSxJQUFJLEdBQUcsS0FBSyxDQUFDLEtBQUssQ0FBQyxTQUFTLENBQUMsQ0FBQztRQUNsQyxJQUFJLFNBQVMsR0FBRyxJQUFJLENBQUMsS0FBSyxDQUFDLE1BQU0sQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxDQUFDLElBQUksSUFBSSxHQUFHLFNBQVMsR0FBRyxDQUFDLElBQUksSUFBSSxDQUFDLENBQUMsR0FBRyxLQUFLLElBQUksQ0FBQyxJQUFJLENBQUMsT0FBTyxDQUFDLENBQUM7UUFDN0csVUFBVSxDQUFDLElBQUksQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDO1FBQzlCLElBQUksU0FBUyxDQUFDLE1BQU0sR0FBRyxDQUFDO1lBQ3BCLElBQUksR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFFLGdEQUFnRDtRQUN4RixTQUFTLEVBQUUsQ0FBQztRQUNaLFlBQVksR0FBRyxJQUFJLENBQUM7S0FDdkI7O1FBQ0csWUFBWSxHQUFHLEtBQUssQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLENBQUM7SUFFMUMsS0FBSyxJQUFJLEtBQUssR0FBRyxTQUFTLEdBQUcsQ0FBQyxFQUFFLEtBQUssR0FBRyxLQUFLLENBQUMsS0FBSyxDQUFDLE1BQU0sSUFBSSxTQUFTLEdBQUcsZ0JBQWdCLEVBQUUsS0FBSyxFQUFFLEVBQUU7UUFDakcsSUFBSSxJQUFJLEdBQUcsS0FBSyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsQ0FBQztRQUM5QixJQUFJLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLE9BQU8sSUFBSSxJQUFJLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQztZQUN2RCxNQUFNO1FBQ1YsSUFBSSxJQUFJLENBQUMsQ0FBQyxHQUFHLFlBQVksQ0FBQyxDQUFDLEdBQUcsa0JBQWtCLEdBQUcsSUFBSSxDQUFDLEdBQUcsQ0FBQyxJQUFJLENBQUMsTUFBTSxFQUFFLFlBQVksQ0FBQyxNQUFNLENBQUM7WUFDekYsTUFBTTtRQUNWLElBQUksU0FBUyxHQUFHLElBQUksQ0FBQyxLQUFLLENBQUMsTUFBTSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLENBQUMsSUFBSSxJQUFJLElBQUksSUFBSSxDQUFDLENBQUMsR0FBRyxLQUFLLENBQUMsQ0FBQztRQUM1RSxJQUFJLFNBQVMsQ0FBQyxNQUFNLEtBQUssQ0FBQztZQUN0QixNQUFNO1FBQ1YsVUFBVSxDQUFDLElBQUksQ0FBQyxHQUFHLFNBQVMsQ0FBQyxDQUFDO1FBQzlCLFNBQVMsRUFBRSxDQUFDO1FBQ1osWUFBWSxHQUFHLElBQUksQ0FBQztLQUN2QjtJQUVELE9BQU8sVUFBVSxDQUFDO0FBQ3RCLENBQUM7QUF2Q0Qsc0NBdUNDO0FBRUQsZ0dBQWdHO0FBQ2hHLHVEQUF1RDtBQUV2RCxTQUFnQixjQUFjLENBQUMsS0FBWSxFQUFFLFNBQWUsRUFBRSxNQUF5QjtJQUNuRixJQUFJLFNBQVMsR0FBRyxlQUFlLEdBQUcsU0FBUyxDQUFDLE1BQU0sQ0FBQztJQUNuRCxJQUFJLFVBQVUsR0FBRyxhQUFhLENBQUMsS0FBSyxFQUFFLFNBQVMsRUFBRSxNQUFNLEVBQUUsQ0FBQyxDQUFDLENBQUM7SUFDNUQsSUFBSSxJQUFJLEdBQUcsQ0FBQyxVQUFVLENBQUMsTUFBTSxHQUFHLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLFVBQVUsQ0FBQyxDQUFDLENBQUMsQ0FBQyxDQUFDLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxNQUFNLEtBQUssT0FBTyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsS0FBSyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDO0lBQzFKLElBQUksS0FBSyxHQUFHLGtCQUFrQixDQUFDLEtBQUssRUFBRSxDQUFDLE1BQU0sS0FBSyxPQUFPLENBQUMsQ0FBQyxDQUFDLENBQUMsQ0FBQyxTQUFTLENBQUMsQ0FBQyxHQUFHLFNBQVMsQ0FBQyxLQUFLLEdBQUcsU0FBUyxDQUFDLENBQUMsQ0FBQyxDQUFDLENBQUMsU0FBUyxDQUFDLENBQUMsR0FBRyxTQUFTLENBQUMsQ0FBQyxDQUFDO0lBQ3RJLE9BQU8sRUFBRSxJQUFJLEVBQUUsSUFBSSxFQUFFLEtBQUssRUFBRSxLQUFLLEVBQUUsQ0FBQztBQUN4QyxDQUFDO0FBTkQsd0NBTUM7QUFFRCwrRkFBK0Y7QUFDL0YsNENBQTRDO0FBRTVDLFNBQWdCLFlBQVksQ0FBQyxLQUFZLEVBQUUsU0FBZSxFQUFFLE1BQXlCO0lBQ2pGLElBQUksU0FBUyxHQUFHLEtBQUssQ0FBQyxLQUFLLENBQUMsU0FBUyxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLEtBQUssQ0FBQyxRQUFRLENBQUMsU0FBUyxDQUFDLENBQUMsQ0FBQztJQUM5RSxJQUFJLEVBQUUsS0FBSyxFQUFFLEdBQUcsY0FBYyxDQUFDLEtBQUssRUFBRSxTQUFTLEVBQUUsTUFBTSxDQUFDLENBQUM7SUFDekQsT0FBTyxTQUFTLElBQUksQ0FBQyxJQUFJLENBQUMsS0FBSyxDQUFDLEtBQUssQ0FBQyxLQUFLLENBQUMsU0FBUyxHQUFHLENBQUMsQ0FBQyxDQUFDLElBQUksQ0FBQyxJQUFJLENBQUMsRUFBRSxDQUFDLElBQUksQ0FBQyxLQUFLLENBQUMsSUFBSSxDQUFDLElBQUksQ0FBQyxFQUFFLENBQUMsSUFBSSxDQUFDLE9BQU8sSUFBSSxJQUFJLENBQUMsQ0FBQyxHQUFHLEtBQUssQ0FBQyxDQUFDLENBQUM7QUFDckksQ0FBQztBQUpELG9DQUlDO0FBRUQsd0NBQXdDO0FBRXhDLFNBQWdCLGVBQWUsQ0FBQyxLQUFhO0lBQ3pDLE9BQU8sRUFBRSxDQUFDLE1BQU0sQ0FBQyxHQUFHLEtBQUssQ0FBQyxHQUFHLENBQUMsSUFBSSxDQUFDLEVBQUUsQ0FBQyxJQUFJLENBQUMsUUFBUSxDQUFDLENBQWMsQ0FBQztBQUN2RSxDQUFDO0FBRkQsMENBRUMifQ==
\ No newline at end of file
@@ -0,0 +1,218 @@
+// Reconstructs the table structure of a page from its text elements: the elements are grouped
+// into lines (by clustering their baselines), each line is split into cells (at large horizontal
+// gaps and at labels), and the left edges of the labels are clustered into columns.  The value of
+// a label is then the cells to the right of (or below) the label, up to the next label column,
+// including any continuation lines (such as a wrapped address or a multi-line description).
+
+"use strict";
+
+import { Element, Rectangle } from "./layout";
+
+// Elements whose baselines differ by less than this fraction of their height are on the same line.
+
+const LineTolerance = 0.5;
+
+// A horizontal gap between elements on a line that is larger than this multiple of the height of
+// the line separates two cells.
+
+const CellGap = 1.0;
+
+// Label cells whose left edges differ by less than this multiple of their height are in the same
+// column.
+
+const ColumnTolerance = 1.0;
+
+// Consecutive lines of a multi-line value that are separated by more than this multiple of the
+// line height end the value (a paragraph break).
+
+const MaximumLineSpacing = 2.5;
+
+// A cell (one or more adjacent elements on a line).  A label cell consists of a single element
+// that is a heading of the layout or whose text ends with a colon.
+
+export interface Cell extends Rectangle {
+    text: string,
+    elements: Element[],
+    isLabel: boolean
+}
+
+// A line of cells (ordered from left to right).
+
+export interface Line {
+    y: number,
+    height: number,
+    cells: Cell[]
+}
+
+// The lines of a page (ordered from top to bottom) and the left edges of the columns that contain
+// labels.
+
+export interface Table {
+    lines: Line[],
+    labelColumns: number[]
+}
+
+// Groups elements into lines by clustering their baselines.
+
+export function groupLines(elements: Element[]) {
+    let sortedElements = [ ...elements ].filter(element => element.text.trim() !== "").sort((a, b) => (a.y - b.y) || (a.x - b.x));
+    let lines: Element[][] = [];
+    for (let element of sortedElements) {
+        let line = lines[lines.length - 1];
+        if (line !== undefined && Math.abs(element.y - line[0].y) < LineTolerance * Math.max(element.height, line[0].height))
+            line.push(element);
+        else
+            lines.push([ element ]);
+    }
+    return lines.map(line => line.sort((a, b) => a.x - b.x));
+}
+
+// Constructs a cell from adjacent elements.
+
+function createCell(elements: Element[], isLabel: boolean): Cell {
+    let x = Math.min(...elements.map(element => element.x));
+    let y = Math.min(...elements.map(element => element.y));
+    return {
+        x: x,
+        y: y,
+        width: Math.max(...elements.map(element => element.x + element.width)) - x,
+        height: Math.max(...elements.map(element => element.height)),
+        text: elements.map(element => element.text).join(" ").trim().replace(/\s\s+/g, " "),
+        elements: elements,
+        isLabel: isLabel
+    };
+}
+
+// Splits the elements of a line into cells at each large horizontal gap.  Each label is placed in
+// a cell of its own.
+
+function splitCells(elements: Element[], isLabel: (element: Element) => boolean) {
+    let cells: Cell[] = [];
+    let cellElements: Element[] = [];
+    for (let element of elements) {
+        let previousElement = cellElements[cellElements.length - 1];
+        if (previousElement !== undefined && (isLabel(element) || isLabel(previousElement) || element.x - (previousElement.x + previousElement.width) > CellGap * Math.max(element.height, previousElement.height))) {
+            cells.push(createCell(cellElements, isLabel(previousElement)));
+            cellElements = [];
+        }
+        cellElements.push(element);
+    }
+    if (cellElements.length > 0)
+        cells.push(createCell(cellElements, isLabel(cellElements[0])));
+    return cells;
+}
+
+// Clusters the left edges of the label cells into columns.
+
+function clusterLabelColumns(lines: Line[]) {
+    let labelCells = [].concat(...lines.map(line => line.cells.filter(cell => cell.isLabel))).sort((a, b) => a.x - b.x);
+    let columns: number[] = [];
+    let previousCell: Cell = undefined;
+    for (let cell of labelCells) {
+        if (previousCell === undefined || cell.x - previousCell.x >= ColumnTolerance * cell.height)
+            columns.push(cell.x);
+        previousCell = cell;
+    }
+    return columns;
+}
+
+// Reconstructs the table structure of the elements of a page (or of part of a page).
+
+export function buildTable(elements: Element[], isLabel: (element: Element) => boolean): Table {
+    let lines = groupLines(elements).map(lineElements => {
+        let cells = splitCells(lineElements, isLabel);
+        return { y: lineElements[0].y, height: Math.max(...cells.map(cell => cell.height)), cells: cells };
+    });
+    return { lines: lines, labelColumns: clusterLabelColumns(lines) };
+}
+
+// Finds the first label cell (in reading order) that satisfies a condition.
+
+export function findLabelCell(table: Table, isMatch: (cell: Cell) => boolean) {
+    for (let line of table.lines)
+        for (let cell of line.cells)
+            if (cell.isLabel && isMatch(cell))
+                return cell;
+    return undefined;
+}
+
+// Gets the left edge of the first label column to the right of the specified position (or
+// infinity if there is none).
+
+function getNextLabelColumn(table: Table, x: number) {
+    let column = table.labelColumns.find(column => column > x);
+    return (column === undefined) ? Number.POSITIVE_INFINITY : column;
+}
+
+// Gets the cells of the value of a label.  The value is either to the right of the label
+// (continuing onto the following lines) or on the lines below the label.  The value extends
+// horizontally up to the next label column, and ends at the first line that contains a label
+// within (or to the left of) that range, a line without any cells in that range, a large vertical
+// gap, or after the specified maximum number of lines.
+
+export function getValueCells(table: Table, labelCell: Cell, region: "right" | "below", maximumLineCount: number = 1) {
+    let lineIndex = table.lines.findIndex(line => line.cells.includes(labelCell));
+    if (lineIndex < 0)
+        return [];
+
+    let tolerance = ColumnTolerance * labelCell.height;
+    let left = (region === "right") ? (labelCell.x + labelCell.width) : (labelCell.x - tolerance);
+    let right = getNextLabelColumn(table, (region === "right") ? (labelCell.x + labelCell.width - tolerance) : (labelCell.x + tolerance));
+
+    let valueCells: Cell[] = [];
+    let lineCount = 0;
+    let previousLine: Line = undefined;
+
+    if (region === "right") {
+        let line = table.lines[lineIndex];
+        let lineCells = line.cells.filter(cell => cell.x >= left - tolerance / 2 && cell.x < right && !cell.isLabel);
+        valueCells.push(...lineCells);
+        if (lineCells.length > 0)
+            left = lineCells[0].x - tolerance;  // continuation lines are aligned with the value
+        lineCount++;
+        previousLine = line;
+    } else
+        previousLine = table.lines[lineIndex];
+
+    for (let index = lineIndex + 1; index < table.lines.length && lineCount < maximumLineCount; index++) {
+        let line = table.lines[index];
+        if (line.cells.some(cell => cell.isLabel && cell.x < right))
+            break;
+        if (line.y - previousLine.y > MaximumLineSpacing * Math.max(line.height, previousLine.height))
+            break;
+        let lineCells = line.cells.filter(cell => cell.x >= left && cell.x < right);
+        if (lineCells.length === 0)
+            break;
+        valueCells.push(...lineCells);
+        lineCount++;
+        previousLine = line;
+    }
+
+    return valueCells;
+}
+
+// Gets the horizontal range of the value of a label (as used by getValueCells), for example, to
+// find any continuation of the value on the next page.
+
+export function getValueColumn(table: Table, labelCell: Cell, region: "right" | "below") {
+    let tolerance = ColumnTolerance * labelCell.height;
+    let valueCells = getValueCells(table, labelCell, region, 1);
+    let left = (valueCells.length > 0) ? (valueCells[0].x - tolerance) : ((region === "right") ? (labelCell.x + labelCell.width) : (labelCell.x - tolerance));
+    let right = getNextLabelColumn(table, (region === "right") ? (labelCell.x + labelCell.width - tolerance) : (labelCell.x + tolerance));
+    return { left: left, right: right };
+}
+
+// Determines whether the value of a label extends to the last line of the table (in which case
+// the value may continue on the next page).
+
+export function isValueAtEnd(table: Table, labelCell: Cell, region: "right" | "below") {
+    let lineIndex = table.lines.findIndex(line => line.cells.includes(labelCell));
+    let { right } = getValueColumn(table, labelCell, region);
+    return lineIndex >= 0 && !table.lines.slice(lineIndex + 1).some(line => line.cells.some(cell => cell.isLabel && cell.x < right));
+}
+
+// Gets the elements of a list of cells.
+
+export function getCellElements(cells: Cell[]) {
+    return [].concat(...cells.map(cell => cell.elements)) as Element[];
+}